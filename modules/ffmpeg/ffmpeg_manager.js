@@ -1,6 +1,6 @@
 import { spawn } from "node:child_process";
 import { createWriteStream, appendFileSync } from "node:fs";
-import { mkdir } from "node:fs/promises";
+import { mkdir, rm } from "node:fs/promises";
 import path from "node:path";
 import { randomUUID } from "node:crypto";
 
@@ -22,6 +22,42 @@ function pushBoundedLines(target, line, maxLines) {
   }
 }
 
+/**
+ * 将工作区配额状态（Workspace.getQuotaStatus 的结果）转为说明文字
+ */
+function describeQuotaStatus(status) {
+  const scope = status.workspace?.exceeded ? status.workspace : status.global;
+  const name = status.workspace?.exceeded ? "工作空间配额" : "全部工作空间的总配额";
+  const mb = (bytes) => `${(Number(bytes || 0) / 1024 / 1024).toFixed(1)}MB`;
+  return `已超出${name}（已用 ${mb(scope?.used)} / 上限 ${mb(scope?.limit)}）`;
+}
+
+/**
+ * 从 ffmpeg 参数字符串中提取可能的输出文件，返回匹配工作区相对路径的正则列表
+ * -i 后面的输入文件和以 - 开头的选项不计入；图片序列模式（如 frame_%03d.png）匹配整个序列。
+ * 超出配额时只删除命中这些正则且运行前不存在的文件，其他智能体同时写入的文件不受影响。
+ * @param {string} command - 不含程序名的参数字符串
+ * @param {string} rootPath - 工作区根目录（ffmpeg 的 cwd）
+ * @returns {RegExp[]}
+ */
+export function parseOutputPathMatchers(command, rootPath) {
+  const tokens = [...String(command).matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+  const matchers = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === "-i") {
+      i++;
+      continue;
+    }
+    if (!token || token.startsWith("-")) continue;
+    const rel = path.relative(rootPath, path.resolve(rootPath, token)).split(path.sep).join("/");
+    if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) continue;
+    const pattern = rel.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%0?\d*d/g, "\\d+");
+    matchers.push(new RegExp(`^${pattern}$`));
+  }
+  return matchers;
+}
+
 export class FfmpegManager {
   constructor(runtime, moduleConfig, log) {
     this.runtime = runtime;
@@ -92,6 +128,15 @@ export class FfmpegManager {
     }
     const ws = await this.runtime.workspaceManager.getWorkspace(workspaceId);
 
+    // 工作区已超出磁盘配额时不再启动 ffmpeg
+    const quotaStatus = await ws.getQuotaStatus({ refresh: true });
+    if (quotaStatus.exceeded) {
+      return fail("quota_exceeded", describeQuotaStatus(quotaStatus));
+    }
+    // 记录运行前已有的文件和命令中的输出路径，运行后超出配额时只删除本次由 ffmpeg 新生成的输出文件
+    const existingFiles = new Set(Object.keys((await ws.sync()).files ?? {}));
+    const outputMatchers = parseOutputPathMatchers(command, ws.rootPath);
+
     // 日志路径也放在工作区内
     const logDir = ".ffmpeg_logs";
     const stdoutLogPath = `${logDir}/${taskId}.stdout.log`;
@@ -169,6 +214,7 @@ export class FfmpegManager {
       // 同步工作区，确保可能产生的部分文件被扫描到元数据中
       try {
         await ws.sync();
+        await this._enforceQuota(ws, task, existingFiles, outputMatchers);
       } catch (e) {
         // 同步失败不影响任务状态，只记录警告
         this.log?.warn?.("ffmpeg 错误后工作区同步失败", { error: e?.message || e });
@@ -187,6 +233,7 @@ export class FfmpegManager {
       // 同步工作区，让 ffmpeg 生成的新文件被扫描到元数据中
       try {
         await ws.sync();
+        await this._enforceQuota(ws, task, existingFiles, outputMatchers);
       } catch (e) {
         // 同步失败不影响任务状态，只记录警告
         this.log?.warn?.("ffmpeg 完成后工作区同步失败", { error: e?.message || e });
@@ -198,6 +245,33 @@ export class FfmpegManager {
     };
   }
 
+  /**
+   * ffmpeg 结束后检查磁盘配额：超出时删除本次新生成的输出文件（保留日志），并将任务标记为失败
+   * @param {object} ws - 工作区实例
+   * @param {object} task
+   * @param {Set<string>} existingFiles - 运行前已存在的文件
+   * @param {RegExp[]} outputMatchers - 命令中的输出路径（parseOutputPathMatchers 的结果）
+   */
+  async _enforceQuota(ws, task, existingFiles, outputMatchers) {
+    const quotaStatus = await ws.getQuotaStatus({ refresh: true });
+    if (!quotaStatus.exceeded) return;
+
+    const meta = await ws.sync();
+    const created = Object.keys(meta.files ?? {})
+      .filter(p => !existingFiles.has(p) && !p.startsWith(".ffmpeg_logs/"))
+      .filter(p => outputMatchers.some(re => re.test(p)));
+    for (const p of created) {
+      await rm(path.resolve(ws.rootPath, p), { force: true });
+    }
+    await ws.sync();
+
+    task.status = "failed";
+    task.error = "quota_exceeded";
+    task.removedFiles = created;
+    pushBoundedLines(task.progress.lastStderrLines, `quota_exceeded: ${describeQuotaStatus(quotaStatus)}，已删除输出文件 ${created.join(", ") || "(无)"}`, this.maxStderrLines);
+    this.log?.warn?.("ffmpeg 输出超出工作区磁盘配额，已删除输出文件", { taskId: task.taskId, removedFiles: created });
+  }
+
   async getStatus(ctx, taskId) {
     const task = this.tasks.get(String(taskId));
     if (!task) return { error: "task_not_found", message: "任务不存在", taskId };
@@ -225,6 +299,9 @@ export class FfmpegManager {
         exitCode: task.exitCode,
         stderrTail: Array.isArray(task.progress?.lastStderrLines) ? task.progress.lastStderrLines : []
       };
+      if (task.removedFiles) {
+        response.failure.removedFiles = task.removedFiles;
+      }
     }
 
     return response;
@@ -150,7 +150,7 @@ export class AgentSociety {
       payload
     });
     if (sendResult?.rejected) {
-      return { error: sendResult.reason ?? "message_rejected" };
+      return { error: sendResult.reason ?? "message_rejected", deadLetterId: sendResult.deadLetterId ?? null };
     }
     void this.log.info("用户消息已发送", { toAgentId, taskId, hasAttachments: !!(payload.attachments?.length) });
     return { taskId, to: toAgentId };
@@ -0,0 +1,144 @@
+/**
+ * 死信存储：记录无法投递或被丢弃的消息，供运维查看与改投。
+ *
+ * 消息进入死信的情形：
+ * - 发送时目标智能体正在终止（MessageBus.send 拒绝，reason 为 agent_terminating）；
+ * - 智能体终止/停止/删除时收件箱被清空（clearQueue）；
+ * - 重启重放预写日志时收件人已不存在。
+ *
+ * 提供 filePath 时每次变更同步写入 JSON 文件（先写临时文件再重命名），与预写日志的同步写入保持一致。
+ * 超过 maxEntries 时淘汰最早的记录。
+ */
+import { randomUUID } from "node:crypto";
+import { createNoopModuleLogger, formatLocalTime } from "../utils/logger/logger.js";
+import { JsonFileStore } from "../utils/service/json_file_store.js";
+
+/**
+ * 默认保留的死信数量
+ */
+const DEFAULT_MAX_ENTRIES = 1000;
+
+export class DeadLetterStore {
+  /**
+   * @param {{filePath?: string|null, maxEntries?: number, logger?: object}} [options]
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ?? null;
+    this.maxEntries = Number.isInteger(options.maxEntries) && options.maxEntries > 0 ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+    this.log = options.logger ?? createNoopModuleLogger();
+    /** @type {Map<string, object>} deadLetterId -> 死信（按记录时间排序） */
+    this._entries = new Map();
+    this._store = this.filePath ? new JsonFileStore({ filePath: this.filePath, label: "死信文件", logger: this.log }) : null;
+  }
+
+  /**
+   * 从文件加载已有死信（文件不存在时为空）。
+   * @returns {number} 加载的数量
+   */
+  load() {
+    this._entries.clear();
+    const data = this._store?.loadSync();
+    for (const entry of Array.isArray(data?.deadLetters) ? data.deadLetters : []) {
+      if (entry?.id && entry.message) this._entries.set(entry.id, entry);
+    }
+    return this._entries.size;
+  }
+
+  /**
+   * 记录一条死信。
+   * @param {object} message - 原消息信封（延迟消息的 deliverAt 会被去掉）
+   * @param {string} reason - 进入死信的原因，如 agent_terminating、agent_terminated
+   * @param {{detail?: string}} [options]
+   * @returns {object} 死信记录
+   */
+  add(message, reason, options = {}) {
+    const { deliverAt, ...envelope } = message ?? {};
+    const entry = {
+      id: randomUUID(),
+      reason,
+      detail: options.detail ?? null,
+      deadAt: formatLocalTime(),
+      from: envelope.from ?? null,
+      to: envelope.to ?? null,
+      taskId: envelope.taskId ?? null,
+      message: envelope,
+      status: "dead",
+      reroutedTo: null,
+      reroutedAt: null,
+      reroutedBy: null,
+      reroutedMessageId: null
+    };
+    this._entries.set(entry.id, entry);
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    this._save();
+    void this.log.info("消息进入死信", { deadLetterId: entry.id, messageId: envelope.id ?? null, from: entry.from, to: entry.to, reason });
+    return entry;
+  }
+
+  /**
+   * 获取死信。
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this._entries.get(id) ?? null;
+  }
+
+  /**
+   * 列出死信（最新的在前）。
+   * @param {{from?: string, to?: string, reason?: string, status?: string, taskId?: string, limit?: number}} [filter]
+   * @returns {object[]}
+   */
+  list(filter = {}) {
+    const list = [...this._entries.values()]
+      .reverse()
+      .filter((e) => !filter.from || e.from === filter.from)
+      .filter((e) => !filter.to || e.to === filter.to)
+      .filter((e) => !filter.reason || e.reason === filter.reason)
+      .filter((e) => !filter.status || e.status === filter.status)
+      .filter((e) => !filter.taskId || e.taskId === filter.taskId);
+    return Number.isInteger(filter.limit) && filter.limit > 0 ? list.slice(0, filter.limit) : list;
+  }
+
+  /**
+   * 死信数量。
+   * @param {string} [status] - 可选，只统计该状态
+   * @returns {number}
+   */
+  count(status) {
+    if (!status) return this._entries.size;
+    let count = 0;
+    for (const entry of this._entries.values()) {
+      if (entry.status === status) count++;
+    }
+    return count;
+  }
+
+  /**
+   * 标记死信已改投。
+   * @param {string} id
+   * @param {{to: string, messageId: string, by?: string|null}} info
+   * @returns {object|null} 更新后的死信
+   */
+  markRerouted(id, info) {
+    const entry = this._entries.get(id);
+    if (!entry) return null;
+    entry.status = "rerouted";
+    entry.reroutedTo = info.to;
+    entry.reroutedAt = formatLocalTime();
+    entry.reroutedBy = info.by ?? null;
+    entry.reroutedMessageId = info.messageId;
+    this._save();
+    return entry;
+  }
+
+  /**
+   * 同步写入死信文件。
+   * @private
+   */
+  _save() {
+    this._store?.saveSync({ deadLetters: [...this._entries.values()] });
+  }
+}
@@ -1,12 +1,86 @@
 /**
  * 最小异步消息总线：按收件人队列缓存消息，运行时循环拉取并投递。
+ *
+ * 请求/回复关联：
+ * - 消息可携带 correlationId（同一组请求与回复共享）与 inReplyTo（所回复的消息ID）；
+ * - 回复时未指定 correlationId 则沿用原消息的 correlationId，原消息没有时使用原消息ID；
+ * - 发送时指定 replyTimeoutMs 表示等待回复，期限内收件人没有回复（inReplyTo 指向该消息）时，
+ *   总线以收件人的名义向发送者投递一条 kind 为 reply_timeout 的合成通知。
+ *
+ * 优先级：
+ * - 消息可携带 priority（等级名或数值，见 message_priority.js），未指定时由 resolvePriority 回调按收发关系推导；
+ * - 每个收件人的队列按优先级从高到低排列，同优先级保持 FIFO；非默认优先级才会写入信封。
+ *
+ * 收件箱上限（背压）：
+ * - 可按收件人配置队列上限 maxSize 与策略 policy，未配置时不限制；
+ * - reject：队列已满时拒绝新消息；drop_oldest：淘汰队列中最早的低优先级消息；
+ *   coalesce：与队列中尚未处理的消息完全相同（同发送者、任务与内容）时合并为一条，队列已满时拒绝；
+ * - 上限只约束立即投递的消息，用户消息不受限制；被拒绝或淘汰的消息进入死信；
+ * - 收件箱使用率达到 80% 或触发策略时，send() 的返回值附带 backpressure 信息。
+ *
+ * 死信：
+ * - 被拒绝（目标正在终止）、被清空（clearQueue）或重启后收件人已不存在的消息记录到 DeadLetterStore；
+ * - 发送时指定 notifyOnDeadLetter 的消息进入死信后，总线以原收件人的名义向发送者投递 kind 为 dead_letter 的合成通知；
+ * - 运维可通过 rerouteDeadLetter() 将死信改投给其他智能体。
+ *
+ * 持久化模式（提供 walDir 时启用）：
+ * - 所有入队/出队/投递/清空操作以 JSONL 追加写入预写日志（wal.jsonl）；
+ * - 启动时通过 restoreFromWal() 重放日志，恢复未投递的收件箱与未到期的延迟消息；
+ * - 日志记录数超过阈值时自动压缩为当前状态的快照。
  */
 import { randomUUID } from "node:crypto";
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import path from "node:path";
 import { createNoopModuleLogger, formatLocalTime } from "../utils/logger/logger.js";
+import { DEFAULT_PRIORITY, parsePriority } from "../utils/message/message_priority.js";
+import { DeadLetterStore } from "./dead_letter_store.js";
+
+/**
+ * 消息头索引保留的最近消息数（用于按消息ID查找发送者以便回复）
+ */
+const MESSAGE_INDEX_LIMIT = 5000;
+
+/**
+ * 收件箱满时的处理策略
+ */
+export const INBOX_POLICIES = Object.freeze(["reject", "drop_oldest", "coalesce"]);
+
+/**
+ * 收件箱使用率达到该比例时视为饱和，向发送者返回背压信息
+ */
+const INBOX_SATURATION_RATIO = 0.8;
+
+/**
+ * 规范化收件箱上限配置
+ * @param {{maxSize?: number, policy?: string}|null|undefined} limit
+ * @param {{maxSize: number|null, policy: string}} [fallback]
+ * @returns {{maxSize: number|null, policy: string}} maxSize 为 null 表示不限制
+ */
+function normalizeInboxLimit(limit, fallback = { maxSize: null, policy: "reject" }) {
+  const maxSize = Number(limit?.maxSize);
+  return {
+    maxSize: limit?.maxSize === undefined ? fallback.maxSize : (Number.isInteger(maxSize) && maxSize > 0 ? maxSize : null),
+    policy: INBOX_POLICIES.includes(limit?.policy) ? limit.policy : fallback.policy
+  };
+}
+
+/**
+ * 死信原因的说明（用于发给发送者的通知）
+ */
+const DEAD_LETTER_REASONS = {
+  inbox_full: "收件人的收件箱已满，消息被拒绝",
+  inbox_overflow: "收件人的收件箱已满，未处理的消息被新消息挤出",
+  agent_terminating: "收件人正在终止，消息被拒绝",
+  agent_terminated: "收件人已被终止，未处理的消息被丢弃",
+  agent_stopped: "收件人已被停止，未处理的消息被丢弃",
+  agent_deleted: "收件人已被删除，未处理的消息被丢弃",
+  recipient_unavailable: "重启后收件人已不存在",
+  queue_cleared: "收件人的消息队列被清空"
+};
 
 export class MessageBus {
   /**
-   * @param {{logger?: {debug:(m:string,d?:any)=>Promise<void>, info:(m:string,d?:any)=>Promise<void>, warn:(m:string,d?:any)=>Promise<void>, error:(m:string,d?:any)=>Promise<void>}, getAgentStatus?: (agentId: string) => string, isAgentActivelyProcessing?: (agentId: string) => boolean, onInterruptionNeeded?: (agentId: string, message: any) => void}} [options]
+   * @param {{logger?: {debug:(m:string,d?:any)=>Promise<void>, info:(m:string,d?:any)=>Promise<void>, warn:(m:string,d?:any)=>Promise<void>, error:(m:string,d?:any)=>Promise<void>}, getAgentStatus?: (agentId: string) => string, isAgentActivelyProcessing?: (agentId: string) => boolean, onInterruptionNeeded?: (agentId: string, message: any) => void, walDir?: string|null, walCompactThreshold?: number, resolvePriority?: (message: {from:string, to:string}) => number|string|null, deadLetterPath?: string|null, deadLetterMaxEntries?: number, inbox?: {maxSize?: number, policy?: "reject"|"drop_oldest"|"coalesce", agents?: Object<string, {maxSize?: number, policy?: string}>}}} [options]
    */
   constructor(options = {}) {
     this._queues = new Map();
@@ -17,11 +91,226 @@ export class MessageBus {
     this._getAgentStatus = options.getAgentStatus ?? null;  // 获取智能体状态的回调函数
     this._isAgentActivelyProcessing = options.isAgentActivelyProcessing ?? null;  // 检查智能体是否正在活跃处理消息
     this._onInterruptionNeeded = options.onInterruptionNeeded ?? null;  // 当需要中断时的回调函数
+    this._pendingReplies = new Map();  // 等待回复的消息：messageId -> { messageId, from, to, taskId, correlationId, timeoutMs, replyBy }
+    this._messageIndex = new Map();  // 最近消息的消息头：messageId -> { id, from, to, taskId, correlationId, inReplyTo }
+    this._resolvePriority = options.resolvePriority ?? null;  // 未显式指定优先级时按收发关系推导
+    this._deadLetters = new DeadLetterStore({
+      filePath: options.deadLetterPath ?? null,
+      maxEntries: options.deadLetterMaxEntries,
+      logger: this.log
+    });
+    this._deadLetters.load();
+
+    // 收件箱上限：默认值与按智能体的覆盖
+    this._inboxDefault = normalizeInboxLimit(options.inbox);
+    this._inboxOverrides = new Map();
+    for (const [agentId, limit] of Object.entries(options.inbox?.agents ?? {})) {
+      this.setInboxLimit(agentId, limit);
+    }
+    this._inboxStats = new Map();  // agentId -> { peakDepth, rejected, dropped, coalesced }
+
+    // 预写日志（未提供 walDir 时为纯内存模式）
+    this._walDir = options.walDir ?? null;
+    this._walPath = this._walDir ? path.join(this._walDir, "wal.jsonl") : null;
+    this._walCompactThreshold = Number.isFinite(options.walCompactThreshold) && options.walCompactThreshold > 0
+      ? options.walCompactThreshold
+      : 1000;
+    this._walRecordCount = 0;
+    this._walDirReady = false;
+  }
+
+  /**
+   * 是否启用了持久化模式。
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this._walPath !== null;
+  }
+
+  /**
+   * 追加一条日志记录（同步写入，保证与内存操作顺序一致）。
+   * @param {{op:string, [key:string]:any}} record
+   */
+  _journal(record) {
+    if (!this._walPath) return;
+    try {
+      if (!this._walDirReady) {
+        mkdirSync(this._walDir, { recursive: true });
+        this._walDirReady = true;
+      }
+      appendFileSync(this._walPath, JSON.stringify(record) + "\n", "utf8");
+      this._walRecordCount += 1;
+    } catch (err) {
+      void this.log.error("写入消息预写日志失败", { op: record.op, error: err?.message ?? String(err) });
+    }
+  }
+
+  /**
+   * 日志记录数超过阈值时压缩。
+   * 只在一次公开操作完成后调用，确保快照反映的是一致的内存状态。
+   */
+  _maybeCompactWal() {
+    if (this._walPath && this._walRecordCount >= this._walCompactThreshold) {
+      this.compactWal();
+    }
+  }
+
+  /**
+   * 将当前内存状态写成快照，替换原有日志。
+   * 先写临时文件再重命名，避免压缩过程中崩溃导致日志损坏。
+   * @returns {{ok:boolean, records?:number, error?:string}}
+   */
+  compactWal() {
+    if (!this._walPath) return { ok: false, error: "wal_disabled" };
+    const lines = [];
+    for (const q of this._queues.values()) {
+      for (const msg of q) {
+        lines.push(JSON.stringify({ op: "enqueue", msg }));
+      }
+    }
+    for (const msg of this._delayedMessages) {
+      lines.push(JSON.stringify({ op: "schedule", msg }));
+    }
+    for (const pending of this._pendingReplies.values()) {
+      lines.push(JSON.stringify({ op: "await_reply", pending }));
+    }
+    const tmpPath = `${this._walPath}.tmp`;
+    try {
+      mkdirSync(this._walDir, { recursive: true });
+      this._walDirReady = true;
+      writeFileSync(tmpPath, lines.length > 0 ? lines.join("\n") + "\n" : "", "utf8");
+      renameSync(tmpPath, this._walPath);
+      this._walRecordCount = lines.length;
+      void this.log.debug("消息预写日志已压缩", { records: lines.length });
+      return { ok: true, records: lines.length };
+    } catch (err) {
+      const message = err?.message ?? String(err);
+      void this.log.error("压缩消息预写日志失败", { error: message });
+      return { ok: false, error: message };
+    }
+  }
+
+  /**
+   * 从预写日志重放，恢复未投递的消息、延迟消息与等待中的回复期限。
+   * 应在智能体从组织状态恢复之后调用；收件人已不存在的消息进入死信（不通知发送者，定时计划消息除外）。
+   * 日志末尾因崩溃写了一半的行会被忽略。
+   * @param {{acceptRecipient?: (agentId: string) => boolean}} [options]
+   * @returns {{ok:boolean, queued:number, delayed:number, awaitingReplies:number, dropped:number, skippedLines:number}}
+   */
+  restoreFromWal(options = {}) {
+    const result = { ok: true, queued: 0, delayed: 0, awaitingReplies: 0, dropped: 0, skippedLines: 0 };
+    if (!this._walPath || !existsSync(this._walPath)) return result;
+
+    let raw;
+    try {
+      raw = readFileSync(this._walPath, "utf8");
+    } catch (err) {
+      void this.log.error("读取消息预写日志失败", { error: err?.message ?? String(err) });
+      return { ...result, ok: false };
+    }
+
+    // 按日志顺序重放（Map 保持插入顺序，即原队列顺序）
+    const queued = new Map();
+    const scheduled = new Map();
+    const awaiting = new Map();
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        result.skippedLines += 1;
+        continue;
+      }
+      switch (record?.op) {
+        case "enqueue":
+          if (record.msg?.id) queued.set(record.msg.id, record.msg);
+          break;
+        case "schedule":
+          if (record.msg?.id) scheduled.set(record.msg.id, record.msg);
+          break;
+        case "deliver": {
+          const msg = scheduled.get(record.id);
+          if (msg) {
+            scheduled.delete(record.id);
+            const { deliverAt, ...envelope } = msg;
+            queued.set(envelope.id, envelope);
+          }
+          break;
+        }
+        case "dequeue":
+          queued.delete(record.id);
+          break;
+        case "unschedule":
+          scheduled.delete(record.id);
+          break;
+        case "clear":
+          for (const [id, msg] of queued) {
+            if (msg.to === record.to) queued.delete(id);
+          }
+          break;
+        case "await_reply":
+          if (record.pending?.messageId) awaiting.set(record.pending.messageId, record.pending);
+          break;
+        case "reply_done":
+          awaiting.delete(record.id);
+          break;
+        default:
+          result.skippedLines += 1;
+      }
+    }
+
+    const accept = typeof options.acceptRecipient === "function" ? options.acceptRecipient : () => true;
+    const undeliverable = [];
+    for (const msg of queued.values()) {
+      if (!accept(msg.to)) {
+        result.dropped += 1;
+        undeliverable.push(msg);
+        continue;
+      }
+      this._enqueue(msg);
+      result.queued += 1;
+    }
+    for (const msg of scheduled.values()) {
+      if (!accept(msg.to)) {
+        result.dropped += 1;
+        // 定时计划的消息由 ScheduleManager 重新安排，不作为死信
+        if (!msg.scheduleId) undeliverable.push(msg);
+        continue;
+      }
+      this._delayedMessages.push(msg);
+      result.delayed += 1;
+    }
+    this._delayedMessages.sort((a, b) => a.deliverAt - b.deliverAt);
+    for (const pending of awaiting.values()) {
+      // 发送者已不存在时不再需要超时通知；已过期的期限在下次 deliverDueMessages 时触发
+      if (!accept(pending.from)) {
+        result.dropped += 1;
+        continue;
+      }
+      this._pendingReplies.set(pending.messageId, pending);
+      result.awaitingReplies += 1;
+    }
+
+    // 以恢复后的状态重写日志，丢弃已完成的历史记录
+    this.compactWal();
+    for (const msg of undeliverable) {
+      this._deadLetter(msg, "recipient_unavailable", { notify: false });
+    }
+
+    void this.log.info("消息预写日志重放完成", result);
+
+    if (result.queued > 0) {
+      for (const w of this._waiters) w();
+      this._waiters.clear();
+    }
+    return result;
   }
 
   /**
-   * 注册延迟消息投递监听器。
-   * @param {(message: {id:string, to:string, from:string, payload:any, taskId?:string, createdAt:string}) => void} listener
+   * 注册延迟消息投递监听器。延迟消息到期时也要经过收件箱准入，被拒绝或合并时同样触发，
+   * outcome 分别为 "rejected"（已记为死信）与 "coalesced"，正常入队为 "delivered"。
+   * @param {(message: {id:string, to:string, from:string, payload:any, taskId?:string, createdAt:string}, info: {outcome: "delivered"|"rejected"|"coalesced"}) => void} listener
    */
   onDelayedDelivery(listener) {
     if (typeof listener === "function") {
@@ -32,11 +321,12 @@ export class MessageBus {
   /**
    * 触发延迟消息投递事件。
    * @param {object} message
+   * @param {"delivered"|"rejected"|"coalesced"} [outcome]
    */
-  _emitDelayedDelivery(message) {
+  _emitDelayedDelivery(message, outcome = "delivered") {
     for (const listener of this._deliveryListeners) {
       try {
-        listener(message);
+        listener(message, { outcome });
       } catch (err) {
         void this.log.warn("延迟消息投递监听器执行失败", { error: err?.message ?? String(err) });
       }
@@ -44,9 +334,9 @@ export class MessageBus {
   }
 
   /**
-   * 发送异步消息（支持延迟投递）。
-   * @param {{to:string, from:string, payload:any, taskId?:string, delayMs?:number|string}} message
-   * @returns {{messageId:string, scheduledDeliveryTime?:string, rejected?:boolean, reason?:string, interruptionTriggered?:boolean}} 消息ID和预计投递时间（延迟消息）
+   * 发送异步消息（支持延迟投递与请求/回复关联）。
+   * @param {{to:string, from:string, payload:any, taskId?:string, delayMs?:number|string, correlationId?:string, inReplyTo?:string, replyTimeoutMs?:number, priority?:number|string, channel?:string, scheduleId?:string, scheduleRunAt?:number, notifyOnDeadLetter?:boolean}} message
+   * @returns {{messageId:string, correlationId?:string, replyBy?:string, scheduledDeliveryTime?:string, rejected?:boolean, reason?:string, deadLetterId?:string, coalesced?:boolean, backpressure?:object, interruptionTriggered?:boolean}} 消息ID和预计投递时间（延迟消息）；被拒绝时附带死信ID，收件箱饱和时附带背压信息
    */
   send(message) {
     // 检查目标智能体状态
@@ -59,53 +349,32 @@ export class MessageBus {
           status,
           taskId: message.taskId ?? null
         });
+        // 被拒绝的消息进入死信
+        const rejectedEnvelope = {
+          id: randomUUID(),
+          createdAt: formatLocalTime(),
+          to: message.to,
+          from: message.from,
+          payload: message.payload,
+          taskId: message.taskId
+        };
+        if (typeof message.correlationId === "string" && message.correlationId) rejectedEnvelope.correlationId = message.correlationId;
+        if (message.notifyOnDeadLetter === true) rejectedEnvelope.notifyOnDeadLetter = true;
+        const deadLetter = this._deadLetter(rejectedEnvelope, `agent_${status}`);
         return { 
           messageId: '', 
           rejected: true, 
-          reason: `agent_${status}` 
+          reason: `agent_${status}`,
+          deadLetterId: deadLetter.id
         };
       }
     }
 
-    // 检查目标智能体是否正在活跃处理消息（Requirements 1.1, 1.4, 5.1）
-    // 如果智能体正在处理消息且不是延迟消息，触发中断流程
     const rawDelayMs = message.delayMs;
     const parsedDelayMs = typeof rawDelayMs === "number" ? rawDelayMs : 
                           typeof rawDelayMs === "string" ? Number(rawDelayMs) : 0;
     const delayMs = Math.max(0, Number.isFinite(parsedDelayMs) ? parsedDelayMs : 0);
     
-    let interruptionTriggered = false;
-    const toStatus = this._getAgentStatus ? this._getAgentStatus(message.to) : null;
-    const shouldInterrupt = delayMs === 0 &&
-      this._isAgentActivelyProcessing &&
-      this._isAgentActivelyProcessing(message.to) &&
-      toStatus === "waiting_llm";
-    if (shouldInterrupt) {
-      interruptionTriggered = true;
-      // 智能体正在活跃处理，需要触发中断流程
-      void this.log.info("检测到活跃处理智能体，触发中断流程", {
-        to: message.to,
-        from: message.from,
-        taskId: message.taskId ?? null,
-        toStatus
-      });
-      
-      // 触发中断回调（如果提供）
-      if (this._onInterruptionNeeded) {
-        try {
-          this._onInterruptionNeeded(message.to, message);
-        } catch (err) {
-          void this.log.warn("中断回调执行失败", { 
-            error: err?.message ?? String(err),
-            agentId: message.to
-          });
-        }
-      }
-      
-      // 继续正常的消息队列流程（消息仍然会被加入队列）
-      // 中断处理将由 Runtime 异步执行
-    }
-
     const id = randomUUID();
     const now = Date.now();
     
@@ -117,11 +386,84 @@ export class MessageBus {
       payload: message.payload,
       taskId: message.taskId
     };
+    const priority = this._priorityOf(message);
+    if (priority !== DEFAULT_PRIORITY) envelope.priority = priority;
+    // 频道广播的扇出消息记录来源频道
+    if (typeof message.channel === "string" && message.channel) envelope.channel = message.channel;
+    // 进入死信时通知发送者
+    if (message.notifyOnDeadLetter === true) envelope.notifyOnDeadLetter = true;
+    // 定时计划产生的消息记录计划ID与本次计划触发时间，投递时由 ScheduleManager 安排下一次
+    if (typeof message.scheduleId === "string" && message.scheduleId) {
+      envelope.scheduleId = message.scheduleId;
+      if (Number.isFinite(message.scheduleRunAt)) envelope.scheduleRunAt = message.scheduleRunAt;
+    }
+
+    // 收件箱上限（延迟消息在到期投递时检查）
+    const admission = delayMs === 0 ? this._admit(envelope, message) : null;
+    if (admission?.action === "reject") {
+      const stats = this._statsOf(envelope.to);
+      stats.rejected += 1;
+      void this.log.warn("收件箱已满，拒绝消息", { to: envelope.to, from: envelope.from, depth: this.getQueueDepth(envelope.to) });
+      const deadLetter = this._deadLetter(envelope, "inbox_full");
+      return {
+        messageId: '',
+        rejected: true,
+        reason: "inbox_full",
+        deadLetterId: deadLetter.id,
+        backpressure: this._backpressure(envelope.to, { action: "rejected" })
+      };
+    }
+    if (admission?.action === "coalesce") {
+      this._statsOf(envelope.to).coalesced += 1;
+      void this.log.info("合并重复消息", { to: envelope.to, from: envelope.from, existingId: admission.existing.id });
+      return {
+        messageId: admission.existing.id,
+        coalesced: true,
+        backpressure: this._backpressure(envelope.to, { action: "coalesced" })
+      };
+    }
+
+    // 请求/回复关联字段只在使用时出现在信封中
+    const inReplyTo = typeof message.inReplyTo === "string" && message.inReplyTo ? message.inReplyTo : null;
+    const replyTimeoutMs = Number(message.replyTimeoutMs);
+    const awaitsReply = Number.isFinite(replyTimeoutMs) && replyTimeoutMs > 0;
+    let correlationId = typeof message.correlationId === "string" && message.correlationId ? message.correlationId : null;
+    if (inReplyTo) {
+      correlationId = correlationId
+        ?? this._pendingReplies.get(inReplyTo)?.correlationId
+        ?? this._messageIndex.get(inReplyTo)?.correlationId
+        ?? inReplyTo;
+      envelope.inReplyTo = inReplyTo;
+      this._resolvePendingReply(inReplyTo, message.from);
+    } else if (awaitsReply) {
+      correlationId = correlationId ?? id;
+    }
+    if (correlationId) envelope.correlationId = correlationId;
+    if (awaitsReply) {
+      const replyBy = now + delayMs + replyTimeoutMs;
+      envelope.replyBy = formatLocalTime(new Date(replyBy));
+      const pending = {
+        messageId: id,
+        from: envelope.from,
+        to: envelope.to,
+        taskId: envelope.taskId ?? null,
+        correlationId,
+        timeoutMs: replyTimeoutMs,
+        replyBy
+      };
+      this._pendingReplies.set(id, pending);
+      this._journal({ op: "await_reply", pending });
+    }
+    this._indexMessage(envelope);
+    const extra = {};
+    if (correlationId) extra.correlationId = correlationId;
+    if (envelope.replyBy) extra.replyBy = envelope.replyBy;
 
     // 延迟投递
     if (delayMs > 0) {
       const deliverAt = now + delayMs;
       this._delayedMessages.push({ ...envelope, deliverAt });
+      this._journal({ op: "schedule", msg: { ...envelope, deliverAt } });
       // 按投递时间排序，保持稳定排序以维持发送顺序
       this._delayedMessages.sort((a, b) => a.deliverAt - b.deliverAt);
       
@@ -135,18 +477,55 @@ export class MessageBus {
         delayMs,
         deliverAt: formatLocalTime(new Date(deliverAt))
       });
+      this._maybeCompactWal();
       
       return { 
         messageId: id, 
+        ...extra,
         scheduledDeliveryTime: formatLocalTime(new Date(deliverAt))
       };
     }
 
+    // 检查目标智能体是否正在活跃处理消息（Requirements 1.1, 1.4, 5.1）
+    // 只有通过收件箱准入、确实入队的消息才触发中断流程，被拒绝或合并的消息不会插话
+    let interruptionTriggered = false;
+    const toStatus = this._getAgentStatus ? this._getAgentStatus(message.to) : null;
+    const shouldInterrupt = delayMs === 0 &&
+      this._isAgentActivelyProcessing &&
+      this._isAgentActivelyProcessing(message.to) &&
+      toStatus === "waiting_llm";
+    if (shouldInterrupt) {
+      interruptionTriggered = true;
+      // 智能体正在活跃处理，需要触发中断流程
+      void this.log.info("检测到活跃处理智能体，触发中断流程", {
+        to: message.to,
+        from: message.from,
+        taskId: message.taskId ?? null,
+        toStatus
+      });
+      
+      // 触发中断回调（如果提供）
+      if (this._onInterruptionNeeded) {
+        try {
+          this._onInterruptionNeeded(message.to, message);
+        } catch (err) {
+          void this.log.warn("中断回调执行失败", { 
+            error: err?.message ?? String(err),
+            agentId: message.to
+          });
+        }
+      }
+      
+      // 中断处理将由 Runtime 异步执行
+    }
+
     // 立即投递（原有逻辑）
-    const q = this._queues.get(envelope.to) ?? [];
-    const queueSizeBefore = q.length;
-    q.push(envelope);
-    this._queues.set(envelope.to, q);
+    if (admission?.action === "evict") {
+      this._evict(admission.victim);
+    }
+    const queueSizeBefore = this.getQueueDepth(envelope.to);
+    const q = this._enqueue(envelope);
+    this._journal({ op: "enqueue", msg: envelope });
     void this.log.info("发送消息", {
       agentId: envelope.from,
       id,
@@ -159,17 +538,20 @@ export class MessageBus {
     });
     for (const w of this._waiters) w();
     this._waiters.clear();
+    this._maybeCompactWal();
     
-    // 返回结果，包含是否触发了中断
-    const result = { messageId: id };
+    // 返回结果，包含是否触发了中断与背压信息
+    const result = { messageId: id, ...extra };
     if (interruptionTriggered) {
       result.interruptionTriggered = true;
     }
+    const backpressure = this._backpressure(envelope.to, { action: admission?.action === "evict" ? "dropped_oldest" : null });
+    if (backpressure) result.backpressure = backpressure;
     return result;
   }
 
   /**
-   * 取出某个收件人的下一条消息（FIFO）。
+   * 取出某个收件人的下一条消息（优先级最高者，同优先级 FIFO）。
    * @param {string} agentId
    * @returns {any|null} message
    */
@@ -178,6 +560,7 @@ export class MessageBus {
     if (!q || q.length === 0) return null;
     const queueSizeBefore = q.length;
     const msg = q.shift();
+    this._journal({ op: "dequeue", id: msg?.id ?? null });
     void this.log.info("接收消息", {
       agentId,
       to: agentId,
@@ -188,16 +571,199 @@ export class MessageBus {
       queueSizeBefore,
       queueSizeAfter: q.length
     });
+    this._maybeCompactWal();
     return msg;
   }
 
+  /**
+   * 查看某个收件人队首消息的优先级（不出队）。
+   * @param {string} agentId
+   * @returns {number|null} 队列为空时返回 null
+   */
+  peekPriority(agentId) {
+    const head = this._queues.get(agentId)?.[0];
+    return head ? (head.priority ?? DEFAULT_PRIORITY) : null;
+  }
+
+  /**
+   * 计算消息优先级：显式指定优先，其次按收发关系推导。
+   * @param {{to:string, from:string, priority?:number|string}} message
+   * @returns {number}
+   * @private
+   */
+  _priorityOf(message) {
+    const explicit = parsePriority(message.priority);
+    if (explicit !== null) return explicit;
+    if (!this._resolvePriority) return DEFAULT_PRIORITY;
+    try {
+      return parsePriority(this._resolvePriority(message)) ?? DEFAULT_PRIORITY;
+    } catch (err) {
+      void this.log.warn("推导消息优先级失败", { to: message.to, from: message.from, error: err?.message ?? String(err) });
+      return DEFAULT_PRIORITY;
+    }
+  }
+
+  /**
+   * 按优先级把消息插入收件人队列：排在所有优先级不低于它的消息之后。
+   * 重放预写日志时按原入队顺序插入，得到的队列顺序与崩溃前一致。
+   * @param {any} envelope
+   * @returns {any[]} 收件人队列
+   * @private
+   */
+  _enqueue(envelope) {
+    const q = this._queues.get(envelope.to) ?? [];
+    const priority = envelope.priority ?? DEFAULT_PRIORITY;
+    let index = q.length;
+    while (index > 0 && (q[index - 1].priority ?? DEFAULT_PRIORITY) < priority) index--;
+    q.splice(index, 0, envelope);
+    this._queues.set(envelope.to, q);
+    const stats = this._statsOf(envelope.to);
+    if (q.length > stats.peakDepth) stats.peakDepth = q.length;
+    return q;
+  }
+
+  /**
+   * 获取收件人的收件箱上限。
+   * @param {string} agentId
+   * @returns {{maxSize: number|null, policy: "reject"|"drop_oldest"|"coalesce"}}
+   */
+  getInboxLimit(agentId) {
+    return { ...(this._inboxOverrides.get(agentId) ?? this._inboxDefault) };
+  }
+
+  /**
+   * 设置某个收件人的收件箱上限，传 null 恢复为默认值。
+   * 未指定的字段沿用默认值；maxSize 为 0 或 null 表示不限制。
+   * @param {string} agentId
+   * @param {{maxSize?: number|null, policy?: string}|null} limit
+   */
+  setInboxLimit(agentId, limit) {
+    if (limit === null || limit === undefined) {
+      this._inboxOverrides.delete(agentId);
+      return;
+    }
+    this._inboxOverrides.set(agentId, normalizeInboxLimit(limit, this._inboxDefault));
+  }
+
+  /**
+   * 获取收件箱饱和度统计。
+   * @param {string} agentId
+   * @returns {{depth:number, maxSize:number|null, policy:string, utilization:number|null, saturated:boolean, peakDepth:number, rejected:number, dropped:number, coalesced:number}}
+   */
+  getInboxStats(agentId) {
+    const { maxSize, policy } = this.getInboxLimit(agentId);
+    const depth = this.getQueueDepth(agentId);
+    const utilization = maxSize ? Math.round((depth / maxSize) * 100) / 100 : null;
+    const stats = this._inboxStats.get(agentId);
+    return {
+      depth,
+      maxSize,
+      policy,
+      utilization,
+      saturated: utilization !== null && utilization >= INBOX_SATURATION_RATIO,
+      peakDepth: stats?.peakDepth ?? depth,
+      rejected: stats?.rejected ?? 0,
+      dropped: stats?.dropped ?? 0,
+      coalesced: stats?.coalesced ?? 0
+    };
+  }
+
+  /**
+   * 按收件箱上限决定新消息的去留。
+   * 用户消息不受限制；coalesce 策略下带回复关联或回复期限的消息不参与合并。
+   * @param {object} envelope
+   * @param {object} [message] - send() 的原始参数；延迟消息到期时为信封本身
+   * @returns {{action:"enqueue"}|{action:"reject"}|{action:"coalesce", existing:object}|{action:"evict", victim:object}}
+   * @private
+   */
+  _admit(envelope, message = envelope) {
+    if (envelope.from === "user") return { action: "enqueue" };
+    const { maxSize, policy } = this.getInboxLimit(envelope.to);
+    if (!maxSize) return { action: "enqueue" };
+    const q = this._queues.get(envelope.to) ?? [];
+
+    if (policy === "coalesce" && !message.inReplyTo && !message.correlationId && !message.replyTimeoutMs) {
+      const key = JSON.stringify(envelope.payload ?? null);
+      const existing = q.find((m) => m.from === envelope.from
+        && (m.taskId ?? null) === (envelope.taskId ?? null)
+        && !m.correlationId
+        && (m.channel ?? null) === (envelope.channel ?? null)
+        && JSON.stringify(m.payload ?? null) === key);
+      if (existing) return { action: "coalesce", existing };
+    }
+    if (q.length < maxSize) return { action: "enqueue" };
+    if (policy === "drop_oldest") {
+      // 淘汰优先级不高于新消息的最早一条：先找最低优先级，再取其中最早入队的
+      const priority = envelope.priority ?? DEFAULT_PRIORITY;
+      let victim = null;
+      for (const m of q) {
+        const p = m.priority ?? DEFAULT_PRIORITY;
+        if (p <= priority && (!victim || p < (victim.priority ?? DEFAULT_PRIORITY))) victim = m;
+      }
+      if (victim) return { action: "evict", victim };
+    }
+    return { action: "reject" };
+  }
+
+  /**
+   * 从收件人队列中淘汰一条消息并记为死信。
+   * @param {object} victim
+   * @private
+   */
+  _evict(victim) {
+    const q = this._queues.get(victim.to) ?? [];
+    const index = q.indexOf(victim);
+    if (index < 0) return;
+    q.splice(index, 1);
+    this._journal({ op: "dequeue", id: victim.id });
+    this._statsOf(victim.to).dropped += 1;
+    void this.log.warn("收件箱已满，淘汰最早的消息", { to: victim.to, droppedId: victim.id, from: victim.from });
+    this._deadLetter(victim, "inbox_overflow");
+  }
+
+  /**
+   * 生成返回给发送者的背压信息：没有上限，或未饱和且未触发策略时返回 null。
+   * @param {string} agentId
+   * @param {{action?: string|null}} [options]
+   * @returns {{recipient:string, queueDepth:number, maxSize:number, utilization:number, policy:string, saturated:boolean, action:string|null}|null}
+   * @private
+   */
+  _backpressure(agentId, options = {}) {
+    const stats = this.getInboxStats(agentId);
+    if (!stats.maxSize || (!stats.saturated && !options.action)) return null;
+    return {
+      recipient: agentId,
+      queueDepth: stats.depth,
+      maxSize: stats.maxSize,
+      utilization: stats.utilization,
+      policy: stats.policy,
+      saturated: stats.saturated,
+      action: options.action ?? null
+    };
+  }
+
+  /**
+   * @param {string} agentId
+   * @returns {{peakDepth:number, rejected:number, dropped:number, coalesced:number}}
+   * @private
+   */
+  _statsOf(agentId) {
+    let stats = this._inboxStats.get(agentId);
+    if (!stats) {
+      stats = { peakDepth: 0, rejected: 0, dropped: 0, coalesced: 0 };
+      this._inboxStats.set(agentId, stats);
+    }
+    return stats;
+  }
+
   /**
    * 是否存在待投递消息。
+   * @param {(agentId: string) => boolean} [isEligible] - 只统计该函数返回 true 的收件人（如跳过已暂停的智能体）
    * @returns {boolean}
    */
-  hasPending() {
-    for (const q of this._queues.values()) {
-      if (q.length > 0) return true;
+  hasPending(isEligible) {
+    for (const [agentId, q] of this._queues) {
+      if (q.length > 0 && (!isEligible || isEligible(agentId))) return true;
     }
     return false;
   }
@@ -213,19 +779,106 @@ export class MessageBus {
   }
 
   /**
-   * 清空指定智能体的消息队列。
+   * 清空指定智能体的消息队列，被清空的消息进入死信。
    * @param {string} agentId
+   * @param {{reason?: string}} [options] - reason 为死信原因，默认 queue_cleared
    * @returns {any[]} 被清空的消息列表
    */
-  clearQueue(agentId) {
+  clearQueue(agentId, options = {}) {
     const q = this._queues.get(agentId);
     if (!q || q.length === 0) return [];
     const messages = [...q];
     q.length = 0;
+    this._journal({ op: "clear", to: agentId });
     void this.log.info("清空消息队列", { agentId, clearedCount: messages.length });
+    for (const msg of messages) {
+      this._deadLetter(msg, options.reason ?? "queue_cleared");
+    }
+    this._maybeCompactWal();
     return messages;
   }
 
+  /**
+   * 记录死信，消息要求时向发送者投递 dead_letter 通知。
+   * @param {object} message - 消息信封
+   * @param {string} reason
+   * @param {{notify?: boolean}} [options] - notify=false 时不通知发送者（如重启恢复时）
+   * @returns {object} 死信记录
+   */
+  _deadLetter(message, reason, options = {}) {
+    const entry = this._deadLetters.add(message, reason);
+    if (options.notify === false || message.notifyOnDeadLetter !== true || !message.from) return entry;
+
+    this.send({
+      to: message.from,
+      from: message.to,
+      taskId: message.taskId ?? undefined,
+      inReplyTo: message.id,
+      correlationId: message.correlationId,
+      payload: {
+        kind: "dead_letter",
+        text: `发给 ${message.to} 的消息 ${message.id} 未能送达：${DEAD_LETTER_REASONS[reason] ?? reason}。可以改发给其他智能体，或向上级报告。`,
+        deadLetterId: entry.id,
+        originalMessageId: message.id,
+        recipient: message.to,
+        reason
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * 列出死信（最新的在前）。
+   * @param {{from?: string, to?: string, reason?: string, status?: "dead"|"rerouted", taskId?: string, limit?: number}} [filter]
+   * @returns {object[]}
+   */
+  getDeadLetters(filter = {}) {
+    return this._deadLetters.list(filter);
+  }
+
+  /**
+   * 获取死信。
+   * @param {string} deadLetterId
+   * @returns {object|null}
+   */
+  getDeadLetter(deadLetterId) {
+    return this._deadLetters.get(deadLetterId);
+  }
+
+  /**
+   * 将死信改投给其他收件人：以原发送者的名义重新发送原内容（保留 taskId、correlationId、优先级与频道）。
+   * 收件人是否存在由调用方校验。
+   * @param {string} deadLetterId
+   * @param {string} to - 新收件人
+   * @param {{by?: string}} [options] - 操作者
+   * @returns {{deadLetter: object, messageId: string}}
+   * @throws {Error} dead_letter_not_found / dead_letter_already_rerouted / reroute_rejected
+   */
+  rerouteDeadLetter(deadLetterId, to, options = {}) {
+    const entry = this._deadLetters.get(deadLetterId);
+    if (!entry) throw new Error("dead_letter_not_found");
+    if (entry.status === "rerouted") {
+      throw Object.assign(new Error("dead_letter_already_rerouted"), { details: { reroutedTo: entry.reroutedTo, reroutedMessageId: entry.reroutedMessageId } });
+    }
+    const original = entry.message;
+    const result = this.send({
+      to,
+      from: original.from,
+      taskId: original.taskId ?? undefined,
+      payload: original.payload,
+      correlationId: original.correlationId,
+      priority: original.priority,
+      channel: original.channel,
+      notifyOnDeadLetter: original.notifyOnDeadLetter
+    });
+    if (result.rejected) {
+      throw Object.assign(new Error("reroute_rejected"), { details: { reason: result.reason } });
+    }
+    const deadLetter = this._deadLetters.markRerouted(deadLetterId, { to, messageId: result.messageId, by: options.by ?? null });
+    void this.log.info("死信已改投", { deadLetterId, from: original.from, originalTo: original.to, to, messageId: result.messageId });
+    return { deadLetter, messageId: result.messageId };
+  }
+
   /**
    * 等待直到有新消息入队（或超时）。
    * @param {{timeoutMs?:number}} [options]
@@ -269,12 +922,101 @@ export class MessageBus {
   }
 
   /**
-   * 检查并投递到期的延迟消息。
+   * 按消息ID查找最近消息的消息头（只保留最近的 5000 条，不含 payload）。
+   * @param {string} messageId
+   * @returns {{id:string, from:string, to:string, taskId?:string, correlationId?:string, inReplyTo?:string}|null}
+   */
+  getMessageInfo(messageId) {
+    return this._messageIndex.get(messageId) ?? null;
+  }
+
+  /**
+   * 列出仍在等待回复的消息。
+   * @param {string} [senderId] - 可选，只返回该发送者发出的
+   * @returns {Array<{messageId:string, from:string, to:string, taskId:string|null, correlationId:string, timeoutMs:number, replyBy:string}>}
+   */
+  getPendingReplies(senderId) {
+    const list = [];
+    for (const pending of this._pendingReplies.values()) {
+      if (senderId && pending.from !== senderId) continue;
+      list.push({ ...pending, replyBy: formatLocalTime(new Date(pending.replyBy)) });
+    }
+    return list;
+  }
+
+  /**
+   * 收到回复时结束等待：只有原消息的收件人的回复才算数。
+   * @param {string} messageId - 被回复的消息ID
+   * @param {string} replierId - 回复者
+   */
+  _resolvePendingReply(messageId, replierId) {
+    const pending = this._pendingReplies.get(messageId);
+    if (!pending || pending.to !== replierId) return;
+    this._pendingReplies.delete(messageId);
+    this._journal({ op: "reply_done", id: messageId });
+  }
+
+  /**
+   * 记录消息头，超过上限时淘汰最早的记录。
+   * @param {object} envelope
+   */
+  _indexMessage(envelope) {
+    const { payload, createdAt, ...header } = envelope;
+    this._messageIndex.set(envelope.id, header);
+    if (this._messageIndex.size > MESSAGE_INDEX_LIMIT) {
+      this._messageIndex.delete(this._messageIndex.keys().next().value);
+    }
+  }
+
+  /**
+   * 对超过回复期限的消息，以收件人的名义向发送者投递 reply_timeout 通知。
+   * @param {number} now
+   * @returns {number} 发出的通知数量
+   */
+  _expireReplyTimeouts(now) {
+    let count = 0;
+    for (const pending of [...this._pendingReplies.values()]) {
+      if (pending.replyBy > now) continue;
+      this._pendingReplies.delete(pending.messageId);
+      this._journal({ op: "reply_done", id: pending.messageId, timedOut: true });
+      count++;
+
+      void this.log.info("等待回复超时", {
+        messageId: pending.messageId,
+        from: pending.from,
+        to: pending.to,
+        correlationId: pending.correlationId,
+        timeoutMs: pending.timeoutMs
+      });
+      this.send({
+        to: pending.from,
+        from: pending.to,
+        taskId: pending.taskId ?? undefined,
+        inReplyTo: pending.messageId,
+        correlationId: pending.correlationId,
+        payload: {
+          kind: "reply_timeout",
+          text: `${pending.to} 未在 ${Math.round(pending.timeoutMs / 1000)} 秒内回复消息 ${pending.messageId}（correlationId=${pending.correlationId}）。对方可能忙碌或无响应，可以再次询问、调整任务或终止该智能体。`,
+          originalMessageId: pending.messageId,
+          correlationId: pending.correlationId,
+          recipient: pending.to,
+          timeoutMs: pending.timeoutMs
+        }
+      });
+    }
+    return count;
+  }
+
+  /**
+   * 检查并投递到期的延迟消息，并处理超过期限的回复等待。
    * @returns {number} 投递的消息数量
    */
   deliverDueMessages() {
     const now = Date.now();
     let deliveredCount = 0;
+    if (this._pendingReplies.size > 0) {
+      this._expireReplyTimeouts(now);
+    }
     
     while (this._delayedMessages.length > 0) {
       const msg = this._delayedMessages[0];
@@ -283,11 +1025,11 @@ export class MessageBus {
       // 移除延迟队列
       this._delayedMessages.shift();
       
-      // 投递到立即队列
+      // 投递到立即队列（到期时同样受收件箱上限约束）
       const { deliverAt, ...envelope } = msg;
-      const q = this._queues.get(envelope.to) ?? [];
-      q.push(envelope);
-      this._queues.set(envelope.to, q);
+      if (!this._admitDelayed(envelope)) continue;
+      this._enqueue(envelope);
+      this._journal({ op: "deliver", id: envelope.id });
       
       deliveredCount++;
       
@@ -307,11 +1049,40 @@ export class MessageBus {
     if (deliveredCount > 0) {
       for (const w of this._waiters) w();
       this._waiters.clear();
+      this._maybeCompactWal();
     }
     
     return deliveredCount;
   }
 
+  /**
+   * 对到期的延迟消息执行收件箱准入：被拒绝时记为死信，被合并时丢弃，
+   * 两种情况都从预写日志中撤销并触发投递事件（定时计划据此安排下一次）。
+   * @param {object} envelope - 已移出延迟队列的信封
+   * @returns {boolean} 是否应当入队
+   * @private
+   */
+  _admitDelayed(envelope) {
+    const admission = this._admit(envelope);
+    if (admission.action === "evict") {
+      this._evict(admission.victim);
+      return true;
+    }
+    if (admission.action === "enqueue") return true;
+
+    this._journal({ op: "unschedule", id: envelope.id });
+    if (admission.action === "reject") {
+      this._statsOf(envelope.to).rejected += 1;
+      void this.log.warn("收件箱已满，拒绝到期的延迟消息", { id: envelope.id, to: envelope.to, from: envelope.from, depth: this.getQueueDepth(envelope.to) });
+      this._deadLetter(envelope, "inbox_full");
+    } else {
+      this._statsOf(envelope.to).coalesced += 1;
+      void this.log.info("合并到期的延迟消息", { id: envelope.id, to: envelope.to, from: envelope.from, existingId: admission.existing.id });
+    }
+    this._emitDelayedDelivery(envelope, admission.action === "reject" ? "rejected" : "coalesced");
+    return false;
+  }
+
   /**
    * 获取延迟消息数量。
    * @param {string} [recipientId] - 可选，指定收件人
@@ -324,26 +1095,53 @@ export class MessageBus {
     return this._delayedMessages.length;
   }
 
+  /**
+   * 取消尚未投递的延迟消息。
+   * @param {(message: any) => boolean} predicate - 返回 true 的延迟消息会被移除
+   * @returns {number} 取消的消息数量
+   */
+  cancelDelayed(predicate) {
+    const kept = [];
+    let count = 0;
+    for (const msg of this._delayedMessages) {
+      if (predicate(msg)) {
+        this._journal({ op: "unschedule", id: msg.id });
+        count++;
+      } else {
+        kept.push(msg);
+      }
+    }
+    if (count > 0) {
+      this._delayedMessages = kept;
+      void this.log.info("取消延迟消息", { count });
+      this._maybeCompactWal();
+    }
+    return count;
+  }
+
   /**
    * 强制投递所有延迟消息（用于关闭时）。
+   * 定时计划产生的消息除外：它们保留在延迟队列中，重启后由 ScheduleManager 重新安排。
    * @returns {number} 投递的消息数量
    */
   forceDeliverAllDelayed() {
-    const count = this._delayedMessages.length;
+    const due = this._delayedMessages.filter((msg) => !msg.scheduleId);
+    this._delayedMessages = this._delayedMessages.filter((msg) => msg.scheduleId);
+    let count = 0;
     
-    for (const msg of this._delayedMessages) {
+    for (const msg of due) {
       const { deliverAt, ...envelope } = msg;
-      const q = this._queues.get(envelope.to) ?? [];
-      q.push(envelope);
-      this._queues.set(envelope.to, q);
+      if (!this._admitDelayed(envelope)) continue;
+      this._enqueue(envelope);
+      this._journal({ op: "deliver", id: envelope.id });
+      count++;
     }
     
-    this._delayedMessages.length = 0;
-    
     if (count > 0) {
       void this.log.info("强制投递所有延迟消息", { count });
       for (const w of this._waiters) w();
       this._waiters.clear();
+      this._maybeCompactWal();
     }
     
     return count;
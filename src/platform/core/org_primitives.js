@@ -34,6 +34,15 @@ function validateRole(role) {
       errors.push("岗位工具组数组元素必须是字符串");
     }
   }
+  // 继承关系是可选的：extendsRoleId 为字符串或 null，mixinRoleIds 为字符串数组或 null
+  if (role.extendsRoleId !== undefined && role.extendsRoleId !== null && typeof role.extendsRoleId !== "string") {
+    errors.push("岗位的基础岗位ID必须是字符串或null");
+  }
+  if (role.mixinRoleIds !== undefined && role.mixinRoleIds !== null) {
+    if (!Array.isArray(role.mixinRoleIds) || !role.mixinRoleIds.every(id => typeof id === "string")) {
+      errors.push("岗位的混入岗位列表必须是字符串数组或null");
+    }
+  }
   return { valid: errors.length === 0, errors };
 }
 
@@ -144,10 +153,90 @@ function validateContactRegistries(contactRegistries) {
   return { valid: errors.length === 0, errors, validRegistries };
 }
 
+/**
+ * 验证频道数据结构
+ * @param {any} channels
+ * @returns {{valid: boolean, errors: string[], validChannels: Object<string, any>}}
+ */
+function validateChannels(channels) {
+  const errors = [];
+  const validChannels = {};
+
+  if (channels === undefined || channels === null) {
+    // channels 是可选的
+    return { valid: true, errors, validChannels };
+  }
+
+  if (typeof channels !== "object" || Array.isArray(channels)) {
+    errors.push("channels必须是对象");
+    return { valid: false, errors, validChannels };
+  }
+
+  for (const [name, channel] of Object.entries(channels)) {
+    if (!channel || typeof channel !== "object" || channel.name !== name) {
+      errors.push(`channels[${name}]必须是名称与键一致的对象`);
+      continue;
+    }
+    if (!Array.isArray(channel.subscribers) || !channel.subscribers.every((id) => typeof id === "string" && id.length > 0)) {
+      errors.push(`channels[${name}].subscribers必须是智能体ID数组`);
+      continue;
+    }
+    validChannels[name] = channel;
+  }
+
+  return { valid: errors.length === 0, errors, validChannels };
+}
+
+/**
+ * 岗位生命周期状态（deleted 由 deleteRole 设置，不属于可切换的状态）
+ * - draft：草稿，尚不能用来创建智能体
+ * - active：正常使用
+ * - deprecated：已过时，仍可创建智能体但会提示改用替代岗位
+ * - frozen：已冻结，不能再创建智能体，已有智能体不受影响
+ */
+export const ROLE_STATUSES = ["draft", "active", "deprecated", "frozen"];
+
+/**
+ * 允许的岗位状态转换
+ */
+const ROLE_STATUS_TRANSITIONS = {
+  draft: ["active"],
+  active: ["deprecated", "frozen"],
+  deprecated: ["active", "frozen"],
+  frozen: ["active", "deprecated"]
+};
+
+/**
+ * 规范化岗位ID列表：去掉空值与重复项，空列表视为 null
+ * @param {any} ids
+ * @returns {string[]|null}
+ */
+function normalizeRoleIdList(ids) {
+  if (!Array.isArray(ids)) return null;
+  const unique = [...new Set(ids.filter((id) => typeof id === "string" && id.trim()).map((id) => id.trim()))];
+  return unique.length > 0 ? unique : null;
+}
+
+/**
+ * 频道名称：字母、数字、中文开头，可包含 _ . -，最长 64 个字符；前导 # 会被去掉
+ */
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9\u4e00-\u9fa5][\w\u4e00-\u9fa5.-]{0,63}$/;
+
+/**
+ * 规范化频道名称
+ * @param {any} name
+ * @returns {string|null} 无效时返回 null
+ */
+export function normalizeChannelName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim().replace(/^#/, "");
+  return CHANNEL_NAME_PATTERN.test(trimmed) ? trimmed : null;
+}
+
 /**
  * 验证完整的组织状态数据结构
  * @param {any} data
- * @returns {{valid: boolean, errors: string[], validRoles: any[], validAgents: any[], validTerminations: any[], validContactRegistries: Object<string, any[]>}}
+ * @returns {{valid: boolean, errors: string[], validRoles: any[], validAgents: any[], validTerminations: any[], validContactRegistries: Object<string, any[]>, validChannels: Object<string, any>}}
  */
 function validateOrgState(data) {
   const errors = [];
@@ -155,10 +244,11 @@ function validateOrgState(data) {
   const validAgents = [];
   const validTerminations = [];
   let validContactRegistries = {};
+  let validChannels = {};
 
   if (!data || typeof data !== "object") {
     errors.push("组织状态必须是对象");
-    return { valid: false, errors, validRoles, validAgents, validTerminations, validContactRegistries };
+    return { valid: false, errors, validRoles, validAgents, validTerminations, validContactRegistries, validChannels };
   }
 
   // 验证roles数组
@@ -213,13 +303,21 @@ function validateOrgState(data) {
   }
   validContactRegistries = contactResult.validRegistries;
 
+  // 验证channels对象
+  const channelResult = validateChannels(data.channels);
+  if (!channelResult.valid) {
+    errors.push(...channelResult.errors);
+  }
+  validChannels = channelResult.validChannels;
+
   return { 
     valid: errors.length === 0, 
     errors, 
     validRoles, 
     validAgents, 
     validTerminations,
-    validContactRegistries
+    validContactRegistries,
+    validChannels
   };
 }
 
@@ -257,6 +355,7 @@ export class OrgPrimitives {
     this._agents = new Map();
     this._terminations = [];
     this._contactRegistries = {}; // agentId -> ContactEntry[]
+    this._channels = {}; // 频道名 -> { name, description, createdBy, createdAt, subscribers: string[] }
     this.log = options.logger ?? createNoopModuleLogger();
     this._dataChangeListeners = new Set();
   }
@@ -327,12 +426,14 @@ export class OrgPrimitives {
       this._agents = new Map(validation.validAgents.filter((a) => a?.id !== "root").map((a) => [a.id, a]));
       this._terminations = validation.validTerminations;
       this._contactRegistries = validation.validContactRegistries || {};
+      this._channels = validation.validChannels || {};
       
       void this.log.info("加载组织状态成功", { 
         roles: this._roles.size, 
         agents: this._agents.size, 
         terminations: this._terminations.length,
         contactRegistries: Object.keys(this._contactRegistries).length,
+        channels: Object.keys(this._channels).length,
         validationErrors: validation.errors.length
       });
       
@@ -357,7 +458,8 @@ export class OrgPrimitives {
       roles: Array.from(this._roles.values()).filter((r) => r?.id !== "root"),
       agents: Array.from(this._agents.values()).filter((a) => a?.id !== "root"),
       terminations: this._terminations,
-      contactRegistries: this._contactRegistries
+      contactRegistries: this._contactRegistries,
+      channels: this._channels
     };
     
     try {
@@ -398,8 +500,11 @@ export class OrgPrimitives {
 
   /**
    * 创建岗位（Role）。
-   * @param {{name:string, rolePrompt:string, orgPrompt?:string|null, createdBy?:string, llmServiceId?:string, toolGroups?:string[]}} input
-   * @returns {Promise<{id:string, name:string, rolePrompt:string, orgPrompt:string|null, llmServiceId:string|null, toolGroups:string[]|null}>}
+   * 可通过 extendsRoleId 继承基础岗位、通过 mixinRoleIds 混入其他岗位，组合结果见 resolveRole。
+   * 传入 status: "draft" 时创建为草稿岗位，启用前不能用来创建智能体。
+   * @param {{name:string, rolePrompt:string, orgPrompt?:string|null, createdBy?:string, llmServiceId?:string, toolGroups?:string[], extendsRoleId?:string|null, mixinRoleIds?:string[]|null, status?:"draft"|"active"}} input
+   * @returns {Promise<{id:string, name:string, rolePrompt:string, orgPrompt:string|null, llmServiceId:string|null, toolGroups:string[]|null, extendsRoleId:string|null, mixinRoleIds:string[]|null}>}
+   * @throws {Error} base_role_not_found - 基础岗位或混入岗位不存在
    */
   async createRole(input) {
     const existing = this.findRoleByName(input.name);
@@ -407,6 +512,9 @@ export class OrgPrimitives {
       void this.log.warn("岗位已存在，已复用", { id: existing.id, name: existing.name });
       return existing;
     }
+    const extendsRoleId = input.extendsRoleId || null;
+    const mixinRoleIds = normalizeRoleIdList(input.mixinRoleIds);
+    this._checkRoleInheritance(null, extendsRoleId, mixinRoleIds);
     const id = randomUUID();
     const role = {
       id,
@@ -415,22 +523,25 @@ export class OrgPrimitives {
       orgPrompt: input.orgPrompt ?? null,
       createdBy: input.createdBy ?? null,
       createdAt: formatLocalTimestamp(),
-      status: "active",  // 默认状态为活跃
+      status: input.status === "draft" ? "draft" : "active",  // 默认状态为活跃
       llmServiceId: input.llmServiceId ?? null,  // 指定的 LLM 服务 ID
-      toolGroups: Array.isArray(input.toolGroups) ? input.toolGroups : null  // 工具组列表，null 表示使用默认（全部工具组）
+      toolGroups: Array.isArray(input.toolGroups) ? input.toolGroups : null,  // 工具组列表，null 表示使用默认（全部工具组）
+      extendsRoleId,  // 基础岗位 ID
+      mixinRoleIds  // 混入岗位 ID 列表
     };
     this._roles.set(id, role);
     await this.persist();
     this._emitDataChange("role_created", role);
-    void this.log.info("创建岗位", { id, name: role.name, createdBy: role.createdBy, llmServiceId: role.llmServiceId, toolGroups: role.toolGroups });
+    void this.log.info("创建岗位", { id, name: role.name, createdBy: role.createdBy, llmServiceId: role.llmServiceId, toolGroups: role.toolGroups, extendsRoleId, mixinRoleIds });
     return role;
   }
 
   /**
    * 更新岗位信息。
    * @param {string} roleId - 岗位ID
-   * @param {{rolePrompt?: string, orgPrompt?: string|null, llmServiceId?: string|null, toolGroups?: string[]|null}} updates - 要更新的字段
+   * @param {{rolePrompt?: string, orgPrompt?: string|null, llmServiceId?: string|null, toolGroups?: string[]|null, extendsRoleId?: string|null, mixinRoleIds?: string[]|null}} updates - 要更新的字段
    * @returns {Promise<{id:string, name:string, rolePrompt:string, orgPrompt:string|null, llmServiceId:string|null, toolGroups:string[]|null}|null>}
+   * @throws {Error} base_role_not_found / role_inheritance_cycle - 继承关系无效
    */
   async updateRole(roleId, updates) {
     const role = this._roles.get(roleId);
@@ -438,6 +549,17 @@ export class OrgPrimitives {
       void this.log.warn("更新岗位失败：岗位不存在", { roleId });
       return null;
     }
+
+    // 先校验继承关系，无效时不修改任何字段
+    const inheritanceChanged = updates.extendsRoleId !== undefined || updates.mixinRoleIds !== undefined;
+    const extendsRoleId = updates.extendsRoleId !== undefined ? (updates.extendsRoleId || null) : (role.extendsRoleId ?? null);
+    const mixinRoleIds = updates.mixinRoleIds !== undefined ? normalizeRoleIdList(updates.mixinRoleIds) : (role.mixinRoleIds ?? null);
+    if (inheritanceChanged) {
+      const keptRefIds = [...(role.extendsRoleId ? [role.extendsRoleId] : []), ...(role.mixinRoleIds ?? [])];
+      this._checkRoleInheritance(roleId, extendsRoleId, mixinRoleIds, keptRefIds);
+      role.extendsRoleId = extendsRoleId;
+      role.mixinRoleIds = mixinRoleIds;
+    }
     
     // 更新允许修改的字段
     if (updates.rolePrompt !== undefined && typeof updates.rolePrompt === "string") {
@@ -477,7 +599,7 @@ export class OrgPrimitives {
 
   /**
    * 创建智能体实例（Agent Instance），必须绑定岗位 roleId。
-   * @param {{roleId:string, parentAgentId?:string, name?:string|null}} input
+   * @param {{roleId:string, parentAgentId?:string, name?:string|null, forkedFrom?:string, forkMessageIndex?:number}} input
    * @returns {Promise<{id:string, roleId:string, parentAgentId:string|null, status:string, name?:string|null}>}
    */
   async createAgent(input) {
@@ -505,6 +627,11 @@ export class OrgPrimitives {
       status: "active",  // 默认状态为活跃
       name
     };
+    // 分叉出的智能体记录来源与分叉点（源会话中的消息下标）
+    if (typeof input.forkedFrom === "string" && input.forkedFrom) {
+      agent.forkedFrom = input.forkedFrom;
+      agent.forkMessageIndex = input.forkMessageIndex ?? null;
+    }
     this._agents.set(id, agent);
     await this.persist();
     this._emitDataChange("agent_created", agent);
@@ -547,14 +674,149 @@ export class OrgPrimitives {
     return this._roles.get(roleId) ?? null;
   }
 
+  /**
+   * 获取组合继承关系后的岗位：在调用时计算，基础岗位或混入岗位的修改立即体现在派生岗位上。
+   * 组合顺序为 基础岗位（递归展开）→ 混入岗位（按列表顺序，各自递归展开）→ 本岗位，同一岗位只计入一次：
+   * - rolePrompt：按组合顺序拼接各岗位的非空提示词
+   * - orgPrompt、llmServiceId：取组合顺序中最后一个非空值，即本岗位优先
+   * - toolGroups：各岗位显式配置的工具组取并集，都未配置时为 null（全部工具组）
+   * @param {string} roleId
+   * @returns {any|null} 岗位副本，附带 inheritedFrom（参与组合的其他岗位ID，按组合顺序）
+   */
+  resolveRole(roleId) {
+    const role = this._roles.get(roleId);
+    if (!role) return null;
+    const chain = this._linearizeRole(roleId, new Set(), []).map((id) => this._roles.get(id));
+
+    const prompts = chain.map((r) => r.rolePrompt).filter((p) => typeof p === "string" && p.trim());
+    const lastSet = (field) => chain.reduce((value, r) => r[field] ?? value, null);
+    const configuredGroups = chain.filter((r) => Array.isArray(r.toolGroups));
+    const toolGroups = configuredGroups.length > 0 ? [...new Set(configuredGroups.flatMap((r) => r.toolGroups))] : null;
+
+    return {
+      ...role,
+      rolePrompt: prompts.join("\n\n"),
+      orgPrompt: lastSet("orgPrompt"),
+      llmServiceId: lastSet("llmServiceId"),
+      toolGroups,
+      inheritedFrom: chain.slice(0, -1).map((r) => r.id)
+    };
+  }
+
+  /**
+   * 列出直接或间接继承（含混入）指定岗位的岗位ID。
+   * @param {string} roleId
+   * @returns {string[]}
+   */
+  listDerivedRoleIds(roleId) {
+    const derived = [];
+    for (const candidate of this._roles.values()) {
+      if (candidate.id === roleId) continue;
+      if (this._linearizeRole(candidate.id, new Set(), []).includes(roleId)) derived.push(candidate.id);
+    }
+    return derived;
+  }
+
+  /**
+   * 按组合顺序展开岗位的继承链（基础岗位在前，本岗位在最后），重复出现的岗位只保留第一次。
+   * 已删除的基础岗位与混入岗位不参与组合。
+   * @param {string} roleId
+   * @param {Set<string>} visiting - 当前递归路径，防止损坏数据中的环导致死循环
+   * @param {string[]} out
+   * @returns {string[]}
+   * @private
+   */
+  _linearizeRole(roleId, visiting, out) {
+    const role = this._roles.get(roleId);
+    if (!role || visiting.has(roleId) || out.includes(roleId)) return out;
+    if (visiting.size > 0 && role.status === "deleted") return out;
+    visiting.add(roleId);
+    if (role.extendsRoleId) this._linearizeRole(role.extendsRoleId, visiting, out);
+    for (const mixinId of role.mixinRoleIds ?? []) this._linearizeRole(mixinId, visiting, out);
+    visiting.delete(roleId);
+    out.push(roleId);
+    return out;
+  }
+
+  /**
+   * 校验岗位的继承关系：新引用的岗位必须存在且未删除，且不能直接或间接继承自身。
+   * @param {string|null} roleId - 被校验的岗位（新建时为 null）
+   * @param {string|null} extendsRoleId
+   * @param {string[]|null} mixinRoleIds
+   * @param {string[]} [keptRefIds] - 岗位原有的引用，保留不变时不要求仍然存在
+   * @throws {Error} base_role_not_found / role_inheritance_cycle
+   * @private
+   */
+  _checkRoleInheritance(roleId, extendsRoleId, mixinRoleIds, keptRefIds = []) {
+    const referenced = [...(extendsRoleId ? [extendsRoleId] : []), ...(mixinRoleIds ?? [])];
+    for (const refId of referenced) {
+      const ref = this._roles.get(refId);
+      if (keptRefIds.includes(refId) && (!ref || ref.status === "deleted")) continue;
+      if (!ref || ref.status === "deleted") {
+        throw Object.assign(new Error("base_role_not_found"), { details: { roleId: refId } });
+      }
+      if (roleId && (refId === roleId || this._linearizeRole(refId, new Set(), []).includes(roleId))) {
+        throw Object.assign(new Error("role_inheritance_cycle"), { details: { roleId: refId } });
+      }
+    }
+  }
+
+  /**
+   * 切换岗位的生命周期状态，转换记录追加到岗位的 statusHistory。
+   * 标记为 deprecated 时可指定替代岗位 replacedByRoleId，离开 deprecated 时清除。
+   * @param {string} roleId
+   * @param {string} status - 目标状态，见 ROLE_STATUSES
+   * @param {{changedBy?:string, reason?:string, replacedByRoleId?:string}} [options]
+   * @returns {Promise<any>} 更新后的岗位
+   * @throws {Error} role_not_found / invalid_role_status / role_status_unchanged / invalid_role_transition / replacement_role_not_found
+   */
+  async setRoleStatus(roleId, status, options = {}) {
+    const role = this._roles.get(roleId);
+    if (!role || role.status === "deleted") throw new Error("role_not_found");
+    if (!ROLE_STATUSES.includes(status)) {
+      throw Object.assign(new Error("invalid_role_status"), { details: { allowed: ROLE_STATUSES } });
+    }
+    const from = role.status ?? "active";
+    if (from === status) throw new Error("role_status_unchanged");
+    const allowed = ROLE_STATUS_TRANSITIONS[from] ?? [];
+    if (!allowed.includes(status)) {
+      throw Object.assign(new Error("invalid_role_transition"), { details: { from, to: status, allowed } });
+    }
+    const replacedByRoleId = status === "deprecated" ? (options.replacedByRoleId || null) : null;
+    if (replacedByRoleId) {
+      const replacement = this._roles.get(replacedByRoleId);
+      if (!replacement || replacement.status === "deleted" || replacedByRoleId === roleId) {
+        throw Object.assign(new Error("replacement_role_not_found"), { details: { roleId: replacedByRoleId } });
+      }
+    }
+
+    const changedAt = formatLocalTimestamp();
+    const changedBy = options.changedBy ?? null;
+    const reason = typeof options.reason === "string" && options.reason.trim() ? options.reason.trim() : null;
+    role.status = status;
+    role.statusChangedAt = changedAt;
+    if (replacedByRoleId) role.replacedByRoleId = replacedByRoleId;
+    else delete role.replacedByRoleId;
+    role.statusHistory = [...(role.statusHistory ?? []), { from, to: status, changedBy, changedAt, reason }];
+
+    await this.persist();
+    this._emitDataChange("role_status_changed", { roleId, from, to: status });
+    void this.log.info("切换岗位状态", { roleId, name: role.name, from, to: status, changedBy, reason, replacedByRoleId });
+    return role;
+  }
+
   /**
    * 根据岗位名查找岗位（最小实现，用于演示）。
    * @param {string} name
+   * @param {{statuses?:string[]}} [options] - statuses：只返回处于这些状态的岗位
    * @returns {any|null}
    */
-  findRoleByName(name) {
+  findRoleByName(name, options = {}) {
+    const statuses = Array.isArray(options.statuses) && options.statuses.length > 0 ? options.statuses : null;
     for (const r of this._roles.values()) {
-      if (r.name === name) return r;
+      if (r.name !== name) continue;
+      if (statuses && !statuses.includes(r.status ?? "active")) continue;
+      return r;
     }
     return null;
   }
@@ -611,12 +873,111 @@ export class OrgPrimitives {
       });
     }
     
+    // 已终止的智能体不再接收频道消息
+    this._dropTerminatedSubscribers();
+    
     await this.persist();
     this._emitDataChange("termination_recorded", { agentId, cascadeCount: cascadeTerminated.length });
     void this.log.info("记录智能体终止", { agentId, terminatedBy, reason: reason ?? null, cascadeCount: cascadeTerminated.length });
     return termination;
   }
 
+  /**
+   * 记录智能体暂停：状态变为 suspended，会话与消息队列保留，调度器不再为其安排计算。
+   * 只处理当前为活跃状态的智能体（已终止或已暂停的会被跳过）。
+   * @param {string[]} agentIds - 要暂停的智能体ID
+   * @param {string} suspendedBy - 执行暂停的用户或智能体ID
+   * @param {string} [reason] - 暂停原因
+   * @returns {Promise<string[]>} 实际被暂停的智能体ID
+   */
+  async recordSuspension(agentIds, suspendedBy, reason) {
+    const suspendedAt = formatLocalTimestamp();
+    const suspended = [];
+    for (const id of agentIds) {
+      const agent = this._agents.get(id);
+      if (!agent || agent.status === "terminated" || agent.status === "suspended") continue;
+      agent.status = "suspended";
+      agent.suspendedAt = suspendedAt;
+      agent.suspendedBy = suspendedBy;
+      agent.suspendReason = reason ?? null;
+      suspended.push(id);
+    }
+    if (suspended.length > 0) {
+      await this.persist();
+      this._emitDataChange("agents_suspended", { agentIds: suspended, suspendedBy });
+    }
+    void this.log.info("记录智能体暂停", { suspended, suspendedBy, reason: reason ?? null });
+    return suspended;
+  }
+
+  /**
+   * 记录智能体恢复：暂停状态的智能体恢复为活跃状态。
+   * @param {string[]} agentIds - 要恢复的智能体ID
+   * @param {string} resumedBy - 执行恢复的用户或智能体ID
+   * @returns {Promise<string[]>} 实际被恢复的智能体ID
+   */
+  async recordResumption(agentIds, resumedBy) {
+    const resumed = [];
+    for (const id of agentIds) {
+      const agent = this._agents.get(id);
+      if (!agent || agent.status !== "suspended") continue;
+      agent.status = "active";
+      delete agent.suspendedAt;
+      delete agent.suspendedBy;
+      delete agent.suspendReason;
+      resumed.push(id);
+    }
+    if (resumed.length > 0) {
+      await this.persist();
+      this._emitDataChange("agents_resumed", { agentIds: resumed, resumedBy });
+    }
+    void this.log.info("记录智能体恢复", { resumed, resumedBy });
+    return resumed;
+  }
+
+  /**
+   * 调整智能体的上级，其下属随之移动（parentAgentId 只记录直接上级）。
+   * 持久化的联系人注册表中来源为 parent 的联系人同步替换为新上级。
+   * @param {string} agentId - 被调整的智能体ID
+   * @param {string} newParentId - 新上级ID（root 或未终止的智能体）
+   * @param {string} reassignedBy - 执行调整的用户或智能体ID
+   * @returns {Promise<{agentId:string, previousParentAgentId:string, parentAgentId:string, reassignedBy:string, reassignedAt:string}>}
+   * @throws {Error} agent_not_found / parent_not_found / reassign_cycle
+   */
+  async reassignAgent(agentId, newParentId, reassignedBy) {
+    const agent = this._agents.get(agentId);
+    if (!agent || agent.status === "terminated") throw new Error("agent_not_found");
+    if (newParentId !== "root") {
+      const parent = this._agents.get(newParentId);
+      if (!parent || parent.status === "terminated") throw new Error("parent_not_found");
+    }
+    // 新上级不能是自己或自己的下属
+    const visited = new Set();
+    for (let current = newParentId; current && current !== "root" && !visited.has(current); current = this._agents.get(current)?.parentAgentId) {
+      if (current === agentId) throw new Error("reassign_cycle");
+      visited.add(current);
+    }
+
+    const previousParentAgentId = agent.parentAgentId;
+    const reassignedAt = formatLocalTimestamp();
+    agent.parentAgentId = newParentId;
+    agent.previousParentAgentId = previousParentAgentId;
+    agent.reassignedAt = reassignedAt;
+
+    const contacts = this._contactRegistries[agentId];
+    if (Array.isArray(contacts)) {
+      this._contactRegistries[agentId] = [
+        ...contacts.filter((c) => c.source !== "parent" && c.id !== newParentId),
+        { id: newParentId, role: newParentId === "root" ? "root" : this._roles.get(this._agents.get(newParentId)?.roleId)?.name ?? "unknown", source: "parent", addedAt: reassignedAt }
+      ];
+    }
+
+    await this.persist();
+    this._emitDataChange("agent_reassigned", { agentId, previousParentAgentId, parentAgentId: newParentId });
+    void this.log.info("调整智能体上级", { agentId, previousParentAgentId, parentAgentId: newParentId, reassignedBy });
+    return { agentId, previousParentAgentId, parentAgentId: newParentId, reassignedBy, reassignedAt };
+  }
+
   /**
    * 递归级联终止子智能体（内部方法）。
    * @param {string} parentId - 父智能体ID
@@ -645,7 +1006,7 @@ export class OrgPrimitives {
 
   /**
    * 删除岗位（软删除）。
-   * 会级联终止该岗位上的所有智能体，并递归删除子岗位。
+   * 会级联终止该岗位上的所有智能体，并递归删除子岗位；其他岗位对被删除岗位的继承与混入引用随之清除。
    * @param {string} roleId - 要删除的岗位ID
    * @param {string} deletedBy - 执行删除的用户或智能体ID
    * @param {string} [reason] - 删除原因
@@ -685,6 +1046,9 @@ export class OrgPrimitives {
     
     affectedRoles.push(roleId);
 
+    // 4. 派生岗位不再引用已删除的岗位（含级联删除的子岗位）
+    const unlinkedRoles = this._unlinkDeletedRoles(affectedRoles);
+
     await this.persist();
     this._emitDataChange("role_deleted", { roleId, affectedAgentsCount: affectedAgents.length, affectedRolesCount: affectedRoles.length });
     void this.log.info("删除岗位", { 
@@ -693,7 +1057,8 @@ export class OrgPrimitives {
       deletedBy, 
       reason: reason ?? null,
       affectedAgentsCount: affectedAgents.length,
-      affectedRolesCount: affectedRoles.length
+      affectedRolesCount: affectedRoles.length,
+      unlinkedRoles
     });
 
     return {
@@ -706,6 +1071,27 @@ export class OrgPrimitives {
     };
   }
 
+  /**
+   * 清除其他岗位对已删除岗位的引用：作为基础岗位时 extendsRoleId 置为 null，作为混入岗位时从 mixinRoleIds 移除。
+   * @param {string[]} deletedRoleIds
+   * @returns {string[]} 引用被清除的岗位ID
+   * @private
+   */
+  _unlinkDeletedRoles(deletedRoleIds) {
+    const unlinked = [];
+    for (const role of this._roles.values()) {
+      if (deletedRoleIds.includes(role.id)) continue;
+      const mixins = role.mixinRoleIds ?? [];
+      const keptMixins = mixins.filter((id) => !deletedRoleIds.includes(id));
+      const extendsDeleted = Boolean(role.extendsRoleId) && deletedRoleIds.includes(role.extendsRoleId);
+      if (!extendsDeleted && keptMixins.length === mixins.length) continue;
+      if (extendsDeleted) role.extendsRoleId = null;
+      role.mixinRoleIds = keptMixins.length > 0 ? keptMixins : null;
+      unlinked.push(role.id);
+    }
+    return unlinked;
+  }
+
   /**
    * 递归删除子岗位（内部方法）。
    * @param {string} parentRoleId - 父岗位ID
@@ -784,6 +1170,7 @@ export class OrgPrimitives {
     this._agents = new Map();
     this._terminations = [];
     this._contactRegistries = {};
+    this._channels = {};
     void this.log.info("组织状态已重置为空");
   }
 
@@ -927,4 +1314,89 @@ export class OrgPrimitives {
   getAllContactRegistries() {
     return { ...this._contactRegistries };
   }
+
+  /**
+   * 列出所有频道。
+   * @returns {Array<{name: string, description: string|null, createdBy: string|null, createdAt: string, subscribers: string[]}>}
+   */
+  listChannels() {
+    return Object.values(this._channels).map((c) => ({ ...c, subscribers: [...c.subscribers] }));
+  }
+
+  /**
+   * 获取频道信息。
+   * @param {string} name - 频道名称
+   * @returns {{name: string, description: string|null, createdBy: string|null, createdAt: string, subscribers: string[]}|null}
+   */
+  getChannel(name) {
+    const channel = this._channels[normalizeChannelName(name)];
+    return channel ? { ...channel, subscribers: [...channel.subscribers] } : null;
+  }
+
+  /**
+   * 订阅频道，频道不存在时自动创建。
+   * @param {string} name - 频道名称
+   * @param {string} agentId - 订阅者ID
+   * @param {{description?: string, createdBy?: string}} [options] - 创建频道时使用的说明与创建者
+   * @returns {Promise<{channel: object, created: boolean, subscribed: boolean}>} subscribed 为 false 表示此前已订阅
+   */
+  async subscribeChannel(name, agentId, options = {}) {
+    const channelName = normalizeChannelName(name);
+    if (!channelName) throw new Error("invalid_channel_name");
+    if (!agentId || typeof agentId !== "string") throw new Error("invalid_agentId");
+
+    let channel = this._channels[channelName];
+    const created = !channel;
+    if (created) {
+      channel = {
+        name: channelName,
+        description: typeof options.description === "string" && options.description.trim() ? options.description.trim() : null,
+        createdBy: options.createdBy ?? agentId,
+        createdAt: formatLocalTimestamp(),
+        subscribers: []
+      };
+      this._channels[channelName] = channel;
+    }
+    const subscribed = !channel.subscribers.includes(agentId);
+    if (subscribed) channel.subscribers.push(agentId);
+
+    if (created || subscribed) {
+      await this.persist();
+      this._emitDataChange("channel_updated", { channel: channelName });
+      void this.log.info("订阅频道", { channel: channelName, agentId, created, subscriberCount: channel.subscribers.length });
+    }
+    return { channel: this.getChannel(channelName), created, subscribed };
+  }
+
+  /**
+   * 取消订阅频道（频道本身保留）。
+   * @param {string} name - 频道名称
+   * @param {string} agentId - 订阅者ID
+   * @returns {Promise<{channel: object, unsubscribed: boolean}>} unsubscribed 为 false 表示原本未订阅
+   */
+  async unsubscribeChannel(name, agentId) {
+    const channelName = normalizeChannelName(name);
+    if (!channelName) throw new Error("invalid_channel_name");
+    const channel = this._channels[channelName];
+    if (!channel) throw new Error("channel_not_found");
+
+    const index = channel.subscribers.indexOf(agentId);
+    if (index >= 0) {
+      channel.subscribers.splice(index, 1);
+      await this.persist();
+      this._emitDataChange("channel_updated", { channel: channelName });
+      void this.log.info("取消订阅频道", { channel: channelName, agentId, subscriberCount: channel.subscribers.length });
+    }
+    return { channel: this.getChannel(channelName), unsubscribed: index >= 0 };
+  }
+
+  /**
+   * 从所有频道移除已终止的订阅者（由调用方负责持久化）。
+   * @private
+   */
+  _dropTerminatedSubscribers() {
+    for (const channel of Object.values(this._channels)) {
+      channel.subscribers = channel.subscribers.filter((id) => this._agents.get(id)?.status !== "terminated");
+    }
+  }
 }
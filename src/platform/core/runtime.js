@@ -9,13 +9,21 @@ import { Logger, createNoopModuleLogger, normalizeLoggingConfig } from "../utils
 import { ConversationManager } from "../services/conversation/conversation_manager.js";
 import { HttpClient } from "../services/http/http_client.js";
 import { WorkspaceManager } from "../services/workspace/workspace_manager.js";
+import { WorkspaceRetentionJob } from "../services/workspace/retention.js";
+import { ArtifactStore } from "../services/artifact/artifact_store.js";
 import { ContactManager } from "../services/contact/contact_manager.js";
+import { ScheduleManager } from "../services/schedule/schedule_manager.js";
+import { MeetingManager } from "../services/meeting/meeting_manager.js";
+import { BlackboardManager } from "../services/blackboard/blackboard_manager.js";
+import { ReviewManager } from "../services/review/review_manager.js";
+import { TaskRegistry } from "../services/task/task_registry.js";
 import { ModuleLoader } from "../extensions/module_loader.js";
 import { LlmServiceRegistry } from "../services/llm/llm_service_registry.js";
 import { ModelSelector } from "../services/llm/model_selector.js";
 import { ToolGroupManager } from "../extensions/tool_group_manager.js";
 import { ContentAdapter } from "../utils/content/content_adapter.js";
 import { ContentRouter } from "../utils/content/content_router.js";
+import { relationPriority } from "../utils/message/message_priority.js";
 
 import { OrgTemplateRepository } from "../services/org_templates/org_template_repository.js";
 import { UiCommandBroker } from "../services/ui/ui_command_broker.js";
@@ -153,6 +161,12 @@ export class Runtime {
     // ==================== 临时服务实例 ====================
     // 在 init() 中会重新初始化带 logger
     this.workspaceManager = new WorkspaceManager();
+    this.artifactStore = null;
+    this.scheduleManager = null;
+    this.meetingManager = null;
+    this.blackboardManager = null;
+    this.reviewManager = null;
+    this.taskRegistry = null;
     this.contactManager = new ContactManager();
     this.moduleLoader = new ModuleLoader();
     this.serviceRegistry = null;
@@ -485,7 +499,16 @@ export class Runtime {
       logger: this.loggerRoot.forModule("bus"),
       getAgentStatus: (agentId) => this._state.getAgentComputeStatus(agentId),
       isAgentActivelyProcessing: (agentId) => this._state.isAgentActivelyProcessing(agentId),
-      onInterruptionNeeded: (agentId, message) => this.handleMessageInterruption(agentId, message)
+      onInterruptionNeeded: (agentId, message) => this.handleMessageInterruption(agentId, message),
+      // 未显式指定优先级的消息按收发关系推导：用户 > 上级 > 同级
+      resolvePriority: (message) => relationPriority(message, (agentId) => this._agentMetaById.get(agentId)?.parentAgentId ?? null),
+      // 持久化模式：消息队列预写日志存放在 runtimeDir/message_bus 下
+      walDir: this.config.messageBus?.persistent ? path.join(this.config.runtimeDir, "message_bus") : null,
+      walCompactThreshold: this.config.messageBus?.walCompactThreshold,
+      // 收件箱上限与满时策略（未配置时不限制）
+      inbox: this.config.messageBus?.inbox ?? null,
+      // 死信（无法投递或被丢弃的消息）始终持久化，便于运维查看与改投
+      deadLetterPath: path.join(this.config.runtimeDir, "dead_letters.json")
     });
 
     this.prompts = new PromptLoader({ promptsDir: this.config.promptsDir, logger: this.loggerRoot.forModule("prompts") });
@@ -518,8 +541,69 @@ export class Runtime {
     // 重新初始化 WorkspaceManager 带 logger
     this.workspaceManager = new WorkspaceManager({ 
       workspacesDir: this.config.workspacesDir,
-      logger: this.loggerRoot.forModule("workspace") 
+      logger: this.loggerRoot.forModule("workspace"),
+      quota: this.config.workspaceQuota
     });
+    // 工作区保留策略：定期清理历史版本和已终止任务的工作区（未启用时 start 不做任何事）
+    this.workspaceRetention = new WorkspaceRetentionJob({
+      workspaceManager: this.workspaceManager,
+      policy: this.config.workspaceRetention,
+      getTerminatedAt: (workspaceId) => {
+        const agent = this.org.getAgent(workspaceId);
+        return agent?.status === "terminated" ? agent.terminatedAt ?? null : null;
+      },
+      logger: this.loggerRoot.forModule("workspace_retention")
+    });
+    this.workspaceRetention.start();
+    // 初始化工件存储（加载已有工件的元数据索引）
+    this.artifactStore = new ArtifactStore({
+      artifactsDir: this.config.artifactsDir ?? path.join(this.config.runtimeDir, "artifacts"),
+      logger: this.loggerRoot.forModule("artifacts")
+    });
+    await this.artifactStore.init();
+    // 初始化定时消息计划（在消息队列恢复之后才开始调度）
+    this.scheduleManager = new ScheduleManager({
+      runtimeDir: this.config.runtimeDir,
+      bus: this.bus,
+      isAgentActive: (agentId) => this._isAgentActive(agentId),
+      logger: this.loggerRoot.forModule("schedules")
+    });
+    await this.scheduleManager.init();
+    // 初始化会议（轮到谁发言就通知谁，已终止的参会者跳过）
+    this.meetingManager = new MeetingManager({
+      runtimeDir: this.config.runtimeDir,
+      bus: this.bus,
+      isAgentActive: (agentId) => this._isAgentActive(agentId),
+      describeAgent: (agentId) => {
+        const roleName = this.org.getRole(this.org.getAgent(agentId)?.roleId)?.name;
+        return roleName ? `${roleName}（${agentId}）` : agentId;
+      },
+      logger: this.loggerRoot.forModule("meetings")
+    });
+    await this.meetingManager.init();
+    // 初始化任务黑板（变更通知只发给在岗的关注者）
+    this.blackboardManager = new BlackboardManager({
+      runtimeDir: this.config.runtimeDir,
+      bus: this.bus,
+      isAgentActive: (agentId) => this._isAgentActive(agentId),
+      logger: this.loggerRoot.forModule("blackboard")
+    });
+    await this.blackboardManager.init();
+    // 初始化评审（评审请求与结论通过消息总线通知相关方）
+    this.reviewManager = new ReviewManager({
+      runtimeDir: this.config.runtimeDir,
+      bus: this.bus,
+      logger: this.loggerRoot.forModule("reviews")
+    });
+    await this.reviewManager.init();
+    // 初始化委派任务跟踪（状态变更通知委派者与依赖方）
+    this.taskRegistry = new TaskRegistry({
+      runtimeDir: this.config.runtimeDir,
+      bus: this.bus,
+      isAgentActive: (agentId) => this._isAgentActive(agentId),
+      logger: this.loggerRoot.forModule("tasks")
+    });
+    await this.taskRegistry.init();
     // 重新初始化 ContactManager 带 logger
     this.contactManager = new ContactManager({ logger: this.loggerRoot.forModule("contact") });
 
@@ -644,6 +728,19 @@ export class Runtime {
     // 从持久化的组织状态恢复智能体实例
     await this._restoreAgentsFromOrg();
 
+    // 重放消息预写日志，恢复未投递的收件箱与延迟消息（已终止智能体的消息丢弃）
+    if (this.bus.isPersistent()) {
+      const walResult = this.bus.restoreFromWal({
+        acceptRecipient: (agentId) => {
+          if (agentId === "root" || agentId === "user") return true;
+          const meta = this.org.getAgent(agentId);
+          return !!meta && meta.status !== "terminated";
+        }
+      });
+      void this.log.info("消息队列恢复完成", walResult);
+    }
+    this.scheduleManager.start();
+
     // 加载持久化的对话历史
     const convResult = await this._conversationManager.loadAllConversations();
     if (convResult.loaded > 0) {
@@ -653,6 +750,11 @@ export class Runtime {
       });
     }
 
+    // 回合检查点目录（检查点在调度器首次启动时恢复，此时 root/user 等智能体均已注册）
+    if (this.config.turnCheckpoints) {
+      this._turnEngine.setCheckpointDir(path.join(this.config.runtimeDir, "turns"));
+    }
+
     // 初始化浏览器 JavaScript 执行器
     await this._browserJsExecutor.init();
 
@@ -785,6 +887,47 @@ export class Runtime {
     return this._lifecycle.abortAgentLlmCall(agentId);
   }
 
+  /**
+   * 暂停智能体（可连同全部后代），保留会话与消息队列，调度器跳过其计算。
+   * @param {string} agentId
+   * @param {{suspendedBy?:string, reason?:string, includeDescendants?:boolean}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, suspended?:string[], reason?:string}>}
+   */
+  async suspendAgent(agentId, options = {}) {
+    return await this._lifecycle.suspendAgent(agentId, options);
+  }
+
+  /**
+   * 恢复暂停的智能体（可连同全部后代），暂停期间积压的消息随后按序投递。
+   * @param {string} agentId
+   * @param {{resumedBy?:string, includeDescendants?:boolean}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, resumed?:string[], pendingMessages?:number, reason?:string}>}
+   */
+  async resumeAgent(agentId, options = {}) {
+    return await this._lifecycle.resumeAgent(agentId, options);
+  }
+
+  /**
+   * 调整智能体的上级，其全部下属随之移动。
+   * @param {string} agentId
+   * @param {string} newParentId
+   * @param {{reassignedBy?:string}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, previousParentAgentId?:string, parentAgentId?:string, moved?:string[], reason?:string}>}
+   */
+  async reassignAgent(agentId, newParentId, options = {}) {
+    return await this._lifecycle.reassignAgent(agentId, newParentId, options);
+  }
+
+  /**
+   * 分叉智能体：创建同岗位、复制会话与联系人的副本。
+   * @param {string} agentId
+   * @param {{forkedBy?:string, truncateAt?:number, name?:string}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, forkedFrom?:string, parentAgentId?:string, forkIndex?:number, messageCount?:number, reason?:string}>}
+   */
+  async forkAgent(agentId, options = {}) {
+    return await this._lifecycle.forkAgent(agentId, options);
+  }
+
   /**
    * 强制终止指定智能体及其后代（用于 HTTP/管理员侧删除）。
    * @param {string} agentId
@@ -1049,7 +1192,7 @@ export class Runtime {
       return this.llm;
     }
 
-    const role = this.org.getRole(agent.roleId);
+    const role = this._getEffectiveRole(agent.roleId);
     if (!role || !role.llmServiceId) {
       // 岗位未指定 llmServiceId，使用默认 LlmClient
       return this.llm;
@@ -1070,6 +1213,17 @@ export class Runtime {
     return this.llm;
   }
 
+  /**
+   * 获取岗位生效的配置：继承了其他岗位时返回组合后的岗位，否则返回岗位记录本身。
+   * @param {string} roleId
+   * @returns {any|null}
+   * @private
+   */
+  _getEffectiveRole(roleId) {
+    const role = this.org.getRole(roleId);
+    return role?.extendsRoleId || role?.mixinRoleIds ? this.org.resolveRole(role.id) : role;
+  }
+
   /**
    * 获取智能体使用的 LLM 服务 ID
    * @param {string} agentId - 智能体ID
@@ -1085,7 +1239,7 @@ export class Runtime {
       return null;
     }
 
-    const role = this.org.getRole(agent.roleId);
+    const role = this._getEffectiveRole(agent.roleId);
     if (!role || !role.llmServiceId) {
       return null;
     }
@@ -1209,9 +1363,10 @@ export class Runtime {
 
   /**
    * 执行智能体终止操作。
+   * 指定 handoverTo 时，目标的直接下属（连同其下属）先调整给接手人，只终止目标本身；否则级联终止全部下属。
    * @param {any} ctx
-   * @param {{agentId:string, reason?:string}} args
-   * @returns {Promise<{ok:boolean, terminatedAgentId?:string, error?:string}>}
+   * @param {{agentId:string, reason?:string, handoverTo?:string}} args
+   * @returns {Promise<{ok:boolean, terminatedAgentId?:string, handedOver?:string[], error?:string}>}
    */
   async _executeTerminateAgent(ctx, args) {
     const callerId = ctx.agent?.id ?? null;
@@ -1242,7 +1397,34 @@ export class Runtime {
       return { error: "not_child_agent", message: "只能终止自己创建的子智能体" };
     }
 
-    void this.log.info("开始终止智能体", { callerId, targetId, reason: args.reason ?? null });
+    // 指定接手人时先移交下属，之后收集到的待终止列表只剩目标本身
+    const handoverTo = typeof args.handoverTo === "string" && args.handoverTo.trim() ? args.handoverTo.trim() : null;
+    const handedOver = [];
+    if (handoverTo) {
+      if (handoverTo === targetId || this._isDescendantOf(handoverTo, targetId)) {
+        return { error: "invalid_handover", message: "接手人不能是被终止的智能体或其下属" };
+      }
+      if (handoverTo !== callerId && (!this._agents.has(handoverTo) || !this._isDescendantOf(handoverTo, callerId))) {
+        return { error: "invalid_handover", message: "接手人必须是你自己或你的下属" };
+      }
+      // 先检查全部下属，任何一个不能移交时不移动任何下属
+      const childIds = [...this._agentMetaById].filter(([, meta]) => meta.parentAgentId === targetId).map(([childId]) => childId);
+      for (const childId of childIds) {
+        const reason = this._lifecycle.checkReassign(childId, handoverTo);
+        if (reason) {
+          return { error: "handover_failed", agentId: childId, reason, handedOver };
+        }
+      }
+      for (const childId of childIds) {
+        const moved = await this.reassignAgent(childId, handoverTo, { reassignedBy: callerId });
+        if (!moved.ok) {
+          return { error: "handover_failed", agentId: childId, reason: moved.reason, handedOver };
+        }
+        handedOver.push(childId);
+      }
+    }
+
+    void this.log.info("开始终止智能体", { callerId, targetId, reason: args.reason ?? null, handoverTo, handedOver });
 
     // 收集所有需要终止的智能体（包括级联终止的子智能体）
     const agentsToTerminate = this._collectDescendantAgents(targetId);
@@ -1263,7 +1445,7 @@ export class Runtime {
       }
       
       // 清空消息队列
-      const clearedMessages = this.bus?.clearQueue(agentId) ?? [];
+      const clearedMessages = this.bus?.clearQueue(agentId, { reason: "agent_terminated" }) ?? [];
       const clearedCount = Array.isArray(clearedMessages) ? clearedMessages.length : 0;
       if (clearedCount > 0) {
         void this.log.info("终止时清空消息队列", { agentId, clearedCount });
@@ -1300,6 +1482,9 @@ export class Runtime {
     // 持久化终止事件到组织状态（会自动处理级联终止）
     await this.org.recordTermination(targetId, callerId, args.reason);
 
+    // 被终止智能体手上未结束的委派任务标记为取消
+    await this.taskRegistry?.cancelTasksOfAgents(agentsToTerminate);
+
     void this.log.info("智能体终止完成", { callerId, targetId });
     
     // 记录智能体生命周期事件
@@ -1309,7 +1494,38 @@ export class Runtime {
       reason: args.reason ?? null
     });
 
-    return { ok: true, terminatedAgentId: targetId };
+    return handoverTo
+      ? { ok: true, terminatedAgentId: targetId, handoverTo, handedOver }
+      : { ok: true, terminatedAgentId: targetId };
+  }
+
+  /**
+   * 判断智能体是否仍在岗（root 与 user 始终在岗，其他智能体未终止即在岗），
+   * 供计划、会议、黑板与任务服务决定是否向其发送通知。
+   * @param {string} agentId
+   * @returns {boolean}
+   */
+  _isAgentActive(agentId) {
+    if (agentId === "root" || agentId === "user") return true;
+    const meta = this.org.getAgent(agentId);
+    return !!meta && meta.status !== "terminated";
+  }
+
+  /**
+   * 判断 agentId 是否为 ancestorId 的下属（沿上级链向上查找，root 是所有智能体的上级）。
+   * @param {string} agentId
+   * @param {string} ancestorId
+   * @returns {boolean}
+   */
+  _isDescendantOf(agentId, ancestorId) {
+    const visited = new Set();
+    let currentId = this._agentMetaById.get(agentId)?.parentAgentId ?? null;
+    while (currentId && !visited.has(currentId)) {
+      if (currentId === ancestorId) return true;
+      visited.add(currentId);
+      currentId = this._agentMetaById.get(currentId)?.parentAgentId ?? null;
+    }
+    return false;
   }
 
   /**
@@ -1667,6 +1883,7 @@ export class Runtime {
 
       // 步骤1: 停止接收新消息
       this._stopRequested = true;
+      this.workspaceRetention?.stop();
       void this.log.info("已停止接收新消息");
 
       // 步骤2: 等待当前处理完成（最多 shutdownTimeoutMs）
@@ -1785,6 +2002,7 @@ export class Runtime {
 
     // 步骤1: 停止接收新消息
     this._stopRequested = true;
+    this.workspaceRetention?.stop();
     void this.log.info("已停止接收新消息");
 
     // 步骤2: 等待当前处理完成（最多 shutdownTimeoutMs）
@@ -7,7 +7,31 @@ import { createNoopModuleLogger } from "../utils/logger/logger.js";
 export const BUILTIN_TOOL_GROUPS = {
   org_management: {
     description: "组织管理工具 - 用于创建岗位、创建智能体实例、发送消息、终止智能体等组织架构管理操作。创建岗位时可通过 toolGroups 参数限制该岗位可用的工具组。",
-    tools: ["find_role_by_name", "create_role", "spawn_agent_with_task", "terminate_agent", "send_message"]
+    tools: ["find_role_by_name", "create_role", "set_role_status", "spawn_agent_with_task", "terminate_agent", "reassign_agent", "suspend_agent", "resume_agent", "fork_agent", "send_message", "reply_to_message"]
+  },
+  channel: {
+    description: "频道工具 - 用于订阅、退订话题频道，以及向频道的全部订阅者广播消息。",
+    tools: ["subscribe_channel", "unsubscribe_channel", "publish_to_channel"]
+  },
+  schedule: {
+    description: "定时消息工具 - 用于创建按 cron 表达式或固定间隔重复发送的定时消息，以及查看、取消定时计划。",
+    tools: ["create_schedule", "list_schedules", "cancel_schedule"]
+  },
+  meeting: {
+    description: "会议工具 - 用于召集多名智能体参加轮流发言的会议，在会议中发言、指定发言人、结束会议并查看会议记录。",
+    tools: ["create_meeting", "speak_in_meeting", "grant_floor", "end_meeting", "get_meeting_transcript"]
+  },
+  blackboard: {
+    description: "任务黑板工具 - 用于在同一任务内的智能体之间共享结构化键值数据，支持比较并设置的原子更新与键变更订阅。",
+    tools: ["bb_get", "bb_set", "bb_compare_and_set", "bb_list", "bb_watch", "bb_unwatch"]
+  },
+  review: {
+    description: "评审工具 - 用于把交付物连同验收标准提交给评审人，提交评审结论，以及查看、撤回评审。",
+    tools: ["request_review", "submit_review", "list_reviews", "cancel_review"]
+  },
+  task: {
+    description: "任务跟踪工具 - 用于更新委派任务的状态与进度、设置任务依赖，以及查看任务列表和任务详情。",
+    tools: ["update_task", "set_task_dependencies", "list_tasks", "get_task"]
   },
   localllm: {
     description: "本地 LLM 工具 - 通过本机 headless Chrome 驱动 wllama 页面进行对话。这个调用的模型只在本地运行，规模小，速度快，不支持复杂的推理任务，不能保证结果正确稳定，适合不重要的、简单的、高速的场景。",
@@ -19,7 +43,7 @@ export const BUILTIN_TOOL_GROUPS = {
   },
   workspace: {
     description: "工作空间工具 - 用于在任务专属工作空间内进行文件读写操作，每个任务有独立的工作空间目录。",
-    tools: ["read_file", "write_file", "list_files", "get_workspace_info", "search_text"]
+    tools: ["read_file", "write_file", "edit_file", "apply_patch", "move_file", "copy_file", "make_dir", "import_archive", "list_files", "get_workspace_info", "search_text", "list_file_versions", "diff_file_versions", "restore_file_version", "lock_file", "unlock_file"]
   },
   command: {
     description: "代码执行工具 - 用于执行 JavaScript 代码，支持 Canvas 绘图。",
@@ -35,6 +59,11 @@ export const BUILTIN_TOOL_GROUPS = {
   }
 };
 
+/**
+ * root 智能体可用的工具组（root 不按岗位配置工具组）
+ */
+export const ROOT_TOOL_GROUPS = ["org_management", "channel", "schedule", "meeting", "blackboard", "review", "task"];
+
 /**
  * 工具组管理器
  * 负责管理所有工具组的注册、查询和工具定义获取
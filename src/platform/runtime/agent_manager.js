@@ -719,7 +719,7 @@ export class AgentManager {
       roleId: agent.roleId,
       roleName: agent.roleName,
       parentAgentId: meta?.parentAgentId ?? null,
-      status: "active",
+      status: runtime.org?.getAgent?.(agentId)?.status ?? "active",
       queueDepth,
       conversationLength
     };
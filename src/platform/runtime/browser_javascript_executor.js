@@ -26,6 +26,7 @@ import { existsSync } from "node:fs";
 import { writeFile } from "node:fs/promises";
 import { randomUUID } from "node:crypto";
 import path from "node:path";
+import { describeWorkspaceError } from "../services/workspace/quota.js";
 
 /**
  * 安全的日志记录函数
@@ -898,7 +899,7 @@ export class BrowserJavaScriptExecutor {
           messageId
         });
       } catch (err) {
-        const message = err?.message ?? String(err);
+        const message = describeWorkspaceError(err);
         errors.push({ filepath: download.filepath, error: message });
         safeLog(this.runtime, "error", "downloadToWorkspace 保存失败", {
           workspaceId,
@@ -1040,7 +1041,7 @@ export class BrowserJavaScriptExecutor {
           total: dataUrls.length
         });
       } catch (err) {
-        const message = err?.message ?? String(err);
+        const message = describeWorkspaceError(err);
         errors.push({ index: i, name: name.trim(), error: message });
         safeLog(this.runtime, "error", "保存浏览器 Canvas 图像失败", {
           workspaceId,
@@ -1,14 +1,24 @@
+import { DEFAULT_PRIORITY } from "../utils/message/message_priority.js";
+
+/**
+ * 就绪智能体的优先级老化：每等待这么久，调度权重提高 PRIORITY_AGING_STEP，避免低优先级智能体饿死
+ */
+const PRIORITY_AGING_MS = 2000;
+const PRIORITY_AGING_STEP = 10;
+
 /**
  * ComputeScheduler - 系统级计算调度器（协程式时间片）
  *
  * 职责：
  * - 从 MessageBus 拉取消息，转换成 TurnEngine 的 Turn 入队；
- * - 用 round-robin 策略调度 agent 的 step（每次最多推进 1 个原子动作）；
+ * - 按优先级加权调度 agent 的 step（每次最多推进 1 个原子动作）：优先推进当前回合消息优先级最高的 agent，
+ *   同优先级按就绪先后轮转，等待越久权重越高；
  * - 对 LLM/tool 这类长操作采用“启动异步→完成回调入队”的方式，避免 await 占用调度循环。
  *
  * 设计约束：
  * - 不直接解析 LLM/tool 业务数据；由 TurnEngine 决定下一步动作。
  * - 不在调度器中持久占用 CPU：每轮循环需要让出事件循环。
+ * - 已暂停（组织状态 suspended）的 agent 不拉取消息也不推进回合，消息留在队列中，恢复后按序处理。
  */
 export class ComputeScheduler {
   /**
@@ -28,11 +38,14 @@ export class ComputeScheduler {
     this._readyQueue = [];
     /** @type {Set<string>} */
     this._readySet = new Set();
+    /** @type {Map<string, number>} agentId -> 进入 ready 队列的时间 */
+    this._readySince = new Map();
 
     /** @type {Map<string, {kind:'llm'|'tool'|'endpoint', epoch:number, turnId:string|null, stepId:number|null}>} */
     this._inFlight = new Map();
 
     this._rrCursor = 0;
+    this._checkpointsRestored = false;
   }
 
   /**
@@ -43,6 +56,16 @@ export class ComputeScheduler {
     if (this._loopPromise) return this._loopPromise;
     this._running = true;
     this._stopRequested = false;
+    // 首次启动时恢复崩溃前未完成的回合；这些回合没有对应的入站消息，需要主动加入 ready 队列
+    if (!this._checkpointsRestored) {
+      this._checkpointsRestored = true;
+      this.turnEngine.restoreCheckpoints?.();
+    }
+    for (const agentId of this.runtime._agents.keys()) {
+      if (this.turnEngine.hasRunnable(agentId)) {
+        this._markReady(agentId);
+      }
+    }
     this._loopPromise = this._loop().finally(() => {
       this._loopPromise = null;
       this._running = false;
@@ -66,6 +89,27 @@ export class ComputeScheduler {
     this._inFlight.delete(agentId);
   }
 
+  /**
+   * 恢复 agent 的调度：有未完成的回合时重新加入 ready 队列（队列中的消息由下一轮循环拉取）。
+   * @param {string} agentId
+   */
+  wakeAgent(agentId) {
+    if (!agentId || this._isSuspended(agentId)) return;
+    if (this.turnEngine.hasRunnable(agentId)) {
+      this._markReady(agentId);
+    }
+  }
+
+  /**
+   * agent 是否处于暂停状态。
+   * @param {string} agentId
+   * @returns {boolean}
+   * @private
+   */
+  _isSuspended(agentId) {
+    return this.runtime.org?.getAgent?.(agentId)?.status === "suspended";
+  }
+
   /**
    * 调度循环主体。
    * @private
@@ -80,7 +124,7 @@ export class ComputeScheduler {
 
       const progressed = await this._runOneStep();
 
-      if (!progressed && !this.runtime.bus.hasPending() && this._inFlight.size === 0) {
+      if (!progressed && !this.runtime.bus.hasPending((id) => !this._isSuspended(id)) && this._inFlight.size === 0) {
         await this.runtime.bus.waitForMessage({ timeoutMs: 100 });
       } else if (!progressed) {
         await new Promise((r) => setTimeout(r, 5));
@@ -101,12 +145,19 @@ export class ComputeScheduler {
     const agentIds = [...this.runtime._agents.keys()];
     if (agentIds.length === 0) return;
 
-    for (let i = 0; i < agentIds.length; i += 1) {
-      const idx = (this._rrCursor + i) % agentIds.length;
-      const agentId = agentIds[idx];
+    // 轮转顺序为基础，队首消息优先级高的收件人先拉取（稳定排序，同优先级保持轮转顺序）
+    const bus = this.runtime.bus;
+    const ordered = agentIds.map((_, i) => agentIds[(this._rrCursor + i) % agentIds.length]);
+    if (typeof bus.peekPriority === "function") {
+      const priorities = new Map(ordered.map((id) => [id, bus.peekPriority(id) ?? -1]));
+      ordered.sort((a, b) => priorities.get(b) - priorities.get(a));
+    }
+
+    for (const agentId of ordered) {
 
       if (this._stopRequested) break;
       if (this._inFlight.has(agentId)) continue;
+      if (this._isSuspended(agentId)) continue;
 
       const status = this.runtime._state.getAgentComputeStatus(agentId);
       if (status === "stopping" || status === "terminating") {
@@ -186,6 +237,9 @@ export class ComputeScheduler {
 
     if (this._inFlight.has(agentId)) return false;
 
+    // 暂停的 agent 移出 ready 队列，未完成的回合保留，恢复时由 wakeAgent 重新加入
+    if (this._isSuspended(agentId)) return false;
+
     const status = this.runtime._state.getAgentComputeStatus(agentId);
     if (status === "stopped" || status === "stopping" || status === "terminating") {
       return false;
@@ -405,6 +459,7 @@ export class ComputeScheduler {
 
   /**
    * 将 agent 标记为可运行（加入 ready 队列，去重）。
+   * 调度顺序在取出时按优先级计算，见 _takeReady。
    * @param {string} agentId
    * @private
    */
@@ -413,20 +468,42 @@ export class ComputeScheduler {
     if (this._readySet.has(agentId)) return;
     this._readySet.add(agentId);
     this._readyQueue.push(agentId);
+    this._readySince.set(agentId, Date.now());
   }
 
   /**
-   * 取出一个 ready agent。
+   * 取出调度权重最高的 ready agent（权重相同时取最早就绪者）。
    * @returns {string|null}
    * @private
    */
   _takeReady() {
-    while (this._readyQueue.length > 0) {
-      const agentId = this._readyQueue.shift();
-      this._readySet.delete(agentId);
-      if (!agentId) continue;
-      return agentId;
+    if (this._readyQueue.length === 0) return null;
+    const now = Date.now();
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    for (let i = 0; i < this._readyQueue.length; i += 1) {
+      const score = this._readyScore(this._readyQueue[i], now);
+      if (score > bestScore) {
+        bestIndex = i;
+        bestScore = score;
+      }
     }
-    return null;
+    const [agentId] = this._readyQueue.splice(bestIndex, 1);
+    this._readySet.delete(agentId);
+    this._readySince.delete(agentId);
+    return agentId;
+  }
+
+  /**
+   * 计算 ready agent 的调度权重：当前回合的消息优先级 + 等待时间带来的老化加成。
+   * @param {string} agentId
+   * @param {number} now
+   * @returns {number}
+   * @private
+   */
+  _readyScore(agentId, now) {
+    const priority = this.turnEngine.getPriority?.(agentId) ?? DEFAULT_PRIORITY;
+    const waited = now - (this._readySince.get(agentId) ?? now);
+    return priority + Math.floor(waited / PRIORITY_AGING_MS) * PRIORITY_AGING_STEP;
   }
 }
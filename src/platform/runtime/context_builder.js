@@ -58,7 +58,7 @@ export class ContextBuilder {
     
     // 定义工具函数集合
     const tools = {
-      findRoleByName: (name) => runtime.org.findRoleByName(name),
+      findRoleByName: (name, options) => runtime.org.findRoleByName(name, options),
       createRole: (input) =>
         runtime.org.createRole({
           ...input,
@@ -35,6 +35,7 @@
 import path from "node:path";
 import { randomUUID } from "node:crypto";
 import { WorkspaceManager } from "../services/workspace/workspace_manager.js";
+import { describeWorkspaceError } from "../services/workspace/quota.js";
 
 /**
  * 将输入内容转换为 Buffer
@@ -293,7 +294,7 @@ export class JavaScriptExecutor {
         
         return { success: true, path: filepath, size: buffer.length };
       } catch (err) {
-        const message = err && typeof err.message === "string" ? err.message : String(err ?? "unknown error");
+        const message = describeWorkspaceError(err);
         safeLog(this.runtime, "error", "downloadToWorkspace 保存失败", {
           workspaceId,
           filepath,
@@ -410,7 +411,7 @@ export class JavaScriptExecutor {
             total: canvasInstances.length
           });
         } catch (exportErr) {
-          const exportMessage = exportErr && typeof exportErr.message === "string" ? exportErr.message : String(exportErr ?? "unknown error");
+          const exportMessage = describeWorkspaceError(exportErr);
           errors.push({ index: i, error: exportMessage });
           safeLog(this.runtime, "error", "保存 Canvas 图像失败", {
             workspaceId,
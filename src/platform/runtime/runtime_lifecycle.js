@@ -13,7 +13,10 @@
  * 3. 智能体注册：registerAgentInstance, registerRoleBehavior
  * 4. 智能体查询：getAgentStatus, listAgentInstances, getQueueDepths
  * 5. 智能体中断：abortAgentLlmCall, cascadeStopAgents
- * 6. 工作空间查找：findWorkspaceIdForAgent
+ * 6. 智能体暂停与恢复：suspendAgent, resumeAgent
+ * 7. 组织调整：reassignAgent（调整上级，下属随之移动）
+ * 8. 智能体分叉：forkAgent（复制会话与联系人，创建同岗位的副本）
+ * 9. 工作空间查找：findWorkspaceIdForAgent
  * 
  * 【与其他模块的关系】
  * - 被 Runtime 主类调用
@@ -229,7 +232,7 @@ export class RuntimeLifecycle {
         }
         
         // 清空消息队列
-        const clearedMessages = runtime.bus?.clearQueue(agentId) ?? [];
+        const clearedMessages = runtime.bus?.clearQueue(agentId, { reason: "agent_stopped" }) ?? [];
         const clearedCount = Array.isArray(clearedMessages) ? clearedMessages.length : 0;
         if (clearedCount > 0) {
           void runtime.log?.info?.("级联停止：清空消息队列", { agentId, parentAgentId, clearedCount });
@@ -247,6 +250,233 @@ export class RuntimeLifecycle {
     return stoppedAgents;
   }
 
+  /**
+   * 暂停智能体（可连同全部后代）
+   * 
+   * 暂停不是终止：会话历史、消息队列与未完成的回合都保留，调度器只是不再为其安排计算。
+   * 暂停期间收到的消息留在队列中，恢复后按序处理。正在进行的 LLM 或工具调用会完成当前这一步。
+   * 
+   * @param {string} agentId - 智能体ID
+   * @param {{suspendedBy?:string, reason?:string, includeDescendants?:boolean}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, suspended?:string[], reason?:string}>}
+   */
+  async suspendAgent(agentId, options = {}) {
+    const runtime = this.runtime;
+    const targetId = String(agentId ?? "").trim();
+    const check = this._checkSuspendTarget(targetId);
+    if (check) return check;
+
+    const candidates = options.includeDescendants
+      ? [targetId, ...runtime._agentManager.collectDescendantAgents(targetId)]
+      : [targetId];
+    const suspended = await runtime.org.recordSuspension(candidates, String(options.suspendedBy ?? "user"), options.reason);
+    if (suspended.length === 0) {
+      return { ok: false, agentId: targetId, reason: "agent_already_suspended" };
+    }
+
+    void runtime.log?.info?.("暂停智能体", { agentId: targetId, suspended, suspendedBy: options.suspendedBy ?? "user" });
+    return { ok: true, agentId: targetId, suspended };
+  }
+
+  /**
+   * 恢复暂停的智能体（可连同全部后代），暂停期间积压的消息随后按序投递
+   * 
+   * @param {string} agentId - 智能体ID
+   * @param {{resumedBy?:string, includeDescendants?:boolean}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, resumed?:string[], pendingMessages?:number, reason?:string}>}
+   */
+  async resumeAgent(agentId, options = {}) {
+    const runtime = this.runtime;
+    const targetId = String(agentId ?? "").trim();
+    const check = this._checkSuspendTarget(targetId);
+    if (check) return check;
+
+    const candidates = options.includeDescendants
+      ? [targetId, ...runtime._agentManager.collectDescendantAgents(targetId)]
+      : [targetId];
+    const resumed = await runtime.org.recordResumption(candidates, String(options.resumedBy ?? "user"));
+    if (resumed.length === 0) {
+      return { ok: false, agentId: targetId, reason: "agent_not_suspended" };
+    }
+
+    let pendingMessages = 0;
+    for (const id of resumed) {
+      pendingMessages += runtime.bus?.getQueueDepth?.(id) ?? 0;
+      runtime._computeScheduler?.wakeAgent(id);
+    }
+
+    void runtime.log?.info?.("恢复智能体", { agentId: targetId, resumed, pendingMessages, resumedBy: options.resumedBy ?? "user" });
+    return { ok: true, agentId: targetId, resumed, pendingMessages };
+  }
+
+  /**
+   * 检查能否把智能体调整到新上级下，不做任何修改
+   * @param {string} agentId - 被调整的智能体ID
+   * @param {string} newParentId - 新上级ID
+   * @returns {string|null} 不能调整的原因，可以调整时为 null
+   */
+  checkReassign(agentId, newParentId) {
+    const runtime = this.runtime;
+    if (!agentId) return "missing_agent_id";
+    if (!newParentId || newParentId === "user") return "invalid_new_parent";
+    if (agentId === "root" || agentId === "user") return "cannot_reassign_system_agent";
+    const meta = runtime._agentMetaById.get(agentId);
+    if (!meta || !runtime._agents.has(agentId)) return "agent_not_found";
+    if (newParentId !== "root" && !runtime._agents.has(newParentId)) return "parent_not_found";
+    if (meta.parentAgentId === newParentId) return "same_parent";
+    if (newParentId === agentId || runtime._isDescendantOf(newParentId, agentId)) return "reassign_cycle";
+    return null;
+  }
+
+  /**
+   * 调整智能体的上级，其全部下属随之移动
+   * 
+   * 【调整内容】
+   * 1. 组织状态与运行时元数据中的 parentAgentId
+   * 2. 联系人注册表中的上级联系人
+   * 3. 旧上级委派给它的未结束任务转交给新上级
+   * 4. 调到 root 下时与新建的一级智能体一样分配独立工作空间
+   * 5. 通知被调整的智能体（以及不是操作者本人的新上级）
+   * 
+   * @param {string} agentId - 被调整的智能体ID
+   * @param {string} newParentId - 新上级ID（root 或运行中的智能体）
+   * @param {{reassignedBy?:string}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, previousParentAgentId?:string, parentAgentId?:string, moved?:string[], reason?:string}>}
+   */
+  async reassignAgent(agentId, newParentId, options = {}) {
+    const runtime = this.runtime;
+    const targetId = String(agentId ?? "").trim();
+    const parentId = String(newParentId ?? "").trim();
+    const reassignedBy = String(options.reassignedBy ?? "user");
+    const invalidReason = this.checkReassign(targetId, parentId);
+    if (invalidReason) return { ok: false, agentId: targetId, reason: invalidReason };
+    const meta = runtime._agentMetaById.get(targetId);
+
+    let record;
+    try {
+      record = await runtime.org.reassignAgent(targetId, parentId, reassignedBy);
+    } catch (err) {
+      return { ok: false, agentId: targetId, reason: err?.message ?? String(err) };
+    }
+    const previousParentAgentId = record.previousParentAgentId;
+    meta.parentAgentId = parentId;
+
+    const parentRole = parentId === "root" ? "root" : runtime._agents.get(parentId)?.roleName;
+    runtime.contactManager?.replaceParent(targetId, parentId, parentRole);
+    await runtime.taskRegistry?.transferDelegations(targetId, previousParentAgentId, parentId);
+
+    if (parentId === "root" && !runtime.workspaceManager.checkWorkspaceExists(targetId)) {
+      await runtime.workspaceManager.getWorkspace(targetId);
+    }
+
+    const moved = [targetId, ...runtime._agentManager.collectDescendantAgents(targetId)];
+    const targetName = runtime.org.getAgent(targetId)?.name ?? targetId;
+    const notice = { kind: "agent_reassigned", agentId: targetId, previousParentAgentId, parentAgentId: parentId };
+    runtime.bus.send({
+      to: targetId,
+      from: reassignedBy === "user" ? "root" : reassignedBy,
+      payload: { ...notice, text: `你的上级已由 ${previousParentAgentId} 调整为 ${parentId}，之后请向新上级汇报工作。` }
+    });
+    if (parentId !== reassignedBy && parentId !== "root") {
+      runtime.bus.send({
+        to: parentId,
+        from: reassignedBy === "user" ? "root" : reassignedBy,
+        payload: { ...notice, text: `${targetName}（${targetId}）已调整为你的下属${moved.length > 1 ? `，其 ${moved.length - 1} 名下属随之调整` : ""}，由你负责管理。` }
+      });
+    }
+
+    void runtime.log?.info?.("调整智能体上级", { agentId: targetId, previousParentAgentId, parentAgentId: parentId, movedCount: moved.length, reassignedBy });
+    void runtime.loggerRoot?.logAgentLifecycleEvent?.("agent_reassigned", { agentId: targetId, previousParentAgentId, parentAgentId: parentId, reassignedBy });
+    return { ok: true, agentId: targetId, previousParentAgentId, parentAgentId: parentId, moved };
+  }
+
+  /**
+   * 分叉智能体：在源智能体的上级下创建同岗位的新智能体，复制源智能体的会话（可截断到指定消息下标）、
+   * 联系人与任务委托书，并在会话末尾追加标记分叉点的说明。副本与源智能体此后各自独立，副本等待上级的新指示。
+   * 
+   * @param {string} agentId - 源智能体ID
+   * @param {{forkedBy?:string, truncateAt?:number, name?:string}} [options]
+   * @returns {Promise<{ok:boolean, agentId:string, forkedFrom?:string, parentAgentId?:string, forkIndex?:number, messageCount?:number, reason?:string}>}
+   */
+  async forkAgent(agentId, options = {}) {
+    const runtime = this.runtime;
+    const sourceId = String(agentId ?? "").trim();
+    const forkedBy = String(options.forkedBy ?? "user");
+    if (!sourceId) return { ok: false, agentId: sourceId, reason: "missing_agent_id" };
+    if (sourceId === "root" || sourceId === "user") return { ok: false, agentId: sourceId, reason: "cannot_fork_system_agent" };
+    const sourceMeta = runtime.org?.getAgent?.(sourceId) ?? null;
+    const sourceAgent = runtime._agents.get(sourceId);
+    if (!sourceMeta || !sourceAgent) {
+      return { ok: false, agentId: sourceId, reason: sourceMeta?.status === "terminated" ? "agent_terminated" : "agent_not_found" };
+    }
+
+    // 先校验会话与截断位置，避免创建出没有会话的副本
+    const sourceLength = runtime._conversationManager.getConversation(sourceId)?.length ?? 0;
+    if (sourceLength === 0) return { ok: false, agentId: sourceId, reason: "empty_conversation" };
+    const truncateAt = options.truncateAt ?? null;
+    if (truncateAt !== null && (!Number.isInteger(truncateAt) || truncateAt < 1 || truncateAt > sourceLength)) {
+      return { ok: false, agentId: sourceId, reason: "invalid_truncate_index", messageCount: sourceLength };
+    }
+    const forkIndex = truncateAt ?? sourceLength;
+
+    const fork = await runtime.spawnAgent({
+      roleId: sourceMeta.roleId,
+      parentAgentId: sourceMeta.parentAgentId,
+      name: options.name,
+      taskBrief: runtime._state?.getAgentTaskBrief?.(sourceId) ?? undefined,
+      forkedFrom: sourceId,
+      forkMessageIndex: forkIndex
+    });
+
+    // 联系人：复制源智能体已知的联系人（上级联系人由初始化生成）
+    const contacts = runtime.contactManager;
+    if (contacts?.hasRegistry(sourceId)) {
+      contacts.initRegistry(fork.id, sourceMeta.parentAgentId);
+      for (const contact of contacts.listContacts(sourceId)) {
+        if (contact.source === "parent" || contact.id === fork.id) continue;
+        contacts.addContact(fork.id, { ...contact });
+      }
+    }
+
+    const sourceName = sourceMeta.name ?? sourceId;
+    const forked = runtime._conversationManager.forkConversation(sourceId, fork.id, {
+      truncateAt: forkIndex,
+      note: `【分叉说明】你是从智能体 ${sourceName}（${sourceId}）分叉出的副本，以上是分叉前它的第 0~${forkIndex - 1} 条会话记录。` +
+        `从这里开始你是独立的智能体（ID：${fork.id}），与原智能体互不影响，请等待上级的新指示。`
+    });
+    await runtime._conversationManager.persistConversationNow(fork.id);
+
+    void runtime.log?.info?.("分叉智能体", { sourceId, agentId: fork.id, forkIndex, forkedBy, closedToolCalls: forked.closed?.length ?? 0 });
+    void runtime.loggerRoot?.logAgentLifecycleEvent?.("agent_forked", { agentId: fork.id, forkedFrom: sourceId, forkIndex, forkedBy });
+    return {
+      ok: true,
+      agentId: fork.id,
+      forkedFrom: sourceId,
+      parentAgentId: sourceMeta.parentAgentId,
+      forkIndex,
+      messageCount: forked.messageCount
+    };
+  }
+
+  /**
+   * 校验暂停/恢复的目标，不合法时返回失败结果
+   * @param {string} targetId
+   * @returns {{ok:false, agentId:string, reason:string}|null}
+   * @private
+   */
+  _checkSuspendTarget(targetId) {
+    const runtime = this.runtime;
+    if (!targetId) return { ok: false, agentId: targetId, reason: "missing_agent_id" };
+    if (targetId === "root" || targetId === "user") {
+      return { ok: false, agentId: targetId, reason: "cannot_suspend_system_agent" };
+    }
+    const meta = runtime.org?.getAgent?.(targetId) ?? null;
+    if (!meta || !runtime._agents.has(targetId)) {
+      return { ok: false, agentId: targetId, reason: meta?.status === "terminated" ? "agent_terminated" : "agent_not_found" };
+    }
+    return null;
+  }
+
   /**
    * 强制终止指定智能体及其所有后代（用于 HTTP/管理员侧删除）。
    * @param {string} agentId
@@ -290,7 +520,7 @@ export class RuntimeLifecycle {
       runtime._state.setAgentComputeStatus(id, "terminating");
       runtime._cancelManager?.abort(id, { reason: "force_terminate" });
       runtime.llm?.abort(id);
-      runtime.bus?.clearQueue?.(id);
+      runtime.bus?.clearQueue?.(id, { reason: "agent_deleted" });
       runtime._turnEngine?.clearAgent?.(id);
     }
 
@@ -416,7 +646,7 @@ export class RuntimeLifecycle {
         runtime._state.setAgentComputeStatus(agentId, "terminating");
         runtime._cancelManager?.abort(agentId, { reason: "role_deleted" });
         runtime.llm?.abort(agentId);
-        runtime.bus?.clearQueue?.(agentId);
+        runtime.bus?.clearQueue?.(agentId, { reason: "agent_deleted" });
         runtime._turnEngine?.clearAgent?.(agentId);
         
         // 从 runtime 内存中清理
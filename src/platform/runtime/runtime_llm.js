@@ -737,13 +737,16 @@ export class RuntimeLlm {
     }
 
     const base = ctx.systemBasePrompt ?? "";
-    const roleRecord = ctx.agent?.roleId ? this.runtime.org.getRole(ctx.agent.roleId) : null;
+    const ownRole = ctx.agent?.roleId ? this.runtime.org.getRole(ctx.agent.roleId) : null;
+    // 继承了其他岗位时在此组合，基础岗位的修改对派生岗位立即生效
+    const inherits = Boolean(ownRole?.extendsRoleId || ownRole?.mixinRoleIds);
+    const roleRecord = inherits ? this.runtime.org.resolveRole(ownRole.id) : ownRole;
     const orgPromptRaw = roleRecord?.orgPrompt ?? null;
     const orgPromptSection =
       typeof orgPromptRaw === "string" && orgPromptRaw.trim()
         ? `【组织架构】\n${orgPromptRaw}`
         : "";
-    const role = ctx.agent?.rolePrompt ?? "";
+    const role = inherits ? roleRecord.rolePrompt : (ctx.agent?.rolePrompt ?? "");
     const roleWithOrg = orgPromptSection ? `${orgPromptSection}\n\n${role}` : role;
     
     // 获取并格式化 TaskBrief（Requirements 1.5）
@@ -820,8 +823,13 @@ export class RuntimeLlm {
       }
 
       const payload = payloadText ?? JSON.stringify(payloadRaw ?? {}, null, 2);
+      // 请求/回复关联字段与非默认优先级只在存在时列出
+      const correlation = ["inReplyTo", "correlationId", "replyBy", "priority", "channel", "scheduleId"]
+        .filter((key) => message?.[key])
+        .map((key) => `${key}=${message[key]}\n`)
+        .join("");
       
-      return `from=${message?.from ?? ""}\nto=${message?.to ?? ""}\ntaskId=${message?.taskId ?? ""}\npayload=${payload}`;
+      return `from=${message?.from ?? ""}\nto=${message?.to ?? ""}\ntaskId=${message?.taskId ?? ""}\n${correlation}payload=${payload}`;
     }
     
     // 非 root 智能体使用新的消息格式化器
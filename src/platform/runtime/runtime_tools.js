@@ -25,6 +25,8 @@
  * @module runtime/runtime_tools
  */
 
+import { ROOT_TOOL_GROUPS } from "../extensions/tool_group_manager.js";
+
 /**
  * Runtime 工具管理类
  * 
@@ -62,17 +64,63 @@ export class RuntimeTools {
     const toolGroupMapping = {
       find_role_by_name: "org_management",
       create_role: "org_management",
+      set_role_status: "org_management",
       get_org_structure: "org_management",
       spawn_agent_with_task: "org_management",
       terminate_agent: "org_management",
+      reassign_agent: "org_management",
+      suspend_agent: "org_management",
+      resume_agent: "org_management",
+      fork_agent: "org_management",
       send_message: "org_management",
+      reply_to_message: "org_management",
+      subscribe_channel: "channel",
+      unsubscribe_channel: "channel",
+      publish_to_channel: "channel",
+      create_schedule: "schedule",
+      list_schedules: "schedule",
+      cancel_schedule: "schedule",
+      create_meeting: "meeting",
+      speak_in_meeting: "meeting",
+      grant_floor: "meeting",
+      end_meeting: "meeting",
+      get_meeting_transcript: "meeting",
+      bb_get: "blackboard",
+      bb_set: "blackboard",
+      bb_compare_and_set: "blackboard",
+      bb_list: "blackboard",
+      bb_watch: "blackboard",
+      bb_unwatch: "blackboard",
+      request_review: "review",
+      submit_review: "review",
+      list_reviews: "review",
+      cancel_review: "review",
+      update_task: "task",
+      set_task_dependencies: "task",
+      list_tasks: "task",
+      get_task: "task",
       list_org_template_infos: "org_management",
       get_org_template_org: "org_management",
       localllm_chat: "localllm",
+      put_artifact: "artifact",
+      get_artifact: "artifact",
+      show_artifacts: "artifact",
       read_file: "workspace",
       write_file: "workspace",
+      edit_file: "workspace",
+      apply_patch: "workspace",
       list_files: "workspace",
       get_workspace_info: "workspace",
+      search_text: "workspace",
+      list_file_versions: "workspace",
+      diff_file_versions: "workspace",
+      restore_file_version: "workspace",
+      move_file: "workspace",
+      copy_file: "workspace",
+      make_dir: "workspace",
+      import_archive: "workspace",
+      lock_file: "workspace",
+      unlock_file: "workspace",
       run_javascript: "command",
       http_request: "network",
       compress_context: "context",
@@ -82,7 +130,14 @@ export class RuntimeTools {
     // 按工具组分类
     const toolsByGroup = {
       org_management: [],
+      channel: [],
+      schedule: [],
+      meeting: [],
+      blackboard: [],
+      review: [],
+      task: [],
       localllm: [],
+      artifact: [],
       workspace: [],
       command: [],
       network: [],
@@ -123,7 +178,7 @@ export class RuntimeTools {
    * 根据智能体岗位配置的工具组返回相应的工具定义。
    * 
    * 【权限规则】
-   * - root 岗位：只有 org_management 工具组
+   * - root 岗位：只有 ROOT_TOOL_GROUPS 中的工具组
    * - 其他岗位：根据岗位配置的 toolGroups 返回工具
    * - 未配置 toolGroups：返回所有工具组
    * - 模块工具：对所有非 root 岗位可用
@@ -135,9 +190,9 @@ export class RuntimeTools {
     const runtime = this.runtime;
     const alwaysAllowedToolNames = new Set(["get_org_structure"]);
     
-    // root 岗位硬编码只有 org_management
+    // root 岗位硬编码只有 ROOT_TOOL_GROUPS
     if (agentId === "root") {
-      const defs = runtime.toolGroupManager.getToolDefinitions(["org_management"]);
+      const defs = runtime.toolGroupManager.getToolDefinitions(ROOT_TOOL_GROUPS);
       return this._appendAlwaysAllowedTools(defs, alwaysAllowedToolNames);
     }
     
@@ -155,8 +210,8 @@ export class RuntimeTools {
       return this.getToolDefinitions();
     }
     
-    // 获取岗位配置的工具组，未配置则使用全部工具组
-    const toolGroups = role.toolGroups ?? runtime.toolGroupManager.getAllGroupIds();
+    // 获取岗位配置的工具组（含继承），未配置则使用全部工具组
+    const toolGroups = this._getEffectiveToolGroups(role);
     const builtinTools = runtime.toolGroupManager.getToolDefinitions(toolGroups);
 
     // 合并模块提供的工具定义（模块工具暂时对所有非 root 岗位可用）
@@ -169,7 +224,7 @@ export class RuntimeTools {
    * 
    * 【权限规则】
    * - 模块工具：对所有非 root 岗位可用
-   * - root 岗位：只能使用 org_management 工具组
+   * - root 岗位：只能使用 ROOT_TOOL_GROUPS 中的工具组
    * - 其他岗位：根据岗位配置的 toolGroups 检查
    * 
    * @param {string} agentId - 智能体ID
@@ -185,9 +240,9 @@ export class RuntimeTools {
       return agentId !== "root";
     }
     
-    // root 岗位硬编码只有 org_management
+    // root 岗位硬编码只有 ROOT_TOOL_GROUPS
     if (agentId === "root") {
-      return runtime.toolGroupManager.isToolInGroups(toolName, ["org_management"]);
+      return runtime.toolGroupManager.isToolInGroups(toolName, ROOT_TOOL_GROUPS);
     }
     
     // 获取智能体元数据
@@ -204,11 +259,23 @@ export class RuntimeTools {
       return true;
     }
     
-    // 获取岗位配置的工具组，未配置则使用全部工具组
-    const toolGroups = role.toolGroups ?? runtime.toolGroupManager.getAllGroupIds();
+    // 获取岗位配置的工具组（含继承），未配置则使用全部工具组
+    const toolGroups = this._getEffectiveToolGroups(role);
     return runtime.toolGroupManager.isToolInGroups(toolName, toolGroups);
   }
 
+  /**
+   * 岗位生效的工具组：继承了其他岗位时取组合后的结果，都未配置则使用全部工具组
+   * @param {any} role - 岗位记录
+   * @returns {string[]}
+   * @private
+   */
+  _getEffectiveToolGroups(role) {
+    const runtime = this.runtime;
+    const effective = role.extendsRoleId || role.mixinRoleIds ? runtime.org.resolveRole(role.id) : role;
+    return effective?.toolGroups ?? runtime.toolGroupManager.getAllGroupIds();
+  }
+
   _appendAlwaysAllowedTools(toolDefs, alwaysAllowedToolNames) {
     const runtime = this.runtime;
     const existing = new Set(toolDefs.map((t) => t?.function?.name).filter(Boolean));
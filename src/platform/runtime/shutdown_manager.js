@@ -96,6 +96,7 @@ export class ShutdownManager {
 
       // 步骤1: 停止接收新消息
       runtime._stopRequested = true;
+      runtime.workspaceRetention?.stop();
       void runtime.log?.info?.("已停止接收新消息");
 
       // 步骤2: 等待当前处理完成
@@ -194,6 +195,7 @@ export class ShutdownManager {
 
     // 步骤1: 停止接收新消息
     runtime._stopRequested = true;
+    runtime.workspaceRetention?.stop();
     void runtime.log?.info?.("已停止接收新消息");
 
     // 步骤2: 等待当前处理完成
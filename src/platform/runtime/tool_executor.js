@@ -15,10 +15,12 @@
  * 3. 处理特殊工具（spawn_agent_with_task、compress_context 等）
  * 
  * 【工具分类】
- * - 文件操作：write_file、read_file、list_files、delete_file
+ * - 文件操作：write_file、edit_file、apply_patch、read_file、list_files、delete_file
+ * - 文件版本：list_file_versions、diff_file_versions、restore_file_version
  * - 智能体生命周期：spawn_agent_with_task
  * - 组织原语：create_role
  * - 消息通信：send_message
+ * - 工件管理：put_artifact、get_artifact、show_artifacts
  * 
  * 【与其他模块的关系】
  * - 被 LlmHandler 调用来执行工具
@@ -31,6 +33,9 @@
 
 import { validateTaskBrief } from "../utils/message/task_brief.js";
 import { validateMessageFormat } from "../utils/message/message_validator.js";
+import { parsePriority } from "../utils/message/message_priority.js";
+import { normalizeChannelName } from "../core/org_primitives.js";
+import { quotaExceededMessage } from "../services/workspace/quota.js";
 import { chat as localllmChat, launchWllamaHeadless } from "../localllm/wllama_headless_launcher.js";
 
 /**
@@ -67,10 +72,17 @@ export class ToolExecutor {
         type: "function",
         function: {
           name: "find_role_by_name",
-          description: "按岗位名查找岗位，返回 role 或 null。",
+          description: "按岗位名查找岗位，返回 role 或 null。role.status 为岗位状态：draft（草稿）、active（正常）、deprecated（已过时，见 replacedByRoleId）、frozen（已冻结）、deleted（已删除）。",
           parameters: {
             type: "object",
-            properties: { name: { type: "string" } },
+            properties: {
+              name: { type: "string" },
+              statuses: {
+                type: "array",
+                items: { type: "string", enum: ["draft", "active", "deprecated", "frozen", "deleted"] },
+                description: "可选，只返回处于这些状态的岗位，例如 [\"active\"]"
+              }
+            },
             required: ["name"]
           }
         }
@@ -80,7 +92,7 @@ export class ToolExecutor {
         type: "function",
         function: {
           name: "create_role",
-          description: "创建岗位（Role），必须提供岗位名与岗位提示词。可选指定工具组列表，限制该岗位可用的工具函数。",
+          description: "创建岗位（Role），必须提供岗位名与岗位提示词。可选指定工具组列表，限制该岗位可用的工具函数。多个岗位有共同的职责或规范（如质量要求）时，先建一个基础岗位写共同部分，再用 extendsRoleId / mixinRoleIds 继承，岗位提示词只写差异部分；基础岗位修改后派生岗位自动生效。",
           parameters: {
             type: "object",
             properties: {
@@ -94,12 +106,44 @@ export class ToolExecutor {
                 type: "array", 
                 items: { type: "string" },
                 description: runtime._generateToolGroupsDescription?.() ?? "工具组标识符列表，限制该岗位可用的工具函数。不指定则使用全部工具组。"
+              },
+              extendsRoleId: {
+                type: "string",
+                description: "可选，基础岗位ID：基础岗位的提示词排在本岗位提示词之前，工具组合并，未指定的 LLM 服务沿用基础岗位"
+              },
+              mixinRoleIds: {
+                type: "array",
+                items: { type: "string" },
+                description: "可选，混入岗位ID列表：按顺序把这些岗位的提示词与工具组组合进来（排在基础岗位之后、本岗位之前）"
+              },
+              status: {
+                type: "string",
+                enum: ["active", "draft"],
+                description: "可选，传 draft 创建草稿岗位，用 set_role_status 启用前不能用来创建智能体，默认 active"
               }
             },
             required: ["name", "rolePrompt"]
           }
         }
       },
+      // 岗位状态
+      {
+        type: "function",
+        function: {
+          name: "set_role_status",
+          description: "切换自己创建的岗位的状态：draft→active 启用草稿；active→deprecated 标记为过时（可指定替代岗位，之后用它创建智能体会收到提醒）；active/deprecated→frozen 冻结（不能再创建智能体，已有智能体不受影响）；deprecated/frozen→active 恢复。",
+          parameters: {
+            type: "object",
+            properties: {
+              roleId: { type: "string", description: "岗位ID" },
+              status: { type: "string", enum: ["active", "deprecated", "frozen"], description: "目标状态" },
+              reason: { type: "string", description: "可选，变更原因" },
+              replacedByRoleId: { type: "string", description: "可选，标记为 deprecated 时推荐改用的岗位ID" }
+            },
+            required: ["roleId", "status"]
+          }
+        }
+      },
       {
         type: "function",
         function: {
@@ -126,7 +170,7 @@ export class ToolExecutor {
         type: "function",
         function: {
           name: "get_org_structure",
-          description: "获取组织结构摘要（按工作空间组织区分自己与其他组织）：返回 self（当前智能体信息）、selfOrg（自己组织的岗位与智能体列表）、otherOrgs（其他组织）。每个 role 仅返回 agents[{id,name}]。默认只包含未终止的智能体。",
+          description: "获取组织结构摘要（按工作空间组织区分自己与其他组织）：返回 self（当前智能体信息）、selfOrg（自己组织的岗位与智能体列表）、otherOrgs（其他组织）。每个 role 返回 status（岗位状态，deprecated 时附带 replacedByRoleId）与 agents[{id,name}]。默认只包含未终止的智能体。",
           parameters: {
             type: "object",
             properties: {
@@ -165,10 +209,15 @@ export class ToolExecutor {
                   completion_criteria: { type: "string" },
                   collaborators: { type: "array", items: { type: "object" } },
                   references: { type: "array", items: { type: "string" } },
-                  priority: { type: "string" }
+                  priority: { type: "string", description: "任务优先级（urgent/high/normal/low 或 紧急/高/普通/低），同时决定任务消息的投递优先级" }
                 },
                 required: ["objective", "constraints", "inputs", "outputs", "completion_criteria"]
               },
+              dependsOn: {
+                type: "array",
+                items: { type: "string" },
+                description: "可选，该任务需要等待完成的其他任务的跟踪ID（trackedTaskId）"
+              },
               initialMessage: {
                 type: "object",
                 description: "创建后立即发送给新智能体的任务消息内容",
@@ -199,7 +248,10 @@ export class ToolExecutor {
                 items: { type: "string" },
                 description: "收件人ID数组"
               },
-              payload: { type: "object" },
+              payload: {
+                type: "object",
+                description: "消息内容。可通过 artifacts 字段（artifactId 数组）附带由 put_artifact 保存的工件引用。"
+              },
               delayMs: { 
                 type: "number", 
                 description: "延迟投递时间（毫秒），消息将在指定时间后才进入收件人队列。不指定或为0则立即投递。可以用于一段时间之后的提醒，比如闹钟、计划任务等。" 
@@ -209,744 +261,2560 @@ export class ToolExecutor {
                 items: { type: "string" },
                 maxItems: 10,
                 description: "可选的快速回复建议列表。这些只是建议选项，收件方可以从中选择一个快速回复，也可以完全忽略这些建议自行编写回复内容。最多10个选项。"
+              },
+              correlationId: {
+                type: "string",
+                description: "可选的关联ID，对方的回复会带上同一个 correlationId。设置 replyTimeoutMs 而不提供时使用本条消息的 messageId。"
+              },
+              inReplyTo: {
+                type: "string",
+                description: "可选，所回复的消息ID。回复某条消息时推荐直接使用 reply_to_message。"
+              },
+              replyTimeoutMs: {
+                type: "number",
+                description: "可选的回复期限（毫秒）。收件人在期限内没有回复本条消息时，你会收到一条 reply_timeout 系统通知，可用于发现无响应的下属。"
+              },
+              priority: {
+                type: "string",
+                enum: ["urgent", "high", "normal", "low"],
+                description: "可选的投递优先级。收件人会先处理优先级高的消息；不指定时按关系决定：用户 > 上级 > 同级。仅在确实紧急时使用 urgent。"
+              },
+              notifyOnDeadLetter: {
+                type: "boolean",
+                description: "可选，为 true 时如果消息最终未能送达（收件人在处理前被终止或停止），你会收到一条 dead_letter 系统通知。重要的任务交接建议开启。"
               }
             },
             required: ["to", "payload"]
           }
         }
       },
-      // 终止智能体
       {
         type: "function",
         function: {
-          name: "terminate_agent",
-          description: "终止指定的子智能体实例并回收资源。只能终止自己创建的子智能体。",
+          name: "reply_to_message",
+          description: "回复收到的某条消息：发给原发送者，并自动带上 inReplyTo 与 correlationId，便于对方将回复与请求对应。messageId 省略时回复当前正在处理的消息。",
           parameters: {
             type: "object",
             properties: {
-              agentId: { type: "string", description: "要终止的智能体ID" },
-              reason: { type: "string", description: "终止原因（可选）" }
+              messageId: { type: "string", description: "要回复的消息ID（消息末尾的回复提示中给出），省略时为当前消息" },
+              payload: { type: "object", description: "回复内容，与 send_message 的 payload 相同" },
+              quickReplies: {
+                type: "array",
+                items: { type: "string" },
+                maxItems: 10,
+                description: "可选的快速回复建议列表，最多10个选项。"
+              },
+              replyTimeoutMs: { type: "number", description: "可选，等待对方再次回复的期限（毫秒），超时会收到 reply_timeout 通知" }
             },
-            required: ["agentId"]
+            required: ["payload"]
           }
         }
       },
-      // JavaScript 执行
+      // 频道（发布/订阅）
       {
         type: "function",
         function: {
-          name: "run_javascript",
-          description: "在浏览器环境中运行 JavaScript 代码。支持异步代码（可使用 await 和返回 Promise）。涉及严格计算/精确数值/统计/日期时间/格式转换等必须可复现的结果时，优先调用本工具用代码计算。每次调用都是全新执行环境（新标签页）。参数 input 会作为变量 input 传入代码。code 必须是函数体形式的代码，需要显式 return 一个可 JSON 序列化的值。支持 Canvas 绘图功能：调用 getCanvas(path, width, height) 获取 Canvas 元素，绘图后图像会自动导出保存为工件，不必再次保存工件。path 参数必选，用于指定工件在工作空间中的完整路径（可包含文件夹），必须以 .png 结尾，例如 'charts/bar-chart.png'。支持文件下载功能：调用 async downloadToWorkspace(filepath, mimeType, content) 将内容保存到工作区，filepath 是相对工作区根的子路径（不能用..向上），mimeType 是文件 MIME 类型，content 支持字符串、ArrayBuffer、TypedArray、Blob 等类型。你可以自己生成二进制或者文本内容，比如 wav mp3 mp4 png jpg js 等。较大的文件必须下载下来，不要通过返回值，返回值不允许超过10k，也不支持二进制。",
+          name: "subscribe_channel",
+          description: "订阅命名频道（如按部门或项目划分），之后发布到该频道的消息都会投递给你。频道不存在时自动创建。上级可以为自己的子智能体订阅频道。",
           parameters: {
             type: "object",
             properties: {
-              code: { type: "string", description: "要执行的 JavaScript 代码（函数体形式）" },
-              input: { description: "传入代码的输入参数，在代码中通过 input 变量访问" }
+              channel: { type: "string", description: "频道名称，字母/数字/中文开头，可包含 _ . -，最长 64 个字符" },
+              description: { type: "string", description: "可选，新建频道时的用途说明" },
+              agentId: { type: "string", description: "可选，要订阅的智能体ID（只能是自己或自己的子智能体），默认为自己" }
             },
-            required: ["code"]
+            required: ["channel"]
           }
         }
       },
-      // 上下文压缩
       {
         type: "function",
         function: {
-          name: "compress_context",
-          description: "【强制要求】压缩会话历史，保留系统提示词、最近消息和指定的重要内容摘要。当上下文使用率达到警告阈值(70%)或更高时必须调用。",
+          name: "unsubscribe_channel",
+          description: "取消订阅频道，之后不再收到该频道的消息。",
           parameters: {
             type: "object",
             properties: {
-              summary: { type: "string", description: "对被压缩历史的重要内容摘要，要包含重要的、必须保留的信息和历史经验的总结。" },
-              keepRecentCount: { type: "number", description: "保留最近多少条消息，默认30" }
+              channel: { type: "string", description: "频道名称" },
+              agentId: { type: "string", description: "可选，要取消订阅的智能体ID（只能是自己或自己的子智能体），默认为自己" }
             },
-            required: ["summary"]
+            required: ["channel"]
           }
         }
       },
-      // 上下文状态
       {
         type: "function",
         function: {
-          name: "get_context_status",
-          description: "查询当前智能体的上下文使用状态。",
-          parameters: { type: "object", properties: {} }
+          name: "publish_to_channel",
+          description: "向频道的所有订阅者（不含自己）广播消息，无需逐个列出收件人，后加入的成员订阅后也能收到之后的公告。订阅者可以直接回复你。",
+          parameters: {
+            type: "object",
+            properties: {
+              channel: { type: "string", description: "频道名称" },
+              payload: { type: "object", description: "消息内容，与 send_message 的 payload 相同" },
+              quickReplies: {
+                type: "array",
+                items: { type: "string" },
+                maxItems: 10,
+                description: "可选的快速回复建议列表，最多10个选项。"
+              },
+              priority: {
+                type: "string",
+                enum: ["urgent", "high", "normal", "low"],
+                description: "可选的投递优先级，含义同 send_message"
+              }
+            },
+            required: ["channel", "payload"]
+          }
         }
       },
-      // HTTP 请求
+      // 定时消息计划
       {
         type: "function",
         function: {
-          name: "http_request",
-          description: "发起 HTTPS 请求访问外部 API 或网页。仅支持 HTTPS 协议。",
+          name: "create_schedule",
+          description: "创建定时消息计划：按 cron 表达式或固定间隔反复向收件人发送同一条消息（如每个工作日早上的站会提醒、每小时的状态检查）。只需一次性延迟提醒时使用 send_message 的 delayMs。计划在重启后继续有效，创建者终止后自动取消。",
           parameters: {
             type: "object",
             properties: {
-              url: { type: "string", description: "请求 URL，必须是 HTTPS 协议" },
-              method: { type: "string", enum: ["GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS"] },
-              headers: { type: "object" },
-              body: {},
-              timeoutMs: { type: "number" }
+              to: { type: "array", items: { type: "string" }, description: "收件人ID数组，可以包含自己" },
+              payload: { type: "object", description: "每次触发时发送的消息内容，与 send_message 的 payload 相同" },
+              cron: { type: "string", description: "5 段 cron 表达式（分 时 日 月 周，按服务器本地时间），如 \"0 9 * * 1-5\" 表示每个工作日 09:00；也支持 @daily、@hourly 等别名。与 intervalMs 二选一" },
+              intervalMs: { type: "number", description: "固定触发间隔（毫秒，至少 60000）。与 cron 二选一" },
+              startAt: { type: "string", description: "可选，开始时间（如 \"2025-01-01 09:00:00\"），之前不触发" },
+              endAt: { type: "string", description: "可选，结束时间，之后计划自动完成" },
+              maxRuns: { type: "number", description: "可选，最多触发次数，达到后计划自动完成" },
+              name: { type: "string", description: "可选，计划名称，便于在列表中识别" }
             },
-            required: ["url"]
+            required: ["to", "payload"]
           }
         }
       },
-      // 文件操作
       {
         type: "function",
         function: {
-          name: "read_file",
-          description: "读取工作空间内的文件内容。支持分段读取大文件。",
+          name: "list_schedules",
+          description: "列出与自己相关的定时消息计划（自己创建的或发给自己的），包括下一次触发时间与已触发次数。",
           parameters: {
             type: "object",
             properties: {
-              path: { type: "string", description: "文件的相对路径" },
-              offset: { type: "number", description: "读取起始位置（字节/字符），默认为 0" },
-              length: { type: "number", description: "读取长度，默认为 100000。文本文件受字符数限制，二进制受字节数限制。" }
+              includeInactive: { type: "boolean", description: "是否包含已取消或已完成的计划，默认 false" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "cancel_schedule",
+          description: "取消自己创建的定时消息计划，已挂起的下一次触发会一并撤回。",
+          parameters: {
+            type: "object",
+            properties: {
+              scheduleId: { type: "string", description: "计划ID（create_schedule 或 list_schedules 返回）" }
             },
-            required: ["path"]
+            required: ["scheduleId"]
           }
         }
       },
+      // 会议
       {
         type: "function",
         function: {
-          name: "write_file",
-          description: "在工作空间内创建或修改文件。",
+          name: "create_meeting",
+          description: "以主持人身份召开会议：邀请多名智能体围绕同一主题讨论，所有发言写入共享的会议记录，按轮次发言，轮到谁时系统才通知谁并附上其未看过的记录。适合设计评审、方案讨论等需要多人共同讨论的场景，代替两两之间反复 send_message。",
           parameters: {
             type: "object",
             properties: {
-              path: { type: "string", description: "文件的相对路径" },
-              content: { type: "string", description: "文件内容。如果是二进制数据，请提供 Base64 编码字符串。" },
-              mimeType: { 
-                type: "string", 
-                description: "文件的 MIME 类型，如 'text/javascript', 'application/json' 等。" 
+              title: { type: "string", description: "会议主题" },
+              participants: { type: "array", items: { type: "string" }, description: "参会者ID数组（不含自己，自己是主持人）" },
+              agenda: { type: "string", description: "可选，议程与需要讨论清楚的问题" },
+              turnMode: {
+                type: "string",
+                enum: ["round_robin", "moderated"],
+                description: "发言方式：round_robin（默认）参会者按顺序轮流发言，每轮最后由主持人发言；moderated 由主持人用 grant_floor 逐个指定发言人"
               }
             },
-            required: ["path", "content","mimeType"]
+            required: ["title", "participants"]
           }
         }
       },
       {
         type: "function",
         function: {
-          name: "list_files",
-          description: "列出工作空间内指定目录的文件和子目录信息。",
+          name: "speak_in_meeting",
+          description: "在会议中发言。只有轮到自己时才能发言（主持人随时可以插话），发言后发言权自动交给下一位。无话可说时传 pass=true 跳过本轮。",
           parameters: {
             type: "object",
-            properties: { path: { type: "string", description: "目录的相对路径，默认为根目录 '.'" } }
+            properties: {
+              meetingId: { type: "string", description: "会议ID（会议通知中给出）" },
+              text: { type: "string", description: "发言内容" },
+              pass: { type: "boolean", description: "是否跳过本轮发言，默认 false" }
+            },
+            required: ["meetingId"]
           }
         }
       },
       {
         type: "function",
         function: {
-          name: "delete_file",
-          description: "删除工作空间内的指定文件。",
+          name: "grant_floor",
+          description: "主持人把发言权交给指定参会者，系统会通知对方发言。moderated 会议靠它推进；round_robin 会议中可用来让某人插队，之后从此人继续轮转。",
           parameters: {
             type: "object",
             properties: {
-              path: { type: "string", description: "要删除的文件相对路径" }
+              meetingId: { type: "string", description: "会议ID" },
+              agentId: { type: "string", description: "获得发言权的参会者ID" }
             },
-            required: ["path"]
+            required: ["meetingId", "agentId"]
           }
         }
       },
-      // 工作空间信息
       {
         type: "function",
         function: {
-          name: "get_workspace_info",
-          description: "获取当前工作空间的磁盘占用和文件统计信息。",
-          parameters: { type: "object", properties: {} }
+          name: "end_meeting",
+          description: "主持人结束会议并给出总结。会议纪要（总结与完整会议记录）写入主持人工作空间的 meetings/ 目录，所有参会者会收到会议结束通知与总结。",
+          parameters: {
+            type: "object",
+            properties: {
+              meetingId: { type: "string", description: "会议ID" },
+              summary: { type: "string", description: "会议总结：结论、分工与待办事项" }
+            },
+            required: ["meetingId", "summary"]
+          }
         }
       },
       {
         type: "function",
         function: {
-          name: "search_text",
-          description: "在工作空间的指定子文件夹内搜索文本字符串，返回匹配的文件名、行号和列号列表。",
+          name: "get_meeting_transcript",
+          description: "查看会议记录与当前发言人。只有主持人和参会者可以查看。",
           parameters: {
             type: "object",
             properties: {
-              path: {
-                type: "string",
-                description: "子目录的相对路径"
-              },
-              text: {
-                type: "string",
-                description: "要搜索的文本字符串"
-              },
-              caseSensitive: {
-                type: "boolean",
-                description: "是否区分大小写，默认为 true"
-              },
-              maxResults: {
-                type: "number",
-                description: "最大返回结果数，默认为 1000"
-              }
+              meetingId: { type: "string", description: "会议ID" },
+              sinceSeq: { type: "number", description: "可选，只返回序号大于该值的记录" }
             },
-            required: ["path", "text"]
+            required: ["meetingId"]
           }
         }
       },
-      // System Prompt 追加内容管理
+      // 任务黑板
       {
         type: "function",
         function: {
-          name: "get_system_prompt_appendix",
-          description: "获取当前智能体的 system prompt 追加内容。",
-          parameters: { type: "object", properties: {} }
+          name: "bb_get",
+          description: "读取当前任务黑板上的一个键。黑板是任务内所有智能体共享的结构化键值存储（按命名空间组织），用于协调进度、分工、锁等状态，代替在工作空间里写 markdown 文件。返回值带版本号 version，不存在时 found=false、version=0。",
+          parameters: {
+            type: "object",
+            properties: {
+              namespace: { type: "string", description: "命名空间，默认 default" },
+              key: { type: "string", description: "键名" }
+            },
+            required: ["key"]
+          }
         }
       },
       {
         type: "function",
         function: {
-          name: "set_system_prompt_appendix",
-          description: "设置当前智能体的 system prompt 追加内容。该内容会在每次请求大模型时自动追加到 system 提示词最后。可用于记忆、环境、工作信息、技能、任务、行为模式等。",
+          name: "bb_set",
+          description: "无条件写入当前任务黑板上的一个键（任意 JSON 值），版本号加一。多个智能体可能同时修改同一个键时，请改用 bb_compare_and_set。",
           parameters: {
             type: "object",
             properties: {
-              content: {
-                type: "string",
-                description: "要追加的内容，空字符串表示清除"
-              }
+              namespace: { type: "string", description: "命名空间，默认 default" },
+              key: { type: "string", description: "键名" },
+              value: { description: "要写入的 JSON 值（对象、数组、字符串、数字、布尔或 null）" }
             },
-            required: ["content"]
+            required: ["key", "value"]
           }
         }
       },
-      // 合并模块提供的工具定义
-      ...runtime.moduleLoader.getToolDefinitions()
-    ];
-    
-    // 本地模型工具（仅在模型文件存在且大于 1MB 时可用）
-    if (runtime?.localLlmAvailable?.available) {
-      baseTools.push({
+      {
         type: "function",
         function: {
-          name: "localllm_chat",
-          description: "通过本机 wllama headless 页面进行对话，返回生成文本字符串。",
+          name: "bb_compare_and_set",
+          description: "比较后写入：只有键的当前版本号等于 expectedVersion（或当前值等于 expectedValue）时才写入，否则返回 version_conflict 及当前版本与值。适合抢占任务、加锁、计数等并发修改。expectedVersion=0 表示键必须尚不存在。",
           parameters: {
             type: "object",
             properties: {
-              messages: {
-                type: "array",
-                description: "LLM 聊天消息列表（role/content）。",
-                items: {
-                  type: "object",
-                  properties: {
-                    role: { type: "string", enum: ["system", "user", "assistant"] },
-                    content: { type: "string" }
-                  },
-                  required: ["role", "content"]
-                }
-              },
-              timeoutMs: { type: "number", description: "可选：超时时间（毫秒）。" }
+              namespace: { type: "string", description: "命名空间，默认 default" },
+              key: { type: "string", description: "键名" },
+              value: { description: "要写入的 JSON 值" },
+              expectedVersion: { type: "number", description: "期望的当前版本号（bb_get 返回的 version），与 expectedValue 二选一" },
+              expectedValue: { description: "期望的当前值，与 expectedVersion 二选一" }
             },
-            required: ["messages"]
+            required: ["key", "value"]
           }
         }
-      });
-    }
-    
-    return baseTools;
-  }
-
-  /**
-   * 执行工具调用
-   * 
-   * @param {object} ctx - 智能体上下文
-   * @param {string} toolName - 工具名称
-   * @param {object} args - 工具参数
-   * @returns {Promise<any>} 执行结果
-   */
-  async executeToolCall(ctx, toolName, args) {
-    const runtime = this.runtime;
-    
-    try {
-      void runtime.log?.debug?.("执行工具调用", {
-        agentId: ctx.agent?.id ?? null,
-        toolName,
-        args: args ?? null
-      });
-      
-      // 检查模块工具
-      if (runtime.moduleLoader.hasToolName(toolName)) {
-        const result = await runtime.moduleLoader.executeToolCall(ctx, toolName, args);
-        void runtime.log?.debug?.("模块工具调用完成", { toolName, ok: !result?.error });
-        return result;
-      }
-      
-      // 分发到具体的工具处理方法
-      switch (toolName) {
-        case "find_role_by_name":
-          return this._executeFindRoleByName(ctx, args);
-        case "create_role":
-          return await this._executeCreateRole(ctx, args);
-        case "list_org_template_infos":
-          return await this._executeListOrgTemplateInfos(ctx);
-        case "get_org_template_org":
-          return await this._executeGetOrgTemplateOrg(ctx, args);
-        case "get_org_structure":
-          return this._executeGetOrgStructure(ctx, args);
-        case "spawn_agent_with_task":
-          return await this._executeSpawnAgentWithTask(ctx, args);
-        case "send_message":
-          return this._executeSendMessage(ctx, args);
-        case "terminate_agent":
-          return await this._executeTerminateAgent(ctx, args);
-        case "run_javascript":
-          return await this._executeRunJavaScript(ctx, args);
-        case "compress_context":
-          return this._executeCompressContext(ctx, args);
-        case "get_context_status":
-          return this._executeGetContextStatus(ctx, args);
-        case "http_request":
-          return await this._executeHttpRequest(ctx, args);
-        case "localllm_chat":
-          return await this._executeLocalllmChat(ctx, args);
-        case "read_file":
-          return await this._executeReadFile(ctx, args);
-        case "write_file":
-          return await this._executeWriteFile(ctx, args);
-        case "list_files":
-          return await this._executeListFiles(ctx, args);
-        case "delete_file":
-          return await this._executeDeleteFile(ctx, args);
-        case "get_workspace_info":
-          return await this._executeGetWorkspaceInfo(ctx, args);
-        case "search_text":
-          return await this._executeSearchText(ctx, args);
-        case "get_system_prompt_appendix":
-          return this._executeGetSystemPromptAppendix(ctx, args);
-        case "set_system_prompt_appendix":
-          return this._executeSetSystemPromptAppendix(ctx, args);
-        default:
-          void runtime.log?.warn?.("未知工具调用", { toolName });
+      },
+      {
+        type: "function",
+        function: {
+          name: "bb_list",
+          description: "列出当前任务黑板上的键（含版本号、最后修改者与时间），可按命名空间和键名前缀过滤。",
+          parameters: {
+            type: "object",
+            properties: {
+              namespace: { type: "string", description: "可选，只列出该命名空间" },
+              prefix: { type: "string", description: "可选，只列出以此开头的键" },
+              includeValues: { type: "boolean", description: "是否返回值，默认 true；键很多时可设为 false 只看清单" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "bb_watch",
+          description: "关注当前任务黑板上某个命名空间（不传 key）或某个键的变更。其他智能体修改后你会收到【黑板通知：数据已变更】消息，包含新值与版本号，无需反复轮询 bb_get。",
+          parameters: {
+            type: "object",
+            properties: {
+              namespace: { type: "string", description: "命名空间，默认 default" },
+              key: { type: "string", description: "可选，只关注该键；不传时关注整个命名空间" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "bb_unwatch",
+          description: "取消关注黑板变更。不传 namespace 时取消自己在当前任务黑板上的全部关注。",
+          parameters: {
+            type: "object",
+            properties: {
+              namespace: { type: "string", description: "命名空间" },
+              key: { type: "string", description: "可选，关注时指定的键" }
+            }
+          }
+        }
+      },
+      // 评审
+      {
+        type: "function",
+        function: {
+          name: "request_review",
+          description: "提交交付物评审：把工作空间中的文件固化为工件快照，连同任务委托书中的验收标准（completion_criteria）发给一名或多名评审人。评审人逐一给出结论（通过或要求修改并附意见），每条结论都会通知你；全部评审人给出结论后评审结束。",
+          parameters: {
+            type: "object",
+            properties: {
+              title: { type: "string", description: "评审标题，如\"登录模块代码评审\"" },
+              reviewers: { type: "array", items: { type: "string" }, description: "评审人ID数组（不能包含自己）" },
+              files: { type: "array", items: { type: "string" }, description: "要评审的工作空间文件路径数组" },
+              description: { type: "string", description: "可选，需要评审人重点关注的内容" },
+              completionCriteria: { description: "可选，验收标准；不传时使用你的任务委托书中的 completion_criteria" },
+              previousReviewId: { type: "string", description: "可选，按上一轮评审意见修改后重新提交时，填写上一轮的 reviewId" }
+            },
+            required: ["title", "reviewers", "files"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "submit_review",
+          description: "评审人提交评审结论。verdict 为 approve（通过）或 request_changes（要求修改，必须在 comments 中写明需要修改的内容）。评审结束前可以再次调用修改结论。",
+          parameters: {
+            type: "object",
+            properties: {
+              reviewId: { type: "string", description: "评审ID（评审请求中给出）" },
+              verdict: { type: "string", enum: ["approve", "request_changes"], description: "评审结论" },
+              comments: { type: "string", description: "评审意见，request_changes 时必填" }
+            },
+            required: ["reviewId", "verdict"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "list_reviews",
+          description: "列出与自己相关的评审（自己提交的或需要自己评审的），包括各评审人的结论与尚未给出结论的评审人。",
+          parameters: {
+            type: "object",
+            properties: {
+              as: { type: "string", enum: ["requester", "reviewer"], description: "可选，只看自己提交的（requester）或需要自己评审的（reviewer）" },
+              includeClosed: { type: "boolean", description: "是否包含已结束或已撤回的评审，默认 false" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "cancel_review",
+          description: "撤回自己提交且尚未结束的评审，尚未给出结论的评审人会收到通知。",
+          parameters: {
+            type: "object",
+            properties: {
+              reviewId: { type: "string", description: "评审ID" }
+            },
+            required: ["reviewId"]
+          }
+        }
+      },
+      // 委派任务跟踪
+      {
+        type: "function",
+        function: {
+          name: "update_task",
+          description: "汇报委派任务的状态与进度。spawn_agent_with_task 委派的每个任务都会被登记跟踪（trackedTaskId 见任务消息）。完成（done）、失败（failed）或受阻（blocked）时委派者会自动收到通知，不必再单独发消息汇报状态；受阻和失败时必须在 note 中说明原因。",
+          parameters: {
+            type: "object",
+            properties: {
+              trackedTaskId: { type: "string", description: "任务跟踪ID；不传时为自己当前正在执行的任务" },
+              status: { type: "string", enum: ["open", "in_progress", "blocked", "done", "failed", "cancelled"], description: "新状态" },
+              progress: { type: "number", description: "进度百分比（0-100），done 时自动为 100" },
+              note: { type: "string", description: "说明：进展、受阻原因或失败原因" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "set_task_dependencies",
+          description: "声明任务之间的依赖：指定某个任务必须等待哪些任务完成（替换原有依赖列表，传空数组表示清除）。不允许形成循环依赖。依赖的任务结束时，该任务的执行者会收到通知。",
+          parameters: {
+            type: "object",
+            properties: {
+              trackedTaskId: { type: "string", description: "任务跟踪ID" },
+              dependsOn: { type: "array", items: { type: "string" }, description: "需要先完成的任务跟踪ID数组" }
+            },
+            required: ["trackedTaskId", "dependsOn"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "list_tasks",
+          description: "列出与自己相关的委派任务（自己执行的或自己委派出去的），包括状态、进度与尚未完成的依赖（waitingOn）。",
+          parameters: {
+            type: "object",
+            properties: {
+              scope: { type: "string", enum: ["assigned", "delegated"], description: "可选，只看自己执行的（assigned）或自己委派的（delegated）" },
+              includeClosed: { type: "boolean", description: "是否包含已完成、失败或取消的任务，默认 false" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "get_task",
+          description: "查看委派任务详情：任务委托书、状态历史、依赖、依赖它的任务与子任务。",
+          parameters: {
+            type: "object",
+            properties: {
+              trackedTaskId: { type: "string", description: "任务跟踪ID；不传时为自己当前正在执行的任务" }
+            }
+          }
+        }
+      },
+      // 终止智能体
+      {
+        type: "function",
+        function: {
+          name: "terminate_agent",
+          description: "终止指定的子智能体实例并回收资源。只能终止自己创建的子智能体。默认会级联终止它的全部下属；只需要替换负责人时，用 handoverTo 指定接手人，它的直接下属（连同各自的下属）会调整给接手人继续工作。",
+          parameters: {
+            type: "object",
+            properties: {
+              agentId: { type: "string", description: "要终止的智能体ID" },
+              reason: { type: "string", description: "终止原因（可选）" },
+              handoverTo: { type: "string", description: "可选，接手其下属的智能体ID（你自己或你的下属，不能是被终止者的下属）" }
+            },
+            required: ["agentId"]
+          }
+        }
+      },
+      // 调整上级
+      {
+        type: "function",
+        function: {
+          name: "reassign_agent",
+          description: "把子智能体（连同它的全部下属）调整到新的上级下，例如在团队之间调配成员。新上级必须是你自己或你的下属，且不能是被调整者的下属。被调整者及新上级会收到通知，旧上级委派给它的未完成任务转交给新上级跟踪。",
+          parameters: {
+            type: "object",
+            properties: {
+              agentId: { type: "string", description: "要调整的子智能体ID" },
+              newParentId: { type: "string", description: "新上级的智能体ID" }
+            },
+            required: ["agentId", "newParentId"]
+          }
+        }
+      },
+      // 暂停与恢复智能体
+      {
+        type: "function",
+        function: {
+          name: "suspend_agent",
+          description: "暂停自己创建的子智能体（可连同其全部下属）。暂停不是终止：对方的会话与收件箱都保留，只是不再处理消息；暂停期间发给它的消息会在恢复后按序处理。适合暂时不需要的团队成员，之后用 resume_agent 恢复。",
+          parameters: {
+            type: "object",
+            properties: {
+              agentId: { type: "string", description: "要暂停的子智能体ID" },
+              includeDescendants: { type: "boolean", description: "是否同时暂停其全部下属，默认 false" },
+              reason: { type: "string", description: "暂停原因（可选）" }
+            },
+            required: ["agentId"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "resume_agent",
+          description: "恢复被暂停的子智能体（可连同其全部下属），它会继续处理暂停期间积压的消息。",
+          parameters: {
+            type: "object",
+            properties: {
+              agentId: { type: "string", description: "要恢复的子智能体ID" },
+              includeDescendants: { type: "boolean", description: "是否同时恢复其全部下属，默认 false" }
+            },
+            required: ["agentId"]
+          }
+        }
+      },
+      // 分叉智能体
+      {
+        type: "function",
+        function: {
+          name: "fork_agent",
+          description: "分叉子智能体：创建一个同岗位的新下属，带上原智能体的会话上下文（可截断到某条消息之前）和联系人，用于在不干扰原智能体的情况下探索另一种方案。副本创建后处于等待状态，需要你用 send_message 给它新的指示。",
+          parameters: {
+            type: "object",
+            properties: {
+              agentId: { type: "string", description: "要分叉的子智能体ID" },
+              truncateAt: { type: "number", description: "可选，只复制下标小于该值的会话消息（从 0 开始计，至少为 1），默认复制全部" },
+              name: { type: "string", description: "可选，副本的姓名" }
+            },
+            required: ["agentId"]
+          }
+        }
+      },
+      // JavaScript 执行
+      {
+        type: "function",
+        function: {
+          name: "run_javascript",
+          description: "在浏览器环境中运行 JavaScript 代码。支持异步代码（可使用 await 和返回 Promise）。涉及严格计算/精确数值/统计/日期时间/格式转换等必须可复现的结果时，优先调用本工具用代码计算。每次调用都是全新执行环境（新标签页）。参数 input 会作为变量 input 传入代码。code 必须是函数体形式的代码，需要显式 return 一个可 JSON 序列化的值。支持 Canvas 绘图功能：调用 getCanvas(path, width, height) 获取 Canvas 元素，绘图后图像会自动导出保存为工件，不必再次保存工件。path 参数必选，用于指定工件在工作空间中的完整路径（可包含文件夹），必须以 .png 结尾，例如 'charts/bar-chart.png'。支持文件下载功能：调用 async downloadToWorkspace(filepath, mimeType, content) 将内容保存到工作区，filepath 是相对工作区根的子路径（不能用..向上），mimeType 是文件 MIME 类型，content 支持字符串、ArrayBuffer、TypedArray、Blob 等类型。你可以自己生成二进制或者文本内容，比如 wav mp3 mp4 png jpg js 等。较大的文件必须下载下来，不要通过返回值，返回值不允许超过10k，也不支持二进制。",
+          parameters: {
+            type: "object",
+            properties: {
+              code: { type: "string", description: "要执行的 JavaScript 代码（函数体形式）" },
+              input: { description: "传入代码的输入参数，在代码中通过 input 变量访问" }
+            },
+            required: ["code"]
+          }
+        }
+      },
+      // 上下文压缩
+      {
+        type: "function",
+        function: {
+          name: "compress_context",
+          description: "【强制要求】压缩会话历史，保留系统提示词、最近消息和指定的重要内容摘要。当上下文使用率达到警告阈值(70%)或更高时必须调用。",
+          parameters: {
+            type: "object",
+            properties: {
+              summary: { type: "string", description: "对被压缩历史的重要内容摘要，要包含重要的、必须保留的信息和历史经验的总结。" },
+              keepRecentCount: { type: "number", description: "保留最近多少条消息，默认30" }
+            },
+            required: ["summary"]
+          }
+        }
+      },
+      // 上下文状态
+      {
+        type: "function",
+        function: {
+          name: "get_context_status",
+          description: "查询当前智能体的上下文使用状态。",
+          parameters: { type: "object", properties: {} }
+        }
+      },
+      // HTTP 请求
+      {
+        type: "function",
+        function: {
+          name: "http_request",
+          description: "发起 HTTPS 请求访问外部 API 或网页。仅支持 HTTPS 协议。",
+          parameters: {
+            type: "object",
+            properties: {
+              url: { type: "string", description: "请求 URL，必须是 HTTPS 协议" },
+              method: { type: "string", enum: ["GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS"] },
+              headers: { type: "object" },
+              body: {},
+              timeoutMs: { type: "number" }
+            },
+            required: ["url"]
+          }
+        }
+      },
+      // 文件操作
+      {
+        type: "function",
+        function: {
+          name: "read_file",
+          description: "读取工作空间内的文件内容。支持分段读取大文件。返回的 revision 为文件当前修订号，可在写入时作为 expectedRevision 防止覆盖他人的修改。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              offset: { type: "number", description: "读取起始位置（字节/字符），默认为 0" },
+              length: { type: "number", description: "读取长度，默认为 100000。文本文件受字符数限制，二进制受字节数限制。" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "write_file",
+          description: "在工作空间内创建或修改文件。提供 expectedRevision 时，若文件已被他人修改则拒绝写入并返回 revision_conflict；文件被其他智能体锁定时返回 file_locked；超出磁盘配额时返回 quota_exceeded。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              content: { type: "string", description: "文件内容。如果是二进制数据，请提供 Base64 编码字符串。" },
+              mimeType: { 
+                type: "string", 
+                description: "文件的 MIME 类型，如 'text/javascript', 'application/json' 等。" 
+              },
+              expectedRevision: { type: "string", description: "期望的文件当前修订号（read_file 返回的 revision），用于防止覆盖他人的并发修改" }
+            },
+            required: ["path", "content","mimeType"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "edit_file",
+          description: "通过精确查找替换编辑工作空间内的文本文件，只需提供要修改的片段，无需重写整个文件。每个 oldText 必须与文件内容逐字符一致且唯一（replaceAll 为 true 时替换全部出现）。任一编辑块无法应用时整体失败并返回冲突说明，文件保持不变。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              edits: {
+                type: "array",
+                description: "按顺序应用的编辑块列表",
+                items: {
+                  type: "object",
+                  properties: {
+                    oldText: { type: "string", description: "要查找的原文（需包含足够上下文以保证唯一）" },
+                    newText: { type: "string", description: "替换后的文本，空字符串表示删除" },
+                    replaceAll: { type: "boolean", description: "是否替换所有出现，默认为 false" }
+                  },
+                  required: ["oldText", "newText"]
+                }
+              },
+              expectedRevision: { type: "string", description: "期望的文件当前修订号（read_file 返回的 revision）" }
+            },
+            required: ["path", "edits"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "apply_patch",
+          description: "将统一差异（unified diff）格式的补丁应用到工作空间内的文本文件。补丁需包含 @@ -起始行,行数 +起始行,行数 @@ 头及带 ' '/'-'/'+' 前缀的行；行号偏移时会自动在附近寻找匹配的上下文。上下文不匹配时整体失败并返回冲突位置，文件保持不变。文件不存在时按空文件处理。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              patch: { type: "string", description: "统一差异文本" },
+              expectedRevision: { type: "string", description: "期望的文件当前修订号（read_file 返回的 revision）" }
+            },
+            required: ["path", "patch"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "move_file",
+          description: "移动或重命名工作空间内的文件或目录（目录递归移动）。文件的版本历史随文件迁移，不需要读取后重写。适合把过期版本移入归档目录等整理工作。",
+          parameters: {
+            type: "object",
+            properties: {
+              from: { type: "string", description: "源文件或目录的相对路径" },
+              to: { type: "string", description: "目标相对路径（完整路径，而非所在目录）" },
+              overwrite: { type: "boolean", description: "目标文件已存在时是否覆盖，默认为 false；目录不支持覆盖" }
+            },
+            required: ["from", "to"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "copy_file",
+          description: "复制工作空间内的文件或目录（目录递归复制），副本继承源文件的版本历史。",
+          parameters: {
+            type: "object",
+            properties: {
+              from: { type: "string", description: "源文件或目录的相对路径" },
+              to: { type: "string", description: "目标相对路径（完整路径，而非所在目录）" },
+              overwrite: { type: "boolean", description: "目标文件已存在时是否覆盖，默认为 false；目录不支持覆盖" }
+            },
+            required: ["from", "to"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "make_dir",
+          description: "在工作空间内创建目录（自动创建上级目录），目录已存在时不报错。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "目录的相对路径" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "import_archive",
+          description: "将 zip 或 tar.gz 归档解包到工作空间，每个文件都会生成版本记录。归档来源二选一：工作空间内的归档文件路径（如用户上传的文件）或 artifactId。含绝对路径或 .. 的归档会被整体拒绝；已存在的文件默认跳过。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "工作空间内归档文件的相对路径" },
+              artifactId: { type: "string", description: "保存归档内容的工件 ID" },
+              targetDir: { type: "string", description: "解包到的目标目录，默认为工作空间根目录" },
+              overwrite: { type: "boolean", description: "已存在的文件是否覆盖，默认为 false" }
+            }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "lock_file",
+          description: "为工作空间内的文件加建议锁，锁定期间其他智能体对该文件的写入、编辑和删除会被拒绝（file_locked）。锁到期自动失效，重复加锁会续期。适合在较长的多步修改前声明占用。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              ttlMs: { type: "number", description: "锁有效期（毫秒），默认 300000（5 分钟），最长 3600000（1 小时）" },
+              reason: { type: "string", description: "加锁原因，会显示在界面上" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "unlock_file",
+          description: "释放自己持有的文件建议锁。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "list_files",
+          description: "列出工作空间内指定目录的文件和子目录信息。",
+          parameters: {
+            type: "object",
+            properties: { path: { type: "string", description: "目录的相对路径，默认为根目录 '.'" } }
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "delete_file",
+          description: "删除工作空间内的指定文件。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "要删除的文件相对路径" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      // 工作空间信息
+      {
+        type: "function",
+        function: {
+          name: "get_workspace_info",
+          description: "获取当前工作空间的磁盘占用、文件统计信息和磁盘配额使用情况（quota）。",
+          parameters: { type: "object", properties: {} }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "search_text",
+          description: "在工作空间内全文检索（基于索引，适合大型工作空间）。支持多词、短语、正则三种模式和文件路径通配符过滤，返回按相关度排序的文件列表，每个文件附带匹配行及上下文。只提供 glob 不提供 text 时按文件名查找。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "限定搜索的子目录相对路径，默认为根目录 '.'"
+              },
+              text: {
+                type: "string",
+                description: "查询内容。text 模式下为空格分隔的多个词（需全部出现）；phrase 模式下为完整短语；regex 模式下为正则表达式"
+              },
+              mode: {
+                type: "string",
+                enum: ["text", "phrase", "regex"],
+                description: "查询模式，默认为 text"
+              },
+              glob: {
+                type: "string",
+                description: "文件路径通配符，如 '*.md'、'src/**/*.js'、'*.{ts,vue}'"
+              },
+              caseSensitive: {
+                type: "boolean",
+                description: "是否区分大小写，默认为 false"
+              },
+              contextLines: {
+                type: "number",
+                description: "每个匹配行前后附带的上下文行数，默认为 2，最大 10"
+              },
+              maxResults: {
+                type: "number",
+                description: "最多返回的文件数，默认为 50"
+              }
+            }
+          }
+        }
+      },
+      // 文件版本管理
+      {
+        type: "function",
+        function: {
+          name: "list_file_versions",
+          description: "列出工作空间内某个文件的所有历史版本（版本号、操作类型、操作者、时间、大小、是否可恢复）。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "diff_file_versions",
+          description: "以统一差异（unified diff）格式对比文件的两个版本。不指定版本时对比最新版本与其上一个版本。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              fromVersion: { type: "number", description: "起始版本号，0 表示空文件；默认为 toVersion 的上一个版本" },
+              toVersion: { type: "number", description: "目标版本号，默认为最新版本" }
+            },
+            required: ["path"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "restore_file_version",
+          description: "将文件恢复到指定的历史版本。恢复会作为一次新的写入记录到版本历史中，之后的版本不会丢失。",
+          parameters: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "文件的相对路径" },
+              version: { type: "number", description: "要恢复到的版本号" }
+            },
+            required: ["path", "version"]
+          }
+        }
+      },
+      // 工件管理
+      {
+        type: "function",
+        function: {
+          name: "put_artifact",
+          description: "保存一个不可变工件（文本、JSON、图片或二进制数据），返回按内容寻址的 artifactId。相同内容会复用同一个工件。可在 send_message 的 payload.artifacts 中传递 artifactId 给其他智能体。",
+          parameters: {
+            type: "object",
+            properties: {
+              content: { type: "string", description: "工件内容。二进制数据（如图片）请提供 Base64 编码字符串并设置 encoding 为 base64。" },
+              type: { type: "string", enum: ["text", "json", "image", "binary"], description: "工件类型，缺省时按 mimeType 推断" },
+              name: { type: "string", description: "工件名称（可选），用于展示" },
+              mimeType: { type: "string", description: "MIME 类型，如 'text/markdown'、'image/png'" },
+              encoding: { type: "string", enum: ["utf8", "base64"], description: "content 的编码方式，默认为 utf8" }
+            },
+            required: ["content"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "get_artifact",
+          description: "按 artifactId 读取工件的元数据与内容。文本类工件返回 content，其它类型返回 contentBase64。",
+          parameters: {
+            type: "object",
+            properties: {
+              artifactId: { type: "string", description: "工件 ID" },
+              offset: { type: "number", description: "读取起始位置（字节），默认为 0" },
+              length: { type: "number", description: "读取长度（字节），默认为 100000" }
+            },
+            required: ["artifactId"]
+          }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "show_artifacts",
+          description: "在用户的 Web 界面中以画廊形式展示一组工件。需要用户已打开 Web 界面。",
+          parameters: {
+            type: "object",
+            properties: {
+              artifactIds: { type: "array", items: { type: "string" }, description: "要展示的工件 ID 列表" },
+              title: { type: "string", description: "画廊标题（可选）" },
+              timeoutMs: { type: "number", description: "等待界面确认的超时时间（毫秒），默认为 10000" }
+            },
+            required: ["artifactIds"]
+          }
+        }
+      },
+      // System Prompt 追加内容管理
+      {
+        type: "function",
+        function: {
+          name: "get_system_prompt_appendix",
+          description: "获取当前智能体的 system prompt 追加内容。",
+          parameters: { type: "object", properties: {} }
+        }
+      },
+      {
+        type: "function",
+        function: {
+          name: "set_system_prompt_appendix",
+          description: "设置当前智能体的 system prompt 追加内容。该内容会在每次请求大模型时自动追加到 system 提示词最后。可用于记忆、环境、工作信息、技能、任务、行为模式等。",
+          parameters: {
+            type: "object",
+            properties: {
+              content: {
+                type: "string",
+                description: "要追加的内容，空字符串表示清除"
+              }
+            },
+            required: ["content"]
+          }
+        }
+      },
+      // 合并模块提供的工具定义
+      ...runtime.moduleLoader.getToolDefinitions()
+    ];
+    
+    // 本地模型工具（仅在模型文件存在且大于 1MB 时可用）
+    if (runtime?.localLlmAvailable?.available) {
+      baseTools.push({
+        type: "function",
+        function: {
+          name: "localllm_chat",
+          description: "通过本机 wllama headless 页面进行对话，返回生成文本字符串。",
+          parameters: {
+            type: "object",
+            properties: {
+              messages: {
+                type: "array",
+                description: "LLM 聊天消息列表（role/content）。",
+                items: {
+                  type: "object",
+                  properties: {
+                    role: { type: "string", enum: ["system", "user", "assistant"] },
+                    content: { type: "string" }
+                  },
+                  required: ["role", "content"]
+                }
+              },
+              timeoutMs: { type: "number", description: "可选：超时时间（毫秒）。" }
+            },
+            required: ["messages"]
+          }
+        }
+      });
+    }
+    
+    return baseTools;
+  }
+
+  /**
+   * 执行工具调用
+   * 
+   * @param {object} ctx - 智能体上下文
+   * @param {string} toolName - 工具名称
+   * @param {object} args - 工具参数
+   * @returns {Promise<any>} 执行结果
+   */
+  async executeToolCall(ctx, toolName, args) {
+    const runtime = this.runtime;
+    
+    try {
+      void runtime.log?.debug?.("执行工具调用", {
+        agentId: ctx.agent?.id ?? null,
+        toolName,
+        args: args ?? null
+      });
+      
+      // 检查模块工具
+      if (runtime.moduleLoader.hasToolName(toolName)) {
+        const result = await runtime.moduleLoader.executeToolCall(ctx, toolName, args);
+        void runtime.log?.debug?.("模块工具调用完成", { toolName, ok: !result?.error });
+        return result;
+      }
+      
+      // 分发到具体的工具处理方法
+      switch (toolName) {
+        case "find_role_by_name":
+          return this._executeFindRoleByName(ctx, args);
+        case "create_role":
+          return await this._executeCreateRole(ctx, args);
+        case "list_org_template_infos":
+          return await this._executeListOrgTemplateInfos(ctx);
+        case "get_org_template_org":
+          return await this._executeGetOrgTemplateOrg(ctx, args);
+        case "get_org_structure":
+          return this._executeGetOrgStructure(ctx, args);
+        case "spawn_agent_with_task":
+          return await this._executeSpawnAgentWithTask(ctx, args);
+        case "send_message":
+          return this._executeSendMessage(ctx, args);
+        case "reply_to_message":
+          return this._executeReplyToMessage(ctx, args);
+        case "subscribe_channel":
+          return await this._executeSubscribeChannel(ctx, args);
+        case "unsubscribe_channel":
+          return await this._executeUnsubscribeChannel(ctx, args);
+        case "publish_to_channel":
+          return this._executePublishToChannel(ctx, args);
+        case "create_schedule":
+          return await this._executeCreateSchedule(ctx, args);
+        case "list_schedules":
+          return this._executeListSchedules(ctx, args);
+        case "cancel_schedule":
+          return await this._executeCancelSchedule(ctx, args);
+        case "create_meeting":
+          return await this._executeCreateMeeting(ctx, args);
+        case "speak_in_meeting":
+          return await this._executeSpeakInMeeting(ctx, args);
+        case "grant_floor":
+          return await this._executeGrantFloor(ctx, args);
+        case "end_meeting":
+          return await this._executeEndMeeting(ctx, args);
+        case "get_meeting_transcript":
+          return this._executeGetMeetingTranscript(ctx, args);
+        case "bb_get":
+        case "bb_set":
+        case "bb_compare_and_set":
+        case "bb_list":
+        case "bb_watch":
+        case "bb_unwatch":
+          return await this._executeBlackboardTool(ctx, toolName, args);
+        case "request_review":
+          return await this._executeRequestReview(ctx, args);
+        case "submit_review":
+          return await this._executeSubmitReview(ctx, args);
+        case "list_reviews":
+          return this._executeListReviews(ctx, args);
+        case "cancel_review":
+          return await this._executeCancelReview(ctx, args);
+        case "update_task":
+          return await this._executeUpdateTask(ctx, args);
+        case "set_task_dependencies":
+          return await this._executeSetTaskDependencies(ctx, args);
+        case "list_tasks":
+          return this._executeListTasks(ctx, args);
+        case "get_task":
+          return this._executeGetTask(ctx, args);
+        case "terminate_agent":
+          return await this._executeTerminateAgent(ctx, args);
+        case "set_role_status":
+          return await this._executeSetRoleStatus(ctx, args);
+        case "reassign_agent":
+          return await this._executeReassignAgent(ctx, args);
+        case "suspend_agent":
+          return await this._executeSuspendAgent(ctx, args);
+        case "resume_agent":
+          return await this._executeResumeAgent(ctx, args);
+        case "fork_agent":
+          return await this._executeForkAgent(ctx, args);
+        case "run_javascript":
+          return await this._executeRunJavaScript(ctx, args);
+        case "compress_context":
+          return this._executeCompressContext(ctx, args);
+        case "get_context_status":
+          return this._executeGetContextStatus(ctx, args);
+        case "http_request":
+          return await this._executeHttpRequest(ctx, args);
+        case "localllm_chat":
+          return await this._executeLocalllmChat(ctx, args);
+        case "read_file":
+          return await this._executeReadFile(ctx, args);
+        case "write_file":
+          return await this._executeWriteFile(ctx, args);
+        case "edit_file":
+          return await this._executeEditFile(ctx, args);
+        case "apply_patch":
+          return await this._executeApplyPatch(ctx, args);
+        case "move_file":
+          return await this._executeTransferFile(ctx, args, "move");
+        case "copy_file":
+          return await this._executeTransferFile(ctx, args, "copy");
+        case "make_dir":
+          return await this._executeMakeDir(ctx, args);
+        case "import_archive":
+          return await this._executeImportArchive(ctx, args);
+        case "lock_file":
+          return await this._executeLockFile(ctx, args);
+        case "unlock_file":
+          return await this._executeUnlockFile(ctx, args);
+        case "list_files":
+          return await this._executeListFiles(ctx, args);
+        case "delete_file":
+          return await this._executeDeleteFile(ctx, args);
+        case "get_workspace_info":
+          return await this._executeGetWorkspaceInfo(ctx, args);
+        case "search_text":
+          return await this._executeSearchText(ctx, args);
+        case "list_file_versions":
+          return await this._executeListFileVersions(ctx, args);
+        case "diff_file_versions":
+          return await this._executeDiffFileVersions(ctx, args);
+        case "restore_file_version":
+          return await this._executeRestoreFileVersion(ctx, args);
+        case "put_artifact":
+          return await this._executePutArtifact(ctx, args);
+        case "get_artifact":
+          return await this._executeGetArtifact(ctx, args);
+        case "show_artifacts":
+          return await this._executeShowArtifacts(ctx, args);
+        case "get_system_prompt_appendix":
+          return this._executeGetSystemPromptAppendix(ctx, args);
+        case "set_system_prompt_appendix":
+          return this._executeSetSystemPromptAppendix(ctx, args);
+        default:
+          void runtime.log?.warn?.("未知工具调用", { toolName });
           return { error: `unknown_tool:${toolName}` };
       }
     } catch (err) {
-      const message = err && typeof err.message === "string" ? err.message : String(err ?? "unknown error");
-      void runtime.log?.error?.("工具调用执行失败", { toolName, message });
-      return { error: "tool_execution_failed", toolName, message };
+      const message = err && typeof err.message === "string" ? err.message : String(err ?? "unknown error");
+      void runtime.log?.error?.("工具调用执行失败", { toolName, message });
+      return { error: "tool_execution_failed", toolName, message };
+    }
+  }
+
+  // ========== 工具执行方法 ==========
+
+  _executeFindRoleByName(ctx, args) {
+    const statuses = Array.isArray(args.statuses) ? args.statuses : undefined;
+    const result = ctx.tools.findRoleByName(args.name, { statuses });
+    void this.runtime.log?.debug?.("工具调用完成", { toolName: "find_role_by_name", ok: true });
+    return result;
+  }
+
+  _executeGetOrgStructure(ctx, args) {
+    const runtime = this.runtime;
+    const org = ctx.org;
+    const includeTerminated = Boolean(args?.includeTerminated);
+    const persistedRoles = org ? org.listRoles() : [];
+    const persistedAgents = org ? org.listAgents() : [];
+    const agentMetaById = new Map();
+    agentMetaById.set("root", { id: "root", name: null });
+    agentMetaById.set("user", { id: "user", name: null });
+
+    for (const a of persistedAgents) {
+      if (!a || typeof a.id !== "string" || typeof a.roleId !== "string") continue;
+      const status = a.status ?? "active";
+      if (!includeTerminated && status === "terminated") continue;
+      agentMetaById.set(a.id, { id: a.id, name: a.name ?? null });
+    }
+
+    const selfAgentId = ctx.agent?.id ?? null;
+    const self = selfAgentId
+      ? {
+          agentId: selfAgentId,
+          roleId: ctx.agent?.roleId ?? null,
+          roleName: ctx.agent?.roleName ?? null,
+          agentName: agentMetaById.get(selfAgentId)?.name ?? null
+        }
+      : null;
+
+    const workspaceKeyOf = (agentId) => {
+      const ws = runtime.findWorkspaceIdForAgent(agentId);
+      return ws ?? "null";
+    };
+
+    const roleNameByRoleId = new Map(persistedRoles.map((r) => [r.id, r.name]));
+    const roleById = new Map(persistedRoles.map((r) => [r.id, r]));
+    const pushOrgRoleAgentId = (orgKey, roleId, agentId) => {
+      let byRole = orgRoleAgentIdsByOrgKey.get(orgKey);
+      if (!byRole) {
+        byRole = new Map();
+        orgRoleAgentIdsByOrgKey.set(orgKey, byRole);
+      }
+      const list = byRole.get(roleId);
+      if (list) list.push(agentId);
+      else byRole.set(roleId, [agentId]);
+    };
+
+    const orgRoleAgentIdsByOrgKey = new Map();
+    pushOrgRoleAgentId(workspaceKeyOf("root"), "root", "root");
+    pushOrgRoleAgentId(workspaceKeyOf("user"), "user", "user");
+    for (const a of persistedAgents) {
+      if (!a || typeof a.id !== "string" || typeof a.roleId !== "string") continue;
+      const status = a.status ?? "active";
+      if (!includeTerminated && status === "terminated") continue;
+      pushOrgRoleAgentId(workspaceKeyOf(a.id), a.roleId, a.id);
+    }
+
+    const buildOrg = (orgKey) => {
+      const byRole = orgRoleAgentIdsByOrgKey.get(orgKey) ?? new Map();
+      const orgRoleIds = Array.from(byRole.keys());
+      const outRoles = orgRoleIds.map((roleId) => {
+        const ids = byRole.get(roleId) ?? [];
+        const name = roleId === "root" || roleId === "user" ? roleId : (roleNameByRoleId.get(roleId) ?? roleId);
+        const role = roleById.get(roleId);
+        return {
+          id: roleId,
+          name,
+          status: role?.status ?? "active",
+          ...(role?.replacedByRoleId ? { replacedByRoleId: role.replacedByRoleId } : {}),
+          agents: ids.map((id) => ({ id, name: agentMetaById.get(id)?.name ?? null }))
+        };
+      });
+      const agentIds = [];
+      for (const ids of byRole.values()) {
+        agentIds.push(...ids);
+      }
+      return {
+        workspaceId: orgKey === "null" ? null : orgKey,
+        agentCount: agentIds.length,
+        roles: outRoles
+      };
+    };
+
+    const selfOrgKey = selfAgentId ? workspaceKeyOf(selfAgentId) : "null";
+    const selfOrg = buildOrg(selfOrgKey);
+    const otherOrgs = Array.from(orgRoleAgentIdsByOrgKey.keys())
+      .filter((k) => k !== selfOrgKey)
+      .map((k) => buildOrg(k));
+
+    void this.runtime.log?.debug?.("工具调用完成", {
+      toolName: "get_org_structure",
+      ok: true,
+      orgCount: 1 + otherOrgs.length,
+      selfAgentId
+    });
+
+    return { self, selfOrg, otherOrgs };
+  }
+
+  async _executeCreateRole(ctx, args) {
+    const runtime = this.runtime;
+    const isRoot = ctx.agent?.id === "root";
+    const taskId = ctx.currentMessage?.taskId ?? null;
+    const isFromUser = ctx.currentMessage?.from === "user";
+
+    // 复用逻辑
+    if (isRoot && isFromUser && taskId) {
+      const existingRoleId = runtime._rootTaskRoleByTaskId.get(taskId);
+      if (existingRoleId) {
+        const existing = runtime.org.getRole(existingRoleId);
+        if (existing) {
+          void runtime.log?.debug?.("根智能体复用岗位（按 taskId）", { taskId, roleId: existingRoleId });
+          return existing;
+        }
+      }
+    }
+
+    const existing = ctx.tools.findRoleByName(args.name);
+    if (existing) {
+      if (isRoot && isFromUser && taskId) {
+        runtime._rootTaskRoleByTaskId.set(taskId, existing.id);
+      }
+      void runtime.log?.debug?.("工具调用完成", { toolName: "create_role", ok: true, reused: true });
+      return existing;
+    }
+
+    // 模型选择（继承基础岗位时沿用基础岗位的 LLM 服务，不再单独选择）
+    let llmServiceId = null;
+    if (runtime.modelSelector && runtime.serviceRegistry?.hasServices() && !args.extendsRoleId) {
+      try {
+        const selectionResult = await runtime.modelSelector.selectService(args.rolePrompt);
+        llmServiceId = selectionResult?.serviceId ?? null;
+        if (llmServiceId) {
+          void runtime.log?.info?.("模型选择器选择了 LLM 服务", {
+            roleName: args.name,
+            llmServiceId,
+            reason: selectionResult?.reason ?? null
+          });
+        }
+      } catch (err) {
+        void runtime.log?.warn?.("模型选择失败，使用默认 LLM", { roleName: args.name });
+      }
+    }
+
+    const callerRoleId = ctx.agent?.roleId ?? null;
+    const callerRole = callerRoleId ? runtime.org.getRole(callerRoleId) : null;
+    const inheritedOrgPrompt = callerRole?.orgPrompt ?? null;
+    const explicitOrgPrompt =(!isRoot)? null :
+      typeof args.orgPrompt === "string"
+        ? (args.orgPrompt.trim() ? args.orgPrompt : null)
+        : undefined;
+    const effectiveOrgPrompt = explicitOrgPrompt ? explicitOrgPrompt : inheritedOrgPrompt;
+
+    let result;
+    try {
+      result = await ctx.tools.createRole({ 
+        name: args.name, 
+        rolePrompt: args.rolePrompt,
+        orgPrompt: effectiveOrgPrompt,
+        llmServiceId,
+        toolGroups: args.toolGroups,
+        extendsRoleId: typeof args.extendsRoleId === "string" ? args.extendsRoleId : null,
+        mixinRoleIds: Array.isArray(args.mixinRoleIds) ? args.mixinRoleIds : null,
+        status: args.status === "draft" ? "draft" : "active"
+      });
+    } catch (err) {
+      if (err?.message === "base_role_not_found") {
+        return { error: "base_role_not_found", message: "继承或混入的岗位不存在", roleId: err.details?.roleId ?? null };
+      }
+      throw err;
+    }
+    
+    if (isRoot && isFromUser && taskId) {
+      runtime._rootTaskRoleByTaskId.set(taskId, result.id);
+    }
+    
+    void runtime.log?.debug?.("工具调用完成", { toolName: "create_role", ok: true, roleId: result?.id ?? null });
+    return result;
+  }
+
+
+
+  async _executeSpawnAgentWithTask(ctx, args) {
+    const runtime = this.runtime;
+    const creatorId = ctx.agent?.id ?? null;
+    
+    if (!creatorId) return { error: "missing_creator_agent" };
+    if (!args.initialMessage) {
+      return { error: "missing_initial_message" };
+    }
+    
+    const normalizedInitialMessage =
+      typeof args.initialMessage === "string"
+        ? { message_type: "task_assignment", text: args.initialMessage }
+        : args.initialMessage;
+    
+    if (!normalizedInitialMessage || typeof normalizedInitialMessage !== "object") {
+      return { error: "missing_initial_message" };
+    }
+    if (typeof args.roleId !== "string" || !args.roleId.trim()) {
+      return { error: "roleId_required" };
+    }
+    const role = runtime.org?.getRole?.(args.roleId);
+    if (!role) {
+      return { error: "role_not_found" };
+    }
+    // 草稿与冻结的岗位不能创建智能体，过时的岗位创建后附带提醒
+    const roleStatus = role.status ?? "active";
+    if (roleStatus === "draft") {
+      return { error: "role_draft", roleId: args.roleId, message: "岗位仍是草稿，需要先用 set_role_status 启用" };
+    }
+    if (roleStatus === "frozen") {
+      return { error: "role_frozen", roleId: args.roleId, message: "岗位已冻结，不能再创建智能体" };
+    }
+
+    // 验证 taskBrief 参数
+    const taskBriefValidation = validateTaskBrief(args.taskBrief);
+    if (!taskBriefValidation.valid) {
+      return { error: "invalid_task_brief", details: taskBriefValidation.errors };
+    }
+
+    // 依赖的任务必须已登记（创建智能体之前检查，避免创建后才发现参数错误）
+    const dependsOn = Array.isArray(args.dependsOn) ? args.dependsOn.filter((id) => typeof id === "string" && id) : [];
+    const missingDependencies = dependsOn.filter((id) => !runtime.taskRegistry?.getTask(id));
+    if (runtime.taskRegistry && missingDependencies.length > 0) {
+      return this._taskError(Object.assign(new Error("task_not_found"), { details: { missing: missingDependencies } }));
+    }
+
+    // 直接使用底层的 spawnAgentAs 方法创建智能体
+    try {
+      const agent = await runtime.spawnAgentAs(creatorId, {
+        roleId: args.roleId,
+        name: args.name,
+        taskBrief: args.taskBrief
+      });
+
+      const newAgentId = agent.id;
+      const taskId = ctx.currentMessage?.taskId ?? null;
+
+      // 发送任务消息
+      const messagePayload = {
+        message_type: normalizedInitialMessage.message_type ?? "task_assignment",
+        ...normalizedInitialMessage
+      };
+      
+      const createdMeta = runtime.org?.getAgent?.(newAgentId) ?? null;
+      const createdName = createdMeta && typeof createdMeta.name === "string" && createdMeta.name.trim() ? createdMeta.name.trim() : null;
+      if (createdName && typeof messagePayload.text === "string") {
+        messagePayload.text = `${messagePayload.text}\n\n【你的姓名】${createdName}`;
+      }
+
+      // 登记委派任务，执行者用 update_task 汇报状态
+      const trackedTask = runtime.taskRegistry
+        ? await runtime.taskRegistry.createTask({ assigneeId: newAgentId, creatorId, brief: args.taskBrief, rootTaskId: taskId, dependsOn })
+        : null;
+      if (trackedTask) {
+        messagePayload.trackedTaskId = trackedTask.id;
+        if (typeof messagePayload.text === "string") {
+          messagePayload.text = `${messagePayload.text}\n\n【任务跟踪ID】${trackedTask.id}（用 update_task 汇报进度与状态）`;
+        }
+      }
+
+      const sendResult = runtime.bus.send({
+        to: newAgentId,
+        from: creatorId,
+        taskId,
+        payload: messagePayload,
+        // TaskBrief 中的优先级决定任务消息的投递优先级，无法识别时按关系推导
+        priority: parsePriority(args.taskBrief?.priority) ?? undefined
+      });
+
+      void runtime.log?.info?.("spawn_agent_with_task 完成", {
+        creatorId,
+        newAgentId,
+        roleId: agent.roleId,
+        messageId: sendResult.messageId,
+        taskId,
+        trackedTaskId: trackedTask?.id ?? null
+      });
+
+      return {
+        id: newAgentId,
+        roleId: agent.roleId,
+        roleName: agent.roleName,
+        messageId: sendResult.messageId,
+        trackedTaskId: trackedTask?.id ?? null,
+        ...(roleStatus === "deprecated" ? {
+          warning: "role_deprecated",
+          message: role.replacedByRoleId ? `岗位已过时，今后请改用岗位 ${role.replacedByRoleId}` : "岗位已过时，今后请改用其他岗位",
+          replacedByRoleId: role.replacedByRoleId ?? null
+        } : {})
+      };
+    } catch (error) {
+      void runtime.log?.error?.("spawn_agent_with_task 失败", {
+        creatorId,
+        roleId: args.roleId,
+        error: error.message
+      });
+      return { error: "spawn_failed", message: error.message };
+    }
+  }
+
+  /**
+   * @param {any} ctx
+   * @param {any} args
+   * @param {{channel?: string}} [options] - 内部选项：channel 为频道广播的来源频道
+   */
+  _executeSendMessage(ctx, args, options = {}) {
+    const runtime = this.runtime;
+    const senderId = ctx.agent?.id ?? "unknown";
+    
+    // 收件人参数必须是数组
+    const recipientIds = args?.to ?? [];
+    
+    // 过滤空值并转为字符串
+    const validRecipientIds = recipientIds
+      .filter(id => id != null && id !== "")
+      .map(id => String(id));
+    
+    if (validRecipientIds.length === 0) {
+      return { error: "missing_recipients", message: "至少需要指定一个收件人" };
+    }
+
+    // 检查发送者是否已终止
+    if (senderId !== "root" && senderId !== "user" && senderId !== "unknown") {
+      const senderMeta = runtime.org?.getAgent?.(senderId);
+      if (senderMeta && senderMeta.status === "terminated") {
+        return { error: "sender_terminated" };
+      }
+    }
+
+    // 消息验证
+    const messageValidation = validateMessageFormat(args.payload);
+    if (!messageValidation.valid) {
+      void runtime.log?.warn?.("send_message 消息格式验证警告", {
+        from: senderId,
+        recipientCount: validRecipientIds.length,
+        errors: messageValidation.errors
+      });
+    }
+
+    if (args.replyTimeoutMs !== undefined && args.replyTimeoutMs !== null
+      && !(Number.isFinite(Number(args.replyTimeoutMs)) && Number(args.replyTimeoutMs) > 0)) {
+      return { error: "invalid_reply_timeout", message: "replyTimeoutMs 必须是正数（毫秒）" };
+    }
+    if (args.priority !== undefined && args.priority !== null && parsePriority(args.priority) === null) {
+      return { error: "invalid_priority", message: "priority 必须是 urgent、high、normal 或 low" };
+    }
+
+    // 验证 quickReplies 参数
+    const quickRepliesValidation = this._validateQuickReplies(args.quickReplies);
+    if (!quickRepliesValidation.valid) {
+      return { 
+        error: quickRepliesValidation.error, 
+        message: quickRepliesValidation.message 
+      };
+    }
+
+    // 验证并规范化工件引用
+    const artifactsResult = this._normalizeArtifactRefs(args.payload?.artifacts);
+    if (!artifactsResult.valid) {
+      return { error: artifactsResult.error, message: artifactsResult.message, artifactIds: artifactsResult.artifactIds };
+    }
+
+    // 构建最终的 payload，如果有有效的 quickReplies 则添加到 payload 中
+    let finalPayload = args.payload;
+    if (quickRepliesValidation.quickReplies) {
+      finalPayload = {
+        ...args.payload,
+        quickReplies: quickRepliesValidation.quickReplies
+      };
+    }
+    if (artifactsResult.artifacts) {
+      finalPayload = { ...finalPayload, artifacts: artifactsResult.artifacts };
+    }
+
+    const currentTaskId = ctx.currentMessage?.taskId ?? null;
+    
+    // 循环处理每个收件人
+    const results = [];
+    const errors = [];
+    const backpressure = [];
+    
+    for (const recipientId of validRecipientIds) {
+      // 验证收件人
+      const isRecipientSpecial = recipientId === "root" || recipientId === "user";
+      if (!isRecipientSpecial && !runtime._agents.has(recipientId)) {
+        errors.push({ recipient: recipientId, error: "unknown_recipient" });
+        continue;
+      }
+
+      // 发送消息
+      const result = ctx.tools.sendMessage({
+        to: recipientId,
+        from: senderId,
+        taskId: currentTaskId,
+        payload: finalPayload,
+        delayMs: args.delayMs,
+        correlationId: args.correlationId,
+        inReplyTo: args.inReplyTo,
+        replyTimeoutMs: args.replyTimeoutMs,
+        priority: args.priority ?? undefined,
+        channel: options.channel,
+        notifyOnDeadLetter: args.notifyOnDeadLetter === true ? true : undefined
+      });
+      if (result?.backpressure) backpressure.push(result.backpressure);
+      if (result?.rejected) {
+        errors.push({ recipient: recipientId, error: result.reason ?? "message_rejected", deadLetterId: result.deadLetterId ?? null });
+        continue;
+      }
+
+      results.push({
+        recipient: recipientId,
+        messageId: result.messageId,
+        correlationId: result.correlationId ?? null,
+        replyBy: result.replyBy ?? null,
+        coalesced: result.coalesced === true,
+        suspended: runtime.org?.getAgent?.(recipientId)?.status === "suspended"
+      });
+
+      void runtime.loggerRoot?.logAgentLifecycleEvent?.("agent_message_sent", {
+        agentId: senderId,
+        messageId: result.messageId,
+        to: recipientId,
+        taskId: currentTaskId,
+        delayMs: args.delayMs ?? null
+      });
+    }
+
+    // 收件箱饱和时提醒发送者放慢节奏
+    const backpressureInfo = backpressure.length > 0
+      ? {
+        backpressure,
+        backpressureWarning: `收件人 ${backpressure.map((b) => b.recipient).join(", ")} 的收件箱已接近或达到上限，请减少发送频率、合并消息，或等待对方处理完积压的消息后再发送。`
+      }
+      : {};
+
+    // 返回结果
+    if (errors.length > 0 && results.length === 0) {
+      // 全部失败
+      return { 
+        error: "all_recipients_failed", 
+        errors,
+        successCount: 0,
+        failedCount: errors.length,
+        ...backpressureInfo
+      };
+    }
+
+    // 部分或全部成功
+    const result = {
+      success: true,
+      messageCount: results.length,
+      recipients: results.map(r => r.recipient),
+      messageIds: results.map(r => r.messageId)
+    };
+    if (results.some(r => r.correlationId)) {
+      result.correlationIds = results.map(r => r.correlationId);
+    }
+    if (results.some(r => r.replyBy)) {
+      result.replyBy = results.map(r => r.replyBy);
+    }
+    if (results.some(r => r.coalesced)) {
+      // 与收件箱中尚未处理的相同消息合并，messageIds 中对应的是已有消息的ID
+      result.coalescedRecipients = results.filter(r => r.coalesced).map(r => r.recipient);
+    }
+    if (results.some(r => r.suspended)) {
+      // 收件人已暂停：消息留在收件箱中，恢复后才会处理
+      result.suspendedRecipients = results.filter(r => r.suspended).map(r => r.recipient);
+    }
+    Object.assign(result, backpressureInfo);
+    
+    if (errors.length > 0) {
+      result.partialErrors = errors;
+      result.failedCount = errors.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * 回复收到的消息：收件人为原消息的发送者，并带上 inReplyTo 与 correlationId
+   * 
+   * 原消息优先取当前正在处理的消息，否则从消息总线的最近消息索引中查找；
+   * 只有原消息的收件人可以回复。
+   */
+  _executeReplyToMessage(ctx, args) {
+    const runtime = this.runtime;
+    const senderId = ctx.agent?.id ?? "unknown";
+    const messageId = args?.messageId ?? ctx.currentMessage?.id ?? null;
+    if (!messageId) {
+      return { error: "missing_message_id", message: "未指定要回复的消息，且当前没有正在处理的消息" };
+    }
+
+    const original = ctx.currentMessage?.id === messageId
+      ? ctx.currentMessage
+      : runtime.bus?.getMessageInfo?.(messageId) ?? null;
+    if (!original) {
+      return { error: "message_not_found", messageId, message: "找不到该消息（只能回复最近收到的消息），可改用 send_message" };
+    }
+    if (original.to !== senderId) {
+      return { error: "not_message_recipient", messageId, message: "只能回复发给自己的消息" };
+    }
+
+    const correlationId = original.correlationId ?? original.id;
+    const result = this._executeSendMessage(ctx, {
+      to: [original.from],
+      payload: args.payload,
+      quickReplies: args.quickReplies,
+      replyTimeoutMs: args.replyTimeoutMs,
+      inReplyTo: original.id,
+      correlationId
+    });
+    if (result.error) return result;
+    return { ...result, inReplyTo: original.id, correlationId };
+  }
+
+  /**
+   * 订阅频道：默认订阅自己，也可以为自己的子智能体订阅（root 可为任何智能体订阅）
+   */
+  async _executeSubscribeChannel(ctx, args) {
+    const runtime = this.runtime;
+    const target = this._resolveChannelMember(ctx, args);
+    if (target.error) return target;
+    try {
+      const result = await runtime.org.subscribeChannel(args.channel, target.agentId, {
+        description: args.description,
+        createdBy: ctx.agent?.id ?? null
+      });
+      return {
+        success: true,
+        channel: result.channel.name,
+        agentId: target.agentId,
+        created: result.created,
+        alreadySubscribed: !result.subscribed,
+        subscriberCount: result.channel.subscribers.length
+      };
+    } catch (err) {
+      return this._channelError(err);
+    }
+  }
+
+  /**
+   * 取消订阅频道，权限规则与 subscribe_channel 相同
+   */
+  async _executeUnsubscribeChannel(ctx, args) {
+    const runtime = this.runtime;
+    const target = this._resolveChannelMember(ctx, args);
+    if (target.error) return target;
+    try {
+      const result = await runtime.org.unsubscribeChannel(args.channel, target.agentId);
+      return {
+        success: true,
+        channel: result.channel.name,
+        agentId: target.agentId,
+        wasSubscribed: result.unsubscribed,
+        subscriberCount: result.channel.subscribers.length
+      };
+    } catch (err) {
+      return this._channelError(err);
     }
   }
 
-  // ========== 工具执行方法 ==========
+  /**
+   * 向频道的订阅者扇出消息（跳过发布者自己与已终止的订阅者），
+   * 并把发布者加入各订阅者的联系人列表，便于订阅者直接回复。
+   */
+  _executePublishToChannel(ctx, args) {
+    const runtime = this.runtime;
+    const senderId = ctx.agent?.id ?? "unknown";
+    const channelName = normalizeChannelName(args?.channel);
+    if (!channelName) return this._channelError(new Error("invalid_channel_name"));
+    const channel = runtime.org?.getChannel?.(channelName) ?? null;
+    if (!channel) return this._channelError(new Error("channel_not_found"));
+
+    const recipients = channel.subscribers.filter((id) => id !== senderId
+      && runtime.org?.getAgent?.(id)?.status !== "terminated"
+      && (id === "root" || id === "user" || runtime._agents.has(id)));
+    if (recipients.length === 0) {
+      return { success: true, channel: channelName, messageCount: 0, recipients: [], messageIds: [] };
+    }
 
-  _executeFindRoleByName(ctx, args) {
-    const result = ctx.tools.findRoleByName(args.name);
-    void this.runtime.log?.debug?.("工具调用完成", { toolName: "find_role_by_name", ok: true });
+    const result = this._executeSendMessage(ctx, {
+      to: recipients,
+      payload: args.payload,
+      quickReplies: args.quickReplies,
+      priority: args.priority
+    }, { channel: channelName });
+    if (result.error) return { ...result, channel: channelName };
+
+    for (const recipientId of result.recipients) {
+      this._introduceChannelPublisher(recipientId, senderId, channelName);
+    }
+    void runtime.log?.info?.("publish_to_channel 完成", { channel: channelName, from: senderId, recipients: result.messageCount });
+    return { ...result, channel: channelName };
+  }
+
+  /**
+   * 解析频道操作的目标智能体并校验权限
+   * @returns {{agentId: string}|{error: string, message: string}}
+   * @private
+   */
+  _resolveChannelMember(ctx, args) {
+    const runtime = this.runtime;
+    const callerId = ctx.agent?.id ?? null;
+    if (!callerId) return { error: "missing_agent", message: "无法确定当前智能体" };
+    const agentId = typeof args?.agentId === "string" && args.agentId.trim() ? args.agentId.trim() : callerId;
+    if (agentId === callerId) return { agentId };
+
+    const meta = runtime.org?.getAgent?.(agentId) ?? null;
+    if (!meta || meta.status === "terminated") {
+      return { error: "agent_not_found", message: `智能体不存在或已终止: ${agentId}` };
+    }
+    if (callerId !== "root" && meta.parentAgentId !== callerId) {
+      return { error: "not_child_agent", message: "只能为自己或自己创建的子智能体订阅/取消订阅频道" };
+    }
+    return { agentId };
+  }
+
+  /**
+   * 把频道发布者加入订阅者的联系人列表（已存在时不覆盖）
+   * @private
+   */
+  _introduceChannelPublisher(subscriberId, publisherId, channelName) {
+    const contacts = this.runtime.contactManager;
+    if (!contacts || subscriberId === "user") return;
+    if (!contacts.hasRegistry(subscriberId)) {
+      contacts.initRegistry(subscriberId, this.runtime.org?.getAgent?.(subscriberId)?.parentAgentId ?? null);
+    }
+    if (contacts.getContact(subscriberId, publisherId)) return;
+    const publisherMeta = this.runtime.org?.getAgent?.(publisherId) ?? null;
+    const role = publisherId === "root" || publisherId === "user"
+      ? publisherId
+      : this.runtime.org?.getRole?.(publisherMeta?.roleId)?.name ?? "unknown";
+    contacts.addContact(subscriberId, {
+      id: publisherId,
+      role,
+      source: "channel",
+      description: `频道 #${channelName} 的发布者`
+    });
+  }
+
+  /**
+   * 将频道错误转换为工具返回值
+   * @private
+   */
+  _channelError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      invalid_channel_name: "频道名称无效：需以字母、数字或中文开头，可包含 _ . -，最长 64 个字符",
+      channel_not_found: "频道不存在，订阅者可先用 subscribe_channel 创建频道"
+    };
+    const result = { error: code, message: messages[code] ?? code };
+    if (code === "channel_not_found") {
+      result.availableChannels = (this.runtime.org?.listChannels?.() ?? []).map((c) => c.name);
+    }
     return result;
   }
 
-  _executeGetOrgStructure(ctx, args) {
+  /**
+   * 创建定时消息计划，收件人必须是存在且未终止的智能体（或 user/root）
+   */
+  async _executeCreateSchedule(ctx, args) {
     const runtime = this.runtime;
-    const org = ctx.org;
-    const includeTerminated = Boolean(args?.includeTerminated);
-    const persistedRoles = org ? org.listRoles() : [];
-    const persistedAgents = org ? org.listAgents() : [];
-    const agentMetaById = new Map();
-    agentMetaById.set("root", { id: "root", name: null });
-    agentMetaById.set("user", { id: "user", name: null });
+    const schedules = runtime.scheduleManager;
+    if (!schedules) return { error: "schedules_unavailable", message: "定时计划服务未初始化" };
+    const ownerId = ctx.agent?.id ?? null;
+    if (!ownerId) return { error: "missing_agent", message: "无法确定当前智能体" };
+
+    const to = (Array.isArray(args?.to) ? args.to : [args?.to]).filter((id) => id != null && id !== "").map(String);
+    const unknown = to.filter((id) => id !== "root" && id !== "user"
+      && (!runtime._agents.has(id) || runtime.org?.getAgent?.(id)?.status === "terminated"));
+    if (unknown.length > 0) {
+      return { error: "agent_not_found", message: `收件人不存在或已终止: ${unknown.join(", ")}`, unknownRecipients: unknown };
+    }
 
-    for (const a of persistedAgents) {
-      if (!a || typeof a.id !== "string" || typeof a.roleId !== "string") continue;
-      const status = a.status ?? "active";
-      if (!includeTerminated && status === "terminated") continue;
-      agentMetaById.set(a.id, { id: a.id, name: a.name ?? null });
+    try {
+      const schedule = await schedules.createSchedule({
+        ownerId,
+        to,
+        payload: args.payload,
+        cron: args.cron,
+        intervalMs: args.intervalMs,
+        startAt: args.startAt,
+        endAt: args.endAt,
+        maxRuns: args.maxRuns,
+        name: args.name,
+        taskId: ctx.currentMessage?.taskId ?? null
+      });
+      return { success: true, schedule };
+    } catch (err) {
+      return this._scheduleError(err);
     }
+  }
 
-    const selfAgentId = ctx.agent?.id ?? null;
-    const self = selfAgentId
-      ? {
-          agentId: selfAgentId,
-          roleId: ctx.agent?.roleId ?? null,
-          roleName: ctx.agent?.roleName ?? null,
-          agentName: agentMetaById.get(selfAgentId)?.name ?? null
-        }
-      : null;
+  /**
+   * 列出与当前智能体相关的计划；root 可以看到全部计划
+   */
+  _executeListSchedules(ctx, args) {
+    const schedules = this.runtime.scheduleManager;
+    if (!schedules) return { error: "schedules_unavailable", message: "定时计划服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const list = schedules.listSchedules({
+      involving: callerId === "root" ? undefined : callerId,
+      status: args?.includeInactive ? undefined : "active"
+    });
+    return { schedules: list, count: list.length };
+  }
 
-    const workspaceKeyOf = (agentId) => {
-      const ws = runtime.findWorkspaceIdForAgent(agentId);
-      return ws ?? "null";
-    };
+  /**
+   * 取消计划：只有创建者或 root 可以取消
+   */
+  async _executeCancelSchedule(ctx, args) {
+    const schedules = this.runtime.scheduleManager;
+    if (!schedules) return { error: "schedules_unavailable", message: "定时计划服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const existing = schedules.getSchedule(String(args?.scheduleId ?? ""));
+    if (!existing) return this._scheduleError(new Error("schedule_not_found"));
+    if (callerId !== "root" && existing.ownerId !== callerId) {
+      return { error: "not_schedule_owner", message: "只能取消自己创建的计划", ownerId: existing.ownerId };
+    }
+    try {
+      const schedule = await schedules.cancelSchedule(existing.id, { by: callerId });
+      return { success: true, schedule };
+    } catch (err) {
+      return this._scheduleError(err);
+    }
+  }
 
-    const roleNameByRoleId = new Map(persistedRoles.map((r) => [r.id, r.name]));
-    const pushOrgRoleAgentId = (orgKey, roleId, agentId) => {
-      let byRole = orgRoleAgentIdsByOrgKey.get(orgKey);
-      if (!byRole) {
-        byRole = new Map();
-        orgRoleAgentIdsByOrgKey.set(orgKey, byRole);
-      }
-      const list = byRole.get(roleId);
-      if (list) list.push(agentId);
-      else byRole.set(roleId, [agentId]);
+  /**
+   * 将计划服务的错误转换为工具返回值
+   * @private
+   */
+  _scheduleError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      invalid_schedule: "计划参数无效",
+      invalid_cron: "cron 表达式无效，格式为 5 段：分 时 日 月 周，如 \"0 9 * * 1-5\"",
+      missing_recipients: "至少需要指定一个收件人",
+      too_many_schedules: "有效计划数量已达上限，请先取消不再需要的计划",
+      schedule_not_found: "计划不存在，可用 list_schedules 查看"
     };
+    return { error: code, message: messages[code] ?? code, ...(err?.details ?? {}) };
+  }
 
-    const orgRoleAgentIdsByOrgKey = new Map();
-    pushOrgRoleAgentId(workspaceKeyOf("root"), "root", "root");
-    pushOrgRoleAgentId(workspaceKeyOf("user"), "user", "user");
-    for (const a of persistedAgents) {
-      if (!a || typeof a.id !== "string" || typeof a.roleId !== "string") continue;
-      const status = a.status ?? "active";
-      if (!includeTerminated && status === "terminated") continue;
-      pushOrgRoleAgentId(workspaceKeyOf(a.id), a.roleId, a.id);
+  /**
+   * 召开会议，参会者必须是存在且未终止的智能体
+   */
+  async _executeCreateMeeting(ctx, args) {
+    const runtime = this.runtime;
+    const meetings = runtime.meetingManager;
+    if (!meetings) return { error: "meetings_unavailable", message: "会议服务未初始化" };
+    const moderatorId = ctx.agent?.id ?? null;
+    if (!moderatorId) return { error: "missing_agent", message: "无法确定当前智能体" };
+
+    const participants = (Array.isArray(args?.participants) ? args.participants : [args?.participants])
+      .filter((id) => id != null && id !== "").map(String);
+    const unknown = participants.filter((id) => id !== "root"
+      && (!runtime._agents.has(id) || runtime.org?.getAgent?.(id)?.status === "terminated"));
+    if (unknown.length > 0) {
+      return { error: "agent_not_found", message: `参会者不存在或已终止: ${unknown.join(", ")}`, unknownParticipants: unknown };
     }
 
-    const buildOrg = (orgKey) => {
-      const byRole = orgRoleAgentIdsByOrgKey.get(orgKey) ?? new Map();
-      const orgRoleIds = Array.from(byRole.keys());
-      const outRoles = orgRoleIds.map((roleId) => {
-        const ids = byRole.get(roleId) ?? [];
-        const name = roleId === "root" || roleId === "user" ? roleId : (roleNameByRoleId.get(roleId) ?? roleId);
-        return {
-          id: roleId,
-          name,
-          agents: ids.map((id) => ({ id, name: agentMetaById.get(id)?.name ?? null }))
-        };
+    try {
+      const meeting = await meetings.createMeeting({
+        moderatorId,
+        participants,
+        title: args.title,
+        agenda: args.agenda,
+        turnMode: args.turnMode,
+        taskId: ctx.currentMessage?.taskId ?? null
       });
-      const agentIds = [];
-      for (const ids of byRole.values()) {
-        agentIds.push(...ids);
+      const hint = meeting.floor === moderatorId
+        ? "会议已开始，发言权在你手中：可先用 speak_in_meeting 说明背景，再用 grant_floor 指定发言人。"
+        : `会议已开始，已通知 ${meeting.floor} 发言。轮到你时会收到通知，你也可以随时用 speak_in_meeting 插话。`;
+      return { success: true, meeting, hint };
+    } catch (err) {
+      return this._meetingError(err);
+    }
+  }
+
+  /**
+   * 会议发言：非主持人只能在持有发言权时发言
+   */
+  async _executeSpeakInMeeting(ctx, args) {
+    const meetings = this.runtime.meetingManager;
+    if (!meetings) return { error: "meetings_unavailable", message: "会议服务未初始化" };
+    try {
+      const result = await meetings.speak(String(args?.meetingId ?? ""), ctx.agent?.id ?? null, { text: args?.text, pass: args?.pass });
+      return { success: true, seq: result.entry.seq, nextSpeaker: result.nextSpeaker, round: result.meeting.round };
+    } catch (err) {
+      return this._meetingError(err);
+    }
+  }
+
+  /**
+   * 主持人指定下一位发言人
+   */
+  async _executeGrantFloor(ctx, args) {
+    const meetings = this.runtime.meetingManager;
+    if (!meetings) return { error: "meetings_unavailable", message: "会议服务未初始化" };
+    try {
+      const meeting = await meetings.grantFloor(String(args?.meetingId ?? ""), ctx.agent?.id ?? null, String(args?.agentId ?? ""));
+      return { success: true, floor: meeting.floor };
+    } catch (err) {
+      return this._meetingError(err);
+    }
+  }
+
+  /**
+   * 主持人结束会议：先把纪要写入主持人的工作空间，再结束会议并通知参会者。
+   * 没有工作空间或写入失败时会议照常结束，返回值中说明纪要未保存的原因。
+   */
+  async _executeEndMeeting(ctx, args) {
+    const runtime = this.runtime;
+    const meetings = runtime.meetingManager;
+    if (!meetings) return { error: "meetings_unavailable", message: "会议服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const meeting = meetings.getMeeting(String(args?.meetingId ?? ""));
+    if (!meeting) return this._meetingError(new Error("meeting_not_found"));
+    if (meeting.status !== "open") return this._meetingError(new Error("meeting_ended"));
+    if (meeting.moderatorId !== callerId) return this._meetingError(new Error("not_moderator"));
+    const summary = typeof args?.summary === "string" ? args.summary.trim() : "";
+    if (!summary) return this._meetingError(new Error("missing_summary"));
+
+    let summaryPath = null;
+    let minutesError = null;
+    const workspaceId = runtime.findWorkspaceIdForAgent?.(callerId) ?? null;
+    if (!workspaceId) {
+      minutesError = { error: "workspace_not_assigned", message: "当前智能体未分配工作空间，会议纪要未保存" };
+    } else {
+      const filePath = meetings.minutesPath(meeting);
+      try {
+        const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+        await ws.writeFile(filePath, meetings.renderMinutes(meeting, summary), {
+          operator: callerId,
+          messageId: ctx.currentMessage?.id
+        });
+        summaryPath = filePath;
+      } catch (err) {
+        minutesError = this._workspaceWriteError(err) ?? { error: "write_failed", message: err?.message ?? String(err) };
       }
-      return {
-        workspaceId: orgKey === "null" ? null : orgKey,
-        agentCount: agentIds.length,
-        roles: outRoles
-      };
-    };
+    }
 
-    const selfOrgKey = selfAgentId ? workspaceKeyOf(selfAgentId) : "null";
-    const selfOrg = buildOrg(selfOrgKey);
-    const otherOrgs = Array.from(orgRoleAgentIdsByOrgKey.keys())
-      .filter((k) => k !== selfOrgKey)
-      .map((k) => buildOrg(k));
+    try {
+      const ended = await meetings.endMeeting(meeting.id, callerId, { summary, summaryPath });
+      const result = { success: true, meeting: ended, summaryPath };
+      if (minutesError) result.minutesError = minutesError;
+      return result;
+    } catch (err) {
+      return this._meetingError(err);
+    }
+  }
 
-    void this.runtime.log?.debug?.("工具调用完成", {
-      toolName: "get_org_structure",
-      ok: true,
-      orgCount: 1 + otherOrgs.length,
-      selfAgentId
-    });
+  /**
+   * 查看会议记录：仅限主持人、参会者与 root
+   */
+  _executeGetMeetingTranscript(ctx, args) {
+    const meetings = this.runtime.meetingManager;
+    if (!meetings) return { error: "meetings_unavailable", message: "会议服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const meeting = meetings.getMeeting(String(args?.meetingId ?? ""));
+    if (!meeting) return this._meetingError(new Error("meeting_not_found"));
+    if (callerId !== "root" && !meetings.isMember(meeting, callerId)) return this._meetingError(new Error("not_meeting_member"));
+    const sinceSeq = Number.isInteger(args?.sinceSeq) ? args.sinceSeq : 0;
+    const { transcript, ...info } = meeting;
+    return { meeting: info, transcript: transcript.filter((entry) => entry.seq > sinceSeq) };
+  }
 
-    return { self, selfOrg, otherOrgs };
+  /**
+   * 将会议服务的错误转换为工具返回值
+   * @private
+   */
+  _meetingError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      invalid_meeting: "会议参数无效",
+      meeting_not_found: "会议不存在",
+      meeting_ended: "会议已结束",
+      not_meeting_member: "不是该会议的主持人或参会者",
+      not_your_turn: "还没轮到你发言，请等待会议通知",
+      not_moderator: "只有主持人可以执行该操作",
+      missing_text: "发言内容不能为空；无话可说时传 pass=true",
+      missing_summary: "结束会议时必须提供总结 summary"
+    };
+    return { error: code, message: messages[code] ?? code, ...(err?.details ?? {}) };
   }
 
-  async _executeCreateRole(ctx, args) {
+  /**
+   * 任务黑板工具：黑板按当前消息所属的任务划分，没有任务上下文时沿智能体的任务归属查找
+   */
+  async _executeBlackboardTool(ctx, toolName, args) {
     const runtime = this.runtime;
-    const isRoot = ctx.agent?.id === "root";
-    const taskId = ctx.currentMessage?.taskId ?? null;
-    const isFromUser = ctx.currentMessage?.from === "user";
+    const blackboard = runtime.blackboardManager;
+    if (!blackboard) return { error: "blackboard_unavailable", message: "任务黑板服务未初始化" };
+    const agentId = ctx.agent?.id ?? null;
+    const taskId = ctx.currentMessage?.taskId ?? runtime._getTaskIdForAgent?.(agentId) ?? null;
+    if (!taskId) return { error: "missing_task", message: "当前消息不属于任何任务，无法使用任务黑板" };
 
-    // 复用逻辑
-    if (isRoot && isFromUser && taskId) {
-      const existingRoleId = runtime._rootTaskRoleByTaskId.get(taskId);
-      if (existingRoleId) {
-        const existing = runtime.org.getRole(existingRoleId);
-        if (existing) {
-          void runtime.log?.debug?.("根智能体复用岗位（按 taskId）", { taskId, roleId: existingRoleId });
-          return existing;
+    try {
+      switch (toolName) {
+        case "bb_get":
+          return { taskId, ...blackboard.get(taskId, args?.namespace, args?.key) };
+        case "bb_set":
+          return { success: true, taskId, ...(await blackboard.set(taskId, { ...args, agentId })) };
+        case "bb_compare_and_set":
+          return { success: true, taskId, ...(await blackboard.compareAndSet(taskId, { ...args, agentId })) };
+        case "bb_list": {
+          const entries = blackboard.list(taskId, { namespace: args?.namespace, prefix: args?.prefix, includeValues: args?.includeValues });
+          return { taskId, entries, count: entries.length, watching: blackboard.listWatches(taskId, agentId) };
         }
+        case "bb_watch":
+          return { success: true, taskId, ...(await blackboard.watch(taskId, { agentId, namespace: args?.namespace, key: args?.key })) };
+        default:
+          return { success: true, taskId, ...(await blackboard.unwatch(taskId, { agentId, namespace: args?.namespace, key: args?.key })) };
       }
+    } catch (err) {
+      return this._blackboardError(err);
     }
+  }
 
-    const existing = ctx.tools.findRoleByName(args.name);
-    if (existing) {
-      if (isRoot && isFromUser && taskId) {
-        runtime._rootTaskRoleByTaskId.set(taskId, existing.id);
-      }
-      void runtime.log?.debug?.("工具调用完成", { toolName: "create_role", ok: true, reused: true });
-      return existing;
+  /**
+   * 将黑板服务的错误转换为工具返回值
+   * @private
+   */
+  _blackboardError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      invalid_key: "命名空间和键名必须是不超过 128 个字符的非空字符串，且不能是 __proto__、constructor 或 prototype",
+      invalid_value: "value 必须是可序列化为 JSON 的值",
+      value_too_large: "值过大，请拆分为多个键或改用工件保存",
+      too_many_keys: "当前任务黑板的键数量已达上限",
+      missing_expectation: "必须且只能提供 expectedVersion 或 expectedValue 之一",
+      version_conflict: "比较失败：该键已被修改，请根据返回的当前版本与值重新决定是否写入"
+    };
+    return { error: code, message: messages[code] ?? code, ...(err?.details ?? {}) };
+  }
+
+  /**
+   * 提交评审：把工作空间文件固化为工件（评审人可能不在同一个工作空间），
+   * 未指定验收标准时取请求者任务委托书中的 completion_criteria
+   */
+  async _executeRequestReview(ctx, args) {
+    const runtime = this.runtime;
+    const reviews = runtime.reviewManager;
+    if (!reviews) return { error: "reviews_unavailable", message: "评审服务未初始化" };
+    const store = runtime.artifactStore;
+    if (!store) return { error: "artifact_store_unavailable", message: "工件存储未初始化" };
+    const requesterId = ctx.agent?.id ?? null;
+    if (!requesterId) return { error: "missing_agent", message: "无法确定当前智能体" };
+
+    const reviewers = (Array.isArray(args?.reviewers) ? args.reviewers : [args?.reviewers])
+      .filter((id) => id != null && id !== "").map(String);
+    const unknown = reviewers.filter((id) => id !== "root"
+      && (!runtime._agents.has(id) || runtime.org?.getAgent?.(id)?.status === "terminated"));
+    if (unknown.length > 0) {
+      return { error: "agent_not_found", message: `评审人不存在或已终止: ${unknown.join(", ")}`, unknownReviewers: unknown };
     }
+    const paths = [...new Set((Array.isArray(args?.files) ? args.files : [args?.files]).filter((p) => typeof p === "string" && p))];
+    if (paths.length === 0) return this._reviewError(Object.assign(new Error("invalid_review"), { details: { reason: "至少需要提交一个文件" } }));
+    if (paths.length > 20) return this._reviewError(Object.assign(new Error("invalid_review"), { details: { reason: "一次评审最多提交 20 个文件" } }));
 
-    // 模型选择
-    let llmServiceId = null;
-    if (runtime.modelSelector && runtime.serviceRegistry?.hasServices()) {
+    const workspaceId = runtime.findWorkspaceIdForAgent(requesterId);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    const taskId = ctx.currentMessage?.taskId ?? null;
+    const files = [];
+    for (const filePath of paths) {
+      let read;
       try {
-        const selectionResult = await runtime.modelSelector.selectService(args.rolePrompt);
-        llmServiceId = selectionResult?.serviceId ?? null;
-        if (llmServiceId) {
-          void runtime.log?.info?.("模型选择器选择了 LLM 服务", {
-            roleName: args.name,
-            llmServiceId,
-            reason: selectionResult?.reason ?? null
-          });
-        }
+        read = await ws.readFile(filePath, { length: 10 * 1024 * 1024 });
       } catch (err) {
-        void runtime.log?.warn?.("模型选择失败，使用默认 LLM", { roleName: args.name });
+        return { error: err?.message ?? String(err), message: `无法读取文件: ${filePath}`, path: filePath };
+      }
+      if (read.readLength < read.total) {
+        return { error: "file_too_large", message: `文件超过 10MB，无法提交评审: ${filePath}`, path: filePath };
       }
+      const isText = read.mimeType.startsWith("text/") || read.mimeType === "application/json" || read.mimeType === "application/javascript";
+      const meta = await store.putArtifact({
+        content: isText ? read.content : Buffer.from(read.content, "base64"),
+        name: filePath,
+        mimeType: read.mimeType,
+        producerAgentId: requesterId,
+        messageId: ctx.currentMessage?.id ?? null,
+        taskId
+      });
+      files.push({ path: filePath, revision: read.revision ?? null, size: read.total, mimeType: read.mimeType, artifactId: meta.id });
     }
 
-    const callerRoleId = ctx.agent?.roleId ?? null;
-    const callerRole = callerRoleId ? runtime.org.getRole(callerRoleId) : null;
-    const inheritedOrgPrompt = callerRole?.orgPrompt ?? null;
-    const explicitOrgPrompt =(!isRoot)? null :
-      typeof args.orgPrompt === "string"
-        ? (args.orgPrompt.trim() ? args.orgPrompt : null)
-        : undefined;
-    const effectiveOrgPrompt = explicitOrgPrompt ? explicitOrgPrompt : inheritedOrgPrompt;
+    try {
+      const review = await reviews.createReview({
+        requesterId,
+        reviewers,
+        title: args.title,
+        description: args.description,
+        files,
+        completionCriteria: args.completionCriteria ?? runtime._agentTaskBriefs?.get?.(requesterId)?.completion_criteria ?? null,
+        taskId,
+        previousReviewId: args.previousReviewId
+      });
+      return { success: true, review };
+    } catch (err) {
+      return this._reviewError(err);
+    }
+  }
 
-    const result = await ctx.tools.createRole({ 
-      name: args.name, 
-      rolePrompt: args.rolePrompt,
-      orgPrompt: effectiveOrgPrompt,
-      llmServiceId,
-      toolGroups: args.toolGroups
-    });
-    
-    if (isRoot && isFromUser && taskId) {
-      runtime._rootTaskRoleByTaskId.set(taskId, result.id);
+  /**
+   * 评审人提交结论
+   */
+  async _executeSubmitReview(ctx, args) {
+    const reviews = this.runtime.reviewManager;
+    if (!reviews) return { error: "reviews_unavailable", message: "评审服务未初始化" };
+    try {
+      const review = await reviews.submitVerdict(String(args?.reviewId ?? ""), ctx.agent?.id ?? null, { verdict: args?.verdict, comments: args?.comments });
+      return { success: true, status: review.status, pendingReviewers: review.pendingReviewers };
+    } catch (err) {
+      return this._reviewError(err);
+    }
+  }
+
+  /**
+   * 列出与当前智能体相关的评审；root 可以看到全部评审
+   */
+  _executeListReviews(ctx, args) {
+    const reviews = this.runtime.reviewManager;
+    if (!reviews) return { error: "reviews_unavailable", message: "评审服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const filter = { status: args?.includeClosed ? undefined : "pending" };
+    if (args?.as === "requester") filter.requesterId = callerId;
+    else if (args?.as === "reviewer") filter.reviewerId = callerId;
+    else if (callerId !== "root") filter.involving = callerId;
+    const list = reviews.listReviews(filter);
+    return { reviews: list, count: list.length };
+  }
+
+  /**
+   * 撤回评审：只有请求者或 root 可以撤回
+   */
+  async _executeCancelReview(ctx, args) {
+    const reviews = this.runtime.reviewManager;
+    if (!reviews) return { error: "reviews_unavailable", message: "评审服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const existing = reviews.getReview(String(args?.reviewId ?? ""));
+    if (!existing) return this._reviewError(new Error("review_not_found"));
+    if (callerId !== "root" && existing.requesterId !== callerId) {
+      return { error: "not_review_requester", message: "只能撤回自己提交的评审", requesterId: existing.requesterId };
+    }
+    try {
+      const review = await reviews.cancelReview(existing.id, callerId);
+      return { success: true, review };
+    } catch (err) {
+      return this._reviewError(err);
     }
-    
-    void runtime.log?.debug?.("工具调用完成", { toolName: "create_role", ok: true, roleId: result?.id ?? null });
-    return result;
   }
 
+  /**
+   * 将评审服务的错误转换为工具返回值
+   * @private
+   */
+  _reviewError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      invalid_review: "评审参数无效",
+      review_not_found: "评审不存在，可用 list_reviews 查看",
+      review_closed: "评审已结束或已撤回",
+      not_reviewer: "你不是该评审的评审人",
+      invalid_verdict: "verdict 必须是 approve 或 request_changes",
+      missing_comments: "要求修改时必须在 comments 中写明需要修改的内容"
+    };
+    return { error: code, message: messages[code] ?? code, ...(err?.details ?? {}) };
+  }
 
+  /**
+   * 解析工具参数中的任务：未指定时取调用者当前正在执行的任务
+   * @private
+   */
+  _resolveTrackedTask(ctx, args) {
+    const registry = this.runtime.taskRegistry;
+    const id = typeof args?.trackedTaskId === "string" && args.trackedTaskId ? args.trackedTaskId : null;
+    const current = id ? null : registry.findCurrentTask(ctx.agent?.id ?? null);
+    return registry.getTask(id ?? current?.id ?? "");
+  }
 
-  async _executeSpawnAgentWithTask(ctx, args) {
-    const runtime = this.runtime;
-    const creatorId = ctx.agent?.id ?? null;
-    
-    if (!creatorId) return { error: "missing_creator_agent" };
-    if (!args.initialMessage) {
-      return { error: "missing_initial_message" };
-    }
-    
-    const normalizedInitialMessage =
-      typeof args.initialMessage === "string"
-        ? { message_type: "task_assignment", text: args.initialMessage }
-        : args.initialMessage;
-    
-    if (!normalizedInitialMessage || typeof normalizedInitialMessage !== "object") {
-      return { error: "missing_initial_message" };
-    }
-    if (typeof args.roleId !== "string" || !args.roleId.trim()) {
-      return { error: "roleId_required" };
+  /**
+   * 更新任务状态：执行者、委派者或 root 可以更新
+   */
+  async _executeUpdateTask(ctx, args) {
+    const registry = this.runtime.taskRegistry;
+    if (!registry) return { error: "tasks_unavailable", message: "任务跟踪服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const task = this._resolveTrackedTask(ctx, args);
+    if (!task) return this._taskError(new Error(args?.trackedTaskId ? "task_not_found" : "no_current_task"));
+    if (callerId !== "root" && task.assigneeId !== callerId && task.creatorId !== callerId) {
+      return { error: "not_task_participant", message: "只有任务的执行者、委派者或 root 可以修改任务", assigneeId: task.assigneeId, creatorId: task.creatorId };
     }
-    if (!runtime.org?.getRole?.(args.roleId)) {
-      return { error: "role_not_found" };
+    try {
+      const updated = await registry.updateTask(task.id, { status: args?.status, progress: args?.progress, note: args?.note }, callerId);
+      return { success: true, task: updated };
+    } catch (err) {
+      return this._taskError(err);
     }
+  }
 
-    // 验证 taskBrief 参数
-    const taskBriefValidation = validateTaskBrief(args.taskBrief);
-    if (!taskBriefValidation.valid) {
-      return { error: "invalid_task_brief", details: taskBriefValidation.errors };
+  /**
+   * 设置任务依赖：执行者、委派者或 root 可以设置
+   */
+  async _executeSetTaskDependencies(ctx, args) {
+    const registry = this.runtime.taskRegistry;
+    if (!registry) return { error: "tasks_unavailable", message: "任务跟踪服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const task = registry.getTask(String(args?.trackedTaskId ?? ""));
+    if (!task) return this._taskError(new Error("task_not_found"));
+    if (callerId !== "root" && task.assigneeId !== callerId && task.creatorId !== callerId) {
+      return { error: "not_task_participant", message: "只有任务的执行者、委派者或 root 可以修改任务", assigneeId: task.assigneeId, creatorId: task.creatorId };
     }
-
-    // 直接使用底层的 spawnAgentAs 方法创建智能体
     try {
-      const agent = await runtime.spawnAgentAs(creatorId, {
-        roleId: args.roleId,
-        name: args.name,
-        taskBrief: args.taskBrief
-      });
-
-      const newAgentId = agent.id;
-      const taskId = ctx.currentMessage?.taskId ?? null;
-
-      // 发送任务消息
-      const messagePayload = {
-        message_type: normalizedInitialMessage.message_type ?? "task_assignment",
-        ...normalizedInitialMessage
-      };
-      
-      const createdMeta = runtime.org?.getAgent?.(newAgentId) ?? null;
-      const createdName = createdMeta && typeof createdMeta.name === "string" && createdMeta.name.trim() ? createdMeta.name.trim() : null;
-      if (createdName && typeof messagePayload.text === "string") {
-        messagePayload.text = `${messagePayload.text}\n\n【你的姓名】${createdName}`;
-      }
+      const updated = await registry.setDependencies(task.id, Array.isArray(args?.dependsOn) ? args.dependsOn : [], callerId);
+      return { success: true, task: updated };
+    } catch (err) {
+      return this._taskError(err);
+    }
+  }
 
-      const sendResult = runtime.bus.send({
-        to: newAgentId,
-        from: creatorId,
-        taskId,
-        payload: messagePayload
-      });
+  /**
+   * 列出与当前智能体相关的任务；root 可以看到全部任务
+   */
+  _executeListTasks(ctx, args) {
+    const registry = this.runtime.taskRegistry;
+    if (!registry) return { error: "tasks_unavailable", message: "任务跟踪服务未初始化" };
+    const callerId = ctx.agent?.id ?? null;
+    const filter = { open: !args?.includeClosed };
+    if (args?.scope === "assigned") filter.assigneeId = callerId;
+    else if (args?.scope === "delegated") filter.creatorId = callerId;
+    else if (callerId !== "root") filter.involving = callerId;
+    const tasks = registry.listTasks(filter);
+    return { tasks, count: tasks.length };
+  }
 
-      void runtime.log?.info?.("spawn_agent_with_task 完成", {
-        creatorId,
-        newAgentId,
-        roleId: agent.roleId,
-        messageId: sendResult.messageId,
-        taskId
-      });
+  /**
+   * 查看任务详情
+   */
+  _executeGetTask(ctx, args) {
+    const registry = this.runtime.taskRegistry;
+    if (!registry) return { error: "tasks_unavailable", message: "任务跟踪服务未初始化" };
+    const task = this._resolveTrackedTask(ctx, args);
+    if (!task) return this._taskError(new Error(args?.trackedTaskId ? "task_not_found" : "no_current_task"));
+    return { task };
+  }
 
-      return {
-        id: newAgentId,
-        roleId: agent.roleId,
-        roleName: agent.roleName,
-        messageId: sendResult.messageId
-      };
-    } catch (error) {
-      void runtime.log?.error?.("spawn_agent_with_task 失败", {
-        creatorId,
-        roleId: args.roleId,
-        error: error.message
-      });
-      return { error: "spawn_failed", message: error.message };
-    }
+  /**
+   * 将任务跟踪服务的错误转换为工具返回值
+   * @private
+   */
+  _taskError(err) {
+    const code = err?.message ?? String(err);
+    const messages = {
+      task_not_found: "任务不存在，可用 list_tasks 查看",
+      no_current_task: "你当前没有正在执行的委派任务，请指定 trackedTaskId",
+      task_closed: "任务已结束，不能再修改",
+      invalid_status: "状态无效",
+      invalid_progress: "progress 必须是 0 到 100 之间的数字",
+      missing_note: "标记为受阻或失败时必须在 note 中说明原因",
+      dependency_cycle: "依赖会形成循环，已拒绝"
+    };
+    return { error: code, message: messages[code] ?? code, ...(err?.details ?? {}) };
   }
 
-  _executeSendMessage(ctx, args) {
-    const runtime = this.runtime;
-    const senderId = ctx.agent?.id ?? "unknown";
-    
-    // 收件人参数必须是数组
-    const recipientIds = args?.to ?? [];
-    
-    // 过滤空值并转为字符串
-    const validRecipientIds = recipientIds
-      .filter(id => id != null && id !== "")
-      .map(id => String(id));
+  /**
+   * 验证 quickReplies 参数
+   * 
+   * @param {any} quickReplies - 快速回复选项
+   * @returns {{valid: boolean, quickReplies?: string[], error?: string, message?: string}}
+   */
+  _validateQuickReplies(quickReplies) {
+    // 未提供或空数组，视为有效但忽略
+    if (!quickReplies || !Array.isArray(quickReplies) || quickReplies.length === 0) {
+      return { valid: true, quickReplies: null };
+    }
     
-    if (validRecipientIds.length === 0) {
-      return { error: "missing_recipients", message: "至少需要指定一个收件人" };
+    // 超过10个则截取前10个，保证业务继续执行
+    let processedQuickReplies = quickReplies;
+    if (quickReplies.length > 10) {
+      processedQuickReplies = quickReplies.slice(0, 10);
     }
-
-    // 检查发送者是否已终止
-    if (senderId !== "root" && senderId !== "user" && senderId !== "unknown") {
-      const senderMeta = runtime.org?.getAgent?.(senderId);
-      if (senderMeta && senderMeta.status === "terminated") {
-        return { error: "sender_terminated" };
+    
+    // 元素类型检查
+    for (let i = 0; i < processedQuickReplies.length; i++) {
+      const item = processedQuickReplies[i];
+      if (typeof item !== "string") {
+        return { 
+          valid: false, 
+          error: "quickReplies_invalid_type", 
+          message: `快速回复选项[${i}]必须是字符串` 
+        };
+      }
+      if (item.trim() === "") {
+        return { 
+          valid: false, 
+          error: "quickReplies_empty_string", 
+          message: `快速回复选项[${i}]不能为空` 
+        };
       }
     }
+    
+    return { valid: true, quickReplies: processedQuickReplies };
+  }
 
-    // 消息验证
-    const messageValidation = validateMessageFormat(args.payload);
-    if (!messageValidation.valid) {
-      void runtime.log?.warn?.("send_message 消息格式验证警告", {
-        from: senderId,
-        recipientCount: validRecipientIds.length,
-        errors: messageValidation.errors
-      });
+  /**
+   * 验证并规范化消息中的工件引用
+   * 
+   * 支持 artifactId 字符串或包含 artifactId 字段的对象，统一转换为工件摘要。
+   * 
+   * @param {any} artifacts - payload.artifacts
+   * @returns {{valid: boolean, artifacts?: object[]|null, error?: string, message?: string, artifactIds?: string[]}}
+   */
+  _normalizeArtifactRefs(artifacts) {
+    if (artifacts === undefined || artifacts === null) {
+      return { valid: true, artifacts: null };
     }
-
-    // 验证 quickReplies 参数
-    const quickRepliesValidation = this._validateQuickReplies(args.quickReplies);
-    if (!quickRepliesValidation.valid) {
-      return { 
-        error: quickRepliesValidation.error, 
-        message: quickRepliesValidation.message 
-      };
+    if (!Array.isArray(artifacts)) {
+      return { valid: false, error: "invalid_artifacts", message: "payload.artifacts 必须是数组" };
     }
-
-    // 构建最终的 payload，如果有有效的 quickReplies 则添加到 payload 中
-    let finalPayload = args.payload;
-    if (quickRepliesValidation.quickReplies) {
-      finalPayload = {
-        ...args.payload,
-        quickReplies: quickRepliesValidation.quickReplies
-      };
+    if (artifacts.length === 0) {
+      return { valid: true, artifacts: null };
     }
 
-    const currentTaskId = ctx.currentMessage?.taskId ?? null;
-    
-    // 循环处理每个收件人
-    const results = [];
-    const errors = [];
-    
-    for (const recipientId of validRecipientIds) {
-      // 验证收件人
-      const isRecipientSpecial = recipientId === "root" || recipientId === "user";
-      if (!isRecipientSpecial && !runtime._agents.has(recipientId)) {
-        errors.push({ recipient: recipientId, error: "unknown_recipient" });
+    const store = this.runtime.artifactStore;
+    const refs = [];
+    const notFound = [];
+    for (const item of artifacts) {
+      const id = typeof item === "string" ? item : item?.artifactId;
+      if (!store || !store.hasArtifact(id)) {
+        notFound.push(String(id));
         continue;
       }
+      const meta = store.getMetadata(id);
+      refs.push({ artifactId: meta.id, name: meta.name, type: meta.type, mimeType: meta.mimeType, size: meta.size });
+    }
+    if (notFound.length > 0) {
+      return { valid: false, error: "artifact_not_found", message: "引用的工件不存在", artifactIds: notFound };
+    }
+    return { valid: true, artifacts: refs };
+  }
 
-      // 发送消息
-      const result = ctx.tools.sendMessage({
-        to: recipientId,
-        from: senderId,
-        taskId: currentTaskId,
-        payload: finalPayload,
-        delayMs: args.delayMs
-      });
-
-      results.push({ recipient: recipientId, messageId: result.messageId });
+  async _executeTerminateAgent(ctx, args) {
+    const result = await this.runtime._executeTerminateAgent(ctx, args);
+    void this.runtime.log?.debug?.("工具调用完成", { toolName: "terminate_agent", ok: !result.error });
+    return result;
+  }
 
-      void runtime.loggerRoot?.logAgentLifecycleEvent?.("agent_message_sent", {
-        agentId: senderId,
-        messageId: result.messageId,
-        to: recipientId,
-        taskId: currentTaskId,
-        delayMs: args.delayMs ?? null
+  /**
+   * 切换岗位状态：只能切换自己创建的岗位（root 不受限）
+   */
+  async _executeSetRoleStatus(ctx, args) {
+    const callerId = ctx.agent?.id ?? null;
+    const role = this.runtime.org.getRole(args?.roleId);
+    if (!role || role.status === "deleted") return { error: "role_not_found", roleId: args?.roleId ?? null };
+    if (callerId !== "root" && role.createdBy !== callerId) {
+      return { error: "not_role_creator", message: "只能切换自己创建的岗位的状态" };
+    }
+    try {
+      const updated = await this.runtime.org.setRoleStatus(role.id, args.status, {
+        changedBy: callerId,
+        reason: args.reason,
+        replacedByRoleId: args.replacedByRoleId
       });
+      return { success: true, roleId: updated.id, status: updated.status, replacedByRoleId: updated.replacedByRoleId ?? null };
+    } catch (err) {
+      return { error: err.message, roleId: role.id, ...(err.details ?? {}) };
     }
+  }
 
-    // 返回结果
-    if (errors.length > 0 && results.length === 0) {
-      // 全部失败
-      return { 
-        error: "all_recipients_failed", 
-        errors,
-        successCount: 0,
-        failedCount: errors.length
-      };
+  /**
+   * 调整子智能体的上级：调用者必须是其当前上级（root 不受限），新上级必须是调用者自己或其下属
+   */
+  async _executeReassignAgent(ctx, args) {
+    const runtime = this.runtime;
+    const callerId = ctx.agent?.id ?? null;
+    const newParentId = typeof args?.newParentId === "string" ? args.newParentId.trim() : "";
+    if (!newParentId) return { error: "missing_new_parent", message: "必须指定 newParentId" };
+    if (callerId !== "root") {
+      const denied = this._checkChildAgent(callerId, args?.agentId);
+      if (denied) return denied.error === "not_child_agent" ? { error: "not_child_agent", message: "只能调整自己创建的子智能体" } : denied;
+      if (newParentId !== callerId && !runtime._isDescendantOf(newParentId, callerId)) {
+        return { error: "parent_not_in_subtree", message: "新上级必须是你自己或你的下属" };
+      }
     }
+    const result = await runtime.reassignAgent(args?.agentId, newParentId, { reassignedBy: callerId });
+    if (!result.ok) return this._reassignError(result.reason, args?.agentId);
+    return { success: true, agentId: result.agentId, previousParentAgentId: result.previousParentAgentId, parentAgentId: result.parentAgentId, moved: result.moved };
+  }
 
-    // 部分或全部成功
-    const result = {
-      success: true,
-      messageCount: results.length,
-      recipients: results.map(r => r.recipient),
-      messageIds: results.map(r => r.messageId)
+  /**
+   * 将调整上级的失败原因转换为工具返回值
+   * @private
+   */
+  _reassignError(code, agentId) {
+    const messages = {
+      agent_not_found: "智能体不存在或已终止",
+      parent_not_found: "新上级不存在或已终止",
+      same_parent: "该智能体已经是新上级的下属",
+      reassign_cycle: "新上级不能是被调整者本人或其下属",
+      invalid_new_parent: "新上级无效",
+      cannot_reassign_system_agent: "不能调整 root 或 user"
     };
-    
-    if (errors.length > 0) {
-      result.partialErrors = errors;
-      result.failedCount = errors.length;
-    }
+    return { error: code, message: messages[code] ?? code, agentId };
+  }
+
+  /**
+   * 暂停子智能体：只能暂停自己创建的子智能体
+   */
+  async _executeSuspendAgent(ctx, args) {
+    const callerId = ctx.agent?.id ?? null;
+    const denied = this._checkChildAgent(callerId, args?.agentId);
+    if (denied) return denied;
+    const result = await this.runtime.suspendAgent(args.agentId, {
+      suspendedBy: callerId,
+      reason: typeof args.reason === "string" ? args.reason : undefined,
+      includeDescendants: args.includeDescendants === true
+    });
+    if (!result.ok) return { error: result.reason, agentId: args.agentId };
+    return { success: true, suspended: result.suspended };
+  }
 
-    return result;
+  /**
+   * 恢复子智能体：只能恢复自己创建的子智能体
+   */
+  async _executeResumeAgent(ctx, args) {
+    const callerId = ctx.agent?.id ?? null;
+    const denied = this._checkChildAgent(callerId, args?.agentId);
+    if (denied) return denied;
+    const result = await this.runtime.resumeAgent(args.agentId, {
+      resumedBy: callerId,
+      includeDescendants: args.includeDescendants === true
+    });
+    if (!result.ok) return { error: result.reason, agentId: args.agentId };
+    return { success: true, resumed: result.resumed, pendingMessages: result.pendingMessages };
   }
 
   /**
-   * 验证 quickReplies 参数
-   * 
-   * @param {any} quickReplies - 快速回复选项
-   * @returns {{valid: boolean, quickReplies?: string[], error?: string, message?: string}}
+   * 分叉子智能体：只能分叉自己创建的子智能体，副本同样是调用者的下属
    */
-  _validateQuickReplies(quickReplies) {
-    // 未提供或空数组，视为有效但忽略
-    if (!quickReplies || !Array.isArray(quickReplies) || quickReplies.length === 0) {
-      return { valid: true, quickReplies: null };
-    }
-    
-    // 超过10个则截取前10个，保证业务继续执行
-    let processedQuickReplies = quickReplies;
-    if (quickReplies.length > 10) {
-      processedQuickReplies = quickReplies.slice(0, 10);
-    }
-    
-    // 元素类型检查
-    for (let i = 0; i < processedQuickReplies.length; i++) {
-      const item = processedQuickReplies[i];
-      if (typeof item !== "string") {
-        return { 
-          valid: false, 
-          error: "quickReplies_invalid_type", 
-          message: `快速回复选项[${i}]必须是字符串` 
-        };
+  async _executeForkAgent(ctx, args) {
+    const callerId = ctx.agent?.id ?? null;
+    const denied = this._checkChildAgent(callerId, args?.agentId);
+    if (denied) return denied.error === "not_child_agent" ? { error: "not_child_agent", message: "只能分叉自己创建的子智能体" } : denied;
+    const result = await this.runtime.forkAgent(args.agentId, {
+      forkedBy: callerId,
+      truncateAt: args.truncateAt ?? null,
+      name: typeof args.name === "string" ? args.name : undefined
+    });
+    if (!result.ok) {
+      if (result.reason === "invalid_truncate_index") {
+        return { error: "invalid_truncate_index", message: `truncateAt 必须是 1~${result.messageCount} 之间的整数`, messageCount: result.messageCount };
       }
-      if (item.trim() === "") {
-        return { 
-          valid: false, 
-          error: "quickReplies_empty_string", 
-          message: `快速回复选项[${i}]不能为空` 
-        };
+      if (result.reason === "empty_conversation") {
+        return { error: "empty_conversation", message: "子智能体还没有会话记录，无法分叉", agentId: args.agentId };
       }
+      return { error: result.reason, agentId: args.agentId };
     }
-    
-    return { valid: true, quickReplies: processedQuickReplies };
+    return { success: true, agentId: result.agentId, forkedFrom: result.forkedFrom, forkIndex: result.forkIndex, messageCount: result.messageCount };
   }
 
-  async _executeTerminateAgent(ctx, args) {
-    const result = await this.runtime._executeTerminateAgent(ctx, args);
-    void this.runtime.log?.debug?.("工具调用完成", { toolName: "terminate_agent", ok: !result.error });
-    return result;
+  /**
+   * 校验目标是调用者的子智能体，不是时返回错误
+   * @private
+   */
+  _checkChildAgent(callerId, targetId) {
+    if (!targetId || typeof targetId !== "string") return { error: "missing_agent_id" };
+    const meta = this.runtime.org?.getAgent?.(targetId) ?? null;
+    if (!meta || meta.status === "terminated") return { error: "agent_not_found", agentId: targetId };
+    if (meta.parentAgentId !== callerId) {
+      return { error: "not_child_agent", message: "只能暂停或恢复自己创建的子智能体" };
+    }
+    return null;
   }
 
   async _executeRunJavaScript(ctx, args) {
@@ -1123,22 +2991,242 @@ export class ToolExecutor {
     }
 
     const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
-    const result = await ws.writeFile(args.path, args.content, {
-      mimeType: args.mimeType,
-      operator: ctx.agent?.id,
-      messageId: ctx.currentMessage?.id
-    });
+    let result;
+    try {
+      result = await ws.writeFile(args.path, args.content, {
+        mimeType: args.mimeType,
+        operator: ctx.agent?.id,
+        messageId: ctx.currentMessage?.id,
+        expectedRevision: args.expectedRevision
+      });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
 
     return {
       ok: true,
       files: [{
         path: args.path,
         size: result.size,
-        mimeType: result.mimeType
+        mimeType: result.mimeType,
+        revision: result.revision
       }]
     };
   }
 
+  /**
+   * 将工作空间写入错误（修订号冲突、文件被锁定、超出磁盘配额）转换为结构化工具结果
+   * @param {Error} err
+   * @returns {object|null} 其他错误时返回 null
+   */
+  _workspaceWriteError(err) {
+    if (err?.message === "revision_conflict") {
+      return {
+        error: "revision_conflict",
+        message: "文件已被其他操作者修改，本次写入已拒绝。请先用 read_file 获取最新内容与 revision 后再修改。",
+        ...err.details
+      };
+    }
+    if (err?.message === "file_locked") {
+      const lock = err.details?.lock ?? null;
+      return {
+        error: "file_locked",
+        message: `文件已被 ${lock?.owner ?? "其他操作者"} 锁定，锁将于 ${lock?.expiresAt ?? "稍后"} 过期`,
+        path: err.details?.path ?? null,
+        lock
+      };
+    }
+    if (err?.message === "quota_exceeded") {
+      return {
+        error: "quota_exceeded",
+        message: quotaExceededMessage(err.details),
+        ...err.details
+      };
+    }
+    return null;
+  }
+
+  async _executeTransferFile(ctx, args, mode) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    const options = {
+      operator: ctx.agent?.id,
+      messageId: ctx.currentMessage?.id,
+      overwrite: args.overwrite === true
+    };
+    try {
+      return mode === "move"
+        ? await ws.moveFile(args.from, args.to, options)
+        : await ws.copyFile(args.from, args.to, options);
+    } catch (err) {
+      if (err.message === "target_exists") {
+        return {
+          error: "target_exists",
+          message: "目标路径已存在。覆盖文件请设置 overwrite: true；目录不支持覆盖，请换一个目标路径。",
+          path: err.details?.path ?? args.to
+        };
+      }
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
+  }
+
+  async _executeMakeDir(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    return await ws.makeDir(args.path);
+  }
+
+  async _executeImportArchive(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    if (!args?.path === !args?.artifactId) {
+      return { error: "invalid_archive_source", message: "path 与 artifactId 必须且只能提供一个" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    const options = {
+      operator: ctx.agent?.id,
+      messageId: ctx.currentMessage?.id,
+      targetDir: args.targetDir,
+      overwrite: args.overwrite === true
+    };
+
+    try {
+      if (args.path) {
+        return await ws.importArchiveFile(args.path, options);
+      }
+      const store = runtime.artifactStore;
+      if (!store) {
+        return { error: "artifact_store_unavailable", message: "工件存储未初始化" };
+      }
+      if (!store.isValidId(args.artifactId)) {
+        return { error: "invalid_artifact_id", message: "artifactId 格式无效" };
+      }
+      if (!store.hasArtifact(args.artifactId)) {
+        return { error: "artifact_not_found", artifactId: args.artifactId };
+      }
+      const { content } = await store.getArtifact(args.artifactId);
+      return await ws.importArchive(content, options);
+    } catch (err) {
+      if (err.message === "archive_path_traversal") {
+        return {
+          error: "archive_path_traversal",
+          message: "归档包含绝对路径或 .. 等越出目标目录的条目，已整体拒绝，未写入任何文件",
+          entries: err.details?.entries ?? []
+        };
+      }
+      if (["invalid_archive", "unsupported_archive_format", "archive_too_large", "file_not_found"].includes(err.message)) {
+        return { error: err.message, message: `无法导入归档: ${err.message}` };
+      }
+      throw err;
+    }
+  }
+
+  async _executeLockFile(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    try {
+      return await ws.acquireLock(args.path, { owner: ctx.agent?.id, ttlMs: args.ttlMs, reason: args.reason });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
+  }
+
+  async _executeUnlockFile(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    try {
+      return await ws.releaseLock(args.path, { owner: ctx.agent?.id });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
+  }
+
+  async _executeEditFile(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    try {
+      return await ws.editFile(args.path, args.edits, {
+        operator: ctx.agent?.id,
+        messageId: ctx.currentMessage?.id,
+        expectedRevision: args.expectedRevision
+      });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      if (err.message === "edit_conflict") {
+        return {
+          error: "edit_conflict",
+          message: "部分编辑块无法应用，文件未修改。请先用 read_file 确认当前内容后重试。",
+          conflicts: err.details?.conflicts ?? []
+        };
+      }
+      throw err;
+    }
+  }
+
+  async _executeApplyPatch(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    try {
+      return await ws.applyPatch(args.path, args.patch, {
+        operator: ctx.agent?.id,
+        messageId: ctx.currentMessage?.id,
+        expectedRevision: args.expectedRevision
+      });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      if (err.message === "patch_conflict") {
+        return {
+          error: "patch_conflict",
+          message: "补丁上下文与文件当前内容不匹配，文件未修改。请先用 read_file 确认当前内容后重新生成补丁。",
+          conflicts: err.details?.conflicts ?? []
+        };
+      }
+      if (err.message === "invalid_patch") {
+        return { error: "invalid_patch", message: "补丁格式无效，需为统一差异格式", details: err.details ?? null };
+      }
+      throw err;
+    }
+  }
+
   async _executeListFiles(ctx, args) {
     const runtime = this.runtime;
     const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
@@ -1157,12 +3245,16 @@ export class ToolExecutor {
     }
     
     const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
-    const result = await ws.deleteFile(args.path, { 
-      operator: ctx.agent?.id,
-      messageId: ctx.currentMessage?.id
-    });
-    
-    return result;
+    try {
+      return await ws.deleteFile(args.path, { 
+        operator: ctx.agent?.id,
+        messageId: ctx.currentMessage?.id
+      });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
   }
 
   async _executeGetWorkspaceInfo(ctx, args) {
@@ -1182,26 +3274,218 @@ export class ToolExecutor {
       return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
     }
 
-    if (!args.text || typeof args.text !== "string") {
-      return { error: "missing_text", message: "必须提供要搜索的文本" };
+    const hasText = typeof args.text === "string" && args.text.length > 0;
+    if (!hasText && !args.glob) {
+      return { error: "missing_text", message: "必须提供要搜索的文本或文件路径通配符" };
     }
 
     const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
-    const results = await ws.searchText(
-      args.path ?? ".",
-      args.text,
-      {
+    try {
+      const result = await ws.search(hasText ? args.text : "", {
+        mode: args.mode ?? "text",
+        glob: args.glob,
+        path: args.path ?? ".",
         caseSensitive: Boolean(args.caseSensitive),
-        maxResults: args.maxResults ?? 1000
+        contextLines: args.contextLines,
+        maxResults: args.maxResults
+      });
+      return {
+        results: result.results,
+        count: result.results.length,
+        total: result.total,
+        truncated: result.truncated,
+        path: args.path ?? ".",
+        text: args.text ?? "",
+        mode: result.mode
+      };
+    } catch (err) {
+      if (err.message === "invalid_regex") {
+        return { error: "invalid_regex", message: `正则表达式无效：${err.details?.message ?? ""}` };
       }
-    );
+      if (err.message === "invalid_search_mode") {
+        return { error: "invalid_search_mode", message: "mode 只能是 text、phrase 或 regex" };
+      }
+      throw err;
+    }
+  }
 
-    return {
-      results,
-      count: results.length,
-      path: args.path ?? ".",
-      text: args.text
+  async _executeListFileVersions(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    return await ws.listVersions(args.path);
+  }
+
+  async _executeDiffFileVersions(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    return await ws.diffVersions(args.path, args.fromVersion, args.toVersion);
+  }
+
+  async _executeRestoreFileVersion(ctx, args) {
+    const runtime = this.runtime;
+    const workspaceId = runtime.findWorkspaceIdForAgent(ctx.agent?.id);
+    if (!workspaceId) {
+      return { error: "workspace_not_assigned", message: "当前智能体未分配工作空间" };
+    }
+    const ws = await runtime.workspaceManager.getWorkspace(workspaceId);
+    let result;
+    try {
+      result = await ws.restoreVersion(args.path, args.version, {
+        operator: ctx.agent?.id,
+        messageId: ctx.currentMessage?.id
+      });
+    } catch (err) {
+      const writeError = this._workspaceWriteError(err);
+      if (writeError) return writeError;
+      throw err;
+    }
+    void runtime.log?.info?.("文件已恢复到历史版本", {
+      agentId: ctx.agent?.id ?? null,
+      workspaceId,
+      path: args.path,
+      restoredFrom: result.restoredFrom
+    });
+    return result;
+  }
+
+  /**
+   * 保存工件
+   * @param {object} ctx - 智能体上下文
+   * @param {{content: string, type?: string, name?: string, mimeType?: string, encoding?: string}} args - 工具参数
+   * @returns {Promise<object>} 工件元数据
+   */
+  async _executePutArtifact(ctx, args) {
+    const store = this.runtime.artifactStore;
+    if (!store) {
+      return { error: "artifact_store_unavailable", message: "工件存储未初始化" };
+    }
+    if (typeof args?.content !== "string") {
+      return { error: "missing_content", message: "必须提供工件内容" };
+    }
+
+    const encoding = args.encoding === "base64" ? "base64" : "utf8";
+    const content = encoding === "base64" ? Buffer.from(args.content, "base64") : args.content;
+    const meta = await store.putArtifact({
+      content,
+      type: args.type,
+      name: args.name,
+      mimeType: args.mimeType ?? (encoding === "base64" ? null : "text/plain"),
+      producerAgentId: ctx.agent?.id ?? "unknown",
+      messageId: ctx.currentMessage?.id ?? null,
+      taskId: ctx.currentMessage?.taskId ?? null
+    });
+
+    void this.runtime.log?.debug?.("工具调用完成", { toolName: "put_artifact", artifactId: meta.id, size: meta.size });
+    return { ok: true, artifactId: meta.id, ...meta };
+  }
+
+  /**
+   * 读取工件
+   * @param {object} ctx - 智能体上下文
+   * @param {{artifactId: string, offset?: number, length?: number}} args - 工具参数
+   * @returns {Promise<object>} 元数据与内容
+   */
+  async _executeGetArtifact(ctx, args) {
+    const store = this.runtime.artifactStore;
+    if (!store) {
+      return { error: "artifact_store_unavailable", message: "工件存储未初始化" };
+    }
+    if (!store.isValidId(args?.artifactId)) {
+      return { error: "invalid_artifact_id", message: "artifactId 格式无效" };
+    }
+    if (!store.hasArtifact(args.artifactId)) {
+      return { error: "artifact_not_found", artifactId: args.artifactId };
+    }
+
+    const { meta, content } = await store.getArtifact(args.artifactId);
+    const offset = Math.max(0, Number(args.offset ?? 0) || 0);
+    const length = Math.max(0, Number(args.length ?? 100000) || 100000);
+    const slice = content.subarray(offset, offset + length);
+    const truncated = offset + slice.length < content.length;
+
+    void this.runtime.log?.debug?.("工具调用完成", { toolName: "get_artifact", artifactId: meta.id, bytes: slice.length });
+    if (meta.type === "text" || meta.type === "json") {
+      return { artifact: meta, content: slice.toString("utf8"), offset, truncated };
+    }
+    return { artifact: meta, contentBase64: slice.toString("base64"), offset, truncated };
+  }
+
+  /**
+   * 在 Web 界面展示工件画廊
+   *
+   * 通过 UiCommandBroker 向当前活跃的浏览器客户端下发 show_artifacts 命令，并等待执行结果。
+   *
+   * @param {object} ctx - 智能体上下文
+   * @param {{artifactIds: string[], title?: string, timeoutMs?: number}} args - 工具参数
+   * @returns {Promise<object>}
+   */
+  async _executeShowArtifacts(ctx, args) {
+    const runtime = this.runtime;
+    const store = runtime.artifactStore;
+    if (!store) {
+      return { error: "artifact_store_unavailable", message: "工件存储未初始化" };
+    }
+    const ids = Array.isArray(args?.artifactIds) ? args.artifactIds : [];
+    if (ids.length === 0) {
+      return { error: "missing_artifact_ids", message: "至少需要指定一个工件" };
+    }
+
+    const items = [];
+    const notFound = [];
+    for (const id of ids) {
+      if (!store.hasArtifact(id)) {
+        notFound.push(id);
+        continue;
+      }
+      const meta = store.getMetadata(id);
+      items.push({
+        id: meta.id,
+        name: meta.name,
+        type: meta.type,
+        mimeType: meta.mimeType,
+        size: meta.size,
+        producerAgentId: meta.producerAgentId,
+        url: `/api/artifacts/${meta.id}/content`
+      });
+    }
+    if (notFound.length > 0) {
+      return { error: "artifact_not_found", artifactIds: notFound };
+    }
+
+    const broker = runtime.uiCommandBroker;
+    if (!broker) {
+      return { error: "ui_broker_unavailable" };
+    }
+    const payload = {
+      title: typeof args.title === "string" && args.title.trim() ? args.title.trim() : "工件",
+      agentId: ctx.agent?.id ?? null,
+      items
     };
+    const enq = broker.enqueueToActive({ type: "show_artifacts", payload });
+    if (!enq.ok) return enq;
+
+    try {
+      const resp = await broker.waitForResult(enq.commandId, Number(args.timeoutMs ?? 10000));
+      if (resp?.ok !== true) {
+        return { error: "ui_execute_error", message: resp?.error?.message ?? resp?.error ?? "unknown" };
+      }
+    } catch (err) {
+      if (err?.code === "ui_timeout" || err?.message === "ui_timeout") {
+        return { error: "ui_timeout" };
+      }
+      return { error: "ui_dispatch_failed", message: err?.message ?? String(err) };
+    }
+
+    void runtime.log?.debug?.("工具调用完成", { toolName: "show_artifacts", count: items.length });
+    return { ok: true, shown: items.length };
   }
 
   /**
@@ -1,4 +1,7 @@
 import { randomUUID } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { DEFAULT_PRIORITY } from "../utils/message/message_priority.js";
 
 /**
  * TurnEngine - 回合引擎（协程式：显式状态机 + 续跑）
@@ -10,6 +13,12 @@ import { randomUUID } from "node:crypto";
  * 设计约束：
  * - 同一 agent 的对话历史（conv）只允许 TurnEngine 写（单写者），避免并发写入导致乱序；
  * - step() 必须无阻塞：不能直接 await LLM/tool；由外部调度器负责启动异步并在完成后回调。
+ *
+ * 崩溃恢复：
+ * - 设置 checkpointDir 后，在每个 step 边界（need_llm / need_tool / send）把回合状态写入
+ *   checkpointDir/<agentId>.json，回合结束时删除；
+ * - 重启后 restoreCheckpoints() 读取检查点：能续跑的回合从最近的检查点继续，
+ *   执行中断的工具调用以合成的错误结果闭合，保证对话历史中 tool_calls 均有响应。
  */
 export class TurnEngine {
   /**
@@ -19,10 +28,20 @@ export class TurnEngine {
     this.runtime = runtime;
     /** @type {Map<string, {queue: any[], activeTurn: any|null}>} */
     this._byAgentId = new Map();
+    /** @type {string|null} 回合检查点目录（null 表示不持久化） */
+    this._checkpointDir = null;
   }
 
   /**
-   * 为 agent 入队一条消息回合。
+   * 设置回合检查点目录。
+   * @param {string|null} dir
+   */
+  setCheckpointDir(dir) {
+    this._checkpointDir = dir ?? null;
+  }
+
+  /**
+   * 为 agent 入队一条消息回合（按消息优先级插入，同优先级 FIFO）。
    * @param {string} agentId
    * @param {any} ctx
    * @param {any} message
@@ -30,27 +49,14 @@ export class TurnEngine {
    */
   enqueueMessageTurn(agentId, ctx, message) {
     const entry = this._ensureEntry(agentId);
-    const turnId = randomUUID();
-
-    const systemPrompt = this.runtime._buildSystemPromptForAgent(ctx);
-    const conv = this.runtime._ensureConversation(agentId, systemPrompt);
-
-    const turn = {
-      turnId,
-      agentId,
-      ctx,
-      message,
-      conv,
-      phase: "init",
-      round: 1,
-      llmMsg: null,
-      pendingToolCalls: [],
-      executingToolCall: null,
-      lastStepId: 0
-    };
-
-    entry.queue.push(turn);
-    return turnId;
+    const turn = this._createTurn(agentId, ctx, message);
+    const priority = message?.priority ?? DEFAULT_PRIORITY;
+    let index = entry.queue.length;
+    while (index > 0 && (entry.queue[index - 1].message?.priority ?? DEFAULT_PRIORITY) < priority) index--;
+    entry.queue.splice(index, 0, turn);
+    // 消息已从 MessageBus 出队，排队中的回合也要落盘，否则崩溃会丢消息
+    this._checkpoint(agentId);
+    return turn.turnId;
   }
 
   /**
@@ -64,6 +70,17 @@ export class TurnEngine {
     return !!entry.activeTurn || entry.queue.length > 0;
   }
 
+  /**
+   * 获取 agent 当前回合的优先级：有活跃回合时取其消息优先级，否则取队首回合。
+   * @param {string} agentId
+   * @returns {number|null} 没有可运行回合时返回 null
+   */
+  getPriority(agentId) {
+    const entry = this._byAgentId.get(agentId);
+    const turn = entry?.activeTurn ?? entry?.queue[0] ?? null;
+    return turn ? (turn.message?.priority ?? DEFAULT_PRIORITY) : null;
+  }
+
   /**
    * 清理某个 agent 的回合队列与活跃回合（用于终止/删除）。
    * @param {string} agentId
@@ -71,6 +88,7 @@ export class TurnEngine {
   clearAgent(agentId) {
     if (!agentId) return;
     this._byAgentId.delete(agentId);
+    this._removeCheckpoint(agentId);
   }
 
   /**
@@ -92,6 +110,7 @@ export class TurnEngine {
       cancelScope?.assertActive?.();
     } catch {
       entry.activeTurn = null;
+      this._checkpoint(agentId);
       return { kind: "done" };
     }
 
@@ -101,6 +120,8 @@ export class TurnEngine {
       const contextStatusPrompt = this.runtime._conversationManager.buildContextStatusPrompt(agentId);
       const formatted = await this.runtime._formatMessageForLlm(turn.ctx, turn.message);
       const userContent = formatted + contextStatusPrompt;
+      // 记录回合开始时的历史长度，重启后重新开始该回合时据此截掉已保存的部分进度
+      turn.startConvLength = turn.conv.length;
       turn.conv.push({ role: "user", content: userContent });
 
       turn.phase = "need_llm";
@@ -142,6 +163,7 @@ export class TurnEngine {
         cancelEpoch: cancelScope?.epoch ?? null
       };
 
+      this._checkpoint(agentId);
       return {
         kind: "need_llm",
         agentId,
@@ -188,6 +210,7 @@ export class TurnEngine {
 
       turn.executingToolCall = { toolName, callId, args };
       turn.lastStepId += 1;
+      this._checkpoint(agentId);
       return {
         kind: "need_tool",
         agentId,
@@ -205,6 +228,7 @@ export class TurnEngine {
         turn.phase = "finished";
         // 提取 token 使用量
         const usage = turn.llmMsg?._usage ?? null;
+        this._checkpoint(agentId);
         return {
           kind: "send",
           agentId,
@@ -224,6 +248,7 @@ export class TurnEngine {
 
     if (turn.phase === "finished") {
       entry.activeTurn = null;
+      this._checkpoint(agentId);
       return { kind: "done" };
     }
 
@@ -285,6 +310,7 @@ export class TurnEngine {
     if (!turn) return;
     if (turn.turnId !== input.turnId) return;
     entry.activeTurn = null;
+    this._checkpoint(agentId);
   }
 
   /**
@@ -366,6 +392,206 @@ export class TurnEngine {
     this.onToolResult(agentId, { turnId: input.turnId, stepId: input.stepId, callId: input.callId, result });
   }
 
+  /**
+   * 从检查点恢复回合（在智能体注册与对话历史加载完成后调用，由调度器首次启动时触发）。
+   *
+   * 恢复策略（按检查点中的 phase）：
+   * - waiting_llm：从 need_llm 续跑；若 LLM 结果已写入历史则直接进入 send_text；
+   * - dispatch_tools：未返回结果的工具调用以合成错误闭合，进入下一轮 need_llm；
+   * - finished：回复已发出，直接丢弃；
+   * - 对话历史落后于检查点（防抖保存未完成）时，把历史截回回合开始时的长度，以原消息重新开始该回合。
+   * 排队中尚未开始的回合按原顺序重新入队。
+   *
+   * @returns {{resumed:number, restarted:number, requeued:number, discarded:number, closedToolCalls:number}}
+   */
+  restoreCheckpoints() {
+    const result = { resumed: 0, restarted: 0, requeued: 0, discarded: 0, closedToolCalls: 0 };
+    const dir = this._checkpointDir;
+    if (!dir || !existsSync(dir)) return result;
+
+    let files = [];
+    try {
+      files = readdirSync(dir).filter((f) => f.endsWith(".json"));
+    } catch (err) {
+      void this.runtime.log?.error?.("读取回合检查点目录失败", { dir, error: err?.message ?? String(err) });
+      return result;
+    }
+
+    for (const file of files) {
+      const agentId = file.slice(0, -5);
+      let data = null;
+      try {
+        data = JSON.parse(readFileSync(path.join(dir, file), "utf8"));
+      } catch (err) {
+        void this.runtime.log?.warn?.("回合检查点损坏，已丢弃", { agentId, error: err?.message ?? String(err) });
+        this._removeCheckpoint(agentId);
+        result.discarded += 1;
+        continue;
+      }
+
+      const agent = this.runtime._agents?.get(agentId);
+      if (!agent) {
+        this._removeCheckpoint(agentId);
+        result.discarded += 1;
+        continue;
+      }
+
+      const entry = this._ensureEntry(agentId);
+      const buildCtx = (message) => {
+        const ctx = this.runtime._buildAgentContext(agent);
+        ctx.currentMessage = message;
+        return ctx;
+      };
+
+      const saved = data?.activeTurn ?? null;
+      let closedCount = 0;
+      let trimmedCount = 0;
+      if (saved?.message) {
+        const turn = this._createTurn(agentId, buildCtx(saved.message), saved.message);
+        const convBehind = turn.conv.length < (saved.convLength ?? 0);
+        // 防抖保存可能已写入本回合的用户消息与部分输出：截回回合开始时的长度再从头处理，
+        // 避免重复的用户消息以及为已执行的工具调用合成中断结果
+        const startConvLength = saved.startConvLength;
+        if (convBehind && Number.isInteger(startConvLength)
+          && turn.conv.length > startConvLength && turn.conv[startConvLength]?.role === "user") {
+          trimmedCount = turn.conv.splice(startConvLength).length;
+        }
+
+        const closeResult = this.runtime._conversationManager?.closeDanglingToolCalls?.(agentId, (call) => ({
+          error: "tool_interrupted_by_restart",
+          toolName: call?.function?.name ?? null,
+          message: "系统重启导致工具调用中断，执行结果未知，请确认状态后按需重试"
+        }));
+        closedCount = closeResult?.closed?.length ?? 0;
+        result.closedToolCalls += closedCount;
+
+        const last = turn.conv[turn.conv.length - 1] ?? null;
+        if (convBehind) {
+          // 历史未包含本回合的进度，从头处理原消息
+          entry.queue.push(turn);
+          result.restarted += 1;
+        } else if (saved.phase === "finished") {
+          result.discarded += 1;
+        } else {
+          turn.turnId = saved.turnId ?? turn.turnId;
+          turn.round = Number.isFinite(saved.round) ? saved.round : 1;
+          turn.lastStepId = Number.isFinite(saved.lastStepId) ? saved.lastStepId : 0;
+          if (last?.role === "assistant" && !(Array.isArray(last.tool_calls) && last.tool_calls.length > 0)) {
+            turn.llmMsg = last;
+            turn.phase = "send_text";
+          } else {
+            if (saved.phase === "dispatch_tools") turn.round += 1;
+            turn.phase = "need_llm";
+          }
+          entry.queue.push(turn);
+          result.resumed += 1;
+        }
+      }
+
+      const queuedMessages = Array.isArray(data?.queuedMessages) ? data.queuedMessages : [];
+      for (const message of queuedMessages) {
+        entry.queue.push(this._createTurn(agentId, buildCtx(message), message));
+        result.requeued += 1;
+      }
+
+      this._checkpoint(agentId);
+      if (closedCount > 0 || trimmedCount > 0) {
+        void this.runtime._conversationManager?.persistConversation?.(agentId);
+      }
+    }
+
+    void this.runtime.log?.info?.("回合检查点恢复完成", result);
+    return result;
+  }
+
+  /**
+   * 创建回合对象（同时确保对话历史已初始化）。
+   * @param {string} agentId
+   * @param {any} ctx
+   * @param {any} message
+   * @returns {any}
+   * @private
+   */
+  _createTurn(agentId, ctx, message) {
+    const systemPrompt = this.runtime._buildSystemPromptForAgent(ctx);
+    const conv = this.runtime._ensureConversation(agentId, systemPrompt);
+
+    return {
+      turnId: randomUUID(),
+      agentId,
+      ctx,
+      message,
+      conv,
+      phase: "init",
+      round: 1,
+      llmMsg: null,
+      startConvLength: null,
+      pendingToolCalls: [],
+      executingToolCall: null,
+      lastStepId: 0
+    };
+  }
+
+  /**
+   * 写入某个 agent 的回合检查点；没有活跃或排队回合时删除检查点。
+   * 同步写入（临时文件 + 重命名），保证 step 返回前检查点已落盘。
+   * @param {string} agentId
+   * @private
+   */
+  _checkpoint(agentId) {
+    if (!this._checkpointDir) return;
+    const entry = this._byAgentId.get(agentId);
+    const active = entry?.activeTurn ?? null;
+    const queue = entry?.queue ?? [];
+    if (!active && queue.length === 0) {
+      this._removeCheckpoint(agentId);
+      return;
+    }
+
+    const data = {
+      agentId,
+      updatedAt: new Date().toISOString(),
+      activeTurn: active ? {
+        turnId: active.turnId,
+        message: active.message,
+        phase: active.phase,
+        round: active.round,
+        lastStepId: active.lastStepId,
+        pendingToolCalls: active.pendingToolCalls,
+        executingToolCall: active.executingToolCall,
+        convLength: active.conv?.length ?? 0,
+        startConvLength: active.startConvLength ?? null
+      } : null,
+      queuedMessages: queue.map((t) => t.message)
+    };
+
+    const filePath = path.join(this._checkpointDir, `${agentId}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      mkdirSync(this._checkpointDir, { recursive: true });
+      writeFileSync(tmpPath, JSON.stringify(data), "utf8");
+      renameSync(tmpPath, filePath);
+    } catch (err) {
+      void this.runtime.log?.error?.("写入回合检查点失败", { agentId, error: err?.message ?? String(err) });
+    }
+  }
+
+  /**
+   * 删除某个 agent 的回合检查点。
+   * @param {string} agentId
+   * @private
+   */
+  _removeCheckpoint(agentId) {
+    if (!this._checkpointDir) return;
+    try {
+      unlinkSync(path.join(this._checkpointDir, `${agentId}.json`));
+    } catch (err) {
+      if (err?.code !== "ENOENT") {
+        void this.runtime.log?.warn?.("删除回合检查点失败", { agentId, error: err?.message ?? String(err) });
+      }
+    }
+  }
+
   /**
    * @param {string} agentId
    * @returns {{queue:any[], activeTurn:any|null}}
@@ -0,0 +1,213 @@
+import { mkdir, readFile, writeFile, readdir, rename } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { createNoopModuleLogger } from "../../utils/logger/logger.js";
+import { sanitizeMimeType } from "../../utils/content/content_type_utils.js";
+
+/**
+ * 工件 ID 格式：内容的 sha256 十六进制摘要
+ */
+const ARTIFACT_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * 支持的工件类型
+ */
+export const ARTIFACT_TYPES = ["text", "json", "image", "binary"];
+
+/**
+ * 工件存储
+ * 负责不可变、按内容寻址的工件读写与元数据索引。
+ *
+ * 每个工件在磁盘上对应两个文件：
+ * - <id>：原始内容字节
+ * - <id>.json：元数据（类型、名称、MIME、产生者智能体、消息 ID 等）
+ *
+ * 工件 ID 为内容的 sha256 摘要，相同内容只会保存一份；工件写入后不提供修改与删除接口。
+ */
+export class ArtifactStore {
+  /**
+   * @param {object} options { artifactsDir, logger }
+   */
+  constructor(options = {}) {
+    this.artifactsDir = options.artifactsDir || path.resolve(process.cwd(), "data/runtime/artifacts");
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, object>} 工件 ID -> 元数据 */
+    this._index = new Map();
+  }
+
+  /**
+   * 初始化：创建目录并加载已有工件的元数据索引
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    await mkdir(this.artifactsDir, { recursive: true });
+    this._index.clear();
+
+    const entries = await readdir(this.artifactsDir);
+    for (const name of entries) {
+      if (!name.endsWith(".json")) continue;
+      const id = name.slice(0, -".json".length);
+      if (!ARTIFACT_ID_PATTERN.test(id)) continue;
+      try {
+        const meta = JSON.parse(await readFile(path.join(this.artifactsDir, name), "utf8"));
+        if (meta?.id === id && existsSync(this._contentPath(id))) {
+          this._index.set(id, meta);
+        }
+      } catch (err) {
+        void this.log.warn("工件元数据读取失败，已跳过", { artifactId: id, error: err.message });
+      }
+    }
+
+    void this.log.info("工件存储初始化完成", { artifactsDir: this.artifactsDir, loaded: this._index.size });
+    return { loaded: this._index.size };
+  }
+
+  /**
+   * 写入工件
+   * @param {object} input
+   * @param {string|Buffer} input.content - 工件内容
+   * @param {string} [input.type] - 工件类型（text/json/image/binary），缺省时按 MIME 推断
+   * @param {string} [input.name] - 工件名称
+   * @param {string} [input.mimeType] - MIME 类型
+   * @param {string} input.producerAgentId - 产生该工件的智能体 ID
+   * @param {string|null} [input.messageId] - 产生该工件时正在处理的消息 ID
+   * @param {string|null} [input.taskId] - 所属任务 ID
+   * @returns {Promise<object>} 工件元数据，重复内容时附带 deduplicated: true
+   */
+  async putArtifact(input) {
+    const { content, producerAgentId } = input ?? {};
+    if (!producerAgentId || typeof producerAgentId !== "string") {
+      throw new Error("putArtifact_missing_producer");
+    }
+    if (typeof content !== "string" && !Buffer.isBuffer(content)) {
+      throw new Error("invalid_artifact_content");
+    }
+
+    const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+    const id = createHash("sha256").update(bytes).digest("hex");
+
+    const existing = this._index.get(id);
+    if (existing) {
+      void this.log.debug("工件内容已存在，复用已有工件", { artifactId: id, producerAgentId });
+      return { ...existing, deduplicated: true };
+    }
+
+    const mimeType = sanitizeMimeType(input.mimeType) || this._defaultMimeType(input.type);
+    const type = ARTIFACT_TYPES.includes(input.type) ? input.type : this._inferType(mimeType);
+    const meta = {
+      id,
+      type,
+      name: typeof input.name === "string" && input.name.trim() ? input.name.trim() : null,
+      mimeType,
+      size: bytes.length,
+      createdAt: new Date().toISOString(),
+      producerAgentId,
+      messageId: input.messageId ?? null,
+      taskId: input.taskId ?? null
+    };
+
+    await mkdir(this.artifactsDir, { recursive: true });
+    // 先写内容再写元数据：元数据存在即代表工件完整可用
+    await this._writeAtomic(this._contentPath(id), bytes);
+    await this._writeAtomic(this._metaPath(id), JSON.stringify(meta, null, 2));
+    this._index.set(id, meta);
+
+    void this.log.info("工件已保存", { artifactId: id, type, size: meta.size, producerAgentId });
+    return { ...meta };
+  }
+
+  /**
+   * 读取工件内容与元数据
+   * @param {string} artifactId
+   * @returns {Promise<{meta: object, content: Buffer}>}
+   */
+  async getArtifact(artifactId) {
+    const meta = this.getMetadata(artifactId);
+    if (!meta) {
+      throw new Error("artifact_not_found");
+    }
+    const content = await readFile(this._contentPath(meta.id));
+    return { meta, content };
+  }
+
+  /**
+   * 同步获取工件元数据
+   * @param {string} artifactId
+   * @returns {object|null}
+   */
+  getMetadata(artifactId) {
+    if (!this.isValidId(artifactId)) {
+      throw new Error("invalid_artifact_id");
+    }
+    const meta = this._index.get(artifactId);
+    return meta ? { ...meta } : null;
+  }
+
+  /**
+   * 判断工件是否存在
+   * @param {string} artifactId
+   * @returns {boolean}
+   */
+  hasArtifact(artifactId) {
+    return this.isValidId(artifactId) && this._index.has(artifactId);
+  }
+
+  /**
+   * 列出工件元数据（按创建时间倒序）
+   * @param {{producerAgentId?: string, taskId?: string, limit?: number}} [filter]
+   * @returns {object[]}
+   */
+  listArtifacts(filter = {}) {
+    let list = Array.from(this._index.values());
+    if (filter.producerAgentId) {
+      list = list.filter((m) => m.producerAgentId === filter.producerAgentId);
+    }
+    if (filter.taskId) {
+      list = list.filter((m) => m.taskId === filter.taskId);
+    }
+    list.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    const limit = Number.isFinite(filter.limit) && filter.limit > 0 ? filter.limit : list.length;
+    return list.slice(0, limit).map((m) => ({ ...m }));
+  }
+
+  /**
+   * 校验工件 ID 格式
+   * @param {any} artifactId
+   * @returns {boolean}
+   */
+  isValidId(artifactId) {
+    return typeof artifactId === "string" && ARTIFACT_ID_PATTERN.test(artifactId);
+  }
+
+  _contentPath(id) {
+    return path.join(this.artifactsDir, id);
+  }
+
+  _metaPath(id) {
+    return path.join(this.artifactsDir, `${id}.json`);
+  }
+
+  /**
+   * 原子写入：先写临时文件再重命名，避免崩溃时留下半截文件
+   */
+  async _writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, data);
+    await rename(tmpPath, filePath);
+  }
+
+  _defaultMimeType(type) {
+    if (type === "json") return "application/json";
+    if (type === "text") return "text/plain";
+    return "application/octet-stream";
+  }
+
+  _inferType(mimeType) {
+    if (mimeType.startsWith("image/")) return "image";
+    if (mimeType === "application/json" || mimeType.endsWith("+json")) return "json";
+    if (mimeType.startsWith("text/")) return "text";
+    return "binary";
+  }
+}
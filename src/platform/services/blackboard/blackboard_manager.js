@@ -0,0 +1,383 @@
+import path from "node:path";
+import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
+import { JsonFileStore } from "../../utils/service/json_file_store.js";
+
+/**
+ * 未指定命名空间时使用的默认命名空间
+ */
+export const DEFAULT_NAMESPACE = "default";
+
+/**
+ * 命名空间与键名的最大长度
+ */
+const MAX_NAME_LENGTH = 128;
+
+/**
+ * 单个值序列化后的最大字节数
+ */
+const MAX_VALUE_BYTES = 64 * 1024;
+
+/**
+ * 每个任务黑板的最大键数量
+ */
+const MAX_KEYS_PER_TASK = 1000;
+
+/**
+ * 不允许作为命名空间或键名的名称（会与对象原型属性冲突）
+ */
+const RESERVED_NAMES = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * 任务黑板管理器
+ *
+ * 每个任务一块黑板，按命名空间组织 JSON 键值，代替在工作空间里用 markdown 文件共享状态。
+ * 每个键带有递增的版本号，compareAndSet 按版本号（或当前值）比较后写入，
+ * 读取、比较与写入在同一个同步区段内完成，多个智能体并发修改时不会互相覆盖。
+ * 智能体可以关注整个命名空间或单个键，值变更时通过消息总线通知关注者（修改者本人除外）。
+ * 黑板保存在 runtimeDir/blackboard.json。
+ * 命名空间与键名来自智能体输入，条目表使用无原型对象保存。
+ */
+export class BlackboardManager {
+  /**
+   * @param {object} options
+   * @param {string} options.runtimeDir - 黑板文件所在目录
+   * @param {import("../../core/message_bus.js").MessageBus} options.bus
+   * @param {(agentId: string) => boolean} [options.isAgentActive] - 关注者是否仍在岗（已终止返回 false）
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.runtimeDir, "blackboard.json");
+    this.bus = options.bus;
+    this.isAgentActive = options.isAgentActive ?? (() => true);
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, {entries: Object<string, Object<string, object>>, watchers: {agentId: string, namespace: string, key: string|null}[]}>} taskId -> 黑板 */
+    this._boards = new Map();
+    this._store = new JsonFileStore({ filePath: this.filePath, label: "黑板文件", logger: this.log });
+  }
+
+  /**
+   * 加载已保存的黑板
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    this._boards.clear();
+    const data = await this._store.load();
+    for (const [taskId, board] of Object.entries(data?.boards ?? {})) {
+      this._boards.set(taskId, {
+        entries: toEntryTable(board?.entries),
+        watchers: Array.isArray(board?.watchers) ? board.watchers : []
+      });
+    }
+    return { loaded: this._boards.size };
+  }
+
+  /**
+   * 读取一个键
+   * @param {string} taskId
+   * @param {string|undefined} namespace
+   * @param {string} key
+   * @returns {{namespace: string, key: string, found: boolean, value: any, version: number, updatedBy: string|null, updatedAt: string|null}}
+   * @throws {Error} invalid_key
+   */
+  get(taskId, namespace, key) {
+    const ns = normalizeName(namespace ?? DEFAULT_NAMESPACE, "namespace");
+    const k = normalizeName(key, "key");
+    const entry = this._boards.get(taskId)?.entries[ns]?.[k];
+    if (!entry) return { namespace: ns, key: k, found: false, value: null, version: 0, updatedBy: null, updatedAt: null };
+    return { namespace: ns, key: k, found: true, ...cloneEntry(entry) };
+  }
+
+  /**
+   * 无条件写入一个键
+   * @param {string} taskId
+   * @param {{namespace?: string, key: string, value: any, agentId: string}} input
+   * @returns {Promise<object>} 写入后的条目
+   * @throws {Error} invalid_key / invalid_value / value_too_large / too_many_keys
+   */
+  async set(taskId, input) {
+    const { ns, k, serialized } = this._validateWrite(input);
+    return this._write(taskId, ns, k, serialized, input.agentId);
+  }
+
+  /**
+   * 比较后写入：当前版本号等于 expectedVersion（或当前值等于 expectedValue）时才写入
+   * expectedVersion 为 0 表示键必须尚不存在。
+   * @param {string} taskId
+   * @param {{namespace?: string, key: string, value: any, agentId: string, expectedVersion?: number, expectedValue?: any}} input
+   * @returns {Promise<object>} 写入后的条目
+   * @throws {Error} missing_expectation / version_conflict（details 含当前版本与值）及 set 的错误
+   */
+  async compareAndSet(taskId, input) {
+    const hasVersion = Number.isInteger(input.expectedVersion) && input.expectedVersion >= 0;
+    const hasValue = Object.prototype.hasOwnProperty.call(input, "expectedValue") && input.expectedValue !== undefined;
+    if (hasVersion === hasValue) throw new Error("missing_expectation");
+    const { ns, k, serialized } = this._validateWrite(input);
+
+    const current = this._boards.get(taskId)?.entries[ns]?.[k] ?? null;
+    const matched = hasVersion
+      ? (current?.version ?? 0) === input.expectedVersion
+      : current !== null && JSON.stringify(current.value) === JSON.stringify(input.expectedValue);
+    if (!matched) {
+      throw Object.assign(new Error("version_conflict"), {
+        details: {
+          namespace: ns,
+          key: k,
+          currentVersion: current?.version ?? 0,
+          currentValue: current ? structuredClone(current.value) : null,
+          updatedBy: current?.updatedBy ?? null
+        }
+      });
+    }
+    return this._write(taskId, ns, k, serialized, input.agentId);
+  }
+
+  /**
+   * 列出黑板条目（按命名空间、键名排序）
+   * @param {string} taskId
+   * @param {{namespace?: string, prefix?: string, includeValues?: boolean}} [filter]
+   * @returns {object[]}
+   */
+  list(taskId, filter = {}) {
+    const board = this._boards.get(taskId);
+    if (!board) return [];
+    const includeValues = filter.includeValues !== false;
+    const out = [];
+    for (const ns of Object.keys(board.entries).sort()) {
+      if (filter.namespace && ns !== filter.namespace) continue;
+      for (const key of Object.keys(board.entries[ns]).sort()) {
+        if (filter.prefix && !key.startsWith(filter.prefix)) continue;
+        const { value, ...meta } = cloneEntry(board.entries[ns][key]);
+        out.push(includeValues ? { namespace: ns, key, value, ...meta } : { namespace: ns, key, ...meta });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * 关注命名空间（key 为空）或单个键的变更，重复关注不会重复通知
+   * @param {string} taskId
+   * @param {{agentId: string, namespace?: string, key?: string|null}} input
+   * @returns {Promise<{namespace: string, key: string|null, watching: boolean}>}
+   * @throws {Error} invalid_key
+   */
+  async watch(taskId, input) {
+    const ns = normalizeName(input.namespace ?? DEFAULT_NAMESPACE, "namespace");
+    const k = input.key === undefined || input.key === null || input.key === "" ? null : normalizeName(input.key, "key");
+    const board = this._board(taskId);
+    if (!board.watchers.some((w) => w.agentId === input.agentId && w.namespace === ns && w.key === k)) {
+      board.watchers.push({ agentId: input.agentId, namespace: ns, key: k });
+      await this._persist();
+    }
+    return { namespace: ns, key: k, watching: true };
+  }
+
+  /**
+   * 取消关注；不指定 namespace 时取消该智能体在此任务黑板上的全部关注
+   * @param {string} taskId
+   * @param {{agentId: string, namespace?: string, key?: string|null}} input
+   * @returns {Promise<{removed: number}>}
+   */
+  async unwatch(taskId, input) {
+    const board = this._boards.get(taskId);
+    if (!board) return { removed: 0 };
+    const k = input.key === undefined || input.key === "" ? null : input.key;
+    const before = board.watchers.length;
+    board.watchers = board.watchers.filter((w) => !(w.agentId === input.agentId
+      && (input.namespace === undefined || (w.namespace === input.namespace && w.key === k))));
+    const removed = before - board.watchers.length;
+    if (removed > 0) await this._persist();
+    return { removed };
+  }
+
+  /**
+   * 某个智能体在此任务黑板上的关注列表
+   * @param {string} taskId
+   * @param {string} agentId
+   * @returns {{namespace: string, key: string|null}[]}
+   */
+  listWatches(taskId, agentId) {
+    return (this._boards.get(taskId)?.watchers ?? [])
+      .filter((w) => w.agentId === agentId)
+      .map(({ namespace, key }) => ({ namespace, key }));
+  }
+
+  /**
+   * 已有黑板的任务列表
+   * @returns {{taskId: string, namespaces: number, keys: number, watchers: number}[]}
+   */
+  listTasks() {
+    return [...this._boards.entries()].map(([taskId, board]) => ({
+      taskId,
+      namespaces: Object.keys(board.entries).length,
+      keys: countKeys(board),
+      watchers: board.watchers.length
+    }));
+  }
+
+  /**
+   * 任务黑板的完整视图（供 HTTP 查看）
+   * @param {string} taskId
+   * @returns {{taskId: string, namespaces: Object<string, Object<string, object>>, watchers: object[]}|null}
+   */
+  getBoard(taskId) {
+    const board = this._boards.get(taskId);
+    if (!board) return null;
+    const namespaces = {};
+    for (const [ns, entries] of Object.entries(board.entries)) {
+      namespaces[ns] = {};
+      for (const [key, entry] of Object.entries(entries)) namespaces[ns][key] = cloneEntry(entry);
+    }
+    return { taskId, namespaces, watchers: board.watchers.map((w) => ({ ...w })) };
+  }
+
+  /**
+   * 校验写入参数，返回规范化的命名空间、键名与序列化后的值
+   * @private
+   */
+  _validateWrite(input) {
+    const ns = normalizeName(input.namespace ?? DEFAULT_NAMESPACE, "namespace");
+    const k = normalizeName(input.key, "key");
+    if (input.value === undefined) throw new Error("invalid_value");
+    let serialized;
+    try {
+      serialized = JSON.stringify(input.value);
+    } catch {
+      throw new Error("invalid_value");
+    }
+    if (serialized === undefined) throw new Error("invalid_value");
+    if (Buffer.byteLength(serialized, "utf8") > MAX_VALUE_BYTES) {
+      throw Object.assign(new Error("value_too_large"), { details: { maxBytes: MAX_VALUE_BYTES } });
+    }
+    return { ns, k, serialized };
+  }
+
+  /**
+   * 写入条目、递增版本号并通知关注者（在同一个同步区段内完成，之后才等待持久化）
+   * @private
+   */
+  async _write(taskId, ns, k, serialized, agentId) {
+    const board = this._board(taskId);
+    const previous = board.entries[ns]?.[k] ?? null;
+    if (!previous && countKeys(board) >= MAX_KEYS_PER_TASK) {
+      throw Object.assign(new Error("too_many_keys"), { details: { maxKeys: MAX_KEYS_PER_TASK } });
+    }
+    const entry = {
+      value: JSON.parse(serialized),
+      version: (previous?.version ?? 0) + 1,
+      updatedBy: agentId ?? null,
+      updatedAt: formatLocalTime()
+    };
+    board.entries[ns] ??= Object.create(null);
+    board.entries[ns][k] = entry;
+    this._notifyWatchers(taskId, board, ns, k, entry, previous);
+    await this._persist();
+    return { namespace: ns, key: k, ...cloneEntry(entry) };
+  }
+
+  /**
+   * 通知关注该键或其命名空间的智能体；同一智能体只通知一次，修改者本人不通知
+   * @private
+   */
+  _notifyWatchers(taskId, board, ns, k, entry, previous) {
+    const notified = new Set();
+    for (const watcher of board.watchers) {
+      if (watcher.namespace !== ns || (watcher.key !== null && watcher.key !== k)) continue;
+      if (watcher.agentId === entry.updatedBy || notified.has(watcher.agentId)) continue;
+      if (!this.isAgentActive(watcher.agentId)) continue;
+      notified.add(watcher.agentId);
+      this.bus.send({
+        to: watcher.agentId,
+        from: entry.updatedBy ?? "root",
+        taskId,
+        payload: {
+          kind: "blackboard_change",
+          text: `黑板 ${ns}/${k} 已被 ${entry.updatedBy ?? "unknown"} 修改（版本 ${previous?.version ?? 0} → ${entry.version}）。\n新值：${truncate(JSON.stringify(entry.value))}\n如需基于最新值修改，请用 bb_compare_and_set 并传 expectedVersion=${entry.version}。`,
+          namespace: ns,
+          key: k,
+          version: entry.version,
+          previousVersion: previous?.version ?? 0,
+          updatedBy: entry.updatedBy
+        }
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _board(taskId) {
+    let board = this._boards.get(taskId);
+    if (!board) {
+      board = { entries: Object.create(null), watchers: [] };
+      this._boards.set(taskId, board);
+    }
+    return board;
+  }
+
+  /**
+   * 保存黑板文件
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    return this._store.save({ boards: Object.fromEntries(this._boards) });
+  }
+}
+
+/**
+ * 校验命名空间或键名：非空字符串，不超过 MAX_NAME_LENGTH，且不是 RESERVED_NAMES 中的名称
+ * @param {any} name
+ * @param {"namespace"|"key"} field
+ * @returns {string}
+ */
+function normalizeName(name, field) {
+  const value = typeof name === "string" ? name.trim() : "";
+  if (!value || value.length > MAX_NAME_LENGTH || RESERVED_NAMES.has(value)) {
+    throw Object.assign(new Error("invalid_key"), { details: { field, maxLength: MAX_NAME_LENGTH, reserved: [...RESERVED_NAMES] } });
+  }
+  return value;
+}
+
+/**
+ * 把文件中读出的条目表转换为无原型对象，并丢弃保留名称
+ * @param {any} raw
+ * @returns {Object<string, Object<string, object>>}
+ */
+function toEntryTable(raw) {
+  const table = Object.create(null);
+  for (const [ns, entries] of Object.entries(raw ?? {})) {
+    if (RESERVED_NAMES.has(ns) || !entries || typeof entries !== "object") continue;
+    table[ns] = Object.create(null);
+    for (const [key, entry] of Object.entries(entries)) {
+      if (!RESERVED_NAMES.has(key)) table[ns][key] = entry;
+    }
+  }
+  return table;
+}
+
+/**
+ * @param {{entries: object}} board
+ * @returns {number}
+ */
+function countKeys(board) {
+  let count = 0;
+  for (const entries of Object.values(board.entries)) count += Object.keys(entries).length;
+  return count;
+}
+
+/**
+ * @param {object} entry
+ * @returns {object}
+ */
+function cloneEntry(entry) {
+  return { ...entry, value: structuredClone(entry.value) };
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function truncate(text) {
+  return text.length > 500 ? `${text.slice(0, 500)}…（已截断，可用 bb_get 查看完整值）` : text;
+}
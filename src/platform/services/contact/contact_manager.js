@@ -180,6 +180,28 @@ export class ContactManager {
     return registry ? Array.from(registry.values()) : [];
   }
 
+  /**
+   * 替换智能体的上级联系人（智能体被调整到新上级下时调用）
+   * 注册表尚未初始化时不做处理，之后初始化会使用新的上级。
+   * @param {string} agentId - 智能体ID
+   * @param {string} newParentId - 新上级ID
+   * @param {string} [role] - 新上级的岗位名
+   */
+  replaceParent(agentId, newParentId, role) {
+    const registry = this._registries.get(agentId);
+    if (!registry) return;
+    for (const [contactId, contact] of registry) {
+      if (contact.source === 'parent') registry.delete(contactId);
+    }
+    registry.set(newParentId, {
+      id: newParentId,
+      role: role || this._getAgentRole(newParentId),
+      source: 'parent',
+      addedAt: this._formatTimestamp()
+    });
+    void this.log.debug("替换上级联系人", { agentId, newParentId });
+  }
+
   /**
    * 检查智能体是否有注册表
    * @param {string} agentId - 智能体ID
@@ -288,7 +310,7 @@ export class ContactManager {
  * @property {string} role - 角色名称
  * @property {string} [description] - 协作说明
  * @property {Object} [interfaceSpec] - 接口规格说明
- * @property {string} source - 来源（system/parent/preset/introduction/first_message）
+ * @property {string} source - 来源（system/parent/preset/introduction/first_message/channel）
  * @property {string} [introducedBy] - 介绍人ID（如果是通过介绍获得）
  * @property {string} addedAt - 添加时间
  */
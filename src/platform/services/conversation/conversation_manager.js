@@ -1020,6 +1020,40 @@ export class ConversationManager {
     return this.conversations.delete(agentId);
   }
 
+  /**
+   * 把源智能体的会话复制给分叉出的智能体（深拷贝，之后两者互不影响）。
+   * 指定 truncateAt 时只保留下标小于它的消息；截断处或源会话中尚未响应的工具调用补齐合成结果，
+   * 最后追加 note 作为标记分叉点的 user 消息。系统提示词在分叉智能体首次运行时按其自身身份更新。
+   * 
+   * @param {string} sourceAgentId - 源智能体ID
+   * @param {string} targetAgentId - 分叉智能体ID
+   * @param {{truncateAt?:number, note?:string}} [options]
+   * @returns {{ok:boolean, forkIndex?:number, messageCount?:number, closed?:string[], error?:string}}
+   */
+  forkConversation(sourceAgentId, targetAgentId, options = {}) {
+    const source = this.getConversation(sourceAgentId) ?? [];
+    let forkIndex = source.length;
+    if (options.truncateAt !== undefined && options.truncateAt !== null) {
+      const index = Number(options.truncateAt);
+      if (!Number.isInteger(index) || index < 1 || index > source.length) {
+        return { ok: false, error: "invalid_truncate_index" };
+      }
+      forkIndex = index;
+    }
+
+    this.conversations.set(targetAgentId, structuredClone(source.slice(0, forkIndex)));
+    const { closed } = this.closeDanglingToolCalls(targetAgentId, (call) => ({
+      error: "tool_call_not_forked",
+      toolName: call?.function?.name ?? null,
+      message: "分叉时该工具调用尚无结果，结果未带入副本"
+    }));
+    const conv = this.conversations.get(targetAgentId);
+    if (options.note) {
+      conv.push({ role: "user", content: options.note });
+    }
+    return { ok: true, forkIndex, messageCount: conv.length, closed };
+  }
+
   /**
    * 获取智能体会话的当前消息数量。
    * @param {string} agentId
@@ -1086,19 +1120,22 @@ export class ConversationManager {
   }
 
   /**
-   * 验证对话历史的一致性，确保没有孤立的工具响应。
+   * 验证对话历史的一致性，确保没有孤立的工具响应和未响应的工具调用。
    * 孤立的工具响应是指：存在 tool_call_id 但对应的工具调用不存在。
+   * 未响应的工具调用是指：assistant 发起了 tool_calls，但其后没有对应的 tool 消息
+   * （通常由回合执行中途崩溃导致，LLM API 会拒绝这样的历史）。
    * @param {string} agentId - 智能体ID
-   * @returns {{consistent: boolean, orphanedResponses: string[], error?: string}}
+   * @returns {{consistent: boolean, orphanedResponses: string[], danglingToolCalls: string[], error?: string}}
    *   - consistent: 对话历史是否一致
    *   - orphanedResponses: 孤立的工具响应的 tool_call_id 列表
+   *   - danglingToolCalls: 未响应的工具调用 ID 列表
    *   - error: 错误信息（如果有）
    */
   verifyHistoryConsistency(agentId) {
     const conv = this.conversations.get(agentId);
     
     if (!conv) {
-      return { consistent: false, orphanedResponses: [], error: "conversation_not_found" };
+      return { consistent: false, orphanedResponses: [], danglingToolCalls: [], error: "conversation_not_found" };
     }
 
     // 收集所有工具调用的 ID
@@ -1115,24 +1152,77 @@ export class ConversationManager {
 
     // 检查所有工具响应是否有对应的工具调用
     const orphanedResponses = [];
+    const respondedIds = new Set();
     for (const msg of conv) {
       if (msg.role === "tool" && msg.tool_call_id) {
+        respondedIds.add(msg.tool_call_id);
         if (!toolCallIds.has(msg.tool_call_id)) {
           orphanedResponses.push(msg.tool_call_id);
         }
       }
     }
 
-    const consistent = orphanedResponses.length === 0;
+    const danglingToolCalls = [...toolCallIds].filter((id) => !respondedIds.has(id));
+
+    const consistent = orphanedResponses.length === 0 && danglingToolCalls.length === 0;
 
     if (!consistent && this._logger) {
       void this._logger.warn?.("检测到对话历史不一致", {
         agentId,
         orphanedCount: orphanedResponses.length,
-        orphanedResponses
+        orphanedResponses,
+        danglingToolCalls
       });
     }
 
-    return { consistent, orphanedResponses };
+    return { consistent, orphanedResponses, danglingToolCalls };
+  }
+
+  /**
+   * 为未响应的工具调用补齐合成的 tool 错误消息。
+   * 合成消息插入在对应 assistant 消息之后的 tool 响应块末尾，保持 API 要求的顺序。
+   * @param {string} agentId - 智能体ID
+   * @param {(call: {id: string, function?: {name?: string, arguments?: string}}) => any} [buildResult] - 生成合成结果对象
+   * @returns {{ok: boolean, closed: string[], error?: string}}
+   */
+  closeDanglingToolCalls(agentId, buildResult) {
+    const conv = this.conversations.get(agentId);
+    if (!conv) {
+      return { ok: false, closed: [], error: "conversation_not_found" };
+    }
+
+    const makeResult = typeof buildResult === "function"
+      ? buildResult
+      : (call) => ({ error: "tool_call_interrupted", toolName: call?.function?.name ?? null, message: "工具调用被中断，未返回结果" });
+
+    const respondedAnywhere = new Set(conv.filter((m) => m.role === "tool" && m.tool_call_id).map((m) => m.tool_call_id));
+    const closed = [];
+    for (let i = 0; i < conv.length; i++) {
+      const msg = conv[i];
+      if (msg.role !== "assistant" || !Array.isArray(msg.tool_calls) || msg.tool_calls.length === 0) continue;
+
+      // 定位紧随其后的 tool 响应块末尾
+      let end = i + 1;
+      while (end < conv.length && conv[end].role === "tool") {
+        end++;
+      }
+
+      const synthetic = [];
+      for (const call of msg.tool_calls) {
+        if (!call?.id || respondedAnywhere.has(call.id)) continue;
+        synthetic.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(makeResult(call)) });
+        closed.push(call.id);
+      }
+      if (synthetic.length > 0) {
+        conv.splice(end, 0, ...synthetic);
+        i = end + synthetic.length - 1;
+      }
+    }
+
+    if (closed.length > 0 && this._logger) {
+      void this._logger.warn?.("已为未响应的工具调用补齐错误结果", { agentId, closed });
+    }
+
+    return { ok: true, closed };
   }
 }
@@ -6,6 +6,9 @@ import path from "node:path";
 import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
 import { UiCommandBroker } from "../ui/ui_command_broker.js";
 import { WorkspaceManager } from "../workspace/workspace_manager.js";
+import { ARCHIVE_FORMATS, DEFAULT_MAX_ARCHIVE_SIZE, normalizeArchiveFormat } from "../workspace/archive.js";
+import { quotaExceededMessage } from "../workspace/quota.js";
+import { ROOT_TOOL_GROUPS } from "../../extensions/tool_group_manager.js";
 
 /**
  * HTTP服务器组件：提供REST API接口与Agent Society交互。
@@ -23,8 +26,13 @@ import { WorkspaceManager } from "../workspace/workspace_manager.js";
  * - GET /api/org/tree - 获取组织层级树结构
  * - GET /api/org/role-tree - 获取岗位从属关系树结构
  * - POST /api/agent/:agentId/custom-name - 设置智能体自定义名称
+ * - POST /api/agent/:agentId/suspend - 暂停智能体（可连同后代），保留会话与收件箱
+ * - POST /api/agent/:agentId/resume - 恢复暂停的智能体（可连同后代）
+ * - POST /api/agent/:agentId/fork - 分叉智能体（复制会话与联系人，可截断到指定消息下标）
  * - GET /api/agent-custom-names - 获取所有智能体自定义名称
  * - POST /api/role/:roleId/prompt - 更新岗位职责提示词
+ * - POST /api/role/:roleId/inheritance - 设置岗位继承的基础岗位与混入岗位
+ * - POST /api/role/:roleId/status - 切换岗位状态（draft/active/deprecated/frozen）
  * - GET /api/config/status - 获取配置状态
  * - GET /api/config/llm - 获取 LLM 配置
  * - POST /api/config/llm - 保存 LLM 配置
@@ -36,6 +44,30 @@ import { WorkspaceManager } from "../workspace/workspace_manager.js";
  * - GET /api/workspaces/:workspaceId - 获取工作空间文件列表
  * - GET /api/workspaces/:workspaceId/file?path=xxx - 获取工作空间文件元数据
  * - GET /api/workspaces/:workspaceId/meta - 获取工作空间元信息
+ * - GET /api/workspaces/:workspaceId/versions?path=xxx - 列出文件历史版本
+ * - GET /api/workspaces/:workspaceId/diff?path=xxx&from=n&to=m - 获取两个版本间的统一差异
+ * - POST /api/workspaces/:workspaceId/restore - 将文件恢复到指定版本
+ * - GET /api/workspaces/:workspaceId/locks - 列出文件建议锁
+ * - GET /api/workspaces/:workspaceId/search?q=xxx - 工作空间全文检索
+ * - DELETE /api/workspaces/:workspaceId/locks?path=xxx - 强制释放文件建议锁
+ * - GET /api/workspaces/:workspaceId/export?format=zip|tar.gz&includeMeta=true - 下载工作空间归档
+ * - POST /api/workspaces/:workspaceId/import?targetDir=&overwrite= - 上传并解包归档到工作空间
+ * - GET /api/artifacts - 列出工件元数据（支持 producerAgentId/taskId/limit 过滤）
+ * - GET /api/artifacts/:artifactId - 获取工件元数据
+ * - GET /api/artifacts/:artifactId/content - 获取工件原始内容
+ * - GET /api/schedules - 列出定时消息计划（支持 ownerId/involving/status 过滤）
+ * - GET /api/schedules/:scheduleId - 获取定时消息计划详情
+ * - GET /api/meetings - 列出会议（支持 involving/status 过滤）
+ * - GET /api/meetings/:meetingId - 获取会议详情与完整会议记录
+ * - GET /api/blackboard - 列出已有黑板的任务
+ * - GET /api/blackboard/:taskId - 查看任务黑板（支持 namespace 过滤）
+ * - GET /api/reviews - 列出评审（支持 requesterId/reviewerId/status/taskId 过滤）
+ * - GET /api/reviews/:reviewId - 获取评审详情
+ * - GET /api/tasks - 列出委派任务及任务树、依赖边（支持 rootTaskId/assigneeId/creatorId/status 过滤）
+ * - GET /api/tasks/:trackedTaskId - 获取委派任务详情
+ * - GET /api/dead-letters - 列出死信（支持 from/to/reason/status/taskId/limit 过滤）
+ * - GET /api/dead-letters/:deadLetterId - 获取死信详情
+ * - POST /api/dead-letters/:deadLetterId/reroute - 将死信改投给其他智能体
  * - GET /web/* - 静态文件服务
  * - GET /workspace-files/:workspaceId/:filePath - 工作空间文件服务
  */
@@ -443,7 +475,8 @@ export class HTTPServer {
         };
         
         // 监听延迟消息投递事件（确保前端能看到延迟投递的消息）
-        society.runtime.bus.onDelayedDelivery((message) => {
+        society.runtime.bus.onDelayedDelivery((message, info) => {
+          if (info?.outcome && info.outcome !== "delivered") return;
           void this._storeMessage({
             id: message.id,
             from: message.from,
@@ -539,9 +572,9 @@ export class HTTPServer {
     const { agentId, toolName, args, result, taskId, callId, timestamp, reasoningContent, usage } = event;
     if (!agentId) return;
 
-    // send_message 已经作为消息显示，不需要重复显示为工具调用
+    // send_message / reply_to_message 已经作为消息显示，不需要重复显示为工具调用
     // 但需要将 reasoning_content 和 usage 关联到发送的消息
-    if (toolName === "send_message") {
+    if (toolName === "send_message" || toolName === "reply_to_message") {
       if (result && result.messageId) {
         // 更新已存储的消息，添加 reasoning_content 和 usage
         const message = this._messagesById.get(result.messageId);
@@ -902,6 +935,22 @@ export class HTTPServer {
         } else {
           this._sendJson(res, 404, { error: "not_found", path: pathname });
         }
+      } else if (method === "POST" && pathname.startsWith("/api/agent/") && pathname.endsWith("/fork")) {
+        // 分叉智能体: POST /api/agent/:agentId/fork  body: { truncateAt?, name? }
+        const match = pathname.match(/^\/api\/agent\/(.+)\/fork$/);
+        if (match) {
+          this._handleForkAgent(req, decodeURIComponent(match[1]), res);
+        } else {
+          this._sendJson(res, 400, { error: "invalid_path" });
+        }
+      } else if (method === "POST" && pathname.startsWith("/api/agent/") && (pathname.endsWith("/suspend") || pathname.endsWith("/resume"))) {
+        // 暂停/恢复智能体: POST /api/agent/:agentId/suspend|resume  body: { includeDescendants?, reason? }
+        const match = pathname.match(/^\/api\/agent\/(.+)\/(suspend|resume)$/);
+        if (match) {
+          this._handleSuspendOrResumeAgent(req, decodeURIComponent(match[1]), match[2], res);
+        } else {
+          this._sendJson(res, 404, { error: "not_found", path: pathname });
+        }
       } else if (method === "GET" && pathname === "/api/agent-custom-names") {
         await this._handleGetCustomNames(res);
       } else if (method === "GET" && pathname === "/api/config/status") {
@@ -945,6 +994,24 @@ export class HTTPServer {
         } else {
           this._sendJson(res, 404, { error: "not_found", path: pathname });
         }
+      } else if (method === "POST" && pathname.startsWith("/api/role/") && pathname.endsWith("/status")) {
+        // 切换岗位状态: POST /api/role/:roleId/status  body: { status, reason?, replacedByRoleId? }
+        const match = pathname.match(/^\/api\/role\/(.+)\/status$/);
+        if (match) {
+          const roleId = decodeURIComponent(match[1]);
+          this._handleSetRoleStatus(req, roleId, res);
+        } else {
+          this._sendJson(res, 404, { error: "not_found", path: pathname });
+        }
+      } else if (method === "POST" && pathname.startsWith("/api/role/") && pathname.endsWith("/inheritance")) {
+        // 设置岗位继承: POST /api/role/:roleId/inheritance  body: { extendsRoleId?, mixinRoleIds? }
+        const match = pathname.match(/^\/api\/role\/(.+)\/inheritance$/);
+        if (match) {
+          const roleId = decodeURIComponent(match[1]);
+          this._handleUpdateRoleInheritance(req, roleId, res);
+        } else {
+          this._sendJson(res, 404, { error: "not_found", path: pathname });
+        }
       } else if (method === "POST" && pathname.startsWith("/api/role/") && pathname.endsWith("/prompt")) {
         // 提取 roleId: /api/role/:roleId/prompt
         const match = pathname.match(/^\/api\/role\/(.+)\/prompt$/);
@@ -984,6 +1051,73 @@ export class HTTPServer {
           void this.log.error("处理模块 API 请求失败", { pathname, error: err.message, stack: err.stack });
           this._sendJson(res, 500, { error: "internal_error", message: err.message });
         });
+      } else if (method === "GET" && pathname === "/api/artifacts") {
+        // 列出工件: GET /api/artifacts?producerAgentId=xxx&taskId=xxx&limit=n
+        this._handleGetArtifacts(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/artifacts/")) {
+        // 工件元数据/内容: GET /api/artifacts/:artifactId[/content]
+        const parts = pathname.slice("/api/artifacts/".length).split("/");
+        const artifactId = decodeURIComponent(parts[0] ?? "");
+        if (parts.length === 1) {
+          this._handleGetArtifactMeta(artifactId, res);
+        } else if (parts.length === 2 && parts[1] === "content") {
+          this._handleGetArtifactContent(artifactId, res).catch(err => {
+            void this.log.error("处理工件内容请求失败", { artifactId, error: err.message, stack: err.stack });
+            this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
+        } else {
+          this._sendJson(res, 404, { error: "not_found", path: pathname });
+        }
+      } else if (method === "GET" && pathname === "/api/schedules") {
+        // 列出定时计划: GET /api/schedules?ownerId=xxx&involving=xxx&status=active
+        this._handleGetSchedules(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/schedules/")) {
+        // 定时计划详情: GET /api/schedules/:scheduleId
+        const scheduleId = decodeURIComponent(pathname.slice("/api/schedules/".length));
+        this._handleGetSchedule(scheduleId, res);
+      } else if (method === "GET" && pathname === "/api/meetings") {
+        // 列出会议: GET /api/meetings?involving=xxx&status=open
+        this._handleGetMeetings(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/meetings/")) {
+        // 会议详情: GET /api/meetings/:meetingId
+        const meetingId = decodeURIComponent(pathname.slice("/api/meetings/".length));
+        this._handleGetMeeting(meetingId, res);
+      } else if (method === "GET" && pathname === "/api/blackboard") {
+        // 列出已有黑板的任务: GET /api/blackboard
+        this._handleGetBlackboards(res);
+      } else if (method === "GET" && pathname.startsWith("/api/blackboard/")) {
+        // 任务黑板: GET /api/blackboard/:taskId?namespace=xxx
+        const taskId = decodeURIComponent(pathname.slice("/api/blackboard/".length));
+        this._handleGetBlackboard(taskId, url, res);
+      } else if (method === "GET" && pathname === "/api/reviews") {
+        // 列出评审: GET /api/reviews?requesterId=xxx&reviewerId=xxx&status=pending&taskId=xxx
+        this._handleGetReviews(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/reviews/")) {
+        // 评审详情: GET /api/reviews/:reviewId
+        const reviewId = decodeURIComponent(pathname.slice("/api/reviews/".length));
+        this._handleGetReview(reviewId, res);
+      } else if (method === "GET" && pathname === "/api/tasks") {
+        // 任务看板: GET /api/tasks?rootTaskId=xxx&assigneeId=xxx&creatorId=xxx&status=blocked
+        this._handleGetTasks(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/tasks/")) {
+        // 任务详情: GET /api/tasks/:trackedTaskId
+        const trackedTaskId = decodeURIComponent(pathname.slice("/api/tasks/".length));
+        this._handleGetTask(trackedTaskId, res);
+      } else if (method === "GET" && pathname === "/api/dead-letters") {
+        // 列出死信: GET /api/dead-letters?to=xxx&reason=xxx&status=dead&limit=n
+        this._handleGetDeadLetters(url, res);
+      } else if (method === "GET" && pathname.startsWith("/api/dead-letters/")) {
+        // 死信详情: GET /api/dead-letters/:deadLetterId
+        const deadLetterId = decodeURIComponent(pathname.slice("/api/dead-letters/".length));
+        this._handleGetDeadLetter(deadLetterId, res);
+      } else if (method === "POST" && pathname.startsWith("/api/dead-letters/") && pathname.endsWith("/reroute")) {
+        // 改投死信: POST /api/dead-letters/:deadLetterId/reroute  body: { to }
+        const match = pathname.match(/^\/api\/dead-letters\/(.+)\/reroute$/);
+        if (match) {
+          this._handleRerouteDeadLetter(req, decodeURIComponent(match[1]), res);
+        } else {
+          this._sendJson(res, 404, { error: "not_found", path: pathname });
+        }
       } else if (method === "GET" && pathname === "/api/workspaces") {
         // 获取工作空间列表
         this._handleGetWorkspaces(res).catch(err => {
@@ -1033,6 +1167,60 @@ export class HTTPServer {
             void this.log.error("处理工作空间元信息请求失败", { workspaceId, error: err.message, stack: err.stack });
             this._sendJson(res, 500, { error: "internal_error", message: err.message });
           });
+        } else if (parts[1] === "versions" && method === "GET") {
+          // 列出文件历史版本: GET /api/workspaces/:workspaceId/versions?path=xxx
+          const filePath = url.searchParams.get("path") || "";
+          this._handleGetWorkspaceFileVersions(workspaceId, filePath, res).catch(err => {
+            void this.log.error("处理文件版本列表请求失败", { workspaceId, filePath, error: err.message, stack: err.stack });
+            this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
+        } else if (parts[1] === "diff" && method === "GET") {
+          // 版本差异: GET /api/workspaces/:workspaceId/diff?path=xxx&from=n&to=m
+          const filePath = url.searchParams.get("path") || "";
+          const from = url.searchParams.get("from");
+          const to = url.searchParams.get("to");
+          this._handleGetWorkspaceFileDiff(workspaceId, filePath, from, to, res).catch(err => {
+            void this.log.error("处理文件版本差异请求失败", { workspaceId, filePath, error: err.message, stack: err.stack });
+            this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
+        } else if (parts[1] === "restore" && method === "POST") {
+          // 恢复文件版本: POST /api/workspaces/:workspaceId/restore
+          this._handleRestoreWorkspaceFile(req, workspaceId, res);
+        } else if (parts[1] === "search" && method === "GET") {
+          // 全文检索: GET /api/workspaces/:workspaceId/search?q=xxx&mode=text|phrase|regex&glob=&path=
+          this._handleSearchWorkspace(workspaceId, url.searchParams, res).catch(err => {
+            void this.log.error("处理工作空间检索请求失败", { workspaceId, error: err.message, stack: err.stack });
+            this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
+        } else if (parts[1] === "locks") {
+          if (method === "GET") {
+            // 列出文件建议锁: GET /api/workspaces/:workspaceId/locks
+            this._handleGetWorkspaceLocks(workspaceId, res).catch(err => {
+              void this.log.error("处理文件锁列表请求失败", { workspaceId, error: err.message, stack: err.stack });
+              this._sendJson(res, 500, { error: "internal_error", message: err.message });
+            });
+          } else if (method === "DELETE") {
+            // 强制释放文件建议锁: DELETE /api/workspaces/:workspaceId/locks?path=xxx
+            const filePath = url.searchParams.get("path") || "";
+            this._handleDeleteWorkspaceLock(workspaceId, filePath, res).catch(err => {
+              void this.log.error("处理释放文件锁请求失败", { workspaceId, filePath, error: err.message, stack: err.stack });
+              this._sendJson(res, 500, { error: "internal_error", message: err.message });
+            });
+          } else {
+            this._sendJson(res, 405, { error: "method_not_allowed" });
+          }
+        } else if (parts[1] === "export" && method === "GET") {
+          // 导出归档: GET /api/workspaces/:workspaceId/export?format=zip|tar.gz&includeMeta=true
+          this._handleExportWorkspace(workspaceId, url.searchParams, res).catch(err => {
+            void this.log.error("处理工作空间导出请求失败", { workspaceId, error: err.message, stack: err.stack });
+            if (!res.headersSent) this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
+        } else if (parts[1] === "import" && method === "POST") {
+          // 导入归档: POST /api/workspaces/:workspaceId/import（multipart 的 file 字段或原始请求体）
+          this._handleImportWorkspace(req, workspaceId, url.searchParams, res).catch(err => {
+            void this.log.error("处理工作空间导入请求失败", { workspaceId, error: err.message, stack: err.stack });
+            this._sendJson(res, 500, { error: "internal_error", message: err.message });
+          });
         } else if (parts[1] === "disk-usage") {
           // 获取工作空间空间占用: GET /api/workspaces/:workspaceId/disk-usage
           this._handleGetWorkspaceDiskUsage(workspaceId, res).catch(err => {
@@ -1309,6 +1497,10 @@ export class HTTPServer {
         this._sendJson(res, 413, { error: "file_too_large", message: err.message });
         return;
       }
+      if (err.message === "quota_exceeded") {
+        this._sendJson(res, 507, { error: "quota_exceeded", message: quotaExceededMessage(err.details), ...err.details });
+        return;
+      }
       
       this._sendJson(res, 500, { error: "upload_failed", message: err.message });
     }
@@ -1539,6 +1731,8 @@ export class HTTPServer {
         }
         return 'idle';
       };
+      // 收件箱饱和度（队列深度、上限、使用率与被拒绝/淘汰/合并的消息数）
+      const getInboxStats = (agentId) => runtime.bus?.getInboxStats?.(agentId) ?? null;
 
       // 构建智能体列表，包含 root 和 user
       const agents = [
@@ -1551,6 +1745,7 @@ export class HTTPServer {
           lastActiveAt: this._getLastActiveAt("root"),
           status: "active",
           computeStatus: getComputeStatus("root"),
+          inbox: getInboxStats("root"),
           customName: null
         },
         {
@@ -1562,6 +1757,7 @@ export class HTTPServer {
           lastActiveAt: this._getLastActiveAt("user"),
           status: "active",
           computeStatus: getComputeStatus("user"),
+          inbox: getInboxStats("user"),
           customName: null
         },
         // 过滤掉已终止的智能体
@@ -1576,6 +1772,7 @@ export class HTTPServer {
             lastActiveAt: this._getLastActiveAt(a.id),
             status: a.status ?? "active",
             computeStatus: getComputeStatus(a.id),
+            inbox: getInboxStats(a.id),
             terminatedAt: a.terminatedAt,
             customName: a.name ?? null
           }))
@@ -1650,7 +1847,7 @@ export class HTTPServer {
           createdAt: null,
           agentCount: 1,
           llmServiceId: null,
-          toolGroups: ["org_management"]  // root 岗位硬编码为 org_management
+          toolGroups: ROOT_TOOL_GROUPS  // root 岗位硬编码为 ROOT_TOOL_GROUPS
         },
         {
           id: "user",
@@ -1670,7 +1867,11 @@ export class HTTPServer {
           createdAt: r.createdAt,
           agentCount: agentCountByRole.get(r.id) ?? 0,
           llmServiceId: r.llmServiceId ?? null,
-          toolGroups: r.toolGroups ?? null  // null 表示使用默认的全部工具组
+          toolGroups: r.toolGroups ?? null,  // null 表示使用默认的全部工具组
+          extendsRoleId: r.extendsRoleId ?? null,
+          mixinRoleIds: r.mixinRoleIds ?? null,
+          status: r.status ?? "active",
+          replacedByRoleId: r.replacedByRoleId ?? null
         }))
       ];
 
@@ -1713,7 +1914,7 @@ export class HTTPServer {
             createdBy: null,
             createdAt: null,
             llmServiceId: null,
-            toolGroups: ["org_management"]
+            toolGroups: ROOT_TOOL_GROUPS
           }
         });
         return;
@@ -1751,7 +1952,8 @@ export class HTTPServer {
       }
 
       void this.log.debug("HTTP查询岗位详情 - 返回成功", { roleId, roleName: role.name });
-      this._sendJson(res, 200, { role });
+      // derivedRoleIds：继承本岗位的岗位，修改本岗位会影响它们
+      this._sendJson(res, 200, { role, composed: this._composeRole(org, roleId), derivedRoleIds: org.listDerivedRoleIds(roleId) });
     } catch (err) {
       void this.log.error("查询岗位详情失败", { roleId, error: err.message, stack: err.stack });
       this._sendJson(res, 500, { error: "internal_error", message: err.message });
@@ -2517,6 +2719,84 @@ export class HTTPServer {
     });
   }
 
+  /**
+   * 处理 POST /api/agent/:agentId/suspend 与 /resume - 暂停或恢复智能体。
+   * 请求体（可选）：{ includeDescendants?: boolean, reason?: string, operator?: string }
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} agentId
+   * @param {"suspend"|"resume"} action
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleSuspendOrResumeAgent(req, agentId, action, res) {
+    this._readJsonBody(req, async (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+      const runtime = this._runtime;
+      if (!runtime) {
+        this._sendJson(res, 500, { error: "society_not_initialized" });
+        return;
+      }
+      const operator = typeof body?.operator === "string" && body.operator ? body.operator : "user";
+      const includeDescendants = body?.includeDescendants === true;
+      try {
+        const result = action === "suspend"
+          ? await runtime.suspendAgent(agentId, { suspendedBy: operator, reason: body?.reason, includeDescendants })
+          : await runtime.resumeAgent(agentId, { resumedBy: operator, includeDescendants });
+        if (!result.ok) {
+          const statusCode = result.reason === "agent_not_found" ? 404 : result.reason === "agent_already_suspended" || result.reason === "agent_not_suspended" ? 409 : 400;
+          this._sendJson(res, statusCode, { error: result.reason, agentId });
+          return;
+        }
+        void this.log.info(action === "suspend" ? "HTTP暂停智能体" : "HTTP恢复智能体", { agentId, operator, includeDescendants });
+        this._sendJson(res, 200, { ...result, timestamp: formatLocalTime() });
+      } catch (error) {
+        void this.log.error("处理暂停/恢复请求时发生异常", { agentId, action, error: error?.message ?? String(error) });
+        this._sendJson(res, 500, { error: "internal_error", message: error?.message ?? String(error), agentId });
+      }
+    });
+  }
+
+  /**
+   * 处理 POST /api/agent/:agentId/fork - 分叉智能体。
+   * 请求体：{ truncateAt?: number, name?: string, operator?: string }
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} agentId - 源智能体ID
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleForkAgent(req, agentId, res) {
+    this._readJsonBody(req, async (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+      const runtime = this._runtime;
+      if (!runtime) {
+        this._sendJson(res, 500, { error: "society_not_initialized" });
+        return;
+      }
+      const operator = typeof body?.operator === "string" && body.operator ? body.operator : "user";
+      try {
+        const result = await runtime.forkAgent(agentId, {
+          forkedBy: operator,
+          truncateAt: body?.truncateAt ?? null,
+          name: typeof body?.name === "string" ? body.name : undefined
+        });
+        if (!result.ok) {
+          const statusCode = result.reason === "agent_not_found" ? 404 : result.reason === "agent_terminated" || result.reason === "empty_conversation" ? 409 : 400;
+          this._sendJson(res, statusCode, { error: result.reason, agentId, ...(result.messageCount !== undefined ? { messageCount: result.messageCount } : {}) });
+          return;
+        }
+        void this.log.info("HTTP分叉智能体", { agentId, forkId: result.agentId, forkIndex: result.forkIndex, operator });
+        this._sendJson(res, 200, { ...result, timestamp: formatLocalTime() });
+      } catch (error) {
+        void this.log.error("处理分叉请求时发生异常", { agentId, error: error?.message ?? String(error) });
+        this._sendJson(res, 500, { error: "internal_error", message: error?.message ?? String(error), agentId });
+      }
+    });
+  }
+
   /**
    * 处理 POST /api/agent/:agentId/abort - 中断智能体的 LLM 调用。
    * @param {string} agentId - 智能体ID
@@ -2706,6 +2986,125 @@ export class HTTPServer {
     }
   }
 
+  /**
+   * 处理 POST /api/role/:roleId/status - 切换岗位状态，转换记录保存在岗位的 statusHistory 中。
+   * 请求体：{ status: "active"|"deprecated"|"frozen", reason?: string, replacedByRoleId?: string, operator?: string }
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} roleId - 岗位ID
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleSetRoleStatus(req, roleId, res) {
+    this._readJsonBody(req, async (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+
+      // 检查是否是系统岗位
+      if (roleId === "root" || roleId === "user") {
+        this._sendJson(res, 400, { error: "cannot_modify_system_role", message: "不能修改系统岗位" });
+        return;
+      }
+
+      if (!this.society || !this.society.runtime || !this.society.runtime.org) {
+        this._sendJson(res, 500, { error: "society_not_initialized" });
+        return;
+      }
+
+      const operator = typeof body?.operator === "string" && body.operator ? body.operator : "user";
+      try {
+        const role = await this.society.runtime.org.setRoleStatus(roleId, body?.status, {
+          changedBy: operator,
+          reason: body?.reason,
+          replacedByRoleId: body?.replacedByRoleId
+        });
+        void this.log.info("HTTP切换岗位状态", { roleId, status: role.status, operator });
+        this._sendJson(res, 200, { ok: true, role });
+      } catch (statusErr) {
+        const code = statusErr.message;
+        const statusCodes = { role_not_found: 404, role_status_unchanged: 409, invalid_role_transition: 409, invalid_role_status: 400, replacement_role_not_found: 400 };
+        if (!statusCodes[code]) {
+          void this.log.error("切换岗位状态失败", { roleId, error: code });
+          this._sendJson(res, 500, { error: "update_failed", message: code });
+          return;
+        }
+        this._sendJson(res, statusCodes[code], { error: code, roleId, ...(statusErr.details ?? {}) });
+      }
+    });
+  }
+
+  /**
+   * 岗位组合继承关系后的生效配置（提示词、组织架构提示词、LLM 服务、工具组）。
+   * @param {any} org - OrgPrimitives 实例
+   * @param {string} roleId
+   * @returns {{rolePrompt:string, orgPrompt:string|null, llmServiceId:string|null, toolGroups:string[]|null, inheritedFrom:string[]}}
+   */
+  _composeRole(org, roleId) {
+    const { rolePrompt, orgPrompt, llmServiceId, toolGroups, inheritedFrom } = org.resolveRole(roleId);
+    return { rolePrompt, orgPrompt, llmServiceId, toolGroups, inheritedFrom };
+  }
+
+  /**
+   * 处理 POST /api/role/:roleId/inheritance - 设置岗位继承的基础岗位与混入岗位。
+   * 请求体：{ extendsRoleId?: string|null, mixinRoleIds?: string[]|null }，未提供的字段保持不变，null 表示清除。
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} roleId - 岗位ID
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleUpdateRoleInheritance(req, roleId, res) {
+    this._readJsonBody(req, async (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+
+      const extendsRoleId = body?.extendsRoleId;
+      const mixinRoleIds = body?.mixinRoleIds;
+      if (extendsRoleId !== undefined && extendsRoleId !== null && typeof extendsRoleId !== "string") {
+        this._sendJson(res, 400, { error: "invalid_extends_role_id", message: "extendsRoleId 必须是字符串或 null" });
+        return;
+      }
+      if (mixinRoleIds !== undefined && mixinRoleIds !== null && (!Array.isArray(mixinRoleIds) || !mixinRoleIds.every((id) => typeof id === "string"))) {
+        this._sendJson(res, 400, { error: "invalid_mixin_role_ids", message: "mixinRoleIds 必须是字符串数组或 null" });
+        return;
+      }
+
+      // 检查是否是系统岗位
+      if (roleId === "root" || roleId === "user") {
+        this._sendJson(res, 400, { error: "cannot_modify_system_role", message: "不能修改系统岗位" });
+        return;
+      }
+
+      try {
+        if (!this.society || !this.society.runtime || !this.society.runtime.org) {
+          this._sendJson(res, 500, { error: "society_not_initialized" });
+          return;
+        }
+
+        const org = this.society.runtime.org;
+        const updates = {};
+        if (extendsRoleId !== undefined) updates.extendsRoleId = extendsRoleId;
+        if (mixinRoleIds !== undefined) updates.mixinRoleIds = mixinRoleIds;
+
+        const updatedRole = await org.updateRole(roleId, updates);
+        if (!updatedRole) {
+          this._sendJson(res, 404, { error: "role_not_found", message: "岗位不存在" });
+          return;
+        }
+
+        void this.log.info("更新岗位继承关系", { roleId, extendsRoleId: updatedRole.extendsRoleId, mixinRoleIds: updatedRole.mixinRoleIds });
+        this._sendJson(res, 200, { ok: true, role: updatedRole, composed: this._composeRole(org, roleId) });
+      } catch (saveErr) {
+        if (saveErr.message === "base_role_not_found" || saveErr.message === "role_inheritance_cycle") {
+          this._sendJson(res, 400, { error: saveErr.message, roleId: saveErr.details?.roleId ?? null });
+          return;
+        }
+        void this.log.error("更新岗位继承关系失败", { roleId, error: saveErr.message });
+        this._sendJson(res, 500, { error: "update_failed", message: saveErr.message });
+      }
+    });
+  }
+
   /**
    * 处理 POST /api/role/:roleId/llm-service - 更新岗位的 LLM 服务。
    * @param {import("node:http").IncomingMessage} req
@@ -3250,6 +3649,7 @@ export class HTTPServer {
       
       const meta = await ws._readGlobalMeta();
       const tree = await ws.getTree();
+      const locks = new Map((await ws.listLocks()).map(lock => [lock.path, lock]));
       
       const files = Object.entries(meta.files).map(([filePath, info]) => ({
         name: filePath.split("/").pop(),
@@ -3259,6 +3659,8 @@ export class HTTPServer {
         createdAt: info.updatedAt,
         modifiedAt: info.updatedAt,
         mimeType: info.mimeType,
+        revision: info.revision ?? null,
+        lock: locks.get(filePath) ?? null,
         meta: info
       }));
 
@@ -3298,7 +3700,9 @@ export class HTTPServer {
         name: path.basename(filePath),
         mimeType: fileInfo.mimeType,
         size: fileInfo.size,
-        mtime: fileInfo.mtime
+        mtime: fileInfo.mtime,
+        revision: fileInfo.revision ?? null,
+        lock: await ws.getLock(filePath)
       });
     } catch (err) {
       void this.log.error("获取工作空间文件元数据失败", { workspaceId, filePath, error: err.message });
@@ -3309,6 +3713,8 @@ export class HTTPServer {
 
   /**
    * 处理 POST /api/workspaces/:workspaceId/file?path=xxx - 写入工作空间文件。
+   * 请求体可带 expectedRevision（修订号不一致时返回 409 revision_conflict）
+   * 与 force（忽略他人持有的建议锁）。超出磁盘配额时返回 507 quota_exceeded。
    */
   async _handlePostWorkspaceFile(req, workspaceId, filePath, res) {
     this._readJsonBody(req, async (err, body) => {
@@ -3318,24 +3724,276 @@ export class HTTPServer {
       }
 
       try {
-        const { content, mimeType, operator, messageId, offset } = body;
+        const { content, mimeType, operator, messageId, offset, expectedRevision, force } = body;
         if (content === undefined) {
           this._sendJson(res, 400, { error: "content_required" });
           return;
         }
 
         const ws = await this._workspaceManager.getWorkspace(workspaceId);
-        const result = await ws.writeFile(filePath, content, { mimeType, operator, messageId, offset });
+        const result = await ws.writeFile(filePath, content, { mimeType, operator, messageId, offset, expectedRevision, force });
 
         void this.log.info("HTTP写入工作空间文件", { workspaceId, filePath, size: result.size, offset });
         this._sendJson(res, 200, { ok: true, ...result });
       } catch (err) {
+        if (err.message === "revision_conflict" || err.message === "file_locked") {
+          void this.log.warn("写入工作空间文件被拒绝", { workspaceId, filePath, error: err.message });
+          this._sendJson(res, 409, { error: err.message, ...err.details });
+          return;
+        }
+        if (err.message === "quota_exceeded") {
+          void this.log.warn("写入工作空间文件超出配额", { workspaceId, filePath, ...err.details });
+          this._sendJson(res, 507, { error: err.message, message: quotaExceededMessage(err.details), ...err.details });
+          return;
+        }
         void this.log.error("写入工作空间文件失败", { workspaceId, filePath, error: err.message });
         this._sendJson(res, 500, { error: err.message });
       }
     });
   }
 
+  /**
+   * 版本相关错误对应的 HTTP 状态码
+   * @param {string} code
+   * @returns {number}
+   */
+  _workspaceVersionErrorStatus(code) {
+    if (code === "file_not_found" || code === "version_not_found") return 404;
+    if (code === "path_traversal_blocked" || code === "binary_diff_not_supported" || code === "version_is_deleted") return 400;
+    if (code === "version_snapshot_missing" || code === "version_pruned") return 410;
+    if (code === "revision_conflict" || code === "file_locked") return 409;
+    if (code === "quota_exceeded") return 507;
+    return 500;
+  }
+
+  /**
+   * 处理 GET /api/workspaces/:workspaceId/search - 工作空间全文检索。
+   * 查询参数：q、mode（text/phrase/regex）、glob、path、caseSensitive、contextLines、maxResults。
+   */
+  async _handleSearchWorkspace(workspaceId, params, res) {
+    const intParam = (name) => {
+      const value = params.get(name);
+      return value === null || value === "" ? undefined : Number.parseInt(value, 10);
+    };
+    try {
+      const ws = await this._workspaceManager.getWorkspace(workspaceId);
+      const result = await ws.search(params.get("q") ?? "", {
+        mode: params.get("mode") || "text",
+        glob: params.get("glob") || undefined,
+        path: params.get("path") || ".",
+        caseSensitive: params.get("caseSensitive") === "true",
+        contextLines: intParam("contextLines"),
+        maxResults: intParam("maxResults")
+      });
+      void this.log.debug("HTTP工作空间检索", { workspaceId, mode: result.mode, total: result.total });
+      this._sendJson(res, 200, { workspaceId, ...result });
+    } catch (err) {
+      const badRequest = ["invalid_regex", "invalid_search_mode", "invalid_search_text", "path_traversal_blocked"];
+      if (badRequest.includes(err.message)) {
+        this._sendJson(res, 400, { error: err.message, ...err.details });
+        return;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * 处理 GET /api/workspaces/:workspaceId/export - 以附件形式流式下载工作空间归档。
+   * 查询参数：format（zip / tar.gz，默认 zip）、includeMeta（为 true 时包含 .meta 元数据与版本快照）。
+   */
+  async _handleExportWorkspace(workspaceId, params, res) {
+    let format;
+    try {
+      format = normalizeArchiveFormat(params.get("format") || "zip");
+    } catch (err) {
+      this._sendJson(res, 400, { error: err.message, supported: Object.keys(ARCHIVE_FORMATS) });
+      return;
+    }
+
+    const ws = await this._workspaceManager.getWorkspace(workspaceId);
+    const { stream } = await ws.createExportStream({ format, includeMeta: params.get("includeMeta") === "true" });
+    const filename = `${workspaceId}${ARCHIVE_FORMATS[format].extension}`;
+
+    res.setHeader("Content-Type", ARCHIVE_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.writeHead(200);
+    stream.on("error", (err) => {
+      void this.log.error("工作空间归档流出错", { workspaceId, format, error: err.message });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+    void this.log.info("HTTP导出工作空间归档", { workspaceId, format });
+  }
+
+  /**
+   * 处理 POST /api/workspaces/:workspaceId/import - 将上传的归档解包到工作空间。
+   * 请求体为 multipart/form-data（file 字段，其余参数可作为表单字段）或归档原始字节。
+   * 参数：format（可选，默认按文件头识别）、targetDir、overwrite、operator。
+   * 含越界路径的归档整体拒绝，返回 400 archive_path_traversal 与违规条目列表。
+   */
+  async _handleImportWorkspace(req, workspaceId, params, res) {
+    let buffer;
+    let fields = {};
+    const contentType = req.headers["content-type"] || "";
+    try {
+      if (contentType.includes("multipart/form-data")) {
+        const parsed = await this._parseMultipartFormData(req, DEFAULT_MAX_ARCHIVE_SIZE);
+        fields = parsed.fields;
+        buffer = parsed.file?.buffer;
+      } else {
+        buffer = await this._readRawBody(req, DEFAULT_MAX_ARCHIVE_SIZE);
+      }
+    } catch (err) {
+      const status = err.message === "archive_too_large" || err.message.includes("超过限制") ? 413 : 400;
+      this._sendJson(res, status, { error: status === 413 ? "archive_too_large" : "invalid_request", message: err.message });
+      return;
+    }
+    if (!buffer || buffer.length === 0) {
+      this._sendJson(res, 400, { error: "missing_file", message: "请求中缺少归档文件" });
+      return;
+    }
+
+    const param = (name) => fields[name] ?? params.get(name) ?? undefined;
+    try {
+      const ws = await this._workspaceManager.getWorkspace(workspaceId);
+      const result = await ws.importArchive(buffer, {
+        format: param("format") || undefined,
+        targetDir: param("targetDir") || undefined,
+        overwrite: param("overwrite") === "true",
+        operator: param("operator") || "user",
+        messageId: `import_${Date.now()}`
+      });
+      void this.log.info("HTTP导入工作空间归档", { workspaceId, imported: result.imported, skipped: result.skipped.length });
+      this._sendJson(res, 200, { workspaceId, ...result });
+    } catch (err) {
+      const badRequest = ["archive_path_traversal", "invalid_archive", "unsupported_archive_format", "path_traversal_blocked", "invalid_path"];
+      if (badRequest.includes(err.message)) {
+        void this.log.warn("工作空间归档导入被拒绝", { workspaceId, error: err.message });
+        this._sendJson(res, 400, { error: err.message, ...err.details });
+        return;
+      }
+      if (err.message === "archive_too_large") {
+        this._sendJson(res, 413, { error: err.message });
+        return;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * 读取原始请求体
+   * @param {import("node:http").IncomingMessage} req
+   * @param {number} maxSize - 最大字节数，超出时抛出 archive_too_large
+   * @returns {Promise<Buffer>}
+   * @private
+   */
+  _readRawBody(req, maxSize) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let totalSize = 0;
+      req.on("data", (chunk) => {
+        totalSize += chunk.length;
+        if (totalSize > maxSize) {
+          req.destroy();
+          reject(new Error("archive_too_large"));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * 处理 GET /api/workspaces/:workspaceId/locks - 列出未过期的文件建议锁。
+   */
+  async _handleGetWorkspaceLocks(workspaceId, res) {
+    const ws = await this._workspaceManager.getWorkspace(workspaceId);
+    const locks = await ws.listLocks();
+    this._sendJson(res, 200, { workspaceId, locks, count: locks.length });
+  }
+
+  /**
+   * 处理 DELETE /api/workspaces/:workspaceId/locks?path=xxx - 由用户强制释放文件建议锁。
+   */
+  async _handleDeleteWorkspaceLock(workspaceId, filePath, res) {
+    try {
+      const ws = await this._workspaceManager.getWorkspace(workspaceId);
+      const result = await ws.releaseLock(filePath, { owner: "user", force: true });
+      void this.log.info("HTTP释放文件建议锁", { workspaceId, filePath, released: result.released });
+      this._sendJson(res, 200, { workspaceId, path: filePath, ...result });
+    } catch (err) {
+      void this.log.error("释放文件建议锁失败", { workspaceId, filePath, error: err.message });
+      this._sendJson(res, this._workspaceVersionErrorStatus(err.message), { error: err.message });
+    }
+  }
+
+  /**
+   * 处理 GET /api/workspaces/:workspaceId/versions?path=xxx - 列出文件历史版本。
+   */
+  async _handleGetWorkspaceFileVersions(workspaceId, filePath, res) {
+    try {
+      const ws = await this._workspaceManager.getWorkspace(workspaceId);
+      const result = await ws.listVersions(filePath);
+      this._sendJson(res, 200, { workspaceId, ...result });
+    } catch (err) {
+      void this.log.error("查询文件版本失败", { workspaceId, filePath, error: err.message });
+      this._sendJson(res, this._workspaceVersionErrorStatus(err.message), { error: err.message });
+    }
+  }
+
+  /**
+   * 处理 GET /api/workspaces/:workspaceId/diff?path=xxx&from=n&to=m - 获取版本差异。
+   */
+  async _handleGetWorkspaceFileDiff(workspaceId, filePath, from, to, res) {
+    try {
+      const ws = await this._workspaceManager.getWorkspace(workspaceId);
+      const result = await ws.diffVersions(
+        filePath,
+        from === null ? undefined : Number(from),
+        to === null ? undefined : Number(to)
+      );
+      this._sendJson(res, 200, { workspaceId, ...result });
+    } catch (err) {
+      void this.log.error("查询文件版本差异失败", { workspaceId, filePath, error: err.message });
+      this._sendJson(res, this._workspaceVersionErrorStatus(err.message), { error: err.message });
+    }
+  }
+
+  /**
+   * 处理 POST /api/workspaces/:workspaceId/restore - 将文件恢复到指定版本。
+   * 请求体：{ path, version, operator?, messageId? }，operator 默认为 "user"。
+   */
+  _handleRestoreWorkspaceFile(req, workspaceId, res) {
+    this._readJsonBody(req, async (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+      const filePath = body?.path;
+      const version = Number(body?.version);
+      if (!filePath || typeof filePath !== "string" || !Number.isInteger(version)) {
+        this._sendJson(res, 400, { error: "path_and_version_required" });
+        return;
+      }
+
+      try {
+        const ws = await this._workspaceManager.getWorkspace(workspaceId);
+        const result = await ws.restoreVersion(filePath, version, {
+          operator: body.operator ?? "user",
+          messageId: body.messageId ?? `http-restore-${randomUUID()}`,
+          force: body.force === true
+        });
+        void this.log.info("HTTP恢复工作空间文件版本", { workspaceId, filePath, version });
+        this._sendJson(res, 200, { ok: true, ...result });
+      } catch (err) {
+        void this.log.error("恢复工作空间文件版本失败", { workspaceId, filePath, version, error: err.message });
+        this._sendJson(res, this._workspaceVersionErrorStatus(err.message), { error: err.message, ...err.details });
+      }
+    });
+  }
+
   /**
    * 处理 DELETE /api/workspaces/:workspaceId/file?path=xxx - 删除工作空间文件。
    */
@@ -3449,6 +4107,417 @@ export class HTTPServer {
     }
   }
 
+  // ==================== Artifact API Handlers ====================
+
+  /**
+   * 获取工件存储，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireArtifactStore(res) {
+    const store = this._runtime?.artifactStore ?? null;
+    if (!store) {
+      this._sendJson(res, 503, { error: "artifact_store_unavailable" });
+    }
+    return store;
+  }
+
+  /**
+   * 处理 GET /api/artifacts - 列出工件元数据。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetArtifacts(url, res) {
+    const store = this._requireArtifactStore(res);
+    if (!store) return;
+    const limit = Number(url.searchParams.get("limit"));
+    const artifacts = store.listArtifacts({
+      producerAgentId: url.searchParams.get("producerAgentId") || undefined,
+      taskId: url.searchParams.get("taskId") || undefined,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : undefined
+    });
+    void this.log.debug("HTTP查询工件列表", { count: artifacts.length });
+    this._sendJson(res, 200, { artifacts, count: artifacts.length });
+  }
+
+  /**
+   * 处理 GET /api/artifacts/:artifactId - 获取工件元数据。
+   * @param {string} artifactId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetArtifactMeta(artifactId, res) {
+    const store = this._requireArtifactStore(res);
+    if (!store) return;
+    if (!store.isValidId(artifactId)) {
+      this._sendJson(res, 400, { error: "invalid_artifact_id" });
+      return;
+    }
+    const meta = store.getMetadata(artifactId);
+    if (!meta) {
+      this._sendJson(res, 404, { error: "artifact_not_found", artifactId });
+      return;
+    }
+    this._sendJson(res, 200, { artifact: meta });
+  }
+
+  /**
+   * 处理 GET /api/artifacts/:artifactId/content - 返回工件原始内容。
+   * 工件不可变，因此允许客户端长期缓存。
+   * @param {string} artifactId
+   * @param {import("node:http").ServerResponse} res
+   */
+  async _handleGetArtifactContent(artifactId, res) {
+    const store = this._requireArtifactStore(res);
+    if (!store) return;
+    if (!store.isValidId(artifactId)) {
+      this._sendJson(res, 400, { error: "invalid_artifact_id" });
+      return;
+    }
+    if (!store.hasArtifact(artifactId)) {
+      this._sendJson(res, 404, { error: "artifact_not_found", artifactId });
+      return;
+    }
+    const { meta, content } = await store.getArtifact(artifactId);
+    res.setHeader("Content-Type", meta.mimeType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    res.setHeader("ETag", `"${meta.id}"`);
+    res.writeHead(200);
+    res.end(content);
+    void this.log.debug("HTTP工件内容服务", { artifactId, size: meta.size });
+  }
+
+  // ==================== Schedule API Handlers ====================
+
+  /**
+   * 获取定时计划管理器，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireScheduleManager(res) {
+    const schedules = this._runtime?.scheduleManager ?? null;
+    if (!schedules) {
+      this._sendJson(res, 503, { error: "schedules_unavailable" });
+    }
+    return schedules;
+  }
+
+  /**
+   * 处理 GET /api/schedules - 列出定时消息计划。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetSchedules(url, res) {
+    const schedules = this._requireScheduleManager(res);
+    if (!schedules) return;
+    const list = schedules.listSchedules({
+      ownerId: url.searchParams.get("ownerId") || undefined,
+      involving: url.searchParams.get("involving") || undefined,
+      status: url.searchParams.get("status") || undefined
+    });
+    void this.log.debug("HTTP查询定时计划列表", { count: list.length });
+    this._sendJson(res, 200, { schedules: list, count: list.length });
+  }
+
+  /**
+   * 处理 GET /api/schedules/:scheduleId - 获取定时消息计划详情。
+   * @param {string} scheduleId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetSchedule(scheduleId, res) {
+    const schedules = this._requireScheduleManager(res);
+    if (!schedules) return;
+    const schedule = schedules.getSchedule(scheduleId);
+    if (!schedule) {
+      this._sendJson(res, 404, { error: "schedule_not_found", scheduleId });
+      return;
+    }
+    this._sendJson(res, 200, { schedule });
+  }
+
+  // ==================== Meeting API Handlers ====================
+
+  /**
+   * 获取会议管理器，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireMeetingManager(res) {
+    const meetings = this._runtime?.meetingManager ?? null;
+    if (!meetings) {
+      this._sendJson(res, 503, { error: "meetings_unavailable" });
+    }
+    return meetings;
+  }
+
+  /**
+   * 处理 GET /api/meetings - 列出会议（不含会议记录）。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetMeetings(url, res) {
+    const meetings = this._requireMeetingManager(res);
+    if (!meetings) return;
+    const list = meetings.listMeetings({
+      involving: url.searchParams.get("involving") || undefined,
+      status: url.searchParams.get("status") || undefined
+    });
+    void this.log.debug("HTTP查询会议列表", { count: list.length });
+    this._sendJson(res, 200, { meetings: list, count: list.length });
+  }
+
+  /**
+   * 处理 GET /api/meetings/:meetingId - 获取会议详情与完整会议记录。
+   * @param {string} meetingId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetMeeting(meetingId, res) {
+    const meetings = this._requireMeetingManager(res);
+    if (!meetings) return;
+    const meeting = meetings.getMeeting(meetingId);
+    if (!meeting) {
+      this._sendJson(res, 404, { error: "meeting_not_found", meetingId });
+      return;
+    }
+    this._sendJson(res, 200, { meeting });
+  }
+
+  // ==================== Blackboard API Handlers ====================
+
+  /**
+   * 获取任务黑板管理器，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireBlackboardManager(res) {
+    const blackboard = this._runtime?.blackboardManager ?? null;
+    if (!blackboard) {
+      this._sendJson(res, 503, { error: "blackboard_unavailable" });
+    }
+    return blackboard;
+  }
+
+  /**
+   * 处理 GET /api/blackboard - 列出已有黑板的任务及其键数量。
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetBlackboards(res) {
+    const blackboard = this._requireBlackboardManager(res);
+    if (!blackboard) return;
+    const tasks = blackboard.listTasks();
+    this._sendJson(res, 200, { tasks, count: tasks.length });
+  }
+
+  /**
+   * 处理 GET /api/blackboard/:taskId - 查看任务黑板的全部条目与关注者。
+   * @param {string} taskId
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetBlackboard(taskId, url, res) {
+    const blackboard = this._requireBlackboardManager(res);
+    if (!blackboard) return;
+    const board = blackboard.getBoard(taskId);
+    if (!board) {
+      this._sendJson(res, 404, { error: "blackboard_not_found", taskId });
+      return;
+    }
+    const namespace = url.searchParams.get("namespace");
+    if (namespace) {
+      board.namespaces = { [namespace]: board.namespaces[namespace] ?? {} };
+      board.watchers = board.watchers.filter((w) => w.namespace === namespace);
+    }
+    void this.log.debug("HTTP查询任务黑板", { taskId, namespace });
+    this._sendJson(res, 200, board);
+  }
+
+  // ==================== Review API Handlers ====================
+
+  /**
+   * 获取评审管理器，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireReviewManager(res) {
+    const reviews = this._runtime?.reviewManager ?? null;
+    if (!reviews) {
+      this._sendJson(res, 503, { error: "reviews_unavailable" });
+    }
+    return reviews;
+  }
+
+  /**
+   * 处理 GET /api/reviews - 列出评审。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetReviews(url, res) {
+    const reviews = this._requireReviewManager(res);
+    if (!reviews) return;
+    const list = reviews.listReviews({
+      requesterId: url.searchParams.get("requesterId") || undefined,
+      reviewerId: url.searchParams.get("reviewerId") || undefined,
+      status: url.searchParams.get("status") || undefined,
+      taskId: url.searchParams.get("taskId") || undefined
+    });
+    void this.log.debug("HTTP查询评审列表", { count: list.length });
+    this._sendJson(res, 200, { reviews: list, count: list.length });
+  }
+
+  /**
+   * 处理 GET /api/reviews/:reviewId - 获取评审详情。
+   * @param {string} reviewId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetReview(reviewId, res) {
+    const reviews = this._requireReviewManager(res);
+    if (!reviews) return;
+    const review = reviews.getReview(reviewId);
+    if (!review) {
+      this._sendJson(res, 404, { error: "review_not_found", reviewId });
+      return;
+    }
+    this._sendJson(res, 200, { review });
+  }
+
+  // ==================== Task API Handlers ====================
+
+  /**
+   * 获取任务跟踪服务，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireTaskRegistry(res) {
+    const tasks = this._runtime?.taskRegistry ?? null;
+    if (!tasks) {
+      this._sendJson(res, 503, { error: "tasks_unavailable" });
+    }
+    return tasks;
+  }
+
+  /**
+   * 处理 GET /api/tasks - 列出委派任务，同时返回任务树与依赖边供看板展示。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetTasks(url, res) {
+    const tasks = this._requireTaskRegistry(res);
+    if (!tasks) return;
+    const graph = tasks.getGraph({
+      rootTaskId: url.searchParams.get("rootTaskId") || undefined,
+      assigneeId: url.searchParams.get("assigneeId") || undefined,
+      creatorId: url.searchParams.get("creatorId") || undefined,
+      status: url.searchParams.get("status") || undefined
+    });
+    void this.log.debug("HTTP查询任务列表", { count: graph.tasks.length });
+    this._sendJson(res, 200, { tasks: graph.tasks, count: graph.tasks.length, tree: graph.tree, edges: graph.edges });
+  }
+
+  /**
+   * 处理 GET /api/tasks/:trackedTaskId - 获取委派任务详情。
+   * @param {string} trackedTaskId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetTask(trackedTaskId, res) {
+    const tasks = this._requireTaskRegistry(res);
+    if (!tasks) return;
+    const task = tasks.getTask(trackedTaskId);
+    if (!task) {
+      this._sendJson(res, 404, { error: "task_not_found", trackedTaskId });
+      return;
+    }
+    this._sendJson(res, 200, { task });
+  }
+
+  // ==================== Dead Letter API Handlers ====================
+
+  /**
+   * 获取消息总线，未初始化时返回 null 并响应 503。
+   * @param {import("node:http").ServerResponse} res
+   * @returns {any|null}
+   */
+  _requireBus(res) {
+    const bus = this._runtime?.bus ?? null;
+    if (!bus) {
+      this._sendJson(res, 503, { error: "message_bus_unavailable" });
+    }
+    return bus;
+  }
+
+  /**
+   * 处理 GET /api/dead-letters - 列出死信（最新的在前）。
+   * @param {URL} url
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetDeadLetters(url, res) {
+    const bus = this._requireBus(res);
+    if (!bus) return;
+    const limit = Number(url.searchParams.get("limit"));
+    const deadLetters = bus.getDeadLetters({
+      from: url.searchParams.get("from") || undefined,
+      to: url.searchParams.get("to") || undefined,
+      reason: url.searchParams.get("reason") || undefined,
+      status: url.searchParams.get("status") || undefined,
+      taskId: url.searchParams.get("taskId") || undefined,
+      limit: Number.isInteger(limit) && limit > 0 ? limit : undefined
+    });
+    void this.log.debug("HTTP查询死信列表", { count: deadLetters.length });
+    this._sendJson(res, 200, { deadLetters, count: deadLetters.length });
+  }
+
+  /**
+   * 处理 GET /api/dead-letters/:deadLetterId - 获取死信详情。
+   * @param {string} deadLetterId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleGetDeadLetter(deadLetterId, res) {
+    const bus = this._requireBus(res);
+    if (!bus) return;
+    const deadLetter = bus.getDeadLetter(deadLetterId);
+    if (!deadLetter) {
+      this._sendJson(res, 404, { error: "dead_letter_not_found", deadLetterId });
+      return;
+    }
+    this._sendJson(res, 200, { deadLetter });
+  }
+
+  /**
+   * 处理 POST /api/dead-letters/:deadLetterId/reroute - 以原发送者的名义把死信内容改投给其他智能体。
+   * 请求体：{ to: string, operator?: string }
+   * @param {import("node:http").IncomingMessage} req
+   * @param {string} deadLetterId
+   * @param {import("node:http").ServerResponse} res
+   */
+  _handleRerouteDeadLetter(req, deadLetterId, res) {
+    this._readJsonBody(req, (err, body) => {
+      if (err) {
+        this._sendJson(res, 400, { error: "invalid_json", message: err.message });
+        return;
+      }
+      const bus = this._requireBus(res);
+      if (!bus) return;
+      const to = typeof body?.to === "string" ? body.to.trim() : "";
+      if (!to) {
+        this._sendJson(res, 400, { error: "missing_recipient", message: "请求体必须包含 to 字段" });
+        return;
+      }
+      const runtime = this._runtime;
+      const isSpecial = to === "root" || to === "user";
+      if (!isSpecial && (!runtime._agents?.has(to) || runtime.org?.getAgent?.(to)?.status === "terminated")) {
+        this._sendJson(res, 400, { error: "agent_not_found", message: `智能体不存在或已终止: ${to}` });
+        return;
+      }
+      try {
+        const result = bus.rerouteDeadLetter(deadLetterId, to, { by: body?.operator ?? "user" });
+        void this.log.info("HTTP改投死信", { deadLetterId, to, messageId: result.messageId });
+        this._sendJson(res, 200, { ok: true, ...result });
+      } catch (error) {
+        const code = error?.message ?? String(error);
+        const statusCode = code === "dead_letter_not_found" ? 404 : 409;
+        this._sendJson(res, statusCode, { error: code, deadLetterId, ...(error?.details ?? {}) });
+      }
+    });
+  }
+
   // ==================== Config API Handlers ====================
 
   /**
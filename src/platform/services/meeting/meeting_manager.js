@@ -0,0 +1,388 @@
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
+import { JsonFileStore } from "../../utils/service/json_file_store.js";
+import { reasonError, formatOptionalTime } from "../../utils/service/service_helpers.js";
+
+/**
+ * 会议轮转方式
+ * - round_robin：参会者按顺序轮流发言，每轮最后由主持人发言
+ * - moderated：发言权在主持人手中，由主持人用 grant_floor 指定下一位发言人，发言后交还主持人
+ */
+export const TURN_MODES = Object.freeze(["round_robin", "moderated"]);
+
+/**
+ * 每场会议的参会者上限（不含主持人）
+ */
+const MAX_PARTICIPANTS = 20;
+
+/**
+ * 会议管理器
+ *
+ * 主持人创建会议并邀请参会者，所有发言写入同一份会议记录（transcript），
+ * 发言权（floor）同一时间只属于一人，轮到谁发言就通过消息总线通知谁，
+ * 通知中附带该参会者上次发言以来的新记录，其他参会者不会被打扰。
+ * 主持人随时可以插话；会议结束时由主持人给出总结，工具层把纪要写入主持人的工作空间。
+ * 会议保存在 runtimeDir/meetings.json。
+ */
+export class MeetingManager {
+  /**
+   * @param {object} options
+   * @param {string} options.runtimeDir - 会议文件所在目录
+   * @param {import("../../core/message_bus.js").MessageBus} options.bus
+   * @param {(agentId: string) => boolean} [options.isAgentActive] - 智能体是否仍可参会（已终止返回 false）
+   * @param {(agentId: string) => string} [options.describeAgent] - 会议记录中显示的发言人名称
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.runtimeDir, "meetings.json");
+    this.bus = options.bus;
+    this.isAgentActive = options.isAgentActive ?? (() => true);
+    this.describeAgent = options.describeAgent ?? ((agentId) => agentId);
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, object>} meetingId -> 会议 */
+    this._meetings = new Map();
+    this._store = new JsonFileStore({ filePath: this.filePath, label: "会议文件", logger: this.log });
+  }
+
+  /**
+   * 加载已保存的会议
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    this._meetings.clear();
+    const data = await this._store.load();
+    for (const meeting of Array.isArray(data?.meetings) ? data.meetings : []) {
+      if (meeting?.id && Array.isArray(meeting.participants)) this._meetings.set(meeting.id, meeting);
+    }
+    return { loaded: this._meetings.size };
+  }
+
+  /**
+   * 创建会议并把发言权交给第一位发言人
+   * @param {{moderatorId: string, participants: string[], title: string, agenda?: string, turnMode?: string, taskId?: string|null}} input
+   * @returns {Promise<object>} 会议视图
+   * @throws {Error} invalid_meeting
+   */
+  async createMeeting(input) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title) throw reasonError("invalid_meeting", "必须提供会议主题 title");
+    const turnMode = input.turnMode ?? "round_robin";
+    if (!TURN_MODES.includes(turnMode)) throw reasonError("invalid_meeting", `turnMode 必须是 ${TURN_MODES.join(" 或 ")}`);
+    const participants = [...new Set((Array.isArray(input.participants) ? input.participants : [])
+      .filter((id) => typeof id === "string" && id && id !== input.moderatorId))];
+    if (participants.length === 0) throw reasonError("invalid_meeting", "至少需要邀请一位主持人以外的参会者");
+    if (participants.length > MAX_PARTICIPANTS) throw reasonError("invalid_meeting", `参会者不能超过 ${MAX_PARTICIPANTS} 人`);
+
+    const meeting = {
+      id: randomUUID(),
+      title,
+      agenda: typeof input.agenda === "string" && input.agenda.trim() ? input.agenda.trim() : null,
+      moderatorId: input.moderatorId,
+      participants,
+      turnMode,
+      taskId: input.taskId ?? null,
+      status: "open",
+      floor: null,
+      round: 1,
+      transcript: [],
+      lastSeenSeq: {},
+      createdAt: Date.now(),
+      endedAt: null,
+      summary: null,
+      summaryPath: null
+    };
+    this._meetings.set(meeting.id, meeting);
+    if (turnMode === "round_robin") {
+      this._passFloor(meeting, this._rotation(meeting)[0]);
+    } else {
+      meeting.floor = meeting.moderatorId;
+    }
+    await this._persist();
+    void this.log.info("创建会议", { meetingId: meeting.id, moderatorId: meeting.moderatorId, participants, turnMode });
+    return this._view(meeting);
+  }
+
+  /**
+   * 在会议中发言（或跳过本轮）
+   * 持有发言权的参会者可以发言；主持人随时可以插话，插话不影响轮转。
+   * @param {string} meetingId
+   * @param {string} speakerId
+   * @param {{text?: string, pass?: boolean}} input
+   * @returns {Promise<{meeting: object, entry: object, nextSpeaker: string|null}>}
+   * @throws {Error} meeting_not_found / meeting_ended / not_meeting_member / not_your_turn / missing_text
+   */
+  async speak(meetingId, speakerId, input = {}) {
+    const meeting = this._requireOpen(meetingId);
+    if (!this._isMember(meeting, speakerId)) throw new Error("not_meeting_member");
+    const isModerator = speakerId === meeting.moderatorId;
+    if (meeting.floor !== speakerId && !isModerator) {
+      throw Object.assign(new Error("not_your_turn"), { details: { currentSpeaker: meeting.floor } });
+    }
+    const pass = input.pass === true;
+    const text = typeof input.text === "string" ? input.text.trim() : "";
+    if (!pass && !text) throw new Error("missing_text");
+
+    const entry = {
+      seq: meeting.transcript.length + 1,
+      speaker: speakerId,
+      text: pass ? (text || "（跳过发言）") : text,
+      pass,
+      at: formatLocalTime()
+    };
+    meeting.transcript.push(entry);
+    meeting.lastSeenSeq[speakerId] = entry.seq;
+
+    if (meeting.floor === speakerId) {
+      if (meeting.turnMode === "round_robin") {
+        this._passFloor(meeting, this._nextInRotation(meeting, speakerId));
+      } else if (!isModerator) {
+        // 受控模式：发言后发言权交还主持人
+        this._passFloor(meeting, meeting.moderatorId);
+      }
+    }
+    await this._persist();
+    return { meeting: this._view(meeting), entry, nextSpeaker: meeting.floor };
+  }
+
+  /**
+   * 主持人把发言权交给指定参会者（两种轮转方式都可用，轮流模式下从该参会者继续轮转）
+   * @param {string} meetingId
+   * @param {string} moderatorId
+   * @param {string} agentId
+   * @returns {Promise<object>} 会议视图
+   * @throws {Error} meeting_not_found / meeting_ended / not_moderator / not_meeting_member
+   */
+  async grantFloor(meetingId, moderatorId, agentId) {
+    const meeting = this._requireOpen(meetingId);
+    if (meeting.moderatorId !== moderatorId) throw new Error("not_moderator");
+    if (!meeting.participants.includes(agentId) || !this.isAgentActive(agentId)) {
+      throw Object.assign(new Error("not_meeting_member"), { details: { agentId } });
+    }
+    this._passFloor(meeting, agentId, { grantedBy: moderatorId });
+    await this._persist();
+    return this._view(meeting);
+  }
+
+  /**
+   * 结束会议并通知所有参会者
+   * @param {string} meetingId
+   * @param {string} moderatorId
+   * @param {{summary: string, summaryPath?: string|null}} input
+   * @returns {Promise<object>} 会议视图
+   * @throws {Error} meeting_not_found / meeting_ended / not_moderator / missing_summary
+   */
+  async endMeeting(meetingId, moderatorId, input) {
+    const meeting = this._requireOpen(meetingId);
+    if (meeting.moderatorId !== moderatorId) throw new Error("not_moderator");
+    const summary = typeof input?.summary === "string" ? input.summary.trim() : "";
+    if (!summary) throw new Error("missing_summary");
+
+    meeting.status = "ended";
+    meeting.floor = null;
+    meeting.endedAt = Date.now();
+    meeting.summary = summary;
+    meeting.summaryPath = input.summaryPath ?? null;
+    const location = meeting.summaryPath ? `\n会议纪要已保存到主持人工作空间的 ${meeting.summaryPath}。` : "";
+    for (const agentId of meeting.participants.filter((id) => this.isAgentActive(id))) {
+      this._notify(meeting, agentId, {
+        kind: "meeting_ended",
+        text: `会议「${meeting.title}」已结束。\n总结：\n${summary}${location}`,
+        summaryPath: meeting.summaryPath
+      });
+    }
+    await this._persist();
+    void this.log.info("会议结束", { meetingId, entries: meeting.transcript.length, summaryPath: meeting.summaryPath });
+    return this._view(meeting);
+  }
+
+  /**
+   * 获取会议（含完整会议记录）
+   * @param {string} meetingId
+   * @returns {object|null}
+   */
+  getMeeting(meetingId) {
+    const meeting = this._meetings.get(meetingId);
+    return meeting ? this._view(meeting, { withTranscript: true }) : null;
+  }
+
+  /**
+   * 获取会议记录
+   * @param {string} meetingId
+   * @param {{sinceSeq?: number}} [options] - 只返回序号大于 sinceSeq 的记录
+   * @returns {object[]|null} 会议不存在时返回 null
+   */
+  getTranscript(meetingId, options = {}) {
+    const meeting = this._meetings.get(meetingId);
+    if (!meeting) return null;
+    const sinceSeq = Number.isInteger(options.sinceSeq) ? options.sinceSeq : 0;
+    return meeting.transcript.filter((entry) => entry.seq > sinceSeq);
+  }
+
+  /**
+   * 列出会议（按创建时间排序，不含会议记录）
+   * @param {{involving?: string, status?: "open"|"ended"}} [filter] - involving 表示主持人或参会者之一
+   * @returns {object[]}
+   */
+  listMeetings(filter = {}) {
+    return [...this._meetings.values()]
+      .filter((m) => !filter.involving || this._isMember(m, filter.involving))
+      .filter((m) => !filter.status || m.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((m) => this._view(m));
+  }
+
+  /**
+   * 是否为会议成员（主持人或参会者）
+   * @param {object} meeting
+   * @param {string} agentId
+   * @returns {boolean}
+   */
+  isMember(meeting, agentId) {
+    return this._isMember(meeting, agentId);
+  }
+
+  /**
+   * 会议纪要在主持人工作空间中的路径：meetings/<会议ID前8位>-<主题>.md
+   * @param {object} meeting
+   * @returns {string}
+   */
+  minutesPath(meeting) {
+    const slug = meeting.title.replace(/[\\/:*?"<>|\s]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+    return `meetings/${meeting.id.slice(0, 8)}${slug ? `-${slug}` : ""}.md`;
+  }
+
+  /**
+   * 生成会议纪要（Markdown）
+   * @param {object} meeting - getMeeting 返回的会议视图
+   * @param {string} summary
+   * @returns {string}
+   */
+  renderMinutes(meeting, summary) {
+    const lines = [
+      `# 会议纪要：${meeting.title}`,
+      "",
+      `- 主持人：${this.describeAgent(meeting.moderatorId)}`,
+      `- 参会者：${meeting.participants.map((id) => this.describeAgent(id)).join("、")}`,
+      `- 开始时间：${meeting.createdAt}`,
+      `- 结束时间：${formatLocalTime()}`
+    ];
+    if (meeting.agenda) lines.push("", "## 议程", "", meeting.agenda);
+    lines.push("", "## 总结", "", summary, "", "## 会议记录", "");
+    for (const entry of meeting.transcript) {
+      lines.push(`**[${entry.seq}] ${this.describeAgent(entry.speaker)}**（${entry.at}）${entry.pass ? "（跳过）" : ""}`, "", entry.text, "");
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * 当前轮次的发言顺序：在岗的参会者依次发言，最后是主持人
+   * @private
+   */
+  _rotation(meeting) {
+    return [...meeting.participants.filter((id) => this.isAgentActive(id)), meeting.moderatorId];
+  }
+
+  /**
+   * 轮流模式下的下一位发言人（转回第一位时进入下一轮）
+   * @private
+   */
+  _nextInRotation(meeting, speakerId) {
+    const rotation = this._rotation(meeting);
+    const index = rotation.indexOf(speakerId);
+    if (index === rotation.length - 1 || index < 0) {
+      meeting.round += 1;
+      return rotation[0];
+    }
+    return rotation[index + 1];
+  }
+
+  /**
+   * 把发言权交给某人并通知对方，通知中附带对方尚未看到的会议记录
+   * @private
+   */
+  _passFloor(meeting, agentId, options = {}) {
+    meeting.floor = agentId;
+    const isModerator = agentId === meeting.moderatorId;
+    const unseen = meeting.transcript.filter((entry) => entry.seq > (meeting.lastSeenSeq[agentId] ?? 0));
+    meeting.lastSeenSeq[agentId] = meeting.transcript.length;
+
+    const lines = [`会议「${meeting.title}」${meeting.turnMode === "round_robin" ? `第 ${meeting.round} 轮，` : ""}轮到你发言。`];
+    if (meeting.transcript.length === 0 && meeting.agenda) lines.push(`议程：${meeting.agenda}`);
+    if (meeting.transcript.length === 0) {
+      lines.push(`主持人：${this.describeAgent(meeting.moderatorId)}；参会者：${meeting.participants.map((id) => this.describeAgent(id)).join("、")}`);
+    }
+    if (unseen.length > 0) {
+      lines.push("你上次发言以来的会议记录：");
+      for (const entry of unseen) lines.push(`[${entry.seq}] ${this.describeAgent(entry.speaker)}：${entry.text}`);
+    }
+    lines.push(`请用 speak_in_meeting(meetingId='${meeting.id}', text='...') 发言，无话可说时传 pass=true 跳过。`);
+    if (isModerator) {
+      lines.push(meeting.turnMode === "round_robin"
+        ? "你是主持人：发言后进入下一轮；讨论充分后用 end_meeting 结束会议并给出总结。"
+        : "你是主持人：用 grant_floor 指定下一位发言人；讨论充分后用 end_meeting 结束会议并给出总结。");
+    }
+    this._notify(meeting, agentId, {
+      kind: "meeting_turn",
+      text: lines.join("\n"),
+      round: meeting.round,
+      grantedBy: options.grantedBy ?? null
+    });
+  }
+
+  /**
+   * 以主持人的名义向参会者发送会议通知
+   * @private
+   */
+  _notify(meeting, agentId, payload) {
+    this.bus.send({
+      to: agentId,
+      from: meeting.moderatorId,
+      taskId: meeting.taskId ?? undefined,
+      payload: { ...payload, meetingId: meeting.id, title: meeting.title }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _isMember(meeting, agentId) {
+    return meeting.moderatorId === agentId || meeting.participants.includes(agentId);
+  }
+
+  /**
+   * @private
+   */
+  _requireOpen(meetingId) {
+    const meeting = this._meetings.get(meetingId);
+    if (!meeting) throw new Error("meeting_not_found");
+    if (meeting.status !== "open") throw new Error("meeting_ended");
+    return meeting;
+  }
+
+  /**
+   * 会议的对外视图（时间转为本地时间字符串）
+   * @private
+   */
+  _view(meeting, options = {}) {
+    const { transcript, lastSeenSeq, ...rest } = meeting;
+    const view = {
+      ...rest,
+      createdAt: formatOptionalTime(meeting.createdAt),
+      endedAt: formatOptionalTime(meeting.endedAt),
+      transcriptLength: transcript.length
+    };
+    if (options.withTranscript) view.transcript = transcript.map((entry) => ({ ...entry }));
+    return view;
+  }
+
+  /**
+   * 保存会议文件
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    return this._store.save({ meetings: [...this._meetings.values()] });
+  }
+}
@@ -0,0 +1,306 @@
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
+import { JsonFileStore } from "../../utils/service/json_file_store.js";
+import { reasonError, formatOptionalTime } from "../../utils/service/service_helpers.js";
+
+/**
+ * 评审结论
+ * - approve：通过
+ * - request_changes：要求修改（必须附带意见）
+ */
+export const REVIEW_VERDICTS = Object.freeze(["approve", "request_changes"]);
+
+/**
+ * 每次评审的评审人上限
+ */
+const MAX_REVIEWERS = 10;
+
+/**
+ * 评审管理器
+ *
+ * 请求者把交付物（已固化为工件的工作空间文件）与验收标准提交给一名或多名评审人，
+ * 评审人各自给出结论；所有评审人都给出结论后评审结束：全部通过为 approved，
+ * 任一要求修改为 changes_requested。评审请求、每条结论与最终结果都通过消息总线通知相关方。
+ * 评审结束前评审人可以修改自己的结论。评审保存在 runtimeDir/reviews.json。
+ */
+export class ReviewManager {
+  /**
+   * @param {object} options
+   * @param {string} options.runtimeDir - 评审文件所在目录
+   * @param {import("../../core/message_bus.js").MessageBus} options.bus
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.runtimeDir, "reviews.json");
+    this.bus = options.bus;
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, object>} reviewId -> 评审 */
+    this._reviews = new Map();
+    this._store = new JsonFileStore({ filePath: this.filePath, label: "评审文件", logger: this.log });
+  }
+
+  /**
+   * 加载已保存的评审
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    this._reviews.clear();
+    const data = await this._store.load();
+    for (const review of Array.isArray(data?.reviews) ? data.reviews : []) {
+      if (review?.id && Array.isArray(review.reviewers)) this._reviews.set(review.id, review);
+    }
+    return { loaded: this._reviews.size };
+  }
+
+  /**
+   * 创建评审并通知所有评审人
+   * @param {object} input
+   * @param {string} input.requesterId
+   * @param {string[]} input.reviewers
+   * @param {string} input.title
+   * @param {string} [input.description]
+   * @param {{path: string, revision: string|null, size: number, mimeType: string, artifactId: string}[]} input.files
+   * @param {string|string[]|null} [input.completionCriteria]
+   * @param {string|null} [input.taskId]
+   * @param {string|null} [input.previousReviewId] - 上一轮评审（修改后重新提交时）
+   * @returns {Promise<object>} 评审视图
+   * @throws {Error} invalid_review
+   */
+  async createReview(input) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title) throw reasonError("invalid_review", "必须提供评审标题 title");
+    const reviewers = [...new Set((Array.isArray(input.reviewers) ? input.reviewers : [])
+      .filter((id) => typeof id === "string" && id && id !== input.requesterId))];
+    if (reviewers.length === 0) throw reasonError("invalid_review", "至少需要一名请求者以外的评审人");
+    if (reviewers.length > MAX_REVIEWERS) throw reasonError("invalid_review", `评审人不能超过 ${MAX_REVIEWERS} 名`);
+    const files = Array.isArray(input.files) ? input.files : [];
+    if (files.length === 0) throw reasonError("invalid_review", "至少需要提交一个文件");
+    if (input.previousReviewId && !this._reviews.has(input.previousReviewId)) {
+      throw reasonError("invalid_review", `上一轮评审不存在: ${input.previousReviewId}`);
+    }
+
+    const review = {
+      id: randomUUID(),
+      title,
+      description: typeof input.description === "string" && input.description.trim() ? input.description.trim() : null,
+      requesterId: input.requesterId,
+      reviewers,
+      files: files.map((f) => ({ ...f })),
+      completionCriteria: input.completionCriteria ?? null,
+      taskId: input.taskId ?? null,
+      previousReviewId: input.previousReviewId ?? null,
+      status: "pending",
+      verdicts: Object.fromEntries(reviewers.map((id) => [id, null])),
+      createdAt: Date.now(),
+      decidedAt: null
+    };
+    this._reviews.set(review.id, review);
+    for (const reviewerId of reviewers) {
+      this._notify(review, reviewerId, review.requesterId, {
+        kind: "review_request",
+        text: this._requestText(review)
+      });
+    }
+    await this._persist();
+    void this.log.info("创建评审", { reviewId: review.id, requesterId: review.requesterId, reviewers, files: files.length });
+    return this._view(review);
+  }
+
+  /**
+   * 评审人提交（或修改）结论；全部评审人给出结论后评审结束
+   * @param {string} reviewId
+   * @param {string} reviewerId
+   * @param {{verdict: string, comments?: string}} input
+   * @returns {Promise<object>} 评审视图
+   * @throws {Error} review_not_found / review_closed / not_reviewer / invalid_verdict / missing_comments
+   */
+  async submitVerdict(reviewId, reviewerId, input) {
+    const review = this._requirePending(reviewId);
+    if (!review.reviewers.includes(reviewerId)) throw new Error("not_reviewer");
+    if (!REVIEW_VERDICTS.includes(input?.verdict)) {
+      throw Object.assign(new Error("invalid_verdict"), { details: { allowed: REVIEW_VERDICTS } });
+    }
+    const comments = typeof input.comments === "string" ? input.comments.trim() : "";
+    if (input.verdict === "request_changes" && !comments) throw new Error("missing_comments");
+
+    const revised = review.verdicts[reviewerId] !== null;
+    review.verdicts[reviewerId] = { verdict: input.verdict, comments: comments || null, at: formatLocalTime() };
+    const outcome = this._outcome(review);
+    if (outcome) {
+      review.status = outcome;
+      review.decidedAt = Date.now();
+    }
+
+    const lines = [
+      `评审「${review.title}」（reviewId=${review.id}）：${reviewerId} ${revised ? "修改结论为" : "给出结论"} ${input.verdict === "approve" ? "通过" : "要求修改"}。`
+    ];
+    if (comments) lines.push(`意见：\n${comments}`);
+    if (outcome) {
+      lines.push(outcome === "approved"
+        ? "所有评审人均已通过，评审结束。"
+        : `评审结束，结论为要求修改。请根据意见修改后用 request_review 重新提交（previousReviewId='${review.id}'）。`);
+      lines.push(...this._verdictSummary(review));
+    } else {
+      const waiting = review.reviewers.filter((id) => review.verdicts[id] === null);
+      lines.push(`仍在等待：${waiting.join("、")}`);
+    }
+    this._notify(review, review.requesterId, reviewerId, {
+      kind: "review_verdict",
+      text: lines.join("\n"),
+      reviewerId,
+      verdict: input.verdict,
+      status: review.status
+    });
+    await this._persist();
+    void this.log.info("评审结论", { reviewId, reviewerId, verdict: input.verdict, status: review.status });
+    return this._view(review);
+  }
+
+  /**
+   * 请求者撤回评审，尚未给出结论的评审人会收到通知
+   * @param {string} reviewId
+   * @param {string} by
+   * @returns {Promise<object>} 评审视图
+   * @throws {Error} review_not_found / review_closed
+   */
+  async cancelReview(reviewId, by) {
+    const review = this._requirePending(reviewId);
+    review.status = "cancelled";
+    review.decidedAt = Date.now();
+    for (const reviewerId of review.reviewers.filter((id) => review.verdicts[id] === null)) {
+      this._notify(review, reviewerId, review.requesterId, {
+        kind: "review_cancelled",
+        text: `评审「${review.title}」（reviewId=${review.id}）已被 ${by} 撤回，无需再评审。`
+      });
+    }
+    await this._persist();
+    void this.log.info("撤回评审", { reviewId, by });
+    return this._view(review);
+  }
+
+  /**
+   * @param {string} reviewId
+   * @returns {object|null}
+   */
+  getReview(reviewId) {
+    const review = this._reviews.get(reviewId);
+    return review ? this._view(review) : null;
+  }
+
+  /**
+   * 列出评审（按创建时间排序）
+   * @param {{requesterId?: string, reviewerId?: string, involving?: string, status?: string, taskId?: string}} [filter]
+   *   involving 表示请求者或评审人之一
+   * @returns {object[]}
+   */
+  listReviews(filter = {}) {
+    return [...this._reviews.values()]
+      .filter((r) => !filter.requesterId || r.requesterId === filter.requesterId)
+      .filter((r) => !filter.reviewerId || r.reviewers.includes(filter.reviewerId))
+      .filter((r) => !filter.involving || r.requesterId === filter.involving || r.reviewers.includes(filter.involving))
+      .filter((r) => !filter.status || r.status === filter.status)
+      .filter((r) => !filter.taskId || r.taskId === filter.taskId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((r) => this._view(r));
+  }
+
+  /**
+   * 评审结果：尚有评审人未给出结论时为 null
+   * @private
+   */
+  _outcome(review) {
+    const verdicts = review.reviewers.map((id) => review.verdicts[id]);
+    if (verdicts.some((v) => v === null)) return null;
+    return verdicts.every((v) => v.verdict === "approve") ? "approved" : "changes_requested";
+  }
+
+  /**
+   * @private
+   */
+  _verdictSummary(review) {
+    return review.reviewers.map((id) => {
+      const v = review.verdicts[id];
+      return `- ${id}：${v.verdict === "approve" ? "通过" : "要求修改"}${v.comments ? `（${v.comments}）` : ""}`;
+    });
+  }
+
+  /**
+   * 发给评审人的评审请求正文
+   * @private
+   */
+  _requestText(review) {
+    const lines = [`${review.requesterId} 请你评审「${review.title}」（reviewId=${review.id}）。`];
+    if (review.description) lines.push(`说明：${review.description}`);
+    if (review.previousReviewId) lines.push(`这是对上一轮评审 ${review.previousReviewId} 意见的修改后重新提交。`);
+    const criteria = formatCriteria(review.completionCriteria);
+    if (criteria) lines.push(`验收标准：\n${criteria}`);
+    lines.push("提交的文件（提交时的快照，用 get_artifact 读取内容）：");
+    for (const file of review.files) {
+      lines.push(`- ${file.path}（${file.size} 字节，artifactId=${file.artifactId}）`);
+    }
+    lines.push(`请对照验收标准评审后调用 submit_review(reviewId='${review.id}', verdict='approve' 或 'request_changes', comments='...')；要求修改时必须写明需要修改的内容。`);
+    if (review.reviewers.length > 1) lines.push(`其他评审人：${review.reviewers.join("、")}`);
+    return lines.join("\n");
+  }
+
+  /**
+   * @private
+   */
+  _notify(review, to, from, payload) {
+    this.bus.send({
+      to,
+      from,
+      taskId: review.taskId ?? undefined,
+      payload: { ...payload, reviewId: review.id, title: review.title }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _requirePending(reviewId) {
+    const review = this._reviews.get(reviewId);
+    if (!review) throw new Error("review_not_found");
+    if (review.status !== "pending") {
+      throw Object.assign(new Error("review_closed"), { details: { status: review.status } });
+    }
+    return review;
+  }
+
+  /**
+   * 评审的对外视图（时间转为本地时间字符串，附带尚未给出结论的评审人）
+   * @private
+   */
+  _view(review) {
+    return {
+      ...review,
+      files: review.files.map((f) => ({ ...f })),
+      verdicts: Object.fromEntries(Object.entries(review.verdicts).map(([id, v]) => [id, v ? { ...v } : null])),
+      pendingReviewers: review.reviewers.filter((id) => review.verdicts[id] === null),
+      createdAt: formatOptionalTime(review.createdAt),
+      decidedAt: formatOptionalTime(review.decidedAt)
+    };
+  }
+
+  /**
+   * 保存评审文件
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    return this._store.save({ reviews: [...this._reviews.values()] });
+  }
+}
+
+/**
+ * 验收标准转为文本：数组逐条列出，对象序列化为 JSON
+ * @param {any} criteria
+ * @returns {string}
+ */
+function formatCriteria(criteria) {
+  if (criteria === null || criteria === undefined || criteria === "") return "";
+  const text = (item) => (typeof item === "string" ? item : JSON.stringify(item));
+  return Array.isArray(criteria) ? criteria.map((c) => `- ${text(c)}`).join("\n") : text(criteria);
+}
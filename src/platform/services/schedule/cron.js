@@ -0,0 +1,160 @@
+/**
+ * Cron 表达式解析与下一次触发时间计算（按本地时区）
+ *
+ * 支持标准 5 段格式：分 时 日 月 周
+ * - 每段支持 *、数字、列表（1,3,5）、范围（1-5）、步长（*\/15、0-30/10）
+ * - 月份与星期可使用英文缩写（JAN-DEC、SUN-SAT），星期中 0 和 7 都表示周日
+ * - 日与周同时受限时按标准 cron 语义取"或"：满足其一即触发
+ * - 别名：@yearly/@annually、@monthly、@weekly、@daily/@midnight、@hourly
+ *
+ * 例如 "0 9 * * 1-5" 表示每个工作日 09:00。
+ */
+
+const FIELD_SPECS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "dayOfWeek", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] }
+];
+
+const ALIASES = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+/**
+ * 查找下一次触发时间时最多向后搜索的年数（如 "0 0 30 2 *" 永远不会触发）
+ */
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * 创建 cron 解析错误
+ * @param {string} expression
+ * @param {string} reason
+ * @returns {Error}
+ */
+function cronError(expression, reason) {
+  return Object.assign(new Error("invalid_cron"), { details: { expression, reason } });
+}
+
+/**
+ * 解析单个取值（数字或名称）
+ * @returns {number|null}
+ */
+function parseValue(text, spec) {
+  if (/^\d+$/.test(text)) return Number(text);
+  const index = spec.names?.indexOf(text.toUpperCase()) ?? -1;
+  if (index < 0) return null;
+  return spec.name === "month" ? index + 1 : index;
+}
+
+/**
+ * 解析一段 cron 字段
+ * @returns {Set<number>}
+ */
+function parseField(text, spec, expression) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [rangeText, stepText, extra] = part.split("/");
+    if (extra !== undefined || !rangeText) throw cronError(expression, `${spec.name} 字段格式错误: ${part}`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw cronError(expression, `${spec.name} 字段步长无效: ${part}`);
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = spec.min;
+      end = spec.max;
+    } else {
+      const [startText, endText, rest] = rangeText.split("-");
+      if (rest !== undefined) throw cronError(expression, `${spec.name} 字段范围错误: ${part}`);
+      start = parseValue(startText, spec);
+      end = endText === undefined ? (stepText === undefined ? start : spec.max) : parseValue(endText, spec);
+    }
+    if (start === null || end === null || start < spec.min || end > spec.max || start > end) {
+      throw cronError(expression, `${spec.name} 字段取值超出范围 ${spec.min}-${spec.max}: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * 解析 cron 表达式
+ * @param {string} expression
+ * @returns {{expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+ * @throws {Error} invalid_cron（details 中给出原因）
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) throw cronError(String(expression ?? ""), "表达式为空");
+  const trimmed = expression.trim();
+  const normalized = ALIASES[trimmed.toLowerCase()] ?? trimmed;
+  const fields = normalized.split(/\s+/);
+  if (fields.length !== 5) throw cronError(trimmed, `需要 5 段（分 时 日 月 周），实际 ${fields.length} 段`);
+
+  const parsed = { expression: trimmed };
+  FIELD_SPECS.forEach((spec, i) => {
+    parsed[spec.name] = parseField(fields[i], spec, trimmed);
+  });
+  // 7 与 0 都表示周日
+  if (parsed.dayOfWeek.delete(7)) parsed.dayOfWeek.add(0);
+  parsed.dayOfMonthRestricted = fields[2] !== "*";
+  parsed.dayOfWeekRestricted = fields[4] !== "*";
+  return parsed;
+}
+
+/**
+ * 判断某一天是否满足日/周条件
+ */
+function matchesDay(parsed, date) {
+  const domMatch = parsed.dayOfMonth.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (parsed.dayOfMonthRestricted) return domMatch;
+  if (parsed.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+/**
+ * 计算严格晚于 after 的下一次触发时间
+ * @param {ReturnType<typeof parseCron>|string} cron - 已解析的表达式或表达式字符串
+ * @param {number|Date} [after]
+ * @returns {number|null} 毫秒时间戳；在搜索范围内不会触发时返回 null
+ */
+export function nextCronTime(cron, after = Date.now()) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const date = new Date(typeof after === "number" ? after : after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+  return null;
+}
@@ -0,0 +1,307 @@
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
+import { JsonFileStore } from "../../utils/service/json_file_store.js";
+import { reasonError, formatOptionalTime } from "../../utils/service/service_helpers.js";
+import { parseCron, nextCronTime } from "./cron.js";
+
+/**
+ * 固定间隔计划的最小间隔
+ */
+export const MIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 每个智能体最多拥有的有效计划数
+ */
+const MAX_ACTIVE_SCHEDULES_PER_OWNER = 50;
+
+/**
+ * 定时消息计划管理器
+ *
+ * 按 cron 表达式或固定间隔反复向指定收件人发送同一条消息，计划保存在 runtimeDir/schedules.json。
+ *
+ * 基于 MessageBus 的延迟投递实现：每个有效计划在总线上只挂一次"下一次触发"的延迟消息
+ * （信封带 scheduleId 与 scheduleRunAt），该消息投递时由 onDelayedDelivery 回调计算并挂上下一次。
+ * 启动时先取消总线上遗留的计划消息再统一重新安排；停机期间错过的触发会在启动后补发一次。
+ */
+export class ScheduleManager {
+  /**
+   * @param {object} options
+   * @param {string} options.runtimeDir - 计划文件所在目录
+   * @param {import("../../core/message_bus.js").MessageBus} options.bus
+   * @param {(agentId: string) => boolean} [options.isAgentActive] - 智能体是否仍可收发消息（已终止返回 false）
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.runtimeDir, "schedules.json");
+    this.bus = options.bus;
+    this.isAgentActive = options.isAgentActive ?? (() => true);
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, object>} scheduleId -> 计划 */
+    this._schedules = new Map();
+    this._started = false;
+    this._store = new JsonFileStore({ filePath: this.filePath, label: "计划文件", logger: this.log });
+  }
+
+  /**
+   * 加载已保存的计划
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    this._schedules.clear();
+    const data = await this._store.load();
+    for (const schedule of Array.isArray(data?.schedules) ? data.schedules : []) {
+      if (schedule?.id && Array.isArray(schedule.to)) this._schedules.set(schedule.id, schedule);
+    }
+    return { loaded: this._schedules.size };
+  }
+
+  /**
+   * 开始调度：注册投递监听并为所有有效计划挂上下一次触发
+   * 应在消息总线恢复预写日志之后调用。
+   * @returns {{armed: number}}
+   */
+  start() {
+    if (!this._started) {
+      this._started = true;
+      this.bus.onDelayedDelivery((message) => {
+        if (message?.scheduleId) this._onDelivered(message);
+      });
+    }
+    // 预写日志恢复出的计划消息可能与 schedules.json 不一致，统一重新安排
+    this.bus.cancelDelayed((msg) => Boolean(msg.scheduleId));
+    let armed = 0;
+    for (const schedule of this._schedules.values()) {
+      if (schedule.status === "active" && this._arm(schedule)) armed++;
+    }
+    this._persist();
+    void this.log.info("定时计划已启动", { total: this._schedules.size, armed });
+    return { armed };
+  }
+
+  /**
+   * 创建计划
+   * @param {{ownerId: string, to: string[], payload: any, cron?: string, intervalMs?: number, startAt?: string|number, endAt?: string|number, maxRuns?: number, name?: string, taskId?: string|null}} input
+   * @returns {Promise<object>} 计划视图
+   * @throws {Error} invalid_schedule / invalid_cron / missing_recipients / too_many_schedules
+   */
+  async createSchedule(input) {
+    const now = Date.now();
+    const hasCron = typeof input.cron === "string" && input.cron.trim() !== "";
+    const hasInterval = input.intervalMs !== undefined && input.intervalMs !== null;
+    if (hasCron === hasInterval) {
+      throw reasonError("invalid_schedule", "必须且只能指定 cron 或 intervalMs 其中之一");
+    }
+    const cron = hasCron ? parseCron(input.cron).expression : null;
+    const intervalMs = hasInterval ? Number(input.intervalMs) : null;
+    if (hasInterval && !(Number.isFinite(intervalMs) && intervalMs >= MIN_INTERVAL_MS)) {
+      throw reasonError("invalid_schedule", `intervalMs 必须不小于 ${MIN_INTERVAL_MS}（1 分钟）`);
+    }
+    const startAt = parseTime(input.startAt, "startAt");
+    const endAt = parseTime(input.endAt, "endAt");
+    const maxRuns = input.maxRuns === undefined || input.maxRuns === null ? null : Number(input.maxRuns);
+    if (maxRuns !== null && !(Number.isInteger(maxRuns) && maxRuns > 0)) {
+      throw reasonError("invalid_schedule", "maxRuns 必须是正整数");
+    }
+
+    const to = [...new Set((Array.isArray(input.to) ? input.to : [input.to]).filter((id) => typeof id === "string" && id))];
+    if (to.length === 0) throw new Error("missing_recipients");
+    const activeCount = [...this._schedules.values()].filter((s) => s.ownerId === input.ownerId && s.status === "active").length;
+    if (activeCount >= MAX_ACTIVE_SCHEDULES_PER_OWNER) {
+      throw Object.assign(new Error("too_many_schedules"), { details: { limit: MAX_ACTIVE_SCHEDULES_PER_OWNER } });
+    }
+
+    const schedule = {
+      id: randomUUID(),
+      name: typeof input.name === "string" && input.name.trim() ? input.name.trim() : null,
+      ownerId: input.ownerId,
+      to,
+      payload: input.payload,
+      taskId: input.taskId ?? null,
+      cron,
+      intervalMs,
+      startAt,
+      endAt,
+      maxRuns,
+      status: "active",
+      statusReason: null,
+      createdAt: now,
+      lastRunAt: null,
+      runCount: 0,
+      nextRunAt: null
+    };
+    schedule.nextRunAt = this._computeNext(schedule, Math.max(now, (startAt ?? now) - 1));
+    if (schedule.nextRunAt === null || (endAt !== null && schedule.nextRunAt > endAt)) {
+      throw reasonError("invalid_schedule", "按该设置计划永远不会触发");
+    }
+
+    this._schedules.set(schedule.id, schedule);
+    this._arm(schedule);
+    await this._persist();
+    void this.log.info("创建定时计划", { scheduleId: schedule.id, ownerId: schedule.ownerId, to, cron, intervalMs, nextRunAt: formatLocalTime(new Date(schedule.nextRunAt)) });
+    return this._view(schedule);
+  }
+
+  /**
+   * 取消计划
+   * @param {string} scheduleId
+   * @param {{by?: string, reason?: string}} [options]
+   * @returns {Promise<object>} 计划视图
+   * @throws {Error} schedule_not_found
+   */
+  async cancelSchedule(scheduleId, options = {}) {
+    const schedule = this._schedules.get(scheduleId);
+    if (!schedule) throw new Error("schedule_not_found");
+    if (schedule.status === "active") {
+      this._finish(schedule, "cancelled", options.reason ?? (options.by ? `cancelled_by:${options.by}` : null));
+      await this._persist();
+      void this.log.info("取消定时计划", { scheduleId, by: options.by ?? null });
+    }
+    return this._view(schedule);
+  }
+
+  /**
+   * 获取计划
+   * @param {string} scheduleId
+   * @returns {object|null} 计划视图
+   */
+  getSchedule(scheduleId) {
+    const schedule = this._schedules.get(scheduleId);
+    return schedule ? this._view(schedule) : null;
+  }
+
+  /**
+   * 列出计划（按创建时间排序）
+   * @param {{ownerId?: string, involving?: string, status?: string}} [filter] - involving 表示创建者或收件人之一
+   * @returns {object[]} 计划视图列表
+   */
+  listSchedules(filter = {}) {
+    return [...this._schedules.values()]
+      .filter((s) => !filter.ownerId || s.ownerId === filter.ownerId)
+      .filter((s) => !filter.involving || s.ownerId === filter.involving || s.to.includes(filter.involving))
+      .filter((s) => !filter.status || s.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((s) => this._view(s));
+  }
+
+  /**
+   * 计划消息投递时的回调：记录本次触发并挂上下一次
+   * 同一次触发会投递给多个收件人，只处理第一条。
+   * @private
+   */
+  _onDelivered(message) {
+    const schedule = this._schedules.get(message.scheduleId);
+    if (!schedule || schedule.status !== "active" || message.scheduleRunAt !== schedule.nextRunAt) return;
+
+    const now = Date.now();
+    const runAt = schedule.nextRunAt;
+    schedule.lastRunAt = now;
+    schedule.runCount += 1;
+    // 从本次计划时间与当前时间中较晚者往后推，补发之后不会连续触发
+    schedule.nextRunAt = this._computeNext(schedule, Math.max(now, schedule.nextRunAt));
+
+    if (schedule.maxRuns !== null && schedule.runCount >= schedule.maxRuns) {
+      this._finish(schedule, "completed", "max_runs_reached", runAt);
+    } else if (schedule.nextRunAt === null || (schedule.endAt !== null && schedule.nextRunAt > schedule.endAt)) {
+      this._finish(schedule, "completed", "ended", runAt);
+    } else {
+      this._arm(schedule);
+    }
+    void this._persist();
+  }
+
+  /**
+   * 在总线上挂一次触发（每个有效收件人一条延迟消息）
+   * @returns {boolean} 是否成功挂上
+   * @private
+   */
+  _arm(schedule) {
+    if (!this.isAgentActive(schedule.ownerId)) {
+      this._finish(schedule, "cancelled", "owner_terminated");
+      return false;
+    }
+    const recipients = schedule.to.filter((id) => this.isAgentActive(id));
+    if (recipients.length === 0) {
+      this._finish(schedule, "cancelled", "no_active_recipients");
+      return false;
+    }
+    // 停机期间错过的触发尽快补发一次
+    const delayMs = Math.max(1, schedule.nextRunAt - Date.now());
+    for (const to of recipients) {
+      this.bus.send({
+        to,
+        from: schedule.ownerId,
+        taskId: schedule.taskId ?? undefined,
+        payload: schedule.payload,
+        delayMs,
+        scheduleId: schedule.id,
+        scheduleRunAt: schedule.nextRunAt
+      });
+    }
+    return true;
+  }
+
+  /**
+   * 结束计划并撤回已挂在总线上的触发
+   * @param {object} schedule
+   * @param {"cancelled"|"completed"} status
+   * @param {string|null} reason
+   * @param {number} [keepRunAt] - 正在投递的这次触发，其余收件人的消息保留
+   * @private
+   */
+  _finish(schedule, status, reason, keepRunAt) {
+    schedule.status = status;
+    schedule.statusReason = reason ?? null;
+    schedule.nextRunAt = null;
+    this.bus.cancelDelayed((msg) => msg.scheduleId === schedule.id && msg.scheduleRunAt !== keepRunAt);
+  }
+
+  /**
+   * 计算严格晚于 after 的下一次触发时间
+   * @returns {number|null}
+   * @private
+   */
+  _computeNext(schedule, after) {
+    if (schedule.cron) return nextCronTime(parseCron(schedule.cron), after);
+    const anchor = schedule.startAt ?? schedule.createdAt;
+    if (after < anchor) return anchor;
+    const periods = Math.floor((after - anchor) / schedule.intervalMs) + 1;
+    return anchor + periods * schedule.intervalMs;
+  }
+
+  /**
+   * 计划的对外视图（时间转为本地时间字符串）
+   * @private
+   */
+  _view(schedule) {
+    return {
+      ...schedule,
+      createdAt: formatOptionalTime(schedule.createdAt),
+      startAt: formatOptionalTime(schedule.startAt),
+      endAt: formatOptionalTime(schedule.endAt),
+      lastRunAt: formatOptionalTime(schedule.lastRunAt),
+      nextRunAt: formatOptionalTime(schedule.nextRunAt)
+    };
+  }
+
+  /**
+   * 保存计划文件
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    return this._store.save({ schedules: [...this._schedules.values()] });
+  }
+}
+
+/**
+ * 解析时间参数（ISO 字符串、本地时间字符串或毫秒时间戳）
+ * @returns {number|null}
+ */
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const ms = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(ms)) throw reasonError("invalid_schedule", `${field} 不是有效的时间`);
+  return ms;
+}
@@ -0,0 +1,425 @@
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createNoopModuleLogger, formatLocalTime } from "../../utils/logger/logger.js";
+import { JsonFileStore } from "../../utils/service/json_file_store.js";
+import { formatOptionalTime } from "../../utils/service/service_helpers.js";
+
+/**
+ * 委派任务的状态
+ * - open：已委派，尚未开始
+ * - in_progress：进行中
+ * - blocked：受阻（由执行者说明原因）
+ * - done / failed / cancelled：已结束，不能再修改
+ */
+export const TASK_STATUSES = Object.freeze(["open", "in_progress", "blocked", "done", "failed", "cancelled"]);
+
+/**
+ * 已结束的状态
+ */
+const TERMINAL_STATUSES = new Set(["done", "failed", "cancelled"]);
+
+/**
+ * 需要通知委派者的状态变化
+ */
+const NOTIFY_CREATOR_STATUSES = new Set(["blocked", "done", "failed"]);
+
+/**
+ * 每个任务保留的历史记录条数
+ */
+const MAX_HISTORY = 50;
+
+/**
+ * 委派任务登记簿
+ *
+ * spawn_agent_with_task 每委派一次就登记一个任务（执行者为新智能体，委派者为调用者），
+ * 委派者自己正在执行的任务成为其父任务，从而形成任务树；任务之间还可以声明依赖关系（有向无环图）。
+ * 执行者汇报进度与状态，任务完成、失败或受阻时通知委派者；
+ * 依赖的任务结束时通知依赖方的执行者。任务保存在 runtimeDir/tasks.json。
+ */
+export class TaskRegistry {
+  /**
+   * @param {object} options
+   * @param {string} options.runtimeDir - 任务文件所在目录
+   * @param {import("../../core/message_bus.js").MessageBus} options.bus
+   * @param {(agentId: string) => boolean} [options.isAgentActive] - 通知对象是否仍在岗
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.runtimeDir, "tasks.json");
+    this.bus = options.bus;
+    this.isAgentActive = options.isAgentActive ?? (() => true);
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, object>} trackedTaskId -> 任务（按登记顺序） */
+    this._tasks = new Map();
+    this._store = new JsonFileStore({ filePath: this.filePath, label: "任务文件", logger: this.log });
+  }
+
+  /**
+   * 加载已保存的任务
+   * @returns {Promise<{loaded: number}>}
+   */
+  async init() {
+    this._tasks.clear();
+    const data = await this._store.load();
+    for (const task of Array.isArray(data?.tasks) ? data.tasks : []) {
+      if (task?.id && task.assigneeId) this._tasks.set(task.id, task);
+    }
+    return { loaded: this._tasks.size };
+  }
+
+  /**
+   * 登记一个委派任务
+   * @param {object} input
+   * @param {string} input.assigneeId - 执行者
+   * @param {string} input.creatorId - 委派者
+   * @param {object} [input.brief] - 任务委托书
+   * @param {string} [input.title] - 标题，缺省取 brief.objective
+   * @param {string|null} [input.rootTaskId] - 所属的顶层任务（消息的 taskId）
+   * @param {string[]} [input.dependsOn]
+   * @returns {Promise<object>} 任务视图
+   * @throws {Error} task_not_found（依赖不存在）
+   */
+  async createTask(input) {
+    const dependsOn = this._checkDependencies(null, input.dependsOn ?? []);
+    const now = Date.now();
+    const task = {
+      id: randomUUID(),
+      rootTaskId: input.rootTaskId ?? null,
+      title: String(input.title ?? input.brief?.objective ?? "未命名任务").trim().slice(0, 200) || "未命名任务",
+      brief: input.brief ?? null,
+      assigneeId: input.assigneeId,
+      creatorId: input.creatorId,
+      parentTaskId: this.findCurrentTask(input.creatorId)?.id ?? null,
+      status: "open",
+      progress: 0,
+      note: null,
+      dependsOn,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      history: [{ status: "open", progress: 0, note: null, by: input.creatorId, at: formatLocalTime() }]
+    };
+    this._tasks.set(task.id, task);
+    await this._persist();
+    void this.log.info("登记委派任务", { trackedTaskId: task.id, assigneeId: task.assigneeId, creatorId: task.creatorId, parentTaskId: task.parentTaskId });
+    return this._view(task);
+  }
+
+  /**
+   * 更新任务状态、进度或说明
+   * @param {string} id
+   * @param {{status?: string, progress?: number, note?: string}} update
+   * @param {string} by - 更新者
+   * @returns {Promise<object>} 任务视图
+   * @throws {Error} task_not_found / task_closed / invalid_status / invalid_progress / missing_note
+   */
+  async updateTask(id, update, by) {
+    const task = this._require(id);
+    if (TERMINAL_STATUSES.has(task.status)) {
+      throw Object.assign(new Error("task_closed"), { details: { status: task.status } });
+    }
+    const status = update.status ?? task.status;
+    if (!TASK_STATUSES.includes(status)) {
+      throw Object.assign(new Error("invalid_status"), { details: { allowed: TASK_STATUSES } });
+    }
+    let progress = task.progress;
+    if (update.progress !== undefined && update.progress !== null) {
+      if (typeof update.progress !== "number" || !Number.isFinite(update.progress) || update.progress < 0 || update.progress > 100) {
+        throw new Error("invalid_progress");
+      }
+      progress = Math.round(update.progress);
+    }
+    if (status === "done") progress = 100;
+    const note = typeof update.note === "string" && update.note.trim() ? update.note.trim() : null;
+    if ((status === "blocked" || status === "failed") && status !== task.status && !note) throw new Error("missing_note");
+
+    const previousStatus = task.status;
+    task.status = status;
+    task.progress = progress;
+    if (note) task.note = note;
+    task.updatedAt = Date.now();
+    if (TERMINAL_STATUSES.has(status)) task.completedAt = task.updatedAt;
+    this._record(task, { status, progress, note, by });
+
+    if (status !== previousStatus) {
+      if (NOTIFY_CREATOR_STATUSES.has(status)) this._notifyCreator(task, by);
+      if (TERMINAL_STATUSES.has(status)) this._notifyDependents(task);
+    }
+    await this._persist();
+    void this.log.info("更新委派任务", { trackedTaskId: id, status, progress, by });
+    return this._view(task);
+  }
+
+  /**
+   * 替换任务的依赖列表（拒绝形成环）
+   * @param {string} id
+   * @param {string[]} dependsOn
+   * @param {string} by
+   * @returns {Promise<object>} 任务视图
+   * @throws {Error} task_not_found / task_closed / dependency_cycle
+   */
+  async setDependencies(id, dependsOn, by) {
+    const task = this._require(id);
+    if (TERMINAL_STATUSES.has(task.status)) {
+      throw Object.assign(new Error("task_closed"), { details: { status: task.status } });
+    }
+    task.dependsOn = this._checkDependencies(id, dependsOn);
+    task.updatedAt = Date.now();
+    this._record(task, { status: task.status, progress: task.progress, note: `依赖更新为: ${task.dependsOn.join(", ") || "无"}`, by });
+    await this._persist();
+    return this._view(task);
+  }
+
+  /**
+   * 执行者终止后，其未结束的任务标记为 cancelled
+   * @param {string[]} agentIds
+   * @returns {Promise<number>} 取消的任务数
+   */
+  async cancelTasksOfAgents(agentIds) {
+    const ids = new Set(agentIds);
+    let cancelled = 0;
+    for (const task of this._tasks.values()) {
+      if (!ids.has(task.assigneeId) || TERMINAL_STATUSES.has(task.status)) continue;
+      task.status = "cancelled";
+      task.note = "执行者已终止";
+      task.updatedAt = task.completedAt = Date.now();
+      this._record(task, { status: "cancelled", progress: task.progress, note: task.note, by: null });
+      this._notifyDependents(task);
+      cancelled++;
+    }
+    if (cancelled > 0) await this._persist();
+    return cancelled;
+  }
+
+  /**
+   * 把某个执行者未结束任务的委派者从旧上级改为新上级（调整上级时调用），之后的状态通知发给新上级
+   * @param {string} assigneeId
+   * @param {string} fromCreatorId
+   * @param {string} toCreatorId
+   * @returns {Promise<number>} 转交的任务数
+   */
+  async transferDelegations(assigneeId, fromCreatorId, toCreatorId) {
+    let transferred = 0;
+    for (const task of this._tasks.values()) {
+      if (task.assigneeId !== assigneeId || task.creatorId !== fromCreatorId || TERMINAL_STATUSES.has(task.status)) continue;
+      task.creatorId = toCreatorId;
+      task.updatedAt = Date.now();
+      this._record(task, { status: task.status, progress: task.progress, note: `委派者由 ${fromCreatorId} 转交给 ${toCreatorId}`, by: null });
+      transferred++;
+    }
+    if (transferred > 0) await this._persist();
+    return transferred;
+  }
+
+  /**
+   * 某个智能体当前执行的任务（最近登记的未结束任务）
+   * @param {string} agentId
+   * @returns {object|null} 任务视图
+   */
+  findCurrentTask(agentId) {
+    let current = null;
+    for (const task of this._tasks.values()) {
+      if (task.assigneeId === agentId && !TERMINAL_STATUSES.has(task.status)) current = task;
+    }
+    return current ? this._view(current) : null;
+  }
+
+  /**
+   * 获取任务详情（含委托书与历史、依赖方与子任务）
+   * @param {string} id
+   * @returns {object|null}
+   */
+  getTask(id) {
+    const task = this._tasks.get(id);
+    if (!task) return null;
+    const all = [...this._tasks.values()];
+    return {
+      ...this._view(task, { detail: true }),
+      dependents: all.filter((t) => t.dependsOn.includes(id)).map((t) => t.id),
+      children: all.filter((t) => t.parentTaskId === id).map((t) => t.id)
+    };
+  }
+
+  /**
+   * 列出任务（按登记顺序）
+   * @param {{assigneeId?: string, creatorId?: string, involving?: string, rootTaskId?: string, status?: string, open?: boolean}} [filter]
+   *   involving 表示执行者或委派者之一；open 为 true 时只列出未结束的任务
+   * @returns {object[]}
+   */
+  listTasks(filter = {}) {
+    return [...this._tasks.values()]
+      .filter((t) => !filter.assigneeId || t.assigneeId === filter.assigneeId)
+      .filter((t) => !filter.creatorId || t.creatorId === filter.creatorId)
+      .filter((t) => !filter.involving || t.assigneeId === filter.involving || t.creatorId === filter.involving)
+      .filter((t) => !filter.rootTaskId || t.rootTaskId === filter.rootTaskId)
+      .filter((t) => !filter.status || t.status === filter.status)
+      .filter((t) => !filter.open || !TERMINAL_STATUSES.has(t.status))
+      .map((t) => this._view(t));
+  }
+
+  /**
+   * 任务树与依赖图：tree 按父任务嵌套（父任务不在结果中时作为根），edges 为依赖边（from 依赖 to 之前完成）
+   * @param {object} [filter] - 同 listTasks
+   * @returns {{tasks: object[], tree: object[], edges: {from: string, to: string}[]}}
+   */
+  getGraph(filter = {}) {
+    const tasks = this.listTasks(filter);
+    const nodes = new Map(tasks.map((t) => [t.id, { ...t, children: [] }]));
+    const tree = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentTaskId ? nodes.get(node.parentTaskId) : null;
+      if (parent) parent.children.push(node);
+      else tree.push(node);
+    }
+    const edges = [];
+    for (const task of tasks) {
+      for (const dep of task.dependsOn) {
+        if (nodes.has(dep)) edges.push({ from: dep, to: task.id });
+      }
+    }
+    return { tasks, tree, edges };
+  }
+
+  /**
+   * 校验依赖：必须存在、不能依赖自己、不能形成环
+   * @private
+   */
+  _checkDependencies(id, dependsOn) {
+    const deps = [...new Set((Array.isArray(dependsOn) ? dependsOn : [dependsOn]).filter((d) => typeof d === "string" && d))];
+    const missing = deps.filter((d) => !this._tasks.has(d));
+    if (missing.length > 0) throw Object.assign(new Error("task_not_found"), { details: { missing } });
+    if (id === null) return deps;
+    for (const dep of deps) {
+      const cycle = this._dependencyPath(dep, id);
+      if (cycle) throw Object.assign(new Error("dependency_cycle"), { details: { cycle: [id, ...cycle] } });
+    }
+    return deps;
+  }
+
+  /**
+   * 沿依赖边从 from 出发能否到达 target，能到达时返回路径
+   * @private
+   */
+  _dependencyPath(from, target, visited = new Set()) {
+    if (from === target) return [from];
+    if (visited.has(from)) return null;
+    visited.add(from);
+    for (const next of this._tasks.get(from)?.dependsOn ?? []) {
+      const rest = this._dependencyPath(next, target, visited);
+      if (rest) return [from, ...rest];
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _notifyCreator(task, by) {
+    if (task.creatorId === by || !this.isAgentActive(task.creatorId)) return;
+    const labels = { blocked: "受阻", done: "已完成", failed: "失败" };
+    const lines = [`你委派给 ${task.assigneeId} 的任务「${task.title}」（trackedTaskId=${task.id}）${labels[task.status]}。`];
+    if (task.note) lines.push(`说明：${task.note}`);
+    if (task.status === "blocked") lines.push("请协助排除障碍，或调整分工。");
+    this._send(task.creatorId, task.assigneeId, task, {
+      kind: "task_status",
+      text: lines.join("\n"),
+      status: task.status,
+      progress: task.progress
+    });
+  }
+
+  /**
+   * 任务结束时通知依赖它的任务的执行者
+   * @private
+   */
+  _notifyDependents(task) {
+    for (const dependent of this._tasks.values()) {
+      if (!dependent.dependsOn.includes(task.id) || TERMINAL_STATUSES.has(dependent.status)) continue;
+      if (!this.isAgentActive(dependent.assigneeId)) continue;
+      const waitingOn = this._waitingOn(dependent);
+      let text;
+      if (task.status === "done") {
+        text = waitingOn.length === 0
+          ? `你的任务「${dependent.title}」依赖的任务已全部完成（最后完成：「${task.title}」），可以开始或继续。`
+          : `你的任务「${dependent.title}」依赖的「${task.title}」已完成，仍在等待：${waitingOn.join(", ")}`;
+      } else {
+        text = `你的任务「${dependent.title}」依赖的「${task.title}」已${task.status === "failed" ? "失败" : "取消"}${task.note ? `（${task.note}）` : ""}，请与委派者 ${dependent.creatorId} 确认如何处理。`;
+      }
+      this._send(dependent.assigneeId, task.assigneeId, dependent, {
+        kind: "task_dependency",
+        text,
+        dependencyId: task.id,
+        dependencyStatus: task.status,
+        waitingOn
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(to, from, task, payload) {
+    this.bus.send({
+      to,
+      from,
+      taskId: task.rootTaskId ?? undefined,
+      payload: { ...payload, trackedTaskId: task.id, title: task.title }
+    });
+  }
+
+  /**
+   * 尚未完成的依赖
+   * @private
+   */
+  _waitingOn(task) {
+    return task.dependsOn.filter((d) => this._tasks.get(d)?.status !== "done");
+  }
+
+  /**
+   * @private
+   */
+  _record(task, entry) {
+    task.history.push({ ...entry, at: formatLocalTime() });
+    if (task.history.length > MAX_HISTORY) task.history.splice(0, task.history.length - MAX_HISTORY);
+  }
+
+  /**
+   * @private
+   */
+  _require(id) {
+    const task = this._tasks.get(id);
+    if (!task) throw Object.assign(new Error("task_not_found"), { details: { missing: [id] } });
+    return task;
+  }
+
+  /**
+   * 任务的对外视图：列表中不含委托书与历史
+   * @private
+   */
+  _view(task, options = {}) {
+    const { brief, history, ...rest } = task;
+    const view = {
+      ...rest,
+      dependsOn: [...task.dependsOn],
+      waitingOn: this._waitingOn(task),
+      createdAt: formatOptionalTime(task.createdAt),
+      updatedAt: formatOptionalTime(task.updatedAt),
+      completedAt: formatOptionalTime(task.completedAt)
+    };
+    if (options.detail) {
+      view.brief = brief ? structuredClone(brief) : null;
+      view.history = history.map((h) => ({ ...h }));
+    }
+    return view;
+  }
+
+  /**
+   * 保存任务文件
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    return this._store.save({ tasks: [...this._tasks.values()] });
+  }
+}
@@ -0,0 +1,441 @@
+/**
+ * 工作区归档（zip / tar.gz）读写
+ *
+ * 仅依赖 node:zlib 实现，覆盖工作区导入导出所需的子集：
+ * - zip：deflate/stored 条目、UTF-8 文件名，不支持 zip64 与加密
+ * - tar：ustar 格式，长文件名及非 ASCII 文件名使用 PAX 扩展头；读取时兼容 GNU 长文件名
+ *
+ * 读取时按条目数与解压后总大小设限，防止压缩炸弹。
+ */
+import { Readable } from "node:stream";
+import { createGzip, gunzipSync, inflateRawSync, deflateRawSync } from "node:zlib";
+
+/**
+ * 支持的归档格式
+ */
+export const ARCHIVE_FORMATS = {
+  "zip": { extension: ".zip", contentType: "application/zip" },
+  "tar.gz": { extension: ".tar.gz", contentType: "application/gzip" }
+};
+
+/** 读取归档时的默认上限 */
+export const DEFAULT_MAX_ARCHIVE_ENTRIES = 10000;
+export const DEFAULT_MAX_ARCHIVE_SIZE = 512 * 1024 * 1024;
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_FLAG_UTF8 = 0x0800;
+const TAR_BLOCK = 512;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 计算 CRC32
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 规范化归档格式名称（tgz 视为 tar.gz）
+ * @param {string} [format]
+ * @returns {"zip"|"tar.gz"}
+ */
+export function normalizeArchiveFormat(format) {
+  const value = String(format ?? "zip").trim().toLowerCase();
+  if (value === "zip") return "zip";
+  if (value === "tar.gz" || value === "tgz") return "tar.gz";
+  throw new Error("unsupported_archive_format");
+}
+
+/**
+ * 根据文件头识别归档格式
+ * @param {Buffer} buffer
+ * @returns {"zip"|"tar.gz"|"tar"|null}
+ */
+export function detectArchiveFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_SIGNATURE) return "zip";
+  if (buffer.length >= 22 && buffer.readUInt32LE(0) === ZIP_EOCD_SIGNATURE) return "zip";
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return "tar.gz";
+  if (buffer.length >= 262 && buffer.toString("latin1", 257, 262) === "ustar") return "tar";
+  return null;
+}
+
+/**
+ * 创建归档输出流
+ *
+ * entries 为（异步）可迭代对象，按需逐个读取文件内容，避免一次性把整个工作区读入内存。
+ *
+ * @param {AsyncIterable<{name: string, type: 'file'|'directory', data?: Buffer, mtime?: Date}>|Iterable<object>} entries
+ * @param {"zip"|"tar.gz"} format
+ * @returns {import("node:stream").Readable}
+ */
+export function createArchiveStream(entries, format) {
+  if (format === "zip") {
+    return Readable.from(zipChunks(entries), { objectMode: false });
+  }
+  if (format === "tar.gz") {
+    const source = Readable.from(tarChunks(entries), { objectMode: false });
+    const gzip = createGzip();
+    source.on("error", (err) => gzip.destroy(err));
+    return source.pipe(gzip);
+  }
+  throw new Error("unsupported_archive_format");
+}
+
+/**
+ * 解析归档内容
+ *
+ * 返回的条目名称为归档中的原始名称（已将反斜杠转为正斜杠），路径安全性由调用方校验。
+ *
+ * @param {Buffer} buffer
+ * @param {{format?: string, maxEntries?: number, maxTotalSize?: number}} [options]
+ * @returns {Array<{name: string, type: 'file'|'directory'|'symlink'|'other', data: Buffer|null}>}
+ */
+export function readArchive(buffer, options = {}) {
+  const detected = detectArchiveFormat(buffer);
+  if (!detected) throw new Error("invalid_archive");
+  if (options.format) {
+    const expected = normalizeArchiveFormat(options.format);
+    if (expected !== detected && !(expected === "tar.gz" && detected === "tar")) {
+      throw new Error("invalid_archive");
+    }
+  }
+
+  const limits = {
+    maxEntries: options.maxEntries ?? DEFAULT_MAX_ARCHIVE_ENTRIES,
+    maxTotalSize: options.maxTotalSize ?? DEFAULT_MAX_ARCHIVE_SIZE
+  };
+  if (detected === "zip") return readZip(buffer, limits);
+
+  let tar = buffer;
+  if (detected === "tar.gz") {
+    try {
+      tar = gunzipSync(buffer, { maxOutputLength: limits.maxTotalSize + limits.maxEntries * TAR_BLOCK * 3 });
+    } catch (e) {
+      if (e.code === "ERR_BUFFER_TOO_LARGE") throw new Error("archive_too_large");
+      throw new Error("invalid_archive");
+    }
+  }
+  return readTar(tar, limits);
+}
+
+// ---------------------------------------------------------------------------
+// zip
+// ---------------------------------------------------------------------------
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+async function* zipChunks(entries) {
+  const central = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const isDir = entry.type === "directory";
+    const name = Buffer.from(isDir ? `${entry.name.replace(/\/+$/, "")}/` : entry.name, "utf8");
+    const data = isDir ? Buffer.alloc(0) : entry.data;
+    const compressed = data.length > 0 ? deflateRawSync(data) : data;
+    const method = data.length > 0 ? 8 : 0;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(entry.mtime);
+
+    if (central.length >= 0xffff || offset + compressed.length + name.length + 30 > 0xffffffff) {
+      throw new Error("archive_too_large");
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(ZIP_LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(ZIP_FLAG_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(ZIP_CENTRAL_SIGNATURE, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4); // 由 Unix 创建，便于携带文件权限
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(ZIP_FLAG_UTF8, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE((((isDir ? 0o40755 : 0o100644) << 16) | (isDir ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(Buffer.concat([header, name]));
+
+    yield Buffer.concat([local, name]);
+    if (compressed.length > 0) yield compressed;
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(ZIP_EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(central.length, 8);
+  eocd.writeUInt16LE(central.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  yield Buffer.concat([directory, eocd]);
+}
+
+function readZip(buffer, limits) {
+  // 从末尾向前查找中央目录结束记录（其后最多有 65535 字节注释）
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("invalid_archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const dirOffset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || dirOffset === 0xffffffff) throw new Error("unsupported_archive_format");
+  if (count > limits.maxEntries) throw new Error("archive_too_large");
+
+  const entries = [];
+  let totalSize = 0;
+  let p = dirOffset;
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buffer.length || buffer.readUInt32LE(p) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error("invalid_archive");
+    }
+    const flags = buffer.readUInt16LE(p + 8);
+    const method = buffer.readUInt16LE(p + 10);
+    const crc = buffer.readUInt32LE(p + 16);
+    const compressedSize = buffer.readUInt32LE(p + 20);
+    const size = buffer.readUInt32LE(p + 24);
+    const nameLength = buffer.readUInt16LE(p + 28);
+    const extraLength = buffer.readUInt16LE(p + 30);
+    const commentLength = buffer.readUInt16LE(p + 32);
+    const mode = buffer.readUInt32LE(p + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(p + 42);
+    const name = buffer.toString("utf8", p + 46, p + 46 + nameLength).replace(/\\/g, "/");
+    p += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      entries.push({ name, type: "directory", data: null });
+      continue;
+    }
+    if ((mode & 0o170000) === 0o120000) {
+      entries.push({ name, type: "symlink", data: null });
+      continue;
+    }
+    if (flags & 0x1) throw new Error("unsupported_archive_format");
+
+    totalSize += size;
+    if (totalSize > limits.maxTotalSize) throw new Error("archive_too_large");
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error("invalid_archive");
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (raw.length !== compressedSize) throw new Error("invalid_archive");
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(raw);
+    } else if (method === 8) {
+      try {
+        data = inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (e) {
+        throw new Error("invalid_archive");
+      }
+    } else {
+      throw new Error("unsupported_archive_format");
+    }
+    if (data.length !== size || crc32(data) !== crc) throw new Error("invalid_archive");
+    entries.push({ name, type: "file", data });
+  }
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// tar
+// ---------------------------------------------------------------------------
+
+function writeOctal(block, offset, length, value) {
+  block.write(value.toString(8).padStart(length - 1, "0") + "\0", offset, length, "latin1");
+}
+
+function tarHeader(name, { size = 0, type = "0", mode = 0o644, mtime = new Date() } = {}) {
+  const block = Buffer.alloc(TAR_BLOCK);
+  block.write(name, 0, 100, "utf8");
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, Math.floor(mtime.getTime() / 1000));
+  block.fill(0x20, 148, 156);
+  block.write(type, 156, 1, "latin1");
+  block.write("ustar\0", 257, 6, "latin1");
+  block.write("00", 263, 2, "latin1");
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) sum += block[i];
+  block.write(sum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "latin1");
+  return block;
+}
+
+function tarPadding(size) {
+  const rest = size % TAR_BLOCK;
+  return rest === 0 ? null : Buffer.alloc(TAR_BLOCK - rest);
+}
+
+/**
+ * 生成 PAX 记录："<长度> <键>=<值>\n"，长度包含其自身的位数
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body, "utf8");
+  let length = bodyLength + 1;
+  while (length !== bodyLength + String(length).length) length = bodyLength + String(length).length;
+  return Buffer.from(`${length}${body}`, "utf8");
+}
+
+async function* tarChunks(entries) {
+  for await (const entry of entries) {
+    const isDir = entry.type === "directory";
+    const name = isDir ? `${entry.name.replace(/\/+$/, "")}/` : entry.name;
+    const data = isDir ? Buffer.alloc(0) : entry.data;
+    const mtime = entry.mtime instanceof Date && !Number.isNaN(entry.mtime.getTime()) ? entry.mtime : new Date();
+
+    // ustar 的 name 字段只有 100 字节，长名称或非 ASCII 名称通过 PAX 扩展头携带完整路径
+    let headerName = name;
+    if (Buffer.byteLength(name, "utf8") > 100 || /[^\x20-\x7e]/.test(name)) {
+      const pax = paxRecord("path", name);
+      yield tarHeader("PaxHeader", { size: pax.length, type: "x", mtime });
+      yield pax;
+      const padding = tarPadding(pax.length);
+      if (padding) yield padding;
+      headerName = name.replace(/[^\x20-\x7e]/g, "_").slice(-99);
+    }
+
+    yield tarHeader(headerName, { size: data.length, type: isDir ? "5" : "0", mode: isDir ? 0o755 : 0o644, mtime });
+    if (data.length > 0) {
+      yield data;
+      const padding = tarPadding(data.length);
+      if (padding) yield padding;
+    }
+  }
+  yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+function readTarString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString("utf8", offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readTarNumber(block, offset, length) {
+  const text = block.toString("latin1", offset, offset + length).replace(/[\0 ]+$/g, "").trim();
+  if (!text) return 0;
+  if (!/^[0-7]+$/.test(text)) throw new Error("invalid_archive");
+  return parseInt(text, 8);
+}
+
+function parsePax(data) {
+  const result = {};
+  let p = 0;
+  while (p < data.length) {
+    const space = data.indexOf(0x20, p);
+    if (space === -1) break;
+    const length = parseInt(data.toString("latin1", p, space), 10);
+    if (!length) break;
+    const record = data.toString("utf8", space + 1, p + length - 1);
+    const eq = record.indexOf("=");
+    if (eq > 0) result[record.slice(0, eq)] = record.slice(eq + 1);
+    p += length;
+  }
+  return result;
+}
+
+function readTar(buffer, limits) {
+  const entries = [];
+  let totalSize = 0;
+  let longName = null;
+  let p = 0;
+
+  while (p + TAR_BLOCK <= buffer.length) {
+    const block = buffer.subarray(p, p + TAR_BLOCK);
+    if (block.every((b) => b === 0)) break;
+
+    const expectedSum = readTarNumber(block, 148, 8);
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    if (sum !== expectedSum) throw new Error("invalid_archive");
+
+    const size = readTarNumber(block, 124, 12);
+    const type = String.fromCharCode(block[156] || 0x30);
+    const dataStart = p + TAR_BLOCK;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    if (data.length !== size) throw new Error("invalid_archive");
+    p = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === "x") {
+      longName = parsePax(data).path ?? longName;
+      continue;
+    }
+    if (type === "L") {
+      longName = data.toString("utf8").replace(/\0+$/, "");
+      continue;
+    }
+    if (type === "g") continue;
+
+    let name = longName;
+    longName = null;
+    if (!name) {
+      const prefix = block.toString("latin1", 257, 262) === "ustar" ? readTarString(block, 345, 155) : "";
+      const base = readTarString(block, 0, 100);
+      name = prefix ? `${prefix}/${base}` : base;
+    }
+    name = name.replace(/\\/g, "/");
+
+    if (entries.length >= limits.maxEntries) throw new Error("archive_too_large");
+    if (type === "0" || type === "7") {
+      totalSize += size;
+      if (totalSize > limits.maxTotalSize) throw new Error("archive_too_large");
+      entries.push({ name, type: "file", data: Buffer.from(data) });
+    } else if (type === "5") {
+      entries.push({ name, type: "directory", data: null });
+    } else if (type === "1" || type === "2") {
+      entries.push({ name, type: "symlink", data: null });
+    } else {
+      entries.push({ name, type: "other", data: null });
+    }
+  }
+  return entries;
+}
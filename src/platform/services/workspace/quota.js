@@ -0,0 +1,105 @@
+/**
+ * 工作区磁盘配额与保留策略配置
+ *
+ * 对应 app.json 中的 workspaceQuota 与 workspaceRetention：
+ *
+ * "workspaceQuota": { "maxWorkspaceBytes": "2GB", "maxTotalBytes": "20GB", "maxFileBytes": "500MB" }
+ * "workspaceRetention": { "enabled": true, "intervalMinutes": 60, "maxVersionsPerFile": 50,
+ *                         "maxVersionAgeDays": 90, "terminatedWorkspaceDays": 30 }
+ *
+ * 字节数可以写成数字或带单位的字符串（KB/MB/GB/TB，按 1024 进位）；省略或为 0 表示不限制。
+ */
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 解析字节数
+ * @param {number|string|null|undefined} value - 如 1048576、"500MB"、"1.5 GB"
+ * @returns {number|null} 无效、缺省或非正数时返回 null（表示不限制）
+ */
+export function parseByteSize(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/);
+  if (!match) return null;
+  const bytes = Math.floor(Number(match[1]) * BYTE_UNITS[match[2] ?? "b"]);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * 以人类可读的形式输出字节数
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = Math.max(0, Number(bytes) || 0);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)}${units[unit]}`;
+}
+
+/**
+ * 规范化配额配置
+ * @param {object|null|undefined} config - app.json 中的 workspaceQuota
+ * @returns {{maxWorkspaceBytes: number|null, maxTotalBytes: number|null, maxFileBytes: number|null}}
+ */
+export function normalizeQuotaConfig(config) {
+  return {
+    maxWorkspaceBytes: parseByteSize(config?.maxWorkspaceBytes),
+    maxTotalBytes: parseByteSize(config?.maxTotalBytes),
+    maxFileBytes: parseByteSize(config?.maxFileBytes)
+  };
+}
+
+/**
+ * 规范化保留策略配置
+ * @param {object|null|undefined} config - app.json 中的 workspaceRetention
+ * @returns {{enabled: boolean, intervalMs: number, maxVersionsPerFile: number|null, maxVersionAgeMs: number|null, terminatedWorkspaceMs: number|null}}
+ */
+export function normalizeRetentionConfig(config) {
+  const positive = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+  const minutes = positive(config?.intervalMinutes) ?? 60;
+  const maxVersionAgeDays = positive(config?.maxVersionAgeDays);
+  const terminatedWorkspaceDays = positive(config?.terminatedWorkspaceDays);
+  return {
+    enabled: config?.enabled === true,
+    intervalMs: Math.max(1, minutes) * 60 * 1000,
+    maxVersionsPerFile: positive(config?.maxVersionsPerFile) ? Math.max(1, Math.floor(config.maxVersionsPerFile)) : null,
+    maxVersionAgeMs: maxVersionAgeDays ? maxVersionAgeDays * DAY_MS : null,
+    terminatedWorkspaceMs: terminatedWorkspaceDays ? terminatedWorkspaceDays * DAY_MS : null
+  };
+}
+
+/**
+ * 生成配额超限的说明文字（面向智能体）
+ * @param {{scope: 'file'|'workspace'|'global', path?: string, limit: number, used?: number, requested: number}} details
+ * @returns {string}
+ */
+export function quotaExceededMessage(details = {}) {
+  const target = details.path ? `写入 ${details.path}` : "本次操作";
+  if (details.scope === "file") {
+    return `${target} 的文件大小 ${formatBytes(details.requested)} 超过单文件上限 ${formatBytes(details.limit)}`;
+  }
+  const scopeName = details.scope === "global" ? "全部工作空间的总配额" : "工作空间配额";
+  return `${target} 需要 ${formatBytes(details.requested)}，超出${scopeName}（已用 ${formatBytes(details.used)} / 上限 ${formatBytes(details.limit)}）。请删除不需要的文件后重试。`;
+}
+
+/**
+ * 将工作区写入错误转换为便于展示的文字，配额错误附带用量说明
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeWorkspaceError(err) {
+  const message = err && typeof err.message === "string" ? err.message : String(err ?? "unknown error");
+  if (message === "quota_exceeded") {
+    return `quota_exceeded: ${quotaExceededMessage(err.details)}`;
+  }
+  return message;
+}
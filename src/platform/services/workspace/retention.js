@@ -0,0 +1,108 @@
+import { createNoopModuleLogger } from "../../utils/logger/logger.js";
+import { normalizeRetentionConfig } from "./quota.js";
+
+/**
+ * 工作区保留策略任务
+ *
+ * 定期按 app.json 中的 workspaceRetention 执行两类清理：
+ * - 清理各工作区中超出数量或超过保留期的历史版本（见 Workspace.pruneVersions）
+ * - 删除所属任务智能体已终止超过 terminatedWorkspaceDays 天的工作区
+ *
+ * 工作区 ID 与创建它的任务智能体 ID 相同，终止时间由 getTerminatedAt 回调提供。
+ */
+export class WorkspaceRetentionJob {
+  /**
+   * @param {object} options
+   * @param {import("./workspace_manager.js").WorkspaceManager} options.workspaceManager
+   * @param {object} [options.policy] - app.json 中的 workspaceRetention
+   * @param {(workspaceId: string) => string|null} [options.getTerminatedAt] - 返回任务智能体的终止时间，未终止返回 null
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.workspaceManager = options.workspaceManager;
+    this.policy = normalizeRetentionConfig(options.policy);
+    this.getTerminatedAt = options.getTerminatedAt ?? (() => null);
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    this._timer = null;
+    this._running = null;
+  }
+
+  /**
+   * 启动定时清理，未启用保留策略时不做任何事
+   * @returns {boolean} 是否已启动
+   */
+  start() {
+    if (!this.policy.enabled || this._timer) return Boolean(this._timer);
+    this._timer = setInterval(() => {
+      this.runOnce().catch((err) => {
+        void this.log.error("工作区保留策略执行失败", { error: err?.message ?? String(err) });
+      });
+    }, this.policy.intervalMs);
+    this._timer.unref?.();
+    void this.log.info("工作区保留策略已启动", { intervalMs: this.policy.intervalMs });
+    return true;
+  }
+
+  /**
+   * 停止定时清理
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * 立即执行一轮清理，上一轮尚未结束时复用其结果
+   * @param {number} [now]
+   * @returns {Promise<{workspaces: number, prunedVersions: number, removedSnapshots: number, freedBytes: number, deletedWorkspaces: string[], errors: Array<{workspaceId: string, error: string}>}>}
+   */
+  async runOnce(now = Date.now()) {
+    if (!this._running) {
+      this._running = this._run(now).finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  /**
+   * @private
+   */
+  async _run(now) {
+    const { maxVersionsPerFile, maxVersionAgeMs, terminatedWorkspaceMs } = this.policy;
+    const summary = { workspaces: 0, prunedVersions: 0, removedSnapshots: 0, freedBytes: 0, deletedWorkspaces: [], errors: [] };
+
+    for (const { id } of await this.workspaceManager.listWorkspaces()) {
+      try {
+        const terminatedAt = Date.parse(this.getTerminatedAt(id) ?? "");
+        if (terminatedWorkspaceMs && Number.isFinite(terminatedAt) && now - terminatedAt > terminatedWorkspaceMs) {
+          await this.workspaceManager.deleteWorkspace(id);
+          summary.deletedWorkspaces.push(id);
+          continue;
+        }
+        if (maxVersionsPerFile || maxVersionAgeMs) {
+          const ws = await this.workspaceManager.getWorkspace(id);
+          const result = await ws.pruneVersions({ maxVersionsPerFile, maxVersionAgeMs, now });
+          summary.prunedVersions += result.prunedVersions;
+          summary.removedSnapshots += result.removedSnapshots;
+          summary.freedBytes += result.freedBytes;
+        }
+        summary.workspaces++;
+      } catch (err) {
+        summary.errors.push({ workspaceId: id, error: err?.message ?? String(err) });
+      }
+    }
+
+    void this.log.info("工作区保留策略执行完成", {
+      workspaces: summary.workspaces,
+      prunedVersions: summary.prunedVersions,
+      freedBytes: summary.freedBytes,
+      deletedWorkspaces: summary.deletedWorkspaces.length,
+      errors: summary.errors.length
+    });
+    return summary;
+  }
+}
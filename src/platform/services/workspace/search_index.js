@@ -0,0 +1,445 @@
+import { readFile, writeFile, readdir, stat, rename, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { createNoopModuleLogger } from "../../utils/logger/logger.js";
+
+/**
+ * 工作区全文检索索引
+ *
+ * 维护"词元 -> 文件"的倒排索引，用于在搜索前快速筛选候选文件，避免每次搜索都读取整个工作区。
+ * 索引只负责筛选，最终的匹配、行号与上下文仍通过读取候选文件得到，因此结果与逐文件扫描一致。
+ *
+ * - 词元：连续的字母/数字/下划线（转小写）；中日韩文字按单字和相邻二字切分
+ * - 查询词按"包含关系"查找词元（例如 manager 能命中 workspacemanager），保证候选集不漏
+ * - 二进制文件不入索引；超过 MAX_INDEXED_SIZE 的文本文件不建词元，搜索时总是直接扫描
+ * - 索引持久化在 .meta/.search-index.json，加载后按文件大小与修改时间增量刷新
+ */
+
+/** 建立词元的文件大小上限（字节） */
+const MAX_INDEXED_SIZE = 2 * 1024 * 1024;
+
+/** 索引文件格式版本，格式不兼容时整体重建 */
+const INDEX_VERSION = 1;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const CJK_RUN_PATTERN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)/u;
+const CJK_CHAR_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * 将文本切分为去重后的词元
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = new Set();
+  for (const word of String(text ?? "").toLowerCase().match(WORD_PATTERN) ?? []) {
+    for (const part of word.split(CJK_RUN_PATTERN)) {
+      if (!part) continue;
+      if (!CJK_CHAR_PATTERN.test(part)) {
+        tokens.add(part);
+        continue;
+      }
+      const chars = Array.from(part);
+      for (let i = 0; i < chars.length; i++) {
+        tokens.add(chars[i]);
+        if (i + 1 < chars.length) tokens.add(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  return Array.from(tokens);
+}
+
+/**
+ * 将文件名通配符转换为正则表达式
+ *
+ * 支持 `*`（不跨目录）、`**`（跨目录）、`?` 和 `{a,b}`；不含 `/` 的模式只匹配文件名部分。
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const pattern = String(glob).replace(/\\/g, "/");
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*") {
+      if (pattern[i + 1] === "*") {
+        const slash = pattern[i + 2] === "/";
+        re += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        re += "\\{";
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(",").map(s => s.replace(/[.+^${}()|[\]\\*?]/g, "\\$&"));
+      re += `(?:${options.join("|")})`;
+      i = end;
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return pattern.includes("/") ? new RegExp(`^${re}$`) : new RegExp(`(?:^|/)${re}$`);
+}
+
+/**
+ * 判断缓冲区是否为二进制内容（前 8000 字节包含空字节）
+ */
+function isBinary(buffer) {
+  const len = Math.min(buffer.length, 8000);
+  for (let i = 0; i < len; i++) {
+    if (buffer[i] === 0) return true;
+  }
+  return false;
+}
+
+export class WorkspaceSearchIndex {
+  /**
+   * @param {object} options { rootPath, indexFile, logger }
+   */
+  constructor(options) {
+    this.rootPath = options.rootPath;
+    this.indexFile = options.indexFile;
+    this.log = options.logger ?? createNoopModuleLogger();
+
+    /** @type {Map<string, {size: number, mtimeMs: number, binary?: boolean, large?: boolean, tokens?: string[]}>} */
+    this._docs = new Map();
+    /** @type {Map<string, Set<string>>} 词元 -> 文件路径集合 */
+    this._postings = new Map();
+    this._dirty = false;
+    this._refreshing = null;
+    this.updatedAt = null;
+  }
+
+  /**
+   * 从磁盘加载索引（不存在或格式不兼容时从空索引开始）
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.indexFile, "utf8"));
+      if (data?.version === INDEX_VERSION && data.docs && typeof data.docs === "object") {
+        for (const [relPath, doc] of Object.entries(data.docs)) {
+          this._setDoc(relPath, doc);
+        }
+        this.updatedAt = data.updatedAt ?? null;
+      }
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        void this.log.warn("检索索引读取失败，将重建", { indexFile: this.indexFile, error: e.message });
+      }
+    }
+  }
+
+  /**
+   * 按文件大小与修改时间增量刷新索引，并在有变化时写回磁盘
+   *
+   * 并发调用会复用同一次刷新。
+   *
+   * @returns {Promise<{added: number, updated: number, removed: number}>}
+   */
+  async refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  async _refresh() {
+    const seen = new Set();
+    const counts = { added: 0, updated: 0, removed: 0 };
+
+    const walk = async (dir, base) => {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        if (e.code === "ENOENT") return;
+        throw e;
+      }
+      for (const entry of entries) {
+        if (entry.name === ".meta") continue;
+        const relPath = base ? `${base}/${entry.name}` : entry.name;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath, relPath);
+          continue;
+        }
+        if (!entry.isFile()) continue;
+        seen.add(relPath);
+        const stats = await stat(fullPath);
+        const doc = this._docs.get(relPath);
+        if (doc && doc.size === stats.size && doc.mtimeMs === stats.mtimeMs) continue;
+        await this.reindexFile(relPath, stats);
+        counts[doc ? "updated" : "added"]++;
+      }
+    };
+    await walk(this.rootPath, "");
+
+    for (const relPath of Array.from(this._docs.keys())) {
+      if (!seen.has(relPath)) {
+        this.removeDocument(relPath);
+        counts.removed++;
+      }
+    }
+
+    if (counts.added || counts.updated || counts.removed) {
+      void this.log.debug("检索索引已刷新", { rootPath: this.rootPath, ...counts, files: this._docs.size });
+    }
+    await this.save();
+    return counts;
+  }
+
+  /**
+   * 有未保存的变更时写回磁盘
+   */
+  async save() {
+    if (!this._dirty) return;
+    this.updatedAt = new Date().toISOString();
+    const docs = {};
+    for (const [relPath, doc] of this._docs) docs[relPath] = doc;
+    const data = JSON.stringify({ version: INDEX_VERSION, updatedAt: this.updatedAt, docs });
+    await mkdir(path.dirname(this.indexFile), { recursive: true });
+    const tmpPath = `${this.indexFile}.${process.pid}.tmp`;
+    await writeFile(tmpPath, data, "utf8");
+    await rename(tmpPath, this.indexFile);
+    this._dirty = false;
+  }
+
+  /**
+   * 从磁盘读取并索引单个文件
+   * @param {string} relPath
+   * @param {import("node:fs").Stats} [stats]
+   */
+  async reindexFile(relPath, stats) {
+    const fullPath = path.resolve(this.rootPath, relPath);
+    try {
+      const fileStats = stats ?? await stat(fullPath);
+      if (fileStats.size > MAX_INDEXED_SIZE) {
+        this._setDoc(relPath, { size: fileStats.size, mtimeMs: fileStats.mtimeMs, large: true });
+        return;
+      }
+      this.setDocument(relPath, await readFile(fullPath), fileStats);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      this.removeDocument(relPath);
+    }
+  }
+
+  /**
+   * 用给定内容更新文件的索引项
+   * @param {string} relPath
+   * @param {Buffer} buffer
+   * @param {{size: number, mtimeMs: number}} stats
+   */
+  setDocument(relPath, buffer, stats) {
+    if (buffer.length > MAX_INDEXED_SIZE) {
+      this._setDoc(relPath, { size: stats.size, mtimeMs: stats.mtimeMs, large: true });
+    } else if (isBinary(buffer)) {
+      this._setDoc(relPath, { size: stats.size, mtimeMs: stats.mtimeMs, binary: true });
+    } else {
+      this._setDoc(relPath, { size: stats.size, mtimeMs: stats.mtimeMs, tokens: tokenize(buffer.toString("utf8")) });
+    }
+  }
+
+  /**
+   * 移除文件的索引项
+   * @param {string} relPath
+   */
+  removeDocument(relPath) {
+    const doc = this._docs.get(relPath);
+    if (!doc) return;
+    for (const token of doc.tokens ?? []) {
+      const set = this._postings.get(token);
+      if (!set) continue;
+      set.delete(relPath);
+      if (set.size === 0) this._postings.delete(token);
+    }
+    this._docs.delete(relPath);
+    this._dirty = true;
+  }
+
+  _setDoc(relPath, doc) {
+    this.removeDocument(relPath);
+    this._docs.set(relPath, doc);
+    for (const token of doc.tokens ?? []) {
+      let set = this._postings.get(token);
+      if (!set) {
+        set = new Set();
+        this._postings.set(token, set);
+      }
+      set.add(relPath);
+    }
+    this._dirty = true;
+  }
+
+  /**
+   * 索引统计信息
+   * @returns {{files: number, tokens: number, updatedAt: string|null}}
+   */
+  stats() {
+    return { files: this._docs.size, tokens: this._postings.size, updatedAt: this.updatedAt };
+  }
+
+  /**
+   * 根据查询文本筛选可能包含它的文本文件
+   *
+   * 查询文本中的每个词元都必须出现在文件中（按包含关系匹配词元），没有词元的查询不做筛选。
+   *
+   * @param {string[]} texts - 每一项都必须作为子串出现在文件中
+   * @returns {string[]} 候选文件路径（含未建词元的大文件）
+   */
+  candidates(texts) {
+    const textDocs = [];
+    for (const [relPath, doc] of this._docs) {
+      if (!doc.binary) textDocs.push(relPath);
+    }
+
+    let result = null;
+    for (const text of texts) {
+      for (const token of tokenize(text)) {
+        const matched = new Set();
+        for (const [indexed, set] of this._postings) {
+          if (!indexed.includes(token)) continue;
+          for (const relPath of set) matched.add(relPath);
+        }
+        result = result === null ? matched : new Set(Array.from(result).filter(p => matched.has(p)));
+      }
+    }
+    if (result === null) return textDocs;
+    return textDocs.filter(relPath => result.has(relPath) || this._docs.get(relPath).large);
+  }
+
+  /**
+   * 检索
+   *
+   * @param {string} query - 查询文本；mode 为 regex 时为正则表达式源码
+   * @param {object} [options]
+   * @param {"text"|"phrase"|"regex"} [options.mode] - text：空白分隔的多个词都需出现（默认）；phrase：整段精确匹配；regex：正则
+   * @param {string} [options.glob] - 文件路径通配符过滤，可单独使用（按文件名搜索）
+   * @param {string} [options.path] - 限定的子目录
+   * @param {boolean} [options.caseSensitive] - 是否区分大小写，默认 false
+   * @param {number} [options.contextLines] - 每个匹配前后附带的上下文行数，默认 2，最大 10
+   * @param {number} [options.maxResults] - 最多返回的文件数，默认 50
+   * @param {number} [options.maxMatchesPerFile] - 每个文件最多返回的匹配行数，默认 20
+   * @returns {Promise<{results: object[], total: number, truncated: boolean}>}
+   */
+  async search(query, options = {}) {
+    const mode = options.mode ?? "text";
+    if (!["text", "phrase", "regex"].includes(mode)) {
+      throw new Error("invalid_search_mode");
+    }
+    const caseSensitive = options.caseSensitive === true;
+    const contextLines = Math.min(10, Math.max(0, Number.isInteger(options.contextLines) ? options.contextLines : 2));
+    const maxResults = Number.isInteger(options.maxResults) && options.maxResults > 0 ? options.maxResults : 50;
+    const maxMatchesPerFile = Number.isInteger(options.maxMatchesPerFile) && options.maxMatchesPerFile > 0 ? options.maxMatchesPerFile : 20;
+    const text = typeof query === "string" ? query : "";
+
+    let terms = [];
+    let regex = null;
+    if (mode === "regex" && text) {
+      try {
+        regex = new RegExp(text, caseSensitive ? "g" : "gi");
+      } catch (e) {
+        throw Object.assign(new Error("invalid_regex"), { details: { message: e.message } });
+      }
+    } else if (mode === "phrase") {
+      terms = text ? [text] : [];
+    } else {
+      terms = text.split(/\s+/).filter(Boolean);
+    }
+    if (!options.glob && terms.length === 0 && !regex) {
+      throw new Error("invalid_search_text");
+    }
+
+    const subDir = path.posix.normalize(String(options.path ?? ".").replace(/\\/g, "/")).replace(/\/+$/, "");
+    const prefix = subDir && subDir !== "." ? `${subDir}/` : "";
+    const globRe = options.glob ? globToRegExp(options.glob) : null;
+    const candidatePaths = (terms.length > 0 ? this.candidates(terms) : Array.from(this._docs.keys()))
+      .filter(relPath => relPath.startsWith(prefix) && (!globRe || globRe.test(relPath)));
+
+    // 仅按文件名检索
+    if (terms.length === 0 && !regex) {
+      const results = candidatePaths.sort().map(relPath => ({ path: relPath, score: 0, matchCount: 0, matches: [] }));
+      return { results: results.slice(0, maxResults), total: results.length, truncated: results.length > maxResults };
+    }
+
+    const needles = caseSensitive ? terms : terms.map(t => t.toLowerCase());
+    const files = [];
+    for (const relPath of candidatePaths) {
+      let content;
+      try {
+        content = await readFile(path.resolve(this.rootPath, relPath), "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") continue;
+        throw e;
+      }
+      if (this._docs.get(relPath)?.large && content.slice(0, 8000).includes("\u0000")) continue;
+      const haystack = caseSensitive ? content : content.toLowerCase();
+      if (!needles.every(n => haystack.includes(n))) continue;
+
+      const lines = content.split(/\r?\n/);
+      const matches = [];
+      const termCounts = needles.map(() => 0);
+      let matchCount = 0;
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let col = -1;
+        if (regex) {
+          regex.lastIndex = 0;
+          let m;
+          while ((m = regex.exec(line)) !== null) {
+            if (col === -1) col = m.index;
+            matchCount++;
+            if (m[0] === "") regex.lastIndex++;
+          }
+        } else {
+          const hay = caseSensitive ? line : line.toLowerCase();
+          needles.forEach((needle, idx) => {
+            let pos = hay.indexOf(needle);
+            while (pos !== -1) {
+              if (col === -1 || pos < col) col = pos;
+              termCounts[idx]++;
+              matchCount++;
+              pos = hay.indexOf(needle, pos + needle.length);
+            }
+          });
+        }
+        if (col === -1 || matches.length >= maxMatchesPerFile) continue;
+        matches.push({
+          line: i + 1,
+          col: col + 1,
+          text: line,
+          before: lines.slice(Math.max(0, i - contextLines), i),
+          after: lines.slice(i + 1, i + 1 + contextLines)
+        });
+      }
+      if (matchCount === 0) continue;
+      files.push({ path: relPath, matchCount, matches, termCounts });
+    }
+
+    // 排序：text 模式按 TF-IDF，其余按匹配次数；文件路径命中查询词额外加分
+    const total = this._docs.size || 1;
+    const idf = needles.map((_, idx) => Math.log(1 + total / Math.max(1, files.filter(f => f.termCounts[idx] > 0).length)));
+    for (const file of files) {
+      const name = caseSensitive ? file.path : file.path.toLowerCase();
+      let score = regex || mode === "phrase"
+        ? 1 + Math.log(file.matchCount)
+        : file.termCounts.reduce((sum, count, idx) => sum + (count > 0 ? (1 + Math.log(count)) * idf[idx] : 0), 0);
+      needles.forEach((needle, idx) => {
+        if (name.includes(needle)) score += idf[idx] ?? 1;
+      });
+      file.score = Math.round(score * 1000) / 1000;
+      delete file.termCounts;
+    }
+    files.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+    const results = files.slice(0, maxResults).map(({ path: p, score, matchCount, matches }) => ({ path: p, score, matchCount, matches }));
+    return { results, total: files.length, truncated: files.length > maxResults };
+  }
+}
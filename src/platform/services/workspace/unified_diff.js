@@ -0,0 +1,343 @@
+/**
+ * 统一差异（unified diff）生成
+ *
+ * 基于 Myers 差分算法按行比较两段文本，输出与 `diff -u` 兼容的文本格式，
+ * 用于工作空间文件版本之间的对比。
+ */
+
+/**
+ * 按行切分文本，每行保留自身的换行符，便于区分"末尾无换行"的情况
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.split(/(?<=\n)/);
+}
+
+/**
+ * Myers 差分：返回从 a 变换到 b 的编辑序列
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{op: " "|"-"|"+", line: string}>}
+ */
+function computeEdits(a, b) {
+  // 先剥离公共前缀和后缀，缩小需要搜索的范围
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const middle = myers(midA, midB);
+
+  return [
+    ...a.slice(0, prefix).map((line) => ({ op: " ", line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map((line) => ({ op: " ", line }))
+  ];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map((line) => ({ op: "+", line }));
+  if (m === 0) return a.map((line) => ({ op: "-", line }));
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // 回溯生成编辑序列
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push({ op: " ", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      edits.push({ op: "+", line: b[prevY] });
+    } else {
+      edits.push({ op: "-", line: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    edits.push({ op: " ", line: a[x - 1] });
+    x--;
+    y--;
+  }
+  return edits.reverse();
+}
+
+/**
+ * 输出单行，末尾无换行时追加标准提示行
+ */
+function formatLine(op, line) {
+  if (line.endsWith("\n")) {
+    return `${op}${line.slice(0, -1)}`;
+  }
+  return `${op}${line}\n\\ No newline at end of file`;
+}
+
+/**
+ * 生成统一差异文本
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @param {{fromLabel?: string, toLabel?: string, context?: number}} [options]
+ * @returns {{diff: string, additions: number, deletions: number, hunks: number}}
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const context = Number.isInteger(options.context) && options.context >= 0 ? options.context : 3;
+  const edits = computeEdits(splitLines(oldText ?? ""), splitLines(newText ?? ""));
+
+  // 为每个编辑项标注其在旧/新文本中的行位置
+  let oldLine = 0;
+  let newLine = 0;
+  const annotated = edits.map((e) => {
+    const item = { ...e, oldLine, newLine };
+    if (e.op !== "+") oldLine++;
+    if (e.op !== "-") newLine++;
+    return item;
+  });
+
+  const changeIdx = [];
+  annotated.forEach((e, i) => {
+    if (e.op !== " ") changeIdx.push(i);
+  });
+
+  let additions = 0;
+  let deletions = 0;
+  for (const e of annotated) {
+    if (e.op === "+") additions++;
+    else if (e.op === "-") deletions++;
+  }
+
+  if (changeIdx.length === 0) {
+    return { diff: "", additions: 0, deletions: 0, hunks: 0 };
+  }
+
+  // 合并相邻变更为 hunk（间隔不超过 2 * context 行视为同一块）
+  const ranges = [];
+  let start = Math.max(0, changeIdx[0] - context);
+  let end = Math.min(annotated.length - 1, changeIdx[0] + context);
+  for (let i = 1; i < changeIdx.length; i++) {
+    const idx = changeIdx[i];
+    if (idx - context <= end + 1) {
+      end = Math.min(annotated.length - 1, idx + context);
+    } else {
+      ranges.push([start, end]);
+      start = Math.max(0, idx - context);
+      end = Math.min(annotated.length - 1, idx + context);
+    }
+  }
+  ranges.push([start, end]);
+
+  const out = [
+    `--- ${options.fromLabel ?? "a"}`,
+    `+++ ${options.toLabel ?? "b"}`
+  ];
+  for (const [s, e] of ranges) {
+    const slice = annotated.slice(s, e + 1);
+    const oldCount = slice.filter((x) => x.op !== "+").length;
+    const newCount = slice.filter((x) => x.op !== "-").length;
+    // 行数为 0 时，起始行号按惯例指向插入/删除位置之前的一行
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const item of slice) {
+      out.push(formatLine(item.op, item.line));
+    }
+  }
+
+  return { diff: `${out.join("\n")}\n`, additions, deletions, hunks: ranges.length };
+}
+
+/**
+ * 去掉行尾换行符，用于内容比较
+ */
+function stripEol(line) {
+  return line.replace(/\r?\n$/, "");
+}
+
+/**
+ * 解析统一差异文本中的 hunk
+ * 
+ * 为兼容大模型生成的补丁，不依赖 hunk 头中的行数，而是读到下一个 hunk 头或文件头为止；
+ * 空行视为内容为空的上下文行。
+ * 
+ * @param {string} patchText
+ * @returns {Array<{header: string, oldStart: number, lines: Array<{op: " "|"-"|"+", text: string, noEol: boolean}>}>}
+ */
+export function parseUnifiedPatch(patchText) {
+  const rawLines = String(patchText ?? "").replace(/\r\n/g, "\n").split("\n");
+  if (rawLines[rawLines.length - 1] === "") rawLines.pop();
+
+  const hunks = [];
+  let current = null;
+  for (let i = 0; i < rawLines.length; i++) {
+    const line = rawLines[i];
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = { header: line, oldStart: Number(header[1]), lines: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (line.startsWith("--- ") && rawLines[i + 1]?.startsWith("+++ ")) {
+      current = null;
+      i++;
+      continue;
+    }
+    if (!current) continue;
+
+    if (line.startsWith("\\")) {
+      const prev = current.lines[current.lines.length - 1];
+      if (prev) prev.noEol = true;
+    } else if (line === "") {
+      current.lines.push({ op: " ", text: "", noEol: false });
+    } else if (line[0] === " " || line[0] === "-" || line[0] === "+") {
+      current.lines.push({ op: line[0], text: line.slice(1), noEol: false });
+    } else {
+      throw Object.assign(new Error("invalid_patch"), { details: { line: i + 1, content: line } });
+    }
+  }
+  if (hunks.length === 0) {
+    throw Object.assign(new Error("invalid_patch"), { details: { reason: "no_hunks" } });
+  }
+  return hunks;
+}
+
+/**
+ * 将统一差异应用到文本
+ * 
+ * 每个 hunk 优先在头部声明的位置匹配，匹配失败时在整个文件中寻找离声明位置最近的匹配处。
+ * 任一 hunk 无法匹配时整体失败（抛出 patch_conflict，details.conflicts 说明每个冲突）。
+ * 新增行沿用原文件的换行风格（CRLF 或 LF）。
+ * 
+ * @param {string} text - 原文本
+ * @param {string} patchText - 统一差异文本
+ * @returns {{content: string, hunksApplied: number, relocatedHunks: number}}
+ */
+export function applyUnifiedPatch(text, patchText) {
+  const hunks = parseUnifiedPatch(patchText);
+  const lines = splitLines(text ?? "");
+  // 原文件没有换行（空文件或单行）时参考补丁自身的换行风格
+  const eolSource = (text ?? "").includes("\n") ? text : String(patchText ?? "");
+  const eol = eolSource.includes("\r\n") ? "\r\n" : "\n";
+
+  const conflicts = [];
+  const placements = [];
+  let minPos = 0;
+  let delta = 0;
+  let relocatedHunks = 0;
+
+  hunks.forEach((hunk, idx) => {
+    const oldSide = hunk.lines.filter((l) => l.op !== "+").map((l) => l.text);
+    const expected = Math.max(0, (oldSide.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta);
+
+    const matchesAt = (pos) => {
+      if (pos < minPos || pos + oldSide.length > lines.length) return false;
+      for (let j = 0; j < oldSide.length; j++) {
+        if (stripEol(lines[pos + j]) !== oldSide[j]) return false;
+      }
+      return true;
+    };
+
+    let pos = -1;
+    if (matchesAt(expected)) {
+      pos = expected;
+    } else if (oldSide.length > 0) {
+      for (let dist = 1; dist <= lines.length; dist++) {
+        if (matchesAt(expected - dist)) { pos = expected - dist; break; }
+        if (matchesAt(expected + dist)) { pos = expected + dist; break; }
+      }
+    }
+
+    if (pos === -1) {
+      const conflict = { hunk: idx + 1, header: hunk.header, expectedLine: expected + 1 };
+      for (let j = 0; j < oldSide.length; j++) {
+        const actual = lines[expected + j];
+        if (actual === undefined || stripEol(actual) !== oldSide[j]) {
+          conflict.line = expected + j + 1;
+          conflict.expected = oldSide[j];
+          conflict.actual = actual === undefined ? null : stripEol(actual);
+          break;
+        }
+      }
+      conflicts.push(conflict);
+      return;
+    }
+
+    if (pos !== expected) relocatedHunks++;
+    placements.push({ hunk, pos, oldLength: oldSide.length });
+    minPos = pos + oldSide.length;
+    delta += pos - expected;
+  });
+
+  if (conflicts.length > 0) {
+    throw Object.assign(new Error("patch_conflict"), { details: { conflicts } });
+  }
+
+  // 从后向前替换，避免前面的修改影响后面 hunk 的位置
+  for (let p = placements.length - 1; p >= 0; p--) {
+    const { hunk, pos, oldLength } = placements[p];
+    const replacement = [];
+    let cursor = pos;
+    for (const l of hunk.lines) {
+      if (l.op === " ") {
+        replacement.push(lines[cursor]);
+        cursor++;
+      } else if (l.op === "-") {
+        cursor++;
+      } else {
+        replacement.push(l.noEol ? l.text : l.text + eol);
+      }
+    }
+    lines.splice(pos, oldLength, ...replacement);
+  }
+
+  // 修正末尾：若原最后一行无换行而其后被追加了新行，需要为其补上换行
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (!lines[i].endsWith("\n")) lines[i] += eol;
+  }
+
+  return { content: lines.join(""), hunksApplied: placements.length, relocatedHunks };
+}
@@ -1,8 +1,42 @@
-import { mkdir, readFile, writeFile, readdir, stat, unlink, rm } from "node:fs/promises";
+import { mkdir, readFile, writeFile, readdir, stat, unlink, rm, rename, cp } from "node:fs/promises";
 import { existsSync } from "node:fs";
+import { createHash } from "node:crypto";
 import path from "node:path";
 import { createNoopModuleLogger } from "../../utils/logger/logger.js";
 import { extractExtension, MIME_TYPE_MAPPINGS, sanitizeMimeType } from "../../utils/content/content_type_utils.js";
+import { createUnifiedDiff, applyUnifiedPatch } from "./unified_diff.js";
+import { WorkspaceSearchIndex } from "./search_index.js";
+import { createArchiveStream, readArchive, detectArchiveFormat, normalizeArchiveFormat } from "./archive.js";
+
+/**
+ * 建议锁有效期（毫秒）：默认 5 分钟，允许 1 秒到 1 小时
+ */
+const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+const MIN_LOCK_TTL_MS = 1000;
+const MAX_LOCK_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * 磁盘占用缓存有效期：超过后重新扫描磁盘，以纳入外部进程（如 ffmpeg）产生的文件
+ */
+const USAGE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * 工作区根目录下保留给内部存储的名称
+ * 文件级元数据保存在 .meta/<相对路径>，与 .meta 下的全局索引、版本快照、建议锁、检索索引同名的文件会覆盖这些存储，
+ * 因此这些名称不能作为文件或目录的首段路径。
+ */
+const RESERVED_ROOT_NAMES = new Set([".meta", ".snapshots", ".locks"]);
+const RESERVED_ROOT_PREFIX = ".search-index.json";
+
+/**
+ * 路径的首段是否为保留名称
+ * @param {string} relativePath - 已规范化的相对路径
+ * @returns {boolean}
+ */
+function isReservedPath(relativePath) {
+  const first = relativePath.replace(/\\/g, "/").split("/")[0];
+  return RESERVED_ROOT_NAMES.has(first) || first.startsWith(RESERVED_ROOT_PREFIX);
+}
 
 /**
  * 工作区对象
@@ -18,6 +52,18 @@ export class Workspace {
     this.id = id;
     this.workspacesDir = workspacesDir;
     this.log = options.logger ?? createNoopModuleLogger();
+
+    /** 写操作串行队列，保证同一工作区内"检查修订号 + 写入 + 更新元数据"的原子性 */
+    this._mutationQueue = Promise.resolve();
+
+    /** @type {WorkspaceSearchIndex|null} 全文检索索引，首次检索时加载，之后随写入增量维护 */
+    this._searchIndex = null;
+    this._searchIndexLoading = null;
+
+    /** 磁盘配额 { maxWorkspaceBytes, maxFileBytes, maxTotalBytes, getTotalBytes }，由 WorkspaceManager 注入，null 表示不限制 */
+    this.quota = options.quota ?? null;
+    /** 磁盘占用缓存 { bytes, historyBytes, measuredAt }，写入时增量更新 */
+    this._usage = null;
   }
 
   /**
@@ -42,7 +88,28 @@ export class Workspace {
   }
 
   /**
-   * 验证路径安全
+   * 版本快照目录（按内容 sha256 寻址，相同内容只保存一份）
+   */
+  get snapshotsDir() {
+    return path.join(this.metaDir, ".snapshots");
+  }
+
+  /**
+   * 建议锁文件路径
+   */
+  get locksFile() {
+    return path.join(this.metaDir, ".locks");
+  }
+
+  /**
+   * 全文检索索引文件路径
+   */
+  get searchIndexFile() {
+    return path.join(this.metaDir, ".search-index.json");
+  }
+
+  /**
+   * 验证路径安全：拒绝绝对路径、越出工作区的路径以及以保留名称开头的路径
    * @param {string} relativePath
    * @returns {boolean}
    */
@@ -51,6 +118,7 @@ export class Workspace {
     if (path.isAbsolute(relativePath)) return false;
     const normalized = path.normalize(relativePath);
     if (normalized.startsWith("..") || normalized.includes(`${path.sep}..`)) return false;
+    if (isReservedPath(normalized)) return false;
     return true;
   }
 
@@ -96,11 +164,28 @@ export class Workspace {
 
   /**
    * 写入文件并更新元数据
+   * 
+   * 每次写入都会保存内容快照并在文件历史中追加一个版本记录。
+   * 
+   * 乐观并发控制：传入 expectedRevision（来自 readFile/getFileInfo 的 revision）时，
+   * 若文件当前修订号与之不同则拒绝写入并抛出 revision_conflict（details 含当前修订号与最后操作者）。
+   * 文件被其他操作者加了未过期的建议锁时抛出 file_locked，除非传入 force。
+   * 超出磁盘配额时抛出 quota_exceeded（details 含 scope、limit、used、requested）。
+   * 
    * @param {string} relativePath
    * @param {string|Buffer} content
-   * @param {object} options { operator, messageId, mimeType }
+   * @param {object} options { operator, messageId, mimeType, action, restoredFrom, expectedRevision, force }
+   * @returns {Promise<{ok: boolean, path: string, size: number, mimeType: string, revision: string}>}
    */
   async writeFile(relativePath, content, options = {}) {
+    return this._serialize(() => this._writeFileUnlocked(relativePath, content, options));
+  }
+
+  /**
+   * writeFile 的实际实现，调用方需已处于写操作队列中
+   * @private
+   */
+  async _writeFileUnlocked(relativePath, content, options = {}) {
     if (!this._isPathSafe(relativePath)) {
       throw new Error("path_traversal_blocked");
     }
@@ -126,11 +211,28 @@ export class Workspace {
     const sanitizedMimeType = options.mimeType ? sanitizeMimeType(options.mimeType) : '';
     const mimeType = sanitizedMimeType || this._detectMimeType(relativePath, buffer);
 
+    await this._assertNotLocked(relativePath, options);
+
+    // 覆盖前确保当前磁盘内容已有快照（外部产生的修改补记为 external 版本）
+    const existingMeta = await this._readFileMeta(relativePath);
+    const currentRevision = await this._captureExternalVersion(relativePath, fullPath, existingMeta);
+    await this._assertRevision(relativePath, currentRevision, options);
+
+    // 新增占用 = 工作文件的大小变化 + 新快照（相同内容的快照只保存一份）
+    const previousSize = await stat(fullPath).then(s => s.size, () => 0);
+    const snapshotIsNew = !existsSync(path.join(this.snapshotsDir, createHash("sha256").update(buffer).digest("hex")));
+    const growth = buffer.length - previousSize + (snapshotIsNew ? buffer.length : 0);
+    await this._assertQuota(relativePath, buffer.length, growth);
+
     // 写入文件
     await writeFile(fullPath, buffer);
+    const snapshot = await this._saveSnapshot(buffer);
+    this._recordUsage(growth, snapshotIsNew ? buffer.length : 0);
+    if (this._searchIndex) {
+      this._searchIndex.setDocument(relativePath.replace(/\\/g, "/"), buffer, await stat(fullPath));
+    }
 
     // 更新文件级元数据
-    const existingMeta = await this._readFileMeta(relativePath);
     const fileMeta = {
       ...existingMeta,
       ...options.meta, // 保留传入的额外元数据（如图片宽高）
@@ -140,12 +242,18 @@ export class Workspace {
     };
 
     const record = {
+      version: fileMeta.history.length + 1,
       operator: options.operator,
       messageId: options.messageId,
       timestamp: new Date().toISOString(),
-      action: 'write',
-      size: buffer.length
+      action: options.action ?? 'write',
+      size: buffer.length,
+      mimeType,
+      snapshot
     };
+    if (options.restoredFrom) {
+      record.restoredFrom = options.restoredFrom;
+    }
 
     fileMeta.history.push(record);
 
@@ -160,14 +268,143 @@ export class Workspace {
       mimeType,
       updatedAt: record.timestamp,
       lastOperator: record.operator,
-      lastMessageId: record.messageId
+      lastMessageId: record.messageId,
+      revision: snapshot
+    });
+
+    return { ok: true, path: relativePath, size: buffer.length, mimeType, revision: snapshot };
+  }
+
+  /**
+   * 按精确文本查找替换的方式编辑文件
+   * 
+   * 每个编辑块的 oldText 必须在文件中恰好出现一次（replaceAll 时至少一次），
+   * 所有编辑块按顺序应用；任一块无法应用时整体失败，文件保持不变。
+   * 
+   * @param {string} relativePath
+   * @param {Array<{oldText: string, newText: string, replaceAll?: boolean}>} edits
+   * @param {object} options { operator, messageId, expectedRevision, force }
+   * @returns {Promise<{ok: boolean, path: string, size: number, mimeType: string, revision: string, editsApplied: number, replacements: number}>}
+   */
+  async editFile(relativePath, edits, options = {}) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new Error("edits_required");
+    }
+    return this._serialize(() => this._editFileUnlocked(relativePath, edits, options));
+  }
+
+  /**
+   * @private
+   */
+  async _editFileUnlocked(relativePath, edits, options) {
+    const { text, mimeType } = await this._readTextForEdit(relativePath);
+
+    let content = text;
+    let replacements = 0;
+    const conflicts = [];
+    edits.forEach((edit, idx) => {
+      const oldText = edit?.oldText;
+      const newText = edit?.newText ?? "";
+      if (typeof oldText !== "string" || oldText.length === 0 || typeof newText !== "string") {
+        conflicts.push({ edit: idx + 1, reason: "invalid_edit" });
+        return;
+      }
+      const count = content.split(oldText).length - 1;
+      if (count === 0) {
+        conflicts.push({ edit: idx + 1, reason: "old_text_not_found", oldText: oldText.slice(0, 200) });
+        return;
+      }
+      if (count > 1 && !edit.replaceAll) {
+        conflicts.push({ edit: idx + 1, reason: "old_text_not_unique", occurrences: count, oldText: oldText.slice(0, 200) });
+        return;
+      }
+      content = edit.replaceAll ? content.split(oldText).join(newText) : content.replace(oldText, () => newText);
+      replacements += edit.replaceAll ? count : 1;
+    });
+    if (conflicts.length > 0) {
+      throw Object.assign(new Error("edit_conflict"), { details: { conflicts } });
+    }
+
+    const result = await this._writeFileUnlocked(relativePath, content, {
+      mimeType,
+      operator: options.operator,
+      messageId: options.messageId,
+      expectedRevision: options.expectedRevision,
+      force: options.force,
+      action: 'edit'
+    });
+    return { ...result, editsApplied: edits.length, replacements };
+  }
+
+  /**
+   * 将统一差异补丁应用到文件
+   * 
+   * 文件不存在时按空文件处理，可用于通过补丁创建新文件。
+   * 
+   * @param {string} relativePath
+   * @param {string} patchText - 统一差异文本
+   * @param {object} options { operator, messageId, expectedRevision, force }
+   * @returns {Promise<{ok: boolean, path: string, size: number, mimeType: string, revision: string, hunksApplied: number, relocatedHunks: number}>}
+   */
+  async applyPatch(relativePath, patchText, options = {}) {
+    if (typeof patchText !== "string" || !patchText.trim()) {
+      throw new Error("patch_required");
+    }
+    return this._serialize(() => this._applyPatchUnlocked(relativePath, patchText, options));
+  }
+
+  /**
+   * @private
+   */
+  async _applyPatchUnlocked(relativePath, patchText, options) {
+    let current;
+    try {
+      current = await this._readTextForEdit(relativePath);
+    } catch (e) {
+      if (e.message !== "file_not_found") throw e;
+      current = { text: "", mimeType: undefined };
+    }
+
+    const patched = applyUnifiedPatch(current.text, patchText);
+    const result = await this._writeFileUnlocked(relativePath, patched.content, {
+      mimeType: current.mimeType,
+      operator: options.operator,
+      messageId: options.messageId,
+      expectedRevision: options.expectedRevision,
+      force: options.force,
+      action: 'patch'
     });
+    return { ...result, hunksApplied: patched.hunksApplied, relocatedHunks: patched.relocatedHunks };
+  }
 
-    return { ok: true, path: relativePath, size: buffer.length, mimeType };
+  /**
+   * 读取待编辑的文本文件完整内容
+   * @private
+   */
+  async _readTextForEdit(relativePath) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    let buffer;
+    try {
+      buffer = await readFile(path.resolve(this.rootPath, relativePath));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error("file_not_found");
+      throw e;
+    }
+    if (this._isBinaryBuffer(buffer)) {
+      throw new Error("binary_edit_not_supported");
+    }
+    const fileMeta = await this._readFileMeta(relativePath);
+    return { text: buffer.toString('utf8'), mimeType: fileMeta.mimeType };
   }
 
   /**
    * 随机读取文件内容
+   * 
+   * 返回值中的 revision 为整个文件内容的 sha256，可作为后续写入的 expectedRevision。
+   * 全局索引中记录的修订号仍然有效时直接使用，只有文件被外部修改过（或没有记录）时才重新计算哈希。
+   * 
    * @param {string} relativePath
    * @param {object} options { offset, length }
    */
@@ -199,7 +436,8 @@ export class Workspace {
       const { bytesRead } = await handle.read(buffer, 0, length, offset);
       const resultBuffer = buffer.subarray(0, bytesRead);
       
-      const mimeType = await this.getFileInfo(relativePath).then(m => m?.mimeType).catch(() => 'application/octet-stream') || 'application/octet-stream';
+      const info = await this.getFileInfo(relativePath).catch(() => null);
+      const mimeType = info?.mimeType || 'application/octet-stream';
       
       let content;
       if (mimeType.startsWith('text/') || mimeType === 'application/json' || mimeType === 'application/javascript') {
@@ -208,12 +446,16 @@ export class Workspace {
         content = resultBuffer.toString('base64');
       }
 
+      const revision = this._storedRevision(info, stats)
+        ?? createHash('sha256').update(await readFile(fullPath)).digest('hex');
+
       return {
         content,
         start: offset,
         total,
         readLength: bytesRead,
-        mimeType
+        mimeType,
+        revision
       };
     } finally {
       await handle.close();
@@ -222,8 +464,20 @@ export class Workspace {
 
   /**
    * 删除文件
+   * 
+   * 与 writeFile 一样遵守 expectedRevision 与建议锁检查。
+   * 
+   * @param {string} relativePath
+   * @param {object} options { operator, messageId, expectedRevision, force }
    */
   async deleteFile(relativePath, options = {}) {
+    return this._serialize(() => this._deleteFileUnlocked(relativePath, options));
+  }
+
+  /**
+   * @private
+   */
+  async _deleteFileUnlocked(relativePath, options) {
     if (!this._isPathSafe(relativePath)) {
       throw new Error("path_traversal_blocked");
     }
@@ -236,10 +490,17 @@ export class Workspace {
     }
 
     const fullPath = path.resolve(this.rootPath, relativePath);
+
+    await this._assertNotLocked(relativePath, options);
+
+    // 删除前确保被删除的内容已有快照，便于之后恢复
+    const existingMeta = await this._readFileMeta(relativePath);
+    const currentRevision = await this._captureExternalVersion(relativePath, fullPath, existingMeta);
+    await this._assertRevision(relativePath, currentRevision, options);
     await unlink(fullPath);
+    this._searchIndex?.removeDocument(relativePath.replace(/\\/g, "/"));
 
     // 记录删除历史到元数据文件
-    const existingMeta = await this._readFileMeta(relativePath);
     const fileMeta = {
       ...existingMeta,
       path: relativePath,
@@ -248,42 +509,675 @@ export class Workspace {
     };
 
     const record = {
+      version: fileMeta.history.length + 1,
       operator: options.operator,
       messageId: options.messageId,
       timestamp: new Date().toISOString(),
-      action: 'delete'
+      action: 'delete',
+      snapshot: null
     };
 
-    fileMeta.history.push(record);
-    fileMeta.deleted = true;
-    fileMeta.deletedAt = record.timestamp;
+    fileMeta.history.push(record);
+    fileMeta.deleted = true;
+    fileMeta.deletedAt = record.timestamp;
+
+    // 写入文件级元数据（保留完整历史，不随文件物理删除而销毁）
+    await this._writeFileMeta(relativePath, fileMeta);
+
+    // 仅从全局索引中移除，让前端列表变干净，但保留文件审计历史
+    await this._removeFromGlobalMeta(relativePath);
+    this._usage = null;
+
+    return { ok: true };
+  }
+
+  /**
+   * 获取元数据
+   */
+  async getMetadata(relativePath) {
+    const globalMeta = await this._readGlobalMeta();
+    const info = globalMeta.files[relativePath];
+    if (!info) throw new Error("file_not_found");
+    return info;
+  }
+
+  /**
+   * 获取文件详细历史
+   */
+  async getFileHistory(relativePath) {
+    const fileMetaPath = path.join(this.metaDir, relativePath);
+    const content = await readFile(fileMetaPath, "utf8");
+    return JSON.parse(content).history;
+  }
+
+  /**
+   * 列出文件的所有版本
+   * 
+   * 版本号即历史记录的序号（从 1 开始）。早于版本快照功能的历史记录没有快照，不可恢复。
+   * 
+   * @param {string} relativePath
+   * @returns {Promise<{path: string, currentVersion: number, versions: object[]}>}
+   */
+  async listVersions(relativePath) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    const fileMeta = await this._readFileMeta(relativePath);
+    if (fileMeta.history.length === 0) {
+      throw new Error("file_not_found");
+    }
+    const versions = fileMeta.history.map((record, idx) => ({
+      version: record.version ?? idx + 1,
+      action: record.action,
+      operator: record.operator ?? null,
+      messageId: record.messageId ?? null,
+      timestamp: record.timestamp,
+      size: record.size ?? null,
+      mimeType: record.mimeType ?? fileMeta.mimeType ?? null,
+      restoredFrom: record.restoredFrom ?? null,
+      from: record.from ?? null,
+      pruned: Boolean(record.pruned),
+      restorable: Boolean(record.snapshot)
+    }));
+    return { path: relativePath, currentVersion: versions.length, versions };
+  }
+
+  /**
+   * 读取指定版本的内容
+   * @param {string} relativePath
+   * @param {number} version
+   * @returns {Promise<{record: object, content: Buffer}>} 删除版本返回空内容
+   */
+  async readVersion(relativePath, version) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    const fileMeta = await this._readFileMeta(relativePath);
+    const record = fileMeta.history[Number(version) - 1];
+    if (!Number.isInteger(Number(version)) || !record) {
+      throw new Error("version_not_found");
+    }
+    if (record.action === 'delete') {
+      return { record, content: Buffer.alloc(0) };
+    }
+    if (record.pruned) {
+      throw new Error("version_pruned");
+    }
+    if (!record.snapshot) {
+      throw new Error("version_snapshot_missing");
+    }
+    try {
+      const content = await readFile(path.join(this.snapshotsDir, record.snapshot));
+      return { record, content };
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error("version_snapshot_missing");
+      throw e;
+    }
+  }
+
+  /**
+   * 生成两个版本之间的统一差异
+   * @param {string} relativePath
+   * @param {number} [fromVersion] - 起始版本，默认为 toVersion 的上一个版本；0 表示空文件
+   * @param {number} [toVersion] - 目标版本，默认为最新版本
+   * @returns {Promise<{path: string, fromVersion: number, toVersion: number, diff: string, additions: number, deletions: number}>}
+   */
+  async diffVersions(relativePath, fromVersion, toVersion) {
+    const { currentVersion } = await this.listVersions(relativePath);
+    const to = toVersion === undefined || toVersion === null ? currentVersion : Number(toVersion);
+    const from = fromVersion === undefined || fromVersion === null ? to - 1 : Number(fromVersion);
+
+    const oldContent = from === 0 ? Buffer.alloc(0) : (await this.readVersion(relativePath, from)).content;
+    const newContent = (await this.readVersion(relativePath, to)).content;
+    if (this._isBinaryBuffer(oldContent) || this._isBinaryBuffer(newContent)) {
+      throw new Error("binary_diff_not_supported");
+    }
+
+    const result = createUnifiedDiff(oldContent.toString('utf8'), newContent.toString('utf8'), {
+      fromLabel: `a/${relativePath}@v${from}`,
+      toLabel: `b/${relativePath}@v${to}`
+    });
+    return {
+      path: relativePath,
+      fromVersion: from,
+      toVersion: to,
+      diff: result.diff,
+      additions: result.additions,
+      deletions: result.deletions
+    };
+  }
+
+  /**
+   * 将文件恢复到指定版本
+   * 
+   * 恢复本身会作为一次新的写入（action: 'restore'）记录到历史中，不会截断后续版本。
+   * 
+   * @param {string} relativePath
+   * @param {number} version
+   * @param {object} options { operator, messageId, expectedRevision, force }
+   */
+  async restoreVersion(relativePath, version, options = {}) {
+    return this._serialize(async () => {
+      const { record, content } = await this.readVersion(relativePath, version);
+      if (record.action === 'delete') {
+        throw new Error("version_is_deleted");
+      }
+      const result = await this._writeFileUnlocked(relativePath, content, {
+        mimeType: record.mimeType,
+        operator: options.operator,
+        messageId: options.messageId,
+        expectedRevision: options.expectedRevision,
+        force: options.force,
+        action: 'restore',
+        restoredFrom: Number(version)
+      });
+      const fileMeta = await this._readFileMeta(relativePath);
+      return { ...result, restoredFrom: Number(version), version: fileMeta.history.length };
+    });
+  }
+
+  /**
+   * 获取文件的建议锁
+   * 
+   * 建议锁只约束通过 Workspace 写入的操作者：锁存在且未过期时，其他操作者的
+   * 写入/编辑/删除会被拒绝（file_locked），读取不受影响。
+   * 
+   * @param {string} relativePath
+   * @param {object} options { owner, ttlMs, reason }
+   * @returns {Promise<{ok: boolean, lock: object, renewed: boolean}>}
+   */
+  async acquireLock(relativePath, options = {}) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    if (!options.owner) {
+      throw new Error(`acquireLock_missing_owner: ${relativePath}`);
+    }
+    const key = relativePath.replace(/\\/g, "/");
+    const ttlMs = Math.min(MAX_LOCK_TTL_MS, Math.max(MIN_LOCK_TTL_MS, Number(options.ttlMs) || DEFAULT_LOCK_TTL_MS));
+
+    return this._serialize(async () => {
+      const locks = await this._readLocks();
+      const existing = locks[key];
+      if (existing && existing.owner !== options.owner) {
+        throw Object.assign(new Error("file_locked"), { details: { path: key, lock: existing } });
+      }
+      const now = Date.now();
+      const lock = {
+        path: key,
+        owner: options.owner,
+        reason: options.reason ?? existing?.reason ?? null,
+        acquiredAt: existing?.acquiredAt ?? new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      };
+      locks[key] = lock;
+      await this._writeLocks(locks);
+      void this.log.debug("获取文件建议锁", { workspaceId: this.id, path: key, owner: lock.owner, expiresAt: lock.expiresAt });
+      return { ok: true, lock, renewed: !!existing };
+    });
+  }
+
+  /**
+   * 释放文件的建议锁
+   * @param {string} relativePath
+   * @param {object} options { owner, force } - force 为 true 时允许释放他人的锁
+   * @returns {Promise<{ok: boolean, released: boolean}>}
+   */
+  async releaseLock(relativePath, options = {}) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    const key = relativePath.replace(/\\/g, "/");
+
+    return this._serialize(async () => {
+      const locks = await this._readLocks();
+      const existing = locks[key];
+      if (!existing) {
+        return { ok: true, released: false };
+      }
+      if (existing.owner !== options.owner && !options.force) {
+        throw Object.assign(new Error("file_locked"), { details: { path: key, lock: existing } });
+      }
+      delete locks[key];
+      await this._writeLocks(locks);
+      void this.log.debug("释放文件建议锁", { workspaceId: this.id, path: key, owner: existing.owner, force: !!options.force });
+      return { ok: true, released: true };
+    });
+  }
+
+  /**
+   * 获取文件当前未过期的建议锁
+   * @param {string} relativePath
+   * @returns {Promise<object|null>}
+   */
+  async getLock(relativePath) {
+    const locks = await this._readLocks();
+    return locks[relativePath.replace(/\\/g, "/")] ?? null;
+  }
+
+  /**
+   * 列出所有未过期的建议锁
+   * @returns {Promise<object[]>}
+   */
+  async listLocks() {
+    const locks = await this._readLocks();
+    return Object.values(locks).sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * 创建目录（含所有上级目录）
+   * 
+   * 目录记录在全局索引的 dirs 中，使 listFiles / getTree 能看到尚无文件的空目录。
+   * 
+   * @param {string} relativePath
+   * @returns {Promise<{ok: boolean, path: string, created: boolean}>}
+   */
+  async makeDir(relativePath) {
+    const key = this._normalizeEntryPath(relativePath);
+    return this._serialize(async () => {
+      const fullPath = path.resolve(this.rootPath, key);
+      let created = true;
+      try {
+        const stats = await stat(fullPath);
+        if (!stats.isDirectory()) throw new Error("not_a_directory");
+        created = false;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      await mkdir(fullPath, { recursive: true });
+
+      const meta = await this._readGlobalMeta();
+      meta.dirs = this._mergeDirs(meta.dirs, [key]);
+      await this._writeGlobalMeta(meta);
+      return { ok: true, path: key, created };
+    });
+  }
+
+  /**
+   * 移动（重命名）文件或目录
+   * 
+   * 目录会连同其中所有文件递归移动。每个文件的文件级元数据与版本历史随文件迁移到新路径，
+   * 并追加一条 action 为 'move' 的版本记录（from 为原路径）；持有者自己的建议锁也随之迁移。
+   * 目标已存在时抛出 target_exists；仅文件移动可通过 overwrite 覆盖目标文件，
+   * 被覆盖文件的历史保留在新历史的前部，并以一条 delete 记录结束。
+   * 
+   * @param {string} fromPath
+   * @param {string} toPath
+   * @param {object} options { operator, messageId, overwrite, force }
+   * @returns {Promise<{ok: boolean, from: string, to: string, type: 'file'|'directory', files: number}>}
+   */
+  async moveFile(fromPath, toPath, options = {}) {
+    return this._serialize(() => this._transferUnlocked(fromPath, toPath, options, 'move'));
+  }
+
+  /**
+   * 复制文件或目录
+   * 
+   * 副本继承源文件的版本历史，并追加一条 action 为 'copy' 的版本记录（from 为源路径），
+   * 其余规则与 moveFile 相同。
+   * 
+   * @param {string} fromPath
+   * @param {string} toPath
+   * @param {object} options { operator, messageId, overwrite, force }
+   * @returns {Promise<{ok: boolean, from: string, to: string, type: 'file'|'directory', files: number}>}
+   */
+  async copyFile(fromPath, toPath, options = {}) {
+    return this._serialize(() => this._transferUnlocked(fromPath, toPath, options, 'copy'));
+  }
+
+  /**
+   * moveFile / copyFile 的实际实现，调用方需已处于写操作队列中
+   * @private
+   */
+  async _transferUnlocked(fromPath, toPath, options, mode) {
+    const from = this._normalizeEntryPath(fromPath);
+    const to = this._normalizeEntryPath(toPath);
+    if (!options.operator) {
+      throw new Error(`${mode}File_missing_operator: ${from}`);
+    }
+    if (!options.messageId) {
+      throw new Error(`${mode}File_missing_messageId: ${from}`);
+    }
+    if (from === to || to.startsWith(`${from}/`)) {
+      throw new Error("invalid_target");
+    }
+
+    const fromFull = path.resolve(this.rootPath, from);
+    const toFull = path.resolve(this.rootPath, to);
+    let sourceStats;
+    try {
+      sourceStats = await stat(fromFull);
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error("file_not_found");
+      throw e;
+    }
+    const isDir = sourceStats.isDirectory();
+
+    let targetStats = null;
+    try {
+      targetStats = await stat(toFull);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (targetStats && (isDir || targetStats.isDirectory() || !options.overwrite)) {
+      throw Object.assign(new Error("target_exists"), { details: { path: to } });
+    }
+
+    const subDirs = [];
+    const relFiles = isDir ? await this._scanDirectory(fromFull, "", subDirs) : [""];
+    const items = relFiles.map(rel => ({
+      from: rel ? `${from}/${rel}` : from,
+      to: rel ? `${to}/${rel}` : to
+    }));
+
+    for (const item of items) {
+      if (mode === 'move') await this._assertNotLocked(item.from, options);
+      await this._assertNotLocked(item.to, options);
+    }
+    if (mode === 'copy') {
+      // 副本与源文件共用快照，新增占用即副本文件本身的大小
+      let growth = 0;
+      for (const item of items) growth += (await stat(path.resolve(this.rootPath, item.from))).size;
+      await this._assertQuota(to, 0, growth);
+    }
+
+    const timestamp = new Date().toISOString();
+    for (const item of items) {
+      // 迁移前补记源文件的外部修改，保证随文件迁移的历史与磁盘内容一致
+      item.meta = await this._readFileMeta(item.from);
+      item.revision = await this._captureExternalVersion(item.from, path.resolve(this.rootPath, item.from), item.meta);
+
+      // 目标路径上已有的历史（被覆盖的文件或已删除的文件）保留在新历史前部
+      item.targetMeta = await this._readFileMeta(item.to);
+      if (targetStats) {
+        const targetFull = path.resolve(this.rootPath, item.to);
+        await this._captureExternalVersion(item.to, targetFull, item.targetMeta);
+        item.targetMeta.history.push({
+          version: item.targetMeta.history.length + 1,
+          operator: options.operator,
+          messageId: options.messageId,
+          timestamp,
+          action: 'delete',
+          snapshot: null
+        });
+      }
+    }
+
+    await mkdir(path.dirname(toFull), { recursive: true });
+    if (mode === 'move') {
+      await rename(fromFull, toFull);
+    } else {
+      await cp(fromFull, toFull, { recursive: true });
+    }
+
+    const globalMeta = await this._readGlobalMeta();
+    const locks = mode === 'move' ? await this._readLocks() : null;
+    let locksChanged = false;
+    for (const item of items) {
+      const size = (await stat(path.resolve(this.rootPath, item.to))).size;
+      const info = globalMeta.files[item.from] ?? {};
+      const mimeType = item.meta.mimeType ?? info.mimeType ?? this._detectMimeType(item.to);
+      const history = this._appendHistory(item.targetMeta.history, item.meta.history);
+      history.push({
+        version: history.length + 1,
+        operator: options.operator,
+        messageId: options.messageId,
+        timestamp,
+        action: mode,
+        from: item.from,
+        size,
+        mimeType,
+        snapshot: item.revision
+      });
+
+      const { deletedAt, ...rest } = item.meta;
+      await this._writeFileMeta(item.to, { ...rest, path: item.to, mimeType, deleted: false, history });
+      globalMeta.files[item.to] = {
+        ...info,
+        type: 'file',
+        size,
+        mimeType,
+        updatedAt: timestamp,
+        lastOperator: options.operator,
+        lastMessageId: options.messageId,
+        revision: item.revision
+      };
+
+      if (this._searchIndex) {
+        if (mode === 'move') this._searchIndex.removeDocument(item.from);
+        await this._searchIndex.reindexFile(item.to);
+      }
+
+      if (mode === 'move') {
+        delete globalMeta.files[item.from];
+        await rm(path.join(this.metaDir, item.from), { force: true });
+        if (locks[item.from]) {
+          locks[item.to] = { ...locks[item.from], path: item.to };
+          delete locks[item.from];
+          locksChanged = true;
+        }
+      }
+    }
+
+    const movedDirs = isDir ? [to, ...subDirs.map(d => `${to}/${d}`)] : [path.posix.dirname(to)];
+    let dirs = globalMeta.dirs ?? [];
+    if (mode === 'move' && isDir) {
+      dirs = dirs.filter(d => d !== from && !d.startsWith(`${from}/`));
+    }
+    globalMeta.dirs = this._mergeDirs(dirs, movedDirs);
+    await this._writeGlobalMeta(globalMeta);
+    if (locksChanged) await this._writeLocks(locks);
+    this._usage = null;
+
+    void this.log.info(mode === 'move' ? "移动工作区文件" : "复制工作区文件", {
+      workspaceId: this.id, from, to, files: items.length, operator: options.operator
+    });
+    return { ok: true, from, to, type: isDir ? 'directory' : 'file', files: items.length };
+  }
+
+  /**
+   * 将工作区导出为归档流
+   * 
+   * 包含所有文件与目录（含空目录）。includeMeta 为 true 时额外包含 .meta 下的文件级元数据、
+   * 全局索引和版本快照，便于完整备份；锁文件、检索索引等运行时数据不导出。
+   * 文件内容在读取流时逐个读取。
+   * 
+   * @param {{format?: 'zip'|'tar.gz', includeMeta?: boolean}} [options]
+   * @returns {Promise<{stream: import("node:stream").Readable, format: 'zip'|'tar.gz'}>}
+   */
+  async createExportStream(options = {}) {
+    const format = normalizeArchiveFormat(options.format);
+    await mkdir(this.rootPath, { recursive: true });
+    const dirs = [];
+    const files = await this._scanDirectory(this.rootPath, "", dirs);
+    const entries = [
+      ...dirs.sort().map(name => ({ name, fullPath: path.join(this.rootPath, name), type: 'directory' })),
+      ...files.sort().map(name => ({ name, fullPath: path.join(this.rootPath, name), type: 'file' }))
+    ];
+
+    if (options.includeMeta && existsSync(this.metaDir)) {
+      const excluded = new Set([this.locksFile, this.searchIndexFile].map(p => path.relative(this.rootPath, p).replace(/\\/g, "/")));
+      const metaFiles = await this._scanDirectory(this.metaDir, ".meta");
+      for (const name of metaFiles.sort()) {
+        if (excluded.has(name) || name.endsWith(".tmp")) continue;
+        entries.push({ name, fullPath: path.join(this.rootPath, name), type: 'file' });
+      }
+    }
+
+    async function* readEntries() {
+      for (const entry of entries) {
+        let stats;
+        try {
+          stats = await stat(entry.fullPath);
+        } catch (e) {
+          if (e.code === 'ENOENT') continue; // 扫描后被删除
+          throw e;
+        }
+        if (entry.type === 'directory') {
+          yield { name: entry.name, type: 'directory', mtime: stats.mtime };
+        } else {
+          yield { name: entry.name, type: 'file', data: await readFile(entry.fullPath), mtime: stats.mtime };
+        }
+      }
+    }
+
+    void this.log.info("导出工作区归档", { workspaceId: this.id, format, files: files.length, includeMeta: !!options.includeMeta });
+    return { stream: createArchiveStream(readEntries(), format), format };
+  }
+
+  /**
+   * 将归档（zip / tar.gz）解包到工作区
+   * 
+   * 导入前先校验全部条目（\ 按 / 处理）：任一条目为绝对路径、盘符路径、包含 .. 或目标不在工作区内时整体拒绝并抛出
+   * archive_path_traversal（details.entries 列出违规条目），不会写入任何文件。
+   * 每个文件通过 writeFile 写入（action 为 'import'），因此都会生成文件级元数据与版本记录。
+   * 归档中的 .meta 条目、符号链接等特殊条目以及以保留名称开头的条目被跳过；已存在的文件默认跳过，overwrite 时覆盖；
+   * 被其他操作者锁定的文件跳过。
+   * 
+   * @param {Buffer} buffer - 归档内容
+   * @param {object} options { operator, messageId, targetDir, overwrite, format, force }
+   * @returns {Promise<{ok: boolean, format: 'zip'|'tar.gz'|'tar', targetDir: string, imported: number, skipped: Array<{path: string, reason: string}>, files: Array<{path: string, size: number, revision: string}>, dirs: string[]}>}
+   */
+  async importArchive(buffer, options = {}) {
+    if (!options.operator) {
+      throw new Error("importArchive_missing_operator");
+    }
+    if (!options.messageId) {
+      throw new Error("importArchive_missing_messageId");
+    }
+    const targetDir = options.targetDir && !["", ".", "/"].includes(options.targetDir)
+      ? this._normalizeEntryPath(options.targetDir)
+      : "";
+    const entries = readArchive(buffer, { format: options.format });
+
+    const violations = [];
+    const planned = [];
+    for (const entry of entries) {
+      // Windows 下 \ 同样是路径分隔符，统一按 / 校验
+      const name = entry.name.replace(/\\/g, "/");
+      const segments = name.split("/");
+      if (name.startsWith("/") || /^[a-zA-Z]:/.test(name) || segments.includes("..") || name.includes("\0")) {
+        violations.push(entry.name);
+        continue;
+      }
+      const key = path.posix.normalize(name).replace(/\/+$/, "");
+      if (!key || key === ".") continue;
+      const target = targetDir ? `${targetDir}/${key}` : key;
+      // 保留路径在写入阶段跳过，其余目标必须落在工作区内
+      if (!isReservedPath(target) && !this._isPathSafe(target)) {
+        violations.push(entry.name);
+        continue;
+      }
+      planned.push({ ...entry, key, target });
+    }
+    if (violations.length > 0) {
+      throw Object.assign(new Error("archive_path_traversal"), { details: { entries: violations } });
+    }
+
+    return this._serialize(async () => {
+      const skipped = [];
+      const files = [];
+      const dirs = targetDir ? [targetDir] : [];
+
+      for (const entry of planned) {
+        if (entry.key === ".meta" || entry.key.startsWith(".meta/")) {
+          // 带元数据导出的归档：历史不随导入恢复，只记录一次跳过
+          if (!skipped.some(s => s.reason === "meta")) skipped.push({ path: ".meta", reason: "meta" });
+          continue;
+        }
+        if (entry.type !== 'file' && entry.type !== 'directory') {
+          skipped.push({ path: entry.key, reason: "unsupported_entry_type" });
+          continue;
+        }
+        if (isReservedPath(entry.target)) {
+          skipped.push({ path: entry.key, reason: "reserved_path" });
+          continue;
+        }
 
-    // 写入文件级元数据（保留完整历史，不随文件物理删除而销毁）
-    await this._writeFileMeta(relativePath, fileMeta);
+        const fullPath = path.resolve(this.rootPath, entry.target);
+        let existing = null;
+        try {
+          existing = await stat(fullPath);
+        } catch (e) {
+          if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+        }
 
-    // 仅从全局索引中移除，让前端列表变干净，但保留文件审计历史
-    await this._removeFromGlobalMeta(relativePath);
+        if (entry.type === 'directory') {
+          if (existing && !existing.isDirectory()) {
+            skipped.push({ path: entry.key, reason: "not_a_directory" });
+            continue;
+          }
+          await mkdir(fullPath, { recursive: true });
+          dirs.push(entry.target);
+          continue;
+        }
 
-    return { ok: true };
-  }
+        if (existing?.isDirectory()) {
+          skipped.push({ path: entry.key, reason: "not_a_file" });
+          continue;
+        }
+        if (existing && !options.overwrite) {
+          skipped.push({ path: entry.key, reason: "exists" });
+          continue;
+        }
+        try {
+          const written = await this._writeFileUnlocked(entry.target, entry.data, {
+            operator: options.operator,
+            messageId: options.messageId,
+            action: 'import',
+            force: options.force
+          });
+          files.push({ path: written.path, size: written.size, revision: written.revision });
+        } catch (err) {
+          if (err.message === 'file_locked' || err.message === 'quota_exceeded') {
+            skipped.push({ path: entry.key, reason: err.message });
+          } else if (err.code === 'ENOTDIR' || err.code === 'EEXIST') {
+            skipped.push({ path: entry.key, reason: "not_a_directory" });
+          } else {
+            throw err;
+          }
+        }
+      }
 
-  /**
-   * 获取元数据
-   */
-  async getMetadata(relativePath) {
-    const globalMeta = await this._readGlobalMeta();
-    const info = globalMeta.files[relativePath];
-    if (!info) throw new Error("file_not_found");
-    return info;
+      if (dirs.length > 0) {
+        const meta = await this._readGlobalMeta();
+        meta.dirs = this._mergeDirs(meta.dirs, dirs);
+        await this._writeGlobalMeta(meta);
+      }
+
+      void this.log.info("导入工作区归档", {
+        workspaceId: this.id, targetDir, imported: files.length, skipped: skipped.length, operator: options.operator
+      });
+      return {
+        ok: true,
+        format: detectArchiveFormat(buffer),
+        targetDir,
+        imported: files.length,
+        skipped,
+        files,
+        dirs: this._mergeDirs([], dirs)
+      };
+    });
   }
 
   /**
-   * 获取文件详细历史
+   * 解包工作区内已有的归档文件（例如通过上传接口写入的 zip）
+   * 
+   * @param {string} archivePath - 归档文件的相对路径
+   * @param {object} options 同 importArchive
    */
-  async getFileHistory(relativePath) {
-    const fileMetaPath = path.join(this.metaDir, relativePath);
-    const content = await readFile(fileMetaPath, "utf8");
-    return JSON.parse(content).history;
+  async importArchiveFile(archivePath, options = {}) {
+    if (!this._isPathSafe(archivePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    let buffer;
+    try {
+      buffer = await readFile(path.resolve(this.rootPath, archivePath));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error("file_not_found");
+      throw e;
+    }
+    return this.importArchive(buffer, options);
   }
 
   /**
@@ -291,7 +1185,7 @@ export class Workspace {
    */
   async getTree() {
     const globalMeta = await this._readGlobalMeta();
-    const dirs = new Set();
+    const dirs = new Set(globalMeta.dirs ?? []);
     Object.keys(globalMeta.files).forEach(filePath => {
       // 统一使用正斜杠处理路径
       const normalizedPath = filePath.replace(/\\/g, "/");
@@ -340,6 +1234,13 @@ export class Workspace {
     
     const files = [];
     const dirs = new Set();
+
+    // 显式创建的目录（可能为空）
+    for (const dirPath of globalMeta.dirs ?? []) {
+      if (!dirPath.startsWith(normalizedSubDir)) continue;
+      const rest = dirPath.slice(normalizedSubDir.length);
+      if (rest) dirs.add(rest.split("/")[0]);
+    }
     
     for (const [filePath, info] of Object.entries(globalMeta.files)) {
       // 只处理以指定子目录开头的路径
@@ -411,13 +1312,135 @@ export class Workspace {
 
   /**
    * 获取磁盘占用
+   * 
+   * 在 getInfo 的基础上附带实际磁盘占用（diskBytes，含版本快照与元数据）、
+   * 版本快照占用（historyBytes）和配额状态。
    */
   async getDiskUsage() {
-    return this.getInfo();
+    const info = await this.getInfo();
+    const { bytes, historyBytes } = await this.getUsage({ refresh: true });
+    return { ...info, diskBytes: bytes, historyBytes, quota: await this.getQuotaStatus() };
+  }
+
+  /**
+   * 获取工作区实际磁盘占用（含 .meta 中的元数据与版本快照）
+   * 
+   * 结果会缓存并在写入时增量更新，缓存超过 1 分钟或 refresh 为 true 时重新扫描磁盘。
+   * 
+   * @param {{refresh?: boolean}} [options]
+   * @returns {Promise<{bytes: number, historyBytes: number, measuredAt: string}>}
+   */
+  async getUsage(options = {}) {
+    if (options.refresh || !this._usage || Date.now() - this._usage.measuredAt > USAGE_CACHE_TTL_MS) {
+      this._usage = {
+        bytes: await this._measureDirectory(this.rootPath),
+        historyBytes: await this._measureDirectory(this.snapshotsDir),
+        measuredAt: Date.now()
+      };
+    }
+    return {
+      bytes: this._usage.bytes,
+      historyBytes: this._usage.historyBytes,
+      measuredAt: new Date(this._usage.measuredAt).toISOString()
+    };
+  }
+
+  /**
+   * 获取配额状态
+   * 
+   * 未配置的限额 limit 为 null；未配置总配额时 global 为 null。
+   * 
+   * @param {{refresh?: boolean}} [options]
+   * @returns {Promise<{workspace: {used: number, limit: number|null, remaining: number|null, exceeded: boolean}, global: object|null, maxFileBytes: number|null, exceeded: boolean}>}
+   */
+  async getQuotaStatus(options = {}) {
+    const quota = this.quota ?? {};
+    const scope = (used, limit) => limit
+      ? { used, limit, remaining: Math.max(0, limit - used), exceeded: used >= limit }
+      : { used, limit: null, remaining: null, exceeded: false };
+
+    const { bytes } = await this.getUsage(options);
+    const workspace = scope(bytes, quota.maxWorkspaceBytes ?? null);
+    const global = quota.maxTotalBytes && quota.getTotalBytes
+      ? scope(await quota.getTotalBytes(), quota.maxTotalBytes)
+      : null;
+    return {
+      workspace,
+      global,
+      maxFileBytes: quota.maxFileBytes ?? null,
+      exceeded: workspace.exceeded || Boolean(global?.exceeded)
+    };
+  }
+
+  /**
+   * 按保留策略清理历史版本
+   * 
+   * 版本记录本身保留（版本号不变，操作审计仍可查看），被清理的版本去掉快照并标记 pruned；
+   * 清理后不再被任何版本引用的快照文件会被删除。每个文件的最新版本始终保留。
+   * 
+   * @param {{maxVersionsPerFile?: number|null, maxVersionAgeMs?: number|null, now?: number}} policy
+   * @returns {Promise<{files: number, prunedVersions: number, removedSnapshots: number, freedBytes: number}>}
+   */
+  async pruneVersions(policy = {}) {
+    return this._serialize(async () => {
+      const now = policy.now ?? Date.now();
+      const referenced = new Set();
+      let files = 0;
+      let prunedVersions = 0;
+
+      for (const relPath of await this._listFileMetaPaths()) {
+        const fileMeta = await this._readFileMeta(relPath);
+        const history = fileMeta.history ?? [];
+        let changed = false;
+        history.forEach((record, idx) => {
+          if (!record.snapshot) return;
+          const isLatest = idx === history.length - 1;
+          const tooMany = policy.maxVersionsPerFile && idx < history.length - policy.maxVersionsPerFile;
+          const tooOld = policy.maxVersionAgeMs && now - Date.parse(record.timestamp) > policy.maxVersionAgeMs;
+          if (!isLatest && (tooMany || tooOld)) {
+            record.snapshot = null;
+            record.pruned = true;
+            prunedVersions++;
+            changed = true;
+          } else {
+            referenced.add(record.snapshot);
+          }
+        });
+        if (changed) {
+          await this._writeFileMeta(relPath, fileMeta);
+          files++;
+        }
+      }
+
+      let removedSnapshots = 0;
+      let freedBytes = 0;
+      let snapshots = [];
+      try {
+        snapshots = await readdir(this.snapshotsDir);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      for (const id of snapshots) {
+        if (referenced.has(id)) continue;
+        const snapshotPath = path.join(this.snapshotsDir, id);
+        freedBytes += (await stat(snapshotPath)).size;
+        await unlink(snapshotPath);
+        removedSnapshots++;
+      }
+      this._usage = null;
+
+      if (prunedVersions > 0 || removedSnapshots > 0) {
+        void this.log.info("清理工作区历史版本", { workspaceId: this.id, files, prunedVersions, removedSnapshots, freedBytes });
+      }
+      return { files, prunedVersions, removedSnapshots, freedBytes };
+    });
   }
 
   /**
    * 在指定子文件夹内搜索文本
+   * 
+   * 基于全文检索索引筛选候选文件后逐行精确匹配，结果与逐文件扫描一致。
+   * 
    * @param {string} subDir - 子目录路径，相对于工作区根目录
    * @param {string} searchText - 要搜索的文本
    * @param {object} options - 可选参数 { caseSensitive, maxResults }
@@ -433,86 +1456,70 @@ export class Workspace {
     }
 
     const { caseSensitive = true, maxResults = 1000 } = options;
+    const { results } = await this.search(searchText, {
+      mode: "phrase",
+      path: subDir,
+      caseSensitive,
+      contextLines: 0,
+      maxResults,
+      maxMatchesPerFile: maxResults
+    });
 
-    // 确定搜索目录
-    const searchDir = subDir === "." ? this.rootPath : path.resolve(this.rootPath, subDir);
-
-    // 检查目录是否存在
-    try {
-      const stats = await stat(searchDir);
-      if (!stats.isDirectory()) {
-        throw new Error("not_a_directory");
-      }
-    } catch (e) {
-      if (e.code === 'ENOENT') {
-        return [];
+    const matches = [];
+    const needle = caseSensitive ? searchText : searchText.toLowerCase();
+    for (const file of results.sort((a, b) => a.path.localeCompare(b.path))) {
+      for (const match of file.matches) {
+        const line = caseSensitive ? match.text : match.text.toLowerCase();
+        let idx = line.indexOf(needle);
+        while (idx !== -1 && matches.length < maxResults) {
+          matches.push({ file: file.path, line: match.line, col: idx + 1 });
+          idx = line.indexOf(needle, idx + 1);
+        }
+        if (matches.length >= maxResults) return matches;
       }
-      throw e;
     }
+    return matches;
+  }
 
-    const results = [];
-    const searchPattern = caseSensitive ? searchText : searchText.toLowerCase();
-    const flags = caseSensitive ? 'g' : 'gi';
-
-    // 递归扫描目录并搜索文本文件
-    const searchInDirectory = async (dir, baseRelPath = "") => {
-      const entries = await readdir(dir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        if (results.length >= maxResults) break;
-
-        const relPath = baseRelPath ? path.join(baseRelPath, entry.name) : entry.name;
-
-        if (entry.isDirectory()) {
-          // 跳过 .meta 目录
-          if (entry.name === ".meta") continue;
-          await searchInDirectory(path.join(dir, entry.name), relPath);
-        } else {
-          // 检查文件是否为文本文件
-          const ext = extractExtension(entry.name);
-          const textExtensions = ['.txt', '.md', '.js', '.ts', '.py', '.c', '.cpp', '.h', '.sh', '.bat', '.ps1', '.yaml', '.yml', '.json', '.html', '.css', '.xml', '.java', '.go', '.rs'];
-
-          if (!textExtensions.includes(ext?.toLowerCase())) {
-            continue;
-          }
+  /**
+   * 全文检索
+   * 
+   * 支持多词（text）、短语（phrase）、正则（regex）三种模式及文件路径通配符（glob）过滤，
+   * 结果按相关度排序并附带上下文行。索引首次使用时加载，并按文件大小与修改时间增量刷新。
+   * 
+   * @param {string} query
+   * @param {object} options { mode, glob, path, caseSensitive, contextLines, maxResults, maxMatchesPerFile }
+   * @returns {Promise<{query: string, mode: string, results: Array<{path: string, score: number, matchCount: number, matches: object[]}>, total: number, truncated: boolean, index: object}>}
+   */
+  async search(query, options = {}) {
+    const subDir = options.path ?? ".";
+    if (!this._isPathSafe(subDir)) {
+      throw new Error("path_traversal_blocked");
+    }
+    const index = await this._getSearchIndex();
+    const result = await index.search(query, { ...options, path: subDir });
+    return { query: query ?? "", mode: options.mode ?? "text", ...result, index: index.stats() };
+  }
 
-          try {
-            const fullPath = path.join(dir, entry.name);
-            const content = await readFile(fullPath, 'utf8');
-            const lines = content.split(/\r?\n/);
-
-            // 搜索每一行
-            for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-              if (results.length >= maxResults) break;
-
-              const line = lines[lineNum];
-              const searchLine = caseSensitive ? line : line.toLowerCase();
-
-              let matchIndex = searchLine.indexOf(searchPattern);
-              while (matchIndex !== -1) {
-                results.push({
-                  file: relPath.replace(/\\/g, "/"),
-                  line: lineNum + 1,
-                  col: matchIndex + 1
-                });
-
-                // 查找下一个匹配
-                matchIndex = searchLine.indexOf(searchPattern, matchIndex + 1);
-
-                if (results.length >= maxResults) break;
-              }
-            }
-          } catch (e) {
-            // 跳过无法读取的文件
-            this.log.warn(`搜索文件失败: ${relPath}`, { error: e.message });
-          }
-        }
+  /**
+   * 获取（必要时加载）全文检索索引，并增量刷新到磁盘当前状态
+   * @private
+   * @returns {Promise<WorkspaceSearchIndex>}
+   */
+  async _getSearchIndex() {
+    if (!this._searchIndex) {
+      if (!this._searchIndexLoading) {
+        const index = new WorkspaceSearchIndex({ rootPath: this.rootPath, indexFile: this.searchIndexFile, logger: this.log });
+        this._searchIndexLoading = index.load().then(() => {
+          this._searchIndex = index;
+        }).finally(() => {
+          this._searchIndexLoading = null;
+        });
       }
-    };
-
-    await searchInDirectory(searchDir, subDir === "." ? "" : subDir);
-
-    return results;
+      await this._searchIndexLoading;
+    }
+    await this._searchIndex.refresh();
+    return this._searchIndex;
   }
 
   /**
@@ -520,11 +1527,17 @@ export class Workspace {
    */
   async sync() {
     await mkdir(this.rootPath, { recursive: true });
-    const files = await this._scanDirectory(this.rootPath);
+    // 直接读取旧索引（_readGlobalMeta 在索引缺失时会反过来调用 sync）
+    let previousFiles = {};
+    try {
+      previousFiles = JSON.parse(await readFile(this.globalMetaFile, "utf8"))?.files ?? {};
+    } catch { /* 首次同步没有旧索引 */ }
+    const dirs = [];
+    const files = await this._scanDirectory(this.rootPath, "", dirs);
     const newFiles = {};
     
     for (const f of files) {
-      if (f.startsWith(".meta")) continue;
+      if (f.startsWith(".meta") || isReservedPath(f)) continue;
       const fullPath = path.resolve(this.rootPath, f);
       const stats = await stat(fullPath);
       // 统一使用正斜杠作为 key
@@ -565,30 +1578,42 @@ export class Workspace {
         lastOperator,
         lastMessageId
       };
+      // 未被外部修改的文件保留已记录的修订号
+      const revision = this._storedRevision(previousFiles[key], stats);
+      if (revision) newFiles[key].revision = revision;
     }
 
     const meta = {
       id: this.id,
       lastSync: new Date().toISOString(),
-      files: newFiles
+      files: newFiles,
+      dirs: dirs.sort()
     };
 
     await mkdir(this.metaDir, { recursive: true });
     await writeFile(this.globalMetaFile, JSON.stringify(meta, null, 2));
+    this._usage = null;
+    if (this._searchIndex) {
+      await this._searchIndex.refresh();
+    }
     return meta;
   }
 
   /**
    * 递归扫描目录
+   * @param {string} dir
+   * @param {string} [base]
+   * @param {string[]|null} [dirs] - 传入时收集扫描到的子目录相对路径
    */
-  async _scanDirectory(dir, base = "") {
+  async _scanDirectory(dir, base = "", dirs = null) {
     const entries = await readdir(dir, { withFileTypes: true });
     let results = [];
     for (const entry of entries) {
       const relPath = base ? path.join(base, entry.name) : entry.name;
       if (entry.isDirectory()) {
         if (entry.name === ".meta") continue;
-        results = results.concat(await this._scanDirectory(path.join(dir, entry.name), relPath));
+        dirs?.push(relPath.replace(/\\/g, "/"));
+        results = results.concat(await this._scanDirectory(path.join(dir, entry.name), relPath, dirs));
       } else {
         results.push(relPath.replace(/\\/g, "/"));
       }
@@ -632,6 +1657,63 @@ export class Workspace {
     await writeFile(this.globalMetaFile, JSON.stringify(meta, null, 2));
   }
 
+  /**
+   * 写回完整的全局元数据
+   * @private
+   */
+  async _writeGlobalMeta(meta) {
+    meta.lastSync = new Date().toISOString();
+    await mkdir(this.metaDir, { recursive: true });
+    await writeFile(this.globalMetaFile, JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * 规范化文件或目录路径（正斜杠、去掉末尾斜杠），拒绝根目录与保留名称
+   * @private
+   */
+  _normalizeEntryPath(relativePath) {
+    if (!this._isPathSafe(relativePath)) {
+      throw new Error("path_traversal_blocked");
+    }
+    const key = path.posix.normalize(relativePath.replace(/\\/g, "/")).replace(/\/+$/, "");
+    if (!key || key === ".") {
+      throw new Error("invalid_path");
+    }
+    return key;
+  }
+
+  /**
+   * 合并目录列表，并补齐每个目录的所有上级目录
+   * @private
+   */
+  _mergeDirs(existing, added) {
+    const dirs = new Set(existing ?? []);
+    for (const dir of added) {
+      const parts = dir.split("/");
+      for (let i = 1; i <= parts.length; i++) {
+        const d = parts.slice(0, i).join("/");
+        if (d && d !== ".") dirs.add(d);
+      }
+    }
+    return Array.from(dirs).sort();
+  }
+
+  /**
+   * 将一段历史接在另一段之后，重新编号版本号（restoredFrom 同步偏移）
+   * @private
+   */
+  _appendHistory(base, records) {
+    const offset = base.length;
+    return [
+      ...base,
+      ...records.map((record, idx) => ({
+        ...record,
+        version: (record.version ?? idx + 1) + offset,
+        ...(record.restoredFrom ? { restoredFrom: record.restoredFrom + offset } : {})
+      }))
+    ];
+  }
+
   /**
    * 从全局元数据中移除
    */
@@ -660,6 +1742,224 @@ export class Workspace {
     }
   }
 
+  /**
+   * 保存内容快照，返回快照 ID（内容 sha256）
+   * @private
+   */
+  async _saveSnapshot(buffer) {
+    const id = createHash("sha256").update(buffer).digest("hex");
+    const snapshotPath = path.join(this.snapshotsDir, id);
+    if (!existsSync(snapshotPath)) {
+      await mkdir(this.snapshotsDir, { recursive: true });
+      await writeFile(snapshotPath, buffer);
+    }
+    return id;
+  }
+
+  /**
+   * 如果磁盘上的当前内容与最后一个版本快照不一致（例如由外部进程写入），
+   * 先将其保存为一个 external 版本，保证覆盖或删除前的内容可以恢复
+   * @private
+   * @returns {Promise<string|null>} 当前磁盘内容的修订号，文件不存在时为 null
+   */
+  async _captureExternalVersion(relativePath, fullPath, fileMeta) {
+    let current;
+    try {
+      current = await readFile(fullPath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    const snapshot = await this._saveSnapshot(current);
+    const last = fileMeta.history[fileMeta.history.length - 1];
+    if (last?.snapshot === snapshot) return snapshot;
+
+    fileMeta.history.push({
+      version: fileMeta.history.length + 1,
+      operator: 'external',
+      messageId: null,
+      timestamp: new Date().toISOString(),
+      action: 'external',
+      size: current.length,
+      mimeType: fileMeta.mimeType ?? this._detectMimeType(relativePath, current),
+      snapshot
+    });
+    return snapshot;
+  }
+
+  /**
+   * 检查磁盘配额，超出时抛出 quota_exceeded
+   * @param {string} relativePath
+   * @param {number} fileSize - 写入后的文件大小，用于单文件上限检查
+   * @param {number} growth - 预计新增的磁盘占用
+   * @private
+   */
+  async _assertQuota(relativePath, fileSize, growth) {
+    const quota = this.quota;
+    if (!quota) return;
+    const key = relativePath.replace(/\\/g, "/");
+    const exceeded = (details) => Object.assign(new Error("quota_exceeded"), { details: { path: key, ...details } });
+
+    if (quota.maxFileBytes && fileSize > quota.maxFileBytes) {
+      throw exceeded({ scope: 'file', limit: quota.maxFileBytes, requested: fileSize });
+    }
+    if (growth <= 0) return;
+    if (quota.maxWorkspaceBytes) {
+      const { bytes } = await this.getUsage();
+      if (bytes + growth > quota.maxWorkspaceBytes) {
+        throw exceeded({ scope: 'workspace', limit: quota.maxWorkspaceBytes, used: bytes, requested: growth });
+      }
+    }
+    if (quota.maxTotalBytes && quota.getTotalBytes) {
+      const used = await quota.getTotalBytes();
+      if (used + growth > quota.maxTotalBytes) {
+        throw exceeded({ scope: 'global', limit: quota.maxTotalBytes, used, requested: growth });
+      }
+    }
+  }
+
+  /**
+   * 写入成功后增量更新磁盘占用缓存
+   * @private
+   */
+  _recordUsage(growth, historyGrowth) {
+    if (!this._usage) return;
+    this._usage.bytes += growth;
+    this._usage.historyBytes += historyGrowth;
+  }
+
+  /**
+   * 递归统计目录下所有文件的大小，目录不存在时为 0
+   * @private
+   */
+  async _measureDirectory(dir) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return 0;
+      throw e;
+    }
+    let total = 0;
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        total += await this._measureDirectory(fullPath);
+      } else if (entry.isFile()) {
+        total += await stat(fullPath).then(s => s.size, () => 0);
+      }
+    }
+    return total;
+  }
+
+  /**
+   * 列出所有文件级元数据的相对路径（不含全局索引、快照、锁等内部文件）
+   * @private
+   */
+  async _listFileMetaPaths() {
+    if (!existsSync(this.metaDir)) return [];
+    const internal = new Set([".meta", ".locks", ".search-index.json"]);
+    const files = await this._scanDirectory(this.metaDir);
+    return files.filter(f => !internal.has(f) && !f.startsWith(".snapshots/") && !f.endsWith(".tmp"));
+  }
+
+  /**
+   * 将写操作加入工作区串行队列，前一个操作失败不影响后续操作
+   * @private
+   */
+  _serialize(fn) {
+    const run = this._mutationQueue.then(fn, fn);
+    this._mutationQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 全局索引中记录的修订号：文件大小一致且修改时间不晚于记录时间时视为未被外部修改，否则返回 null
+   * @param {object|null} info - 全局索引中的文件条目
+   * @param {import("node:fs").Stats} stats - 文件当前状态
+   * @returns {string|null}
+   * @private
+   */
+  _storedRevision(info, stats) {
+    if (!info?.revision || info.size !== stats.size) return null;
+    const recordedAt = Date.parse(info.updatedAt);
+    return Number.isFinite(recordedAt) && Math.floor(stats.mtimeMs) <= recordedAt ? info.revision : null;
+  }
+
+  /**
+   * 校验 expectedRevision，不一致时抛出 revision_conflict
+   * @private
+   */
+  async _assertRevision(relativePath, currentRevision, options) {
+    if (options.expectedRevision === undefined || options.expectedRevision === null) return;
+    if (options.expectedRevision === currentRevision) return;
+
+    const info = await this._readGlobalMeta().then(m => m.files[relativePath.replace(/\\/g, "/")]);
+    throw Object.assign(new Error("revision_conflict"), {
+      details: {
+        path: relativePath,
+        expectedRevision: options.expectedRevision,
+        currentRevision,
+        lastOperator: info?.lastOperator ?? null,
+        lastMessageId: info?.lastMessageId ?? null,
+        updatedAt: info?.updatedAt ?? null
+      }
+    });
+  }
+
+  /**
+   * 文件被其他操作者锁定时抛出 file_locked（force 可跳过）
+   * @private
+   */
+  async _assertNotLocked(relativePath, options) {
+    if (options.force) return;
+    const lock = await this.getLock(relativePath);
+    if (lock && lock.owner !== options.operator) {
+      throw Object.assign(new Error("file_locked"), { details: { path: lock.path, lock } });
+    }
+  }
+
+  /**
+   * 读取建议锁表，自动剔除已过期的锁
+   * @private
+   * @returns {Promise<Record<string, object>>}
+   */
+  async _readLocks() {
+    let locks = {};
+    try {
+      locks = JSON.parse(await readFile(this.locksFile, "utf8"))?.locks ?? {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        void this.log.warn("建议锁文件读取失败，按无锁处理", { workspaceId: this.id, error: e.message });
+      }
+    }
+    const now = Date.now();
+    for (const [key, lock] of Object.entries(locks)) {
+      if (!(Date.parse(lock?.expiresAt) > now)) delete locks[key];
+    }
+    return locks;
+  }
+
+  /**
+   * @private
+   */
+  async _writeLocks(locks) {
+    await mkdir(this.metaDir, { recursive: true });
+    await writeFile(this.locksFile, JSON.stringify({ locks }, null, 2), "utf8");
+  }
+
+  /**
+   * 判断内容是否为二进制（前 8000 字节中包含空字节）
+   * @private
+   */
+  _isBinaryBuffer(buffer) {
+    const checkLen = Math.min(buffer.length, 8000);
+    for (let i = 0; i < checkLen; i++) {
+      if (buffer[i] === 0) return true;
+    }
+    return false;
+  }
+
   /**
    * 写入文件级元数据
    * @private
@@ -4,6 +4,7 @@ console.log("WorkspaceManager.js loaded");
 import path from "node:path";
 import { createNoopModuleLogger } from "../../utils/logger/logger.js";
 import { Workspace } from "./workspace.js";
+import { normalizeQuotaConfig } from "./quota.js";
 
 /**
  * 工作区管理器
@@ -11,12 +12,14 @@ import { Workspace } from "./workspace.js";
  */
 export class WorkspaceManager {
   /**
-   * @param {object} options { workspacesDir, logger }
+   * @param {object} options { workspacesDir, logger, quota }
+   * - quota: app.json 中的 workspaceQuota（见 quota.js），省略表示不限制
    */
   constructor(options = {}) {
     // 基础工作区目录，默认为项目根目录下的 data/workspaces
     this.workspacesDir = options.workspacesDir || path.resolve(process.cwd(), "data/workspaces");
     this.log = options.logger ?? createNoopModuleLogger();
+    this.quota = normalizeQuotaConfig(options.quota);
     
     /** @type {Map<string, Workspace>} */
     this._workspaces = new Map();
@@ -36,7 +39,7 @@ export class WorkspaceManager {
       return this._workspaces.get(workspaceId);
     }
 
-    const ws = new Workspace(workspaceId, this.workspacesDir, { logger: this.log });
+    const ws = new Workspace(workspaceId, this.workspacesDir, { logger: this.log, quota: this._quotaFor() });
     this._workspaces.set(workspaceId, ws);
     
     return ws;
@@ -194,6 +197,29 @@ export class WorkspaceManager {
     return results.sort((a, b) => b.updatedAt - a.updatedAt);
   }
 
+  /**
+   * 统计所有工作区的实际磁盘占用之和（用于总配额检查）
+   * @returns {Promise<number>}
+   */
+  async getTotalUsage() {
+    let total = 0;
+    for (const { id } of await this.listWorkspaces()) {
+      const ws = await this.getWorkspace(id);
+      total += (await ws.getUsage()).bytes;
+    }
+    return total;
+  }
+
+  /**
+   * 构造注入给工作区的配额对象，未配置任何限额时返回 null
+   * @private
+   */
+  _quotaFor() {
+    const { maxWorkspaceBytes, maxTotalBytes, maxFileBytes } = this.quota;
+    if (!maxWorkspaceBytes && !maxTotalBytes && !maxFileBytes) return null;
+    return { maxWorkspaceBytes, maxTotalBytes, maxFileBytes, getTotalBytes: () => this.getTotalUsage() };
+  }
+
   // --- 以下为兼容旧版代码保留的方法，后续迁移完成后可删除 ---
 
   /**
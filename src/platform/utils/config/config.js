@@ -94,6 +94,7 @@ export class Config {
       promptsDir: path.resolve(process.cwd(), cfg.promptsDir),
       workspacesDir: dataDir ? path.resolve(dataDir, "workspaces") : (cfg.workspacesDir ? path.resolve(process.cwd(), cfg.workspacesDir) : path.resolve(process.cwd(), "data/workspaces")),
       runtimeDir: dataDir ? path.resolve(dataDir, "state") : path.resolve(process.cwd(), cfg.runtimeDir),
+      artifactsDir: dataDir ? path.resolve(dataDir, "artifacts") : (cfg.artifactsDir ? path.resolve(process.cwd(), cfg.artifactsDir) : path.resolve(process.cwd(), "data/runtime/artifacts")),
       maxSteps: Number.isFinite(cfg.maxSteps) ? cfg.maxSteps : 200,
       maxToolRounds: Number.isFinite(cfg.maxToolRounds) ? cfg.maxToolRounds : 20000,
       httpPort: Number.isFinite(cfg.httpPort) ? cfg.httpPort : 3000,
@@ -110,6 +111,10 @@ export class Config {
       dataDir,
       modules: cfg.modules ?? {},
       contextLimit: cfg.contextLimit ?? null,
+      messageBus: cfg.messageBus ?? null,
+      workspaceQuota: cfg.workspaceQuota ?? null,
+      workspaceRetention: cfg.workspaceRetention ?? null,
+      turnCheckpoints: typeof cfg.turnCheckpoints === "boolean" ? cfg.turnCheckpoints : false,
       llmServices
     };
   }
@@ -2,17 +2,43 @@
  * 消息格式化器
  * 
  * 负责将消息格式化为智能体可理解的结构化文本。
- * 包含来源标识行、消息内容、回复提示。
+ * 包含来源标识行、请求/回复关联信息、消息内容、回复提示。
  * 支持多模态消息（图片附件）。
  * 
  * Requirements: 10.1, 10.2, 10.3, 10.4, 10.5, 6.1, 6.2
  */
 
+import { PRIORITY_LEVELS } from "./message_priority.js";
+
+/**
+ * 系统合成通知（payload.kind）对应的来源标识行：消息总线的回复超时/未送达通知、会议服务的轮次通知、任务黑板的变更通知、评审服务的请求与结论通知、任务跟踪的状态与依赖通知、组织调整通知
+ */
+const SYSTEM_NOTICE_HEADERS = {
+  reply_timeout: '【系统通知：等待回复超时】',
+  dead_letter: '【系统通知：消息未能送达】',
+  meeting_turn: '【会议通知：轮到你发言】',
+  meeting_ended: '【会议通知：会议已结束】',
+  blackboard_change: '【黑板通知：数据已变更】',
+  review_request: '【评审通知：请你评审】',
+  review_verdict: '【评审通知：收到评审结论】',
+  review_cancelled: '【评审通知：评审已撤回】',
+  task_status: '【任务通知：委派任务状态变更】',
+  task_dependency: '【任务通知：依赖任务状态变更】',
+  agent_reassigned: '【组织通知：汇报关系已调整】'
+};
+
 /**
  * 格式化消息以呈现给智能体
  * @param {Object} message - 原始消息
+ * @param {string} [message.id] - 消息ID（回复提示中用于 reply_to_message）
  * @param {string} message.from - 发送者ID
  * @param {any} message.payload - 消息内容
+ * @param {string} [message.correlationId] - 关联ID
+ * @param {string} [message.inReplyTo] - 所回复的消息ID
+ * @param {string} [message.replyBy] - 发送者等待回复的截止时间
+ * @param {number} [message.priority] - 投递优先级（见 message_priority.js）
+ * @param {string} [message.channel] - 频道广播的来源频道
+ * @param {string} [message.scheduleId] - 定时消息所属的计划ID
  * @param {Object} [senderInfo] - 发送者信息
  * @param {string} [senderInfo.role] - 发送者角色名称
  * @returns {string} 格式化后的消息文本
@@ -21,10 +47,14 @@ export function formatMessageForAgent(message, senderInfo) {
   const from = message?.from ?? 'unknown';
   const payload = message?.payload;
   const senderRole = senderInfo?.role ?? 'unknown';
+  // 系统生成的合成通知（回复超时、消息未送达、会议轮次、黑板变更、评审、任务状态、组织调整），不是对方真正发出的消息
+  const systemNotice = SYSTEM_NOTICE_HEADERS[payload?.kind] ?? null;
 
   // 生成来源标识行（Requirements 10.3, 10.4）
   let header;
-  if (from === 'user') {
+  if (systemNotice) {
+    header = systemNotice;
+  } else if (from === 'user') {
     // 用户消息的特殊格式（Requirements 10.4）
     header = '【来自用户的消息】';
   } else {
@@ -67,6 +97,15 @@ export function formatMessageForAgent(message, senderInfo) {
       attachmentInfo = `\n\n【附件列表】\n${attachmentDescriptions.join('\n')}`;
     }
     
+    // 处理工件引用（由 send_message 规范化为工件摘要）
+    if (Array.isArray(payload.artifacts) && payload.artifacts.length > 0) {
+      const artifactDescriptions = payload.artifacts.map((ref, idx) => {
+        const label = ref.name ? `${ref.name} ` : '';
+        return `  ${idx + 1}. [${ref.type ?? 'binary'}] ${label}(artifactId=${ref.artifactId}, ${ref.mimeType ?? 'unknown'}, ${ref.size ?? '?'} 字节)`;
+      });
+      attachmentInfo += `\n\n【工件引用】\n${artifactDescriptions.join('\n')}\n可使用 get_artifact(artifactId) 读取工件内容`;
+    }
+    
     // 如果没有 text/content 字段且不是附件消息，则序列化整个 payload
     if (!content && !attachmentInfo) {
       content = JSON.stringify(payload);
@@ -75,14 +114,38 @@ export function formatMessageForAgent(message, senderInfo) {
     content = String(payload);
   }
 
+  // 请求/回复关联信息（紧急消息额外提示优先处理）
+  let correlationInfo = '';
+  if (message?.channel) {
+    correlationInfo += `\n（频道 #${message.channel} 的广播消息）`;
+  }
+  if (message?.scheduleId) {
+    correlationInfo += `\n（定时消息，计划ID=${message.scheduleId}，可用 list_schedules 查看）`;
+  }
+  if (message?.priority >= PRIORITY_LEVELS.urgent) {
+    correlationInfo += '\n（紧急消息，请优先处理）';
+  }
+  if (!systemNotice && message?.inReplyTo) {
+    correlationInfo += `\n（这是对消息 ${message.inReplyTo} 的回复，correlationId=${message.correlationId ?? message.inReplyTo}）`;
+  } else if (!systemNotice && message?.correlationId) {
+    correlationInfo += `\n（correlationId=${message.correlationId}）`;
+  }
+  if (!systemNotice && message?.replyBy) {
+    correlationInfo += `\n（对方正在等待回复，请在 ${message.replyBy} 前回复，超时对方会收到未回复通知）`;
+  }
+
   // 生成回复提示（Requirements 10.5）
-  // 用户消息不需要回复提示
-  const replyHint = from !== 'user'
-    ? `\n如需回复，请使用 send_message(to='${from}', ...)`
-    : '';
+  // 用户消息与系统通知不需要回复提示
+  let replyHint = '';
+  if (from !== 'user' && !systemNotice) {
+    replyHint = `\n如需回复，请使用 send_message(to='${from}', ...)`;
+    if (message?.id) {
+      replyHint += `；回复本条消息请使用 reply_to_message(messageId='${message.id}', ...)，对方可据此关联回复`;
+    }
+  }
 
   // 组合最终格式（Requirements 10.1, 10.2）
-  return `${header}\n${content}${attachmentInfo}${replyHint}`;
+  return `${header}${correlationInfo}\n${content}${attachmentInfo}${replyHint}`;
 }
 
 /**
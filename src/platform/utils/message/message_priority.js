@@ -0,0 +1,87 @@
+/**
+ * 消息优先级
+ *
+ * 消息信封上的 priority 是一个数值，越大越先处理：
+ * - 显式指定：send_message 的 priority 参数或 TaskBrief.priority，取值为 urgent/high/normal/low；
+ * - 未指定时按收发关系推导：用户 > 上级（父智能体或 root）> 同级。
+ *
+ * MessageBus 按优先级出队（同优先级保持 FIFO），ComputeScheduler 以同样的数值为就绪智能体加权。
+ */
+
+/**
+ * 显式优先级等级
+ */
+export const PRIORITY_LEVELS = Object.freeze({
+  urgent: 100,
+  high: 75,
+  normal: 50,
+  low: 25
+});
+
+/**
+ * 按收发关系推导的优先级
+ */
+export const RELATION_PRIORITY = Object.freeze({
+  user: 75,
+  parent: 60,
+  peer: 50
+});
+
+export const DEFAULT_PRIORITY = PRIORITY_LEVELS.normal;
+
+/**
+ * TaskBrief.priority 等自由文本的别名
+ */
+const LEVEL_ALIASES = {
+  urgent: "urgent", critical: "urgent", "紧急": "urgent", "最高": "urgent",
+  high: "high", "高": "high", "较高": "high",
+  normal: "normal", medium: "normal", "普通": "normal", "中": "normal", "一般": "normal",
+  low: "low", "低": "low", "较低": "low"
+};
+
+/**
+ * 将等级名或数值解析为优先级数值
+ * @param {string|number|null|undefined} value - "urgent"/"high"/"normal"/"low"、中文别名或 0~100 的数值
+ * @returns {number|null} 无法识别时返回 null
+ */
+export function parsePriority(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? Math.min(100, Math.max(0, Math.round(value))) : null;
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return parsePriority(Number(text));
+  // 允许 "高优先级"、"urgent - 今天必须完成" 这类带说明的写法
+  const alias = LEVEL_ALIASES[text] ? text : Object.keys(LEVEL_ALIASES).find((key) => text.startsWith(key));
+  return alias ? PRIORITY_LEVELS[LEVEL_ALIASES[alias]] : null;
+}
+
+/**
+ * 优先级数值对应的等级名（向下取最近的等级）
+ * @param {number} priority
+ * @returns {"urgent"|"high"|"normal"|"low"}
+ */
+export function priorityLevelName(priority) {
+  const value = Number.isFinite(priority) ? priority : DEFAULT_PRIORITY;
+  if (value >= PRIORITY_LEVELS.urgent) return "urgent";
+  if (value >= PRIORITY_LEVELS.high) return "high";
+  if (value >= PRIORITY_LEVELS.normal) return "normal";
+  return "low";
+}
+
+/**
+ * 按收发关系推导消息优先级
+ * @param {{from: string, to: string}} message
+ * @param {(agentId: string) => string|null} [getParentId] - 返回智能体的父智能体ID
+ * @returns {number}
+ */
+export function relationPriority(message, getParentId) {
+  const from = message?.from;
+  if (from === "user") return RELATION_PRIORITY.user;
+  if (from === "root") return RELATION_PRIORITY.parent;
+  if (from && typeof getParentId === "function" && getParentId(message.to) === from) {
+    return RELATION_PRIORITY.parent;
+  }
+  return RELATION_PRIORITY.peer;
+}
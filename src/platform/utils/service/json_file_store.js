@@ -0,0 +1,134 @@
+import { mkdir, readFile, writeFile, rename } from "node:fs/promises";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { createNoopModuleLogger } from "../logger/logger.js";
+
+/**
+ * JSON 状态文件
+ *
+ * 计划、会议、黑板、评审、任务与死信等服务把内存中的全部状态保存为一个 JSON 文件。
+ * 写入先写 .tmp 临时文件再重命名，进程中途退出不会留下半个文件；
+ * 异步写入在调用时即序列化数据，并按调用顺序串行执行，后完成的总是较新的状态。
+ * 写入失败只记录日志，不向调用方抛出；读取时无法解析的文件改名保留后以空数据启动，
+ * 其他读取错误向调用方抛出，避免服务以空数据启动后覆盖原有状态。
+ */
+export class JsonFileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON 文件路径
+   * @param {string} options.label - 日志中的文件名称，如 "会议文件"
+   * @param {object} [options.logger]
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.label = options.label;
+    this.log = options.logger ?? createNoopModuleLogger();
+    this._saveChain = Promise.resolve();
+  }
+
+  /**
+   * 读取文件；文件不存在时返回 null。
+   * 无法解析时把文件改名为 <文件名>.corrupt-<时间戳> 保留并返回 null，其他读取错误原样抛出。
+   * @returns {Promise<any|null>}
+   * @throws {Error} 文件存在但无法读取，或损坏文件无法改名
+   */
+  async load() {
+    let text;
+    try {
+      text = await readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err?.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      const corruptPath = this._corruptPath();
+      await rename(this.filePath, corruptPath);
+      this._warnCorrupt(err, corruptPath);
+      return null;
+    }
+  }
+
+  /**
+   * load 的同步版本
+   * @returns {any|null}
+   * @throws {Error}
+   */
+  loadSync() {
+    let text;
+    try {
+      text = readFileSync(this.filePath, "utf8");
+    } catch (err) {
+      if (err?.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      const corruptPath = this._corruptPath();
+      renameSync(this.filePath, corruptPath);
+      this._warnCorrupt(err, corruptPath);
+      return null;
+    }
+  }
+
+  /**
+   * 原子写入；多次调用按顺序串行执行
+   * @param {object} data
+   * @returns {Promise<void>}
+   */
+  save(data) {
+    const text = JSON.stringify(data, null, 2);
+    this._saveChain = this._saveChain.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      try {
+        await mkdir(path.dirname(this.filePath), { recursive: true });
+        await writeFile(tmpPath, text, "utf8");
+        await rename(tmpPath, this.filePath);
+      } catch (err) {
+        this._errorSaveFailed(err);
+      }
+    });
+    return this._saveChain;
+  }
+
+  /**
+   * save 的同步版本（供需要与预写日志同步落盘的调用方使用）
+   * @param {object} data
+   */
+  saveSync(data) {
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      mkdirSync(path.dirname(this.filePath), { recursive: true });
+      writeFileSync(tmpPath, JSON.stringify(data, null, 2), "utf8");
+      renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      this._errorSaveFailed(err);
+    }
+  }
+
+  /**
+   * 损坏文件的保留路径，与已有的保留文件不重名
+   * @private
+   */
+  _corruptPath() {
+    let stamp = Date.now();
+    while (existsSync(`${this.filePath}.corrupt-${stamp}`)) stamp++;
+    return `${this.filePath}.corrupt-${stamp}`;
+  }
+
+  /**
+   * @private
+   */
+  _warnCorrupt(err, corruptPath) {
+    void this.log.warn(`${this.label}无法解析，已改名保留为 ${path.basename(corruptPath)}，以空数据启动`, { filePath: this.filePath, corruptPath, error: err?.message ?? String(err) });
+  }
+
+  /**
+   * @private
+   */
+  _errorSaveFailed(err) {
+    void this.log.error(`保存${this.label}失败`, { filePath: this.filePath, error: err?.message ?? String(err) });
+  }
+}
@@ -0,0 +1,20 @@
+import { formatLocalTime } from "../logger/logger.js";
+
+/**
+ * 创建带原因的参数错误，如 reasonError("invalid_meeting", "title_required")
+ * @param {string} code - 错误码（err.message）
+ * @param {string} reason - 具体原因（err.details.reason）
+ * @returns {Error}
+ */
+export function reasonError(code, reason) {
+  return Object.assign(new Error(code), { details: { reason } });
+}
+
+/**
+ * 把毫秒时间戳格式化为本地时间字符串，空值返回 null（用于服务的对外视图）
+ * @param {number|null|undefined} ms
+ * @returns {string|null}
+ */
+export function formatOptionalTime(ms) {
+  return ms === null || ms === undefined ? null : formatLocalTime(new Date(ms));
+}
@@ -0,0 +1,19 @@
+/**
+ * 测试辅助函数：模拟 HTTP 请求
+ */
+
+import { EventEmitter } from "node:events";
+
+/**
+ * 创建带 JSON 请求体的模拟请求，下一个事件循环依次触发 data 与 end
+ * @param {any} [body] - 请求体，undefined 时只触发 end
+ * @returns {EventEmitter}
+ */
+export function createJsonReq(body) {
+  const req = new EventEmitter();
+  setTimeout(() => {
+    if (body !== undefined) req.emit("data", Buffer.from(JSON.stringify(body)));
+    req.emit("end");
+  }, 0);
+  return req;
+}
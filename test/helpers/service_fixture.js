@@ -0,0 +1,32 @@
+/**
+ * 测试辅助函数：为以 runtimeDir 和消息总线构造的服务（计划、会议、黑板、评审、任务）创建测试实例
+ */
+
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+
+/**
+ * 创建服务测试夹具，每次 setup 使用 test/.tmp/<name> 下的新目录
+ * @param {string} name - 临时目录名
+ * @param {string} key - setup 返回值中服务实例的属性名
+ * @param {(deps: {runtimeDir: string, bus: MessageBus, isAgentActive: (agentId: string) => boolean}) => object} create - 创建服务实例，init 由夹具调用
+ * @returns {{baseDir: string, newRuntimeDir: () => string, setup: (options?: {runtimeDir?: string, bus?: MessageBus, terminated?: Set<string>}) => Promise<object>, cleanup: () => Promise<void>}}
+ */
+export function createServiceFixture(name, key, create) {
+  const baseDir = path.resolve(process.cwd(), `test/.tmp/${name}`);
+  const newRuntimeDir = () => path.join(baseDir, Math.random().toString(36).slice(2));
+  return {
+    baseDir,
+    newRuntimeDir,
+    async setup(options = {}) {
+      const runtimeDir = options.runtimeDir ?? newRuntimeDir();
+      const bus = options.bus ?? new MessageBus();
+      const terminated = options.terminated ?? new Set();
+      const service = create({ runtimeDir, bus, isAgentActive: (agentId) => !terminated.has(agentId) });
+      await service.init();
+      return { runtimeDir, bus, terminated, [key]: service };
+    },
+    cleanup: () => rm(baseDir, { recursive: true, force: true })
+  };
+}
@@ -6,6 +6,7 @@ import { Runtime } from "../../src/platform/core/runtime.js";
 import { AgentSociety } from "../../src/platform/core/agent_society.js";
 import { Config } from "../../src/platform/utils/config/config.js";
 import path from "node:path";
+import { mkdir, writeFile } from "node:fs/promises";
 
 /**
  * 创建测试用的 Runtime 实例
@@ -21,6 +22,37 @@ export function createTestRuntime(configDir, options = {}) {
   });
 }
 
+/**
+ * 生成 test/.tmp 下不重复的临时目录路径（不创建目录）
+ * @param {string} name - 目录名前缀
+ * @returns {string}
+ */
+export function newTestTmpDir(name) {
+  return path.resolve(process.cwd(), `test/.tmp/${name}_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+}
+
+/**
+ * 在独立的临时目录中写入 app.json 并创建、初始化 Runtime
+ * 运行时状态与工作空间都放在该目录下，调用方在用例结束后删除 tmpDir。
+ * @param {string} name - 临时目录名前缀
+ * @param {object} [appConfig] - 覆盖默认 app.json 的配置项
+ * @returns {Promise<{runtime: Runtime, tmpDir: string}>}
+ */
+export async function createTempTestRuntime(name, appConfig = {}) {
+  const tmpDir = newTestTmpDir(name);
+  await mkdir(tmpDir, { recursive: true });
+  await writeFile(path.resolve(tmpDir, "app.json"), JSON.stringify({
+    promptsDir: "config/prompts",
+    workspacesDir: path.resolve(tmpDir, "workspaces"),
+    runtimeDir: tmpDir,
+    maxSteps: 50,
+    ...appConfig
+  }, null, 2), "utf8");
+  const runtime = createTestRuntime(tmpDir);
+  await runtime.init();
+  return { runtime, tmpDir };
+}
+
 /**
  * 创建测试用的 Runtime 实例（使用默认配置）
  * @param {object} [options] - Runtime 选项
@@ -5,6 +5,7 @@ import { rm, mkdir, writeFile, readFile } from "node:fs/promises";
 import { Runtime } from "../../src/platform/core/runtime.js";
 import { Config } from "../../src/platform/utils/config/config.js";
 import { ModuleLoader } from "../../src/platform/extensions/module_loader.js";
+import { parseOutputPathMatchers } from "../../modules/ffmpeg/ffmpeg_manager.js";
 
 const PROJECT_ROOT = path.resolve(import.meta.dir, "..", "..");
 const TEST_DIR = path.resolve(process.cwd(), "test/.tmp/ffmpeg_module_test");
@@ -174,3 +175,24 @@ describe("FFmpeg Module - Run and Status", () => {
     expect(status.progress?.lastStderrLines?.some((l) => String(l).includes("intentional_fail"))).toBe(true);
   });
 });
+
+describe("FFmpeg Module - Output paths", () => {
+  const root = path.resolve(TEST_DIR, "ws");
+  const matches = (command, file) => parseOutputPathMatchers(command, root).some((re) => re.test(file));
+
+  it("only matches output paths named in the command", () => {
+    const command = '-y -i input/a.mp4 -c:v libx264 "out dir/clip.mp4"';
+    expect(matches(command, "out dir/clip.mp4")).toBe(true);
+    expect(matches(command, "input/a.mp4")).toBe(false);
+    expect(matches(command, "notes/other-agent.md")).toBe(false);
+  });
+
+  it("expands image sequence patterns and ignores paths outside the workspace", () => {
+    const command = `-i in.mp4 frames/f_%03d.png ../escape.png ${path.join(root, "abs.png")}`;
+    expect(matches(command, "frames/f_001.png")).toBe(true);
+    expect(matches(command, "frames/f_1234.png")).toBe(true);
+    expect(matches(command, "frames/f_x.png")).toBe(false);
+    expect(matches(command, "abs.png")).toBe(true);
+    expect(parseOutputPathMatchers(command, root).some((re) => re.source.includes("escape"))).toBe(false);
+  });
+});
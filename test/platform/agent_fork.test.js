@@ -0,0 +1,104 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, readFile } from "node:fs/promises";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { createJsonReq } from "../helpers/http_request.js";
+import { createTempTestRuntime } from "../helpers/test_runtime.js";
+
+describe("fork agents with their conversation", () => {
+  let runtime;
+  let tmpDir;
+  let lead;
+  let architect;
+  let reviewer;
+
+  const call = (agentId, name, args) => runtime.executeToolCall({ agent: { id: agentId }, currentMessage: null, tools: { sendMessage: (m) => runtime.bus.send(m) } }, name, args);
+
+  beforeEach(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("agent_fork"));
+    const role = await runtime.org.createRole({ name: "architect", rolePrompt: "p" });
+    lead = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    architect = await runtime.spawnAgent({ roleId: role.id, parentAgentId: lead.id, taskBrief: { objective: "设计架构" } });
+    reviewer = await runtime.spawnAgent({ roleId: role.id, parentAgentId: lead.id });
+
+    runtime._conversations.set(architect.id, [
+      { role: "system", content: "系统提示词" },
+      { role: "user", content: "阅读代码库" },
+      { role: "assistant", content: "已阅读，模块划分如下……" },
+      { role: "user", content: "给出方案A" },
+      { role: "assistant", content: null, tool_calls: [{ id: "call_1", type: "function", function: { name: "read_file", arguments: "{}" } }] },
+      { role: "tool", tool_call_id: "call_1", content: "{\"ok\":true}" }
+    ]);
+    runtime.contactManager.initRegistry(architect.id, lead.id);
+    runtime.contactManager.addContact(architect.id, { id: reviewer.id, role: "architect", source: "introduction", introducedBy: lead.id });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("copies the conversation, contacts and task brief into an independent agent", async () => {
+    const result = await runtime.forkAgent(architect.id, { forkedBy: lead.id, name: "方案B" });
+    expect(result).toMatchObject({ ok: true, forkedFrom: architect.id, parentAgentId: lead.id, forkIndex: 6, messageCount: 7 });
+
+    const forkId = result.agentId;
+    expect(runtime.org.getAgent(forkId)).toMatchObject({ roleId: architect.roleId, parentAgentId: lead.id, name: "方案B", forkedFrom: architect.id, forkMessageIndex: 6 });
+    expect(runtime._state.getAgentTaskBrief(forkId)).toEqual({ objective: "设计架构" });
+
+    const conv = runtime._conversations.get(forkId);
+    expect(conv.slice(0, 6)).toEqual(runtime._conversations.get(architect.id));
+    expect(conv[6].role).toBe("user");
+    expect(conv[6].content).toContain("【分叉说明】");
+    conv[1].content = "改动副本";
+    expect(runtime._conversations.get(architect.id)[1].content).toBe("阅读代码库");
+    expect(runtime._conversations.get(architect.id)).toHaveLength(6);
+
+    expect(runtime.contactManager.getContact(forkId, reviewer.id)).toMatchObject({ source: "introduction", introducedBy: lead.id });
+    expect(runtime.contactManager.getContact(forkId, lead.id)?.source).toBe("parent");
+
+    const saved = JSON.parse(await readFile(path.join(tmpDir, "conversations", `${forkId}.json`), "utf8"));
+    expect(saved.messages).toHaveLength(7);
+  });
+
+  test("truncates at a message index and closes tool calls cut off by the fork point", async () => {
+    const result = await runtime.forkAgent(architect.id, { truncateAt: 5 });
+    const conv = runtime._conversations.get(result.agentId);
+    expect(result).toMatchObject({ ok: true, forkIndex: 5, messageCount: 7 });
+    expect(conv[5]).toMatchObject({ role: "tool", tool_call_id: "call_1" });
+    expect(JSON.parse(conv[5].content).error).toBe("tool_call_not_forked");
+
+    expect(await runtime.forkAgent(architect.id, { truncateAt: 0 })).toMatchObject({ ok: false, reason: "invalid_truncate_index", messageCount: 6 });
+    expect(await runtime.forkAgent(architect.id, { truncateAt: 7 })).toMatchObject({ ok: false, reason: "invalid_truncate_index" });
+    expect((await runtime.forkAgent("root")).reason).toBe("cannot_fork_system_agent");
+    expect((await runtime.forkAgent("ghost")).reason).toBe("agent_not_found");
+  });
+
+  test("only the parent forks a child with the tool", async () => {
+    expect((await call(reviewer.id, "fork_agent", { agentId: architect.id })).error).toBe("not_child_agent");
+    expect(await call(lead.id, "fork_agent", { agentId: architect.id, truncateAt: 9 })).toMatchObject({ error: "invalid_truncate_index", messageCount: 6 });
+    const agentCount = runtime._agents.size;
+    expect(await call(lead.id, "fork_agent", { agentId: reviewer.id })).toMatchObject({ error: "empty_conversation", agentId: reviewer.id });
+    expect(runtime._agents.size).toBe(agentCount);
+
+    const forked = await call(lead.id, "fork_agent", { agentId: architect.id, truncateAt: 3 });
+    expect(forked).toMatchObject({ success: true, forkedFrom: architect.id, forkIndex: 3, messageCount: 4 });
+    expect(runtime._agents.has(forked.agentId)).toBe(true);
+    expect(runtime._agentMetaById.get(forked.agentId).parentAgentId).toBe(lead.id);
+  });
+
+  test("forks over HTTP", async () => {
+    const server = new HTTPServer({});
+    const respond = (agentId, body) => new Promise((resolve) => {
+      server._sendJson = (_res, status, payload) => resolve({ status, payload });
+      server._handleForkAgent(createJsonReq(body), agentId, {});
+    });
+    server.setRuntime(runtime);
+
+    const forked = await respond(architect.id, { truncateAt: 2 });
+    expect(forked.status).toBe(200);
+    expect(forked.payload).toMatchObject({ ok: true, forkedFrom: architect.id, forkIndex: 2 });
+    expect((await respond(architect.id, { truncateAt: 99 })).status).toBe(400);
+    expect((await respond("ghost")).status).toBe(404);
+    expect(await respond(reviewer.id, {})).toEqual({ status: 409, payload: { error: "empty_conversation", agentId: reviewer.id } });
+  });
+});
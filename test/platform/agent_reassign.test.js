@@ -0,0 +1,93 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, readFile } from "node:fs/promises";
+import { createTempTestRuntime } from "../helpers/test_runtime.js";
+
+describe("reassign agents and hand over subordinates", () => {
+  let runtime;
+  let tmpDir;
+  let leadA;
+  let leadB;
+  let dev;
+  let intern;
+
+  const call = (agentId, name, args) => runtime.executeToolCall({ agent: { id: agentId }, currentMessage: null, tools: { sendMessage: (m) => runtime.bus.send(m) } }, name, args);
+
+  beforeEach(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("agent_reassign"));
+    const role = await runtime.org.createRole({ name: "dev", rolePrompt: "p" });
+    leadA = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    leadB = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    dev = await runtime.spawnAgent({ roleId: role.id, parentAgentId: leadA.id });
+    intern = await runtime.spawnAgent({ roleId: role.id, parentAgentId: dev.id });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("moves an agent with its subtree and updates org, contacts, tasks and notices", async () => {
+    const task = await runtime.taskRegistry.createTask({ title: "接口开发", assigneeId: dev.id, creatorId: leadA.id });
+    runtime.contactManager.initRegistry(dev.id, leadA.id);
+
+    const result = await runtime.reassignAgent(dev.id, leadB.id, { reassignedBy: "root" });
+    expect(result).toEqual({ ok: true, agentId: dev.id, previousParentAgentId: leadA.id, parentAgentId: leadB.id, moved: [dev.id, intern.id] });
+    expect(runtime.org.getAgent(dev.id)).toMatchObject({ parentAgentId: leadB.id, previousParentAgentId: leadA.id });
+    expect(runtime._agentMetaById.get(dev.id).parentAgentId).toBe(leadB.id);
+    expect(runtime.contactManager.getContact(dev.id, leadB.id)?.source).toBe("parent");
+    expect(runtime.contactManager.getContact(dev.id, leadA.id)).toBeNull();
+    expect(runtime.taskRegistry.getTask(task.id).creatorId).toBe(leadB.id);
+
+    const saved = JSON.parse(await readFile(path.join(tmpDir, "org.json"), "utf8"));
+    expect(saved.agents.find((a) => a.id === dev.id).parentAgentId).toBe(leadB.id);
+
+    expect(runtime.bus.receiveNext(dev.id)?.payload).toMatchObject({ kind: "agent_reassigned", parentAgentId: leadB.id });
+    expect(runtime.bus.receiveNext(leadB.id)?.payload).toMatchObject({ kind: "agent_reassigned", agentId: dev.id });
+
+    expect((await runtime.reassignAgent(leadB.id, intern.id)).reason).toBe("reassign_cycle");
+    expect((await runtime.reassignAgent(dev.id, leadB.id)).reason).toBe("same_parent");
+    expect((await runtime.reassignAgent("root", leadB.id)).reason).toBe("cannot_reassign_system_agent");
+  });
+
+  test("only the current parent can reassign, and only within its own subtree", async () => {
+    expect((await call(leadB.id, "reassign_agent", { agentId: dev.id, newParentId: leadB.id })).error).toBe("not_child_agent");
+    expect((await call(leadA.id, "reassign_agent", { agentId: dev.id, newParentId: leadB.id })).error).toBe("parent_not_in_subtree");
+
+    const sibling = await runtime.spawnAgent({ roleId: dev.roleId, parentAgentId: leadA.id });
+    expect(await call(leadA.id, "reassign_agent", { agentId: intern.id, newParentId: sibling.id })).toMatchObject({ error: "not_child_agent" });
+    expect(await call(dev.id, "reassign_agent", { agentId: intern.id, newParentId: dev.id })).toMatchObject({ error: "same_parent" });
+    expect(await call(leadA.id, "reassign_agent", { agentId: sibling.id, newParentId: dev.id })).toEqual({
+      success: true, agentId: sibling.id, previousParentAgentId: leadA.id, parentAgentId: dev.id, moved: [sibling.id]
+    });
+    expect(await call("root", "reassign_agent", { agentId: dev.id, newParentId: leadB.id })).toMatchObject({ success: true, moved: [dev.id, intern.id, sibling.id] });
+  });
+
+  test("terminate_agent with handoverTo keeps the subordinates running", async () => {
+    expect((await call("root", "terminate_agent", { agentId: leadA.id, handoverTo: intern.id })).error).toBe("invalid_handover");
+    expect((await call(leadA.id, "terminate_agent", { agentId: dev.id, handoverTo: leadB.id })).error).toBe("invalid_handover");
+
+    const result = await call("root", "terminate_agent", { agentId: leadA.id, handoverTo: leadB.id, reason: "换负责人" });
+    expect(result).toEqual({ ok: true, terminatedAgentId: leadA.id, handoverTo: leadB.id, handedOver: [dev.id] });
+    expect(runtime._agents.has(leadA.id)).toBe(false);
+    expect(runtime._agents.has(dev.id)).toBe(true);
+    expect(runtime._agents.has(intern.id)).toBe(true);
+    expect(runtime.org.getAgent(dev.id)).toMatchObject({ status: "active", parentAgentId: leadB.id });
+
+    const cascade = await call("root", "terminate_agent", { agentId: leadB.id });
+    expect(cascade).toEqual({ ok: true, terminatedAgentId: leadB.id });
+    expect(runtime._agents.has(intern.id)).toBe(false);
+  });
+
+  test("terminate_agent moves no subordinate when one of them cannot be handed over", async () => {
+    const tester = await runtime.spawnAgent({ roleId: dev.roleId, parentAgentId: leadA.id });
+    const testerAgent = runtime._agents.get(tester.id);
+    runtime._agents.delete(tester.id);
+
+    const result = await call("root", "terminate_agent", { agentId: leadA.id, handoverTo: leadB.id });
+    expect(result).toEqual({ error: "handover_failed", agentId: tester.id, reason: "agent_not_found", handedOver: [] });
+    expect(runtime.org.getAgent(dev.id).parentAgentId).toBe(leadA.id);
+    expect(runtime._agentMetaById.get(dev.id).parentAgentId).toBe(leadA.id);
+    expect(runtime._agents.has(leadA.id)).toBe(true);
+    runtime._agents.set(tester.id, testerAgent);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, readFile } from "node:fs/promises";
+import { OrgPrimitives } from "../../src/platform/core/org_primitives.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { createJsonReq } from "../helpers/http_request.js";
+import { createTempTestRuntime, newTestTmpDir } from "../helpers/test_runtime.js";
+
+describe("suspend and resume agents", () => {
+  let runtime;
+  let tmpDir;
+  let lead;
+  let dev;
+  let intern;
+
+  beforeEach(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("agent_suspend"));
+    const role = await runtime.org.createRole({ name: "dev", rolePrompt: "p" });
+    lead = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    dev = await runtime.spawnAgent({ roleId: role.id, parentAgentId: lead.id });
+    intern = await runtime.spawnAgent({ roleId: role.id, parentAgentId: dev.id });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("suspended agents keep their inbox and are skipped by the scheduler until resumed", async () => {
+    const result = await runtime.suspendAgent(dev.id, { suspendedBy: lead.id, reason: "等待需求", includeDescendants: true });
+    expect(result).toEqual({ ok: true, agentId: dev.id, suspended: [dev.id, intern.id] });
+    expect(runtime.org.getAgent(dev.id)).toMatchObject({ status: "suspended", suspendedBy: lead.id, suspendReason: "等待需求" });
+    expect(runtime.getAgentStatus(intern.id).status).toBe("suspended");
+    expect(runtime.org.getAgent(lead.id).status).toBe("active");
+
+    runtime.bus.send({ to: dev.id, from: lead.id, payload: { text: "需求来了" } });
+    runtime._computeScheduler._ingestMessagesToTurns();
+    expect(runtime.bus.getQueueDepth(dev.id)).toBe(1);
+    expect(runtime._turnEngine.hasRunnable(dev.id)).toBe(false);
+    // 只有暂停的智能体有积压消息时调度循环可以休眠
+    expect(runtime.bus.hasPending((id) => !runtime._computeScheduler._isSuspended(id))).toBe(false);
+
+    expect((await runtime.suspendAgent(dev.id)).reason).toBe("agent_already_suspended");
+    expect((await runtime.suspendAgent("root")).reason).toBe("cannot_suspend_system_agent");
+
+    expect(await runtime.resumeAgent(dev.id, { resumedBy: lead.id })).toEqual({ ok: true, agentId: dev.id, resumed: [dev.id], pendingMessages: 1 });
+    expect(runtime.org.getAgent(dev.id).suspendedAt).toBeUndefined();
+    expect(runtime.org.getAgent(intern.id).status).toBe("suspended");
+    runtime._computeScheduler._ingestMessagesToTurns();
+    expect(runtime.bus.getQueueDepth(dev.id)).toBe(0);
+    expect(runtime._turnEngine.hasRunnable(dev.id)).toBe(true);
+
+    expect((await runtime.resumeAgent(dev.id)).reason).toBe("agent_not_suspended");
+    expect(await runtime.resumeAgent(dev.id, { includeDescendants: true })).toMatchObject({ ok: true, resumed: [intern.id] });
+  });
+
+  test("parents suspend and resume their own children with tools", async () => {
+    const call = (agentId, name, args) => runtime.executeToolCall({ agent: { id: agentId }, currentMessage: null, tools: { sendMessage: (m) => runtime.bus.send(m) } }, name, args);
+
+    expect((await call(lead.id, "suspend_agent", { agentId: intern.id })).error).toBe("not_child_agent");
+    expect((await call(lead.id, "suspend_agent", { agentId: "ghost" })).error).toBe("agent_not_found");
+    expect(await call(lead.id, "suspend_agent", { agentId: dev.id, reason: "暂缓" })).toEqual({ success: true, suspended: [dev.id] });
+
+    const sent = await call(lead.id, "send_message", { to: [dev.id], payload: { text: "稍后处理" } });
+    expect(sent).toMatchObject({ success: true, suspendedRecipients: [dev.id] });
+
+    expect(await call(lead.id, "resume_agent", { agentId: dev.id })).toEqual({ success: true, resumed: [dev.id], pendingMessages: 1 });
+    expect((await call(lead.id, "resume_agent", { agentId: dev.id })).error).toBe("agent_not_suspended");
+  });
+
+  test("suspends and resumes over HTTP", async () => {
+    const server = new HTTPServer({});
+    const respond = (agentId, action, body) => new Promise((resolve) => {
+      server._sendJson = (_res, status, payload) => resolve({ status, payload });
+      server._handleSuspendOrResumeAgent(createJsonReq(body), agentId, action, {});
+    });
+    server.setRuntime(runtime);
+
+    const suspended = await respond(lead.id, "suspend", { includeDescendants: true, reason: "下班" });
+    expect(suspended.status).toBe(200);
+    expect(suspended.payload.suspended).toEqual([lead.id, dev.id, intern.id]);
+    expect((await respond(lead.id, "suspend")).status).toBe(409);
+    expect((await respond("ghost", "resume")).status).toBe(404);
+
+    const resumed = await respond(lead.id, "resume", { includeDescendants: true });
+    expect(resumed.payload).toMatchObject({ ok: true, resumed: [lead.id, dev.id, intern.id], pendingMessages: 0 });
+  });
+});
+
+describe("OrgPrimitives suspension records", () => {
+  let runtimeDir;
+
+  beforeEach(() => {
+    runtimeDir = newTestTmpDir("org_suspension");
+  });
+
+  afterEach(async () => {
+    await rm(runtimeDir, { recursive: true, force: true });
+  });
+
+  test("persists suspended status across reloads and never revives terminated agents", async () => {
+    const org = new OrgPrimitives({ runtimeDir });
+    const role = await org.createRole({ name: "r1", rolePrompt: "p1" });
+    const a = await org.createAgent({ roleId: role.id, parentAgentId: "root" });
+    const b = await org.createAgent({ roleId: role.id, parentAgentId: "root" });
+    await org.recordTermination(b.id, "root");
+
+    expect(await org.recordSuspension([a.id, b.id], "root", "暂停")).toEqual([a.id]);
+    const saved = JSON.parse(await readFile(path.join(runtimeDir, "org.json"), "utf8"));
+    expect(saved.agents.find((x) => x.id === a.id)).toMatchObject({ status: "suspended", suspendedBy: "root" });
+
+    const reloaded = new OrgPrimitives({ runtimeDir });
+    await reloaded.loadIfExists();
+    expect(reloaded.getAgent(a.id).status).toBe("suspended");
+    expect(await reloaded.recordResumption([a.id, b.id], "root")).toEqual([a.id]);
+    expect(reloaded.getAgent(b.id).status).toBe("terminated");
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, test } from "bun:test";
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { ArtifactStore } from "../../src/platform/services/artifact/artifact_store.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+
+async function freshStore(name) {
+  const artifactsDir = path.resolve(process.cwd(), "test/.tmp/artifact_store", name);
+  await rm(artifactsDir, { recursive: true, force: true });
+  const store = new ArtifactStore({ artifactsDir });
+  await store.init();
+  return store;
+}
+
+function createExecutor(store, broker = null) {
+  const sent = [];
+  const runtime = {
+    artifactStore: store,
+    uiCommandBroker: broker,
+    _agents: new Map([["a2", { id: "a2" }]]),
+    org: { getAgent: () => null },
+    moduleLoader: { hasToolName: () => false }
+  };
+  const ctx = {
+    agent: { id: "a1" },
+    currentMessage: { id: "m1", taskId: "t1" },
+    tools: { sendMessage: (msg) => { sent.push(msg); return { messageId: `msg-${sent.length}` }; } }
+  };
+  return { executor: new ToolExecutor(runtime), ctx, sent };
+}
+
+describe("ArtifactStore", () => {
+  test("stores content-addressed artifacts and deduplicates identical content", async () => {
+    const store = await freshStore("dedup");
+    const first = await store.putArtifact({ content: "hello", name: "a.txt", mimeType: "text/plain", producerAgentId: "a1", messageId: "m1" });
+    expect(first.id).toMatch(/^[a-f0-9]{64}$/);
+    expect(first.type).toBe("text");
+    expect(first.producerAgentId).toBe("a1");
+    expect(first.messageId).toBe("m1");
+
+    const second = await store.putArtifact({ content: Buffer.from("hello"), producerAgentId: "a2" });
+    expect(second.id).toBe(first.id);
+    expect(second.deduplicated).toBe(true);
+    expect(second.producerAgentId).toBe("a1");
+
+    const { meta, content } = await store.getArtifact(first.id);
+    expect(meta.name).toBe("a.txt");
+    expect(content.toString("utf8")).toBe("hello");
+  });
+
+  test("reloads the metadata index from disk", async () => {
+    const store1 = await freshStore("reload");
+    const png = await store1.putArtifact({ content: Buffer.from([0x89, 0x50, 0x4e, 0x47]), mimeType: "image/png", producerAgentId: "a1", taskId: "t1" });
+    await store1.putArtifact({ content: "{}", type: "json", producerAgentId: "a2" });
+
+    const store2 = new ArtifactStore({ artifactsDir: store1.artifactsDir });
+    expect((await store2.init()).loaded).toBe(2);
+    expect(store2.getMetadata(png.id).type).toBe("image");
+    expect(store2.listArtifacts({ taskId: "t1" }).map((m) => m.id)).toEqual([png.id]);
+    expect(store2.listArtifacts({ producerAgentId: "a2" })[0].mimeType).toBe("application/json");
+  });
+
+  test("rejects invalid ids and missing producers", async () => {
+    const store = await freshStore("errors");
+    expect(() => store.getMetadata("../etc/passwd")).toThrow("invalid_artifact_id");
+    expect(store.getMetadata("0".repeat(64))).toBeNull();
+    await expect(store.getArtifact("0".repeat(64))).rejects.toThrow("artifact_not_found");
+    await expect(store.putArtifact({ content: "x" })).rejects.toThrow("putArtifact_missing_producer");
+  });
+});
+
+describe("artifact tools", () => {
+  test("put_artifact and get_artifact round-trip text and base64 content", async () => {
+    const store = await freshStore("tools");
+    const { executor, ctx } = createExecutor(store);
+
+    const put = await executor.executeToolCall(ctx, "put_artifact", { content: "report", name: "r.md", mimeType: "text/markdown" });
+    expect(put.ok).toBe(true);
+    expect(put.producerAgentId).toBe("a1");
+    expect(put.messageId).toBe("m1");
+    expect(put.taskId).toBe("t1");
+
+    const got = await executor.executeToolCall(ctx, "get_artifact", { artifactId: put.artifactId, offset: 1, length: 3 });
+    expect(got.content).toBe("epo");
+    expect(got.truncated).toBe(true);
+
+    const bin = await executor.executeToolCall(ctx, "put_artifact", { content: Buffer.from([1, 2, 3]).toString("base64"), encoding: "base64" });
+    expect(bin.type).toBe("binary");
+    const gotBin = await executor.executeToolCall(ctx, "get_artifact", { artifactId: bin.artifactId });
+    expect(Buffer.from(gotBin.contentBase64, "base64")).toEqual(Buffer.from([1, 2, 3]));
+
+    expect((await executor.executeToolCall(ctx, "get_artifact", { artifactId: "f".repeat(64) })).error).toBe("artifact_not_found");
+  });
+
+  test("send_message validates and normalizes artifact references", async () => {
+    const store = await freshStore("send");
+    const { executor, ctx, sent } = createExecutor(store);
+    const put = await executor.executeToolCall(ctx, "put_artifact", { content: "data", name: "d.txt" });
+
+    const missing = await executor.executeToolCall(ctx, "send_message", { to: ["a2"], payload: { text: "hi", artifacts: ["a".repeat(64)] } });
+    expect(missing.error).toBe("artifact_not_found");
+    expect(sent).toHaveLength(0);
+
+    const ok = await executor.executeToolCall(ctx, "send_message", { to: ["a2"], payload: { text: "hi", artifacts: [put.artifactId] } });
+    expect(ok.success).toBe(true);
+    expect(sent[0].payload.artifacts).toEqual([{ artifactId: put.artifactId, name: "d.txt", type: "text", mimeType: "text/plain", size: 4 }]);
+
+    const formatted = formatMessageForAgent({ from: "a1", payload: sent[0].payload }, { role: "writer" });
+    expect(formatted).toContain("【工件引用】");
+    expect(formatted).toContain(put.artifactId);
+  });
+
+  test("show_artifacts dispatches a gallery to the active UI client", async () => {
+    const store = await freshStore("show");
+    const commands = [];
+    const broker = {
+      enqueueToActive: (cmd) => { commands.push(cmd); return { ok: true, commandId: "c1" }; },
+      waitForResult: async () => ({ ok: true, result: { shown: 1 } })
+    };
+    const { executor, ctx } = createExecutor(store, broker);
+    const put = await executor.executeToolCall(ctx, "put_artifact", { content: "img", mimeType: "image/png", encoding: "utf8" });
+
+    const result = await executor.executeToolCall(ctx, "show_artifacts", { artifactIds: [put.artifactId], title: "图表" });
+    expect(result).toEqual({ ok: true, shown: 1 });
+    expect(commands[0].type).toBe("show_artifacts");
+    expect(commands[0].payload.title).toBe("图表");
+    expect(commands[0].payload.items[0].url).toBe(`/api/artifacts/${put.artifactId}/content`);
+
+    const offline = createExecutor(store, { enqueueToActive: () => ({ ok: false, error: "ui_client_not_connected" }) });
+    expect((await offline.executor.executeToolCall(offline.ctx, "show_artifacts", { artifactIds: [put.artifactId] })).error).toBe("ui_client_not_connected");
+  });
+});
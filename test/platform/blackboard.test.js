@@ -0,0 +1,207 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { BlackboardManager } from "../../src/platform/services/blackboard/blackboard_manager.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createServiceFixture } from "../helpers/service_fixture.js";
+
+const fixture = createServiceFixture("blackboard", "blackboard", (deps) => new BlackboardManager(deps));
+const setup = fixture.setup;
+
+describe("BlackboardManager", () => {
+  beforeAll(fixture.cleanup);
+  afterAll(fixture.cleanup);
+
+  test("stores JSON values per task and namespace with increasing versions", async () => {
+    const { blackboard } = await setup();
+    expect(blackboard.get("t1", undefined, "plan")).toMatchObject({ namespace: "default", found: false, version: 0 });
+
+    expect(await blackboard.set("t1", { key: "plan", value: { steps: 3 }, agentId: "lead" })).toMatchObject({ version: 1, updatedBy: "lead" });
+    await blackboard.set("t1", { key: "plan", value: { steps: 4 }, agentId: "dev1" });
+    await blackboard.set("t1", { namespace: "progress", key: "api", value: "done", agentId: "dev1" });
+    await blackboard.set("t2", { key: "plan", value: null, agentId: "other" });
+
+    expect(blackboard.get("t1", "default", "plan")).toMatchObject({ found: true, value: { steps: 4 }, version: 2, updatedBy: "dev1" });
+    expect(blackboard.get("t2", "default", "plan")).toMatchObject({ found: true, value: null, version: 1 });
+    expect(blackboard.list("t1").map((e) => `${e.namespace}/${e.key}`)).toEqual(["default/plan", "progress/api"]);
+    expect(blackboard.list("t1", { namespace: "progress", includeValues: false })[0].value).toBeUndefined();
+
+    // 返回值是副本，修改不影响黑板
+    blackboard.get("t1", "default", "plan").value.steps = 99;
+    expect(blackboard.get("t1", "default", "plan").value.steps).toBe(4);
+  });
+
+  test("validates keys and values", async () => {
+    const { blackboard } = await setup();
+    await expect(blackboard.set("t1", { key: "", value: 1 })).rejects.toThrow("invalid_key");
+    await expect(blackboard.set("t1", { key: "k" })).rejects.toThrow("invalid_value");
+    await expect(blackboard.set("t1", { key: "k", value: "x".repeat(70 * 1024) })).rejects.toThrow("value_too_large");
+  });
+
+  test("rejects names that collide with object prototype properties", async () => {
+    const { blackboard } = await setup();
+    for (const name of ["__proto__", "constructor", "prototype"]) {
+      await expect(blackboard.set("t1", { key: name, value: { polluted: true } })).rejects.toThrow("invalid_key");
+      await expect(blackboard.set("t1", { namespace: name, key: "k", value: { polluted: true } })).rejects.toThrow("invalid_key");
+      expect(() => blackboard.get("t1", name, "k")).toThrow("invalid_key");
+    }
+    expect({}.polluted).toBeUndefined();
+    expect(blackboard.list("t1")).toEqual([]);
+
+    // 未写入过的键名即使与 Object.prototype 上的属性同名也视为不存在
+    expect(await blackboard.compareAndSet("t1", { key: "hasOwnProperty", value: 1, expectedVersion: 0 })).toMatchObject({ version: 1 });
+    expect(blackboard.get("t1", "default", "toString")).toMatchObject({ found: false, version: 0 });
+  });
+
+  test("compareAndSet only writes when the expected version or value matches", async () => {
+    const { blackboard } = await setup();
+    await expect(blackboard.compareAndSet("t1", { key: "lock", value: "dev1" })).rejects.toThrow("missing_expectation");
+
+    // expectedVersion=0 表示键必须尚不存在：两个智能体抢同一把锁只有一个成功
+    const results = await Promise.allSettled([
+      blackboard.compareAndSet("t1", { key: "lock", value: "dev1", expectedVersion: 0, agentId: "dev1" }),
+      blackboard.compareAndSet("t1", { key: "lock", value: "dev2", expectedVersion: 0, agentId: "dev2" })
+    ]);
+    expect(results.map((r) => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason.details).toMatchObject({ currentVersion: 1, currentValue: "dev1", updatedBy: "dev1" });
+
+    expect(await blackboard.compareAndSet("t1", { key: "lock", value: null, expectedValue: "dev1", agentId: "dev1" })).toMatchObject({ version: 2, value: null });
+    await expect(blackboard.compareAndSet("t1", { key: "lock", value: "dev2", expectedValue: "dev1", agentId: "dev2" })).rejects.toThrow("version_conflict");
+    expect(await blackboard.compareAndSet("t1", { key: "lock", value: "dev2", expectedVersion: 2, agentId: "dev2" })).toMatchObject({ version: 3 });
+  });
+
+  test("notifies watchers of a key or namespace except the writer", async () => {
+    const { bus, terminated, blackboard } = await setup();
+    await blackboard.watch("t1", { agentId: "lead", namespace: "progress" });
+    await blackboard.watch("t1", { agentId: "lead", namespace: "progress", key: "api" });
+    await blackboard.watch("t1", { agentId: "dev2", namespace: "progress", key: "ui" });
+    await blackboard.watch("t1", { agentId: "dev1", namespace: "progress" });
+    await blackboard.watch("t1", { agentId: "gone", namespace: "progress" });
+    terminated.add("gone");
+
+    await blackboard.set("t1", { namespace: "progress", key: "api", value: "done", agentId: "dev1" });
+    const notice = bus.receiveNext("lead");
+    expect(notice).toMatchObject({ from: "dev1", taskId: "t1", payload: { kind: "blackboard_change", namespace: "progress", key: "api", version: 1, previousVersion: 0 } });
+    expect(notice.payload.text).toContain("\"done\"");
+    expect(bus.receiveNext("lead")).toBeNull();
+    expect(bus.getQueueDepth("dev1")).toBe(0);
+    expect(bus.getQueueDepth("dev2")).toBe(0);
+    expect(bus.getQueueDepth("gone")).toBe(0);
+
+    // 其他任务的同名键不会触发通知
+    await blackboard.set("t2", { namespace: "progress", key: "api", value: "x", agentId: "dev1" });
+    expect(bus.getQueueDepth("lead")).toBe(0);
+
+    expect(await blackboard.unwatch("t1", { agentId: "lead", namespace: "progress", key: "api" })).toEqual({ removed: 1 });
+    expect(blackboard.listWatches("t1", "lead")).toEqual([{ namespace: "progress", key: null }]);
+    expect(await blackboard.unwatch("t1", { agentId: "lead" })).toEqual({ removed: 1 });
+    await blackboard.set("t1", { namespace: "progress", key: "api", value: "again", agentId: "dev1" });
+    expect(bus.getQueueDepth("lead")).toBe(0);
+  });
+
+  test("persists entries and watchers across restarts", async () => {
+    const first = await setup();
+    await first.blackboard.set("t1", { key: "plan", value: [1, 2], agentId: "lead" });
+    await first.blackboard.watch("t1", { agentId: "dev1", key: "plan" });
+    const saved = JSON.parse(await readFile(path.join(first.runtimeDir, "blackboard.json"), "utf8"));
+    expect(Object.keys(saved.boards)).toEqual(["t1"]);
+
+    const second = await setup({ runtimeDir: first.runtimeDir });
+    expect(second.blackboard.get("t1", "default", "plan")).toMatchObject({ value: [1, 2], version: 1 });
+    await second.blackboard.set("t1", { key: "plan", value: [1, 2, 3], agentId: "lead" });
+    expect(second.bus.receiveNext("dev1").payload).toMatchObject({ kind: "blackboard_change", version: 2 });
+  });
+});
+
+describe("blackboard tools, formatting and HTTP", () => {
+  async function toolSetup() {
+    const { bus, blackboard } = await setup();
+    const runtime = {
+      bus,
+      blackboardManager: blackboard,
+      org: { getAgent: (id) => ({ id, status: "active" }) },
+      _agents: new Map([["lead", {}], ["dev1", {}]]),
+      moduleLoader: { hasToolName: () => false },
+      _getTaskIdForAgent: (id) => (id === "dev1" ? "t1" : null)
+    };
+    const executor = new ToolExecutor(runtime);
+    const call = (agentId, name, args, taskId) => executor.executeToolCall({ agent: { id: agentId }, currentMessage: taskId ? { id: "m1", taskId } : null, tools: {} }, name, args);
+    return { bus, blackboard, call };
+  }
+
+  test("scopes tools to the current task and reports conflicts", async () => {
+    const { bus, call } = await toolSetup();
+    expect((await call("lead", "bb_get", { key: "plan" })).error).toBe("missing_task");
+
+    expect(await call("lead", "bb_watch", { namespace: "tasks" }, "t1")).toMatchObject({ success: true, taskId: "t1", namespace: "tasks", key: null });
+    // dev1 没有任务上下文时按智能体所属任务定位黑板
+    expect(await call("dev1", "bb_compare_and_set", { namespace: "tasks", key: "login", value: { owner: "dev1" }, expectedVersion: 0 }))
+      .toMatchObject({ success: true, taskId: "t1", version: 1 });
+    expect(bus.receiveNext("lead").payload).toMatchObject({ kind: "blackboard_change", key: "login", updatedBy: "dev1" });
+
+    expect(await call("lead", "bb_compare_and_set", { namespace: "tasks", key: "login", value: { owner: "lead" }, expectedVersion: 0 }, "t1"))
+      .toMatchObject({ error: "version_conflict", currentVersion: 1, currentValue: { owner: "dev1" } });
+    expect((await call("lead", "bb_compare_and_set", { key: "x", value: 1 }, "t1")).error).toBe("missing_expectation");
+    expect(await call("lead", "bb_get", { namespace: "tasks", key: "login" }, "t1")).toMatchObject({ found: true, version: 1, value: { owner: "dev1" } });
+    expect(await call("lead", "bb_get", { namespace: "tasks", key: "login" }, "t2")).toMatchObject({ found: false, taskId: "t2" });
+
+    await call("lead", "bb_set", { key: "status", value: "running" }, "t1");
+    const listed = await call("lead", "bb_list", {}, "t1");
+    expect(listed).toMatchObject({ count: 2, watching: [{ namespace: "tasks", key: null }] });
+    expect((await call("lead", "bb_list", { prefix: "log" }, "t1")).entries.map((e) => e.key)).toEqual(["login"]);
+    expect((await call("lead", "bb_set", { key: "", value: 1 }, "t1")).error).toBe("invalid_key");
+    expect(await call("lead", "bb_unwatch", {}, "t1")).toMatchObject({ success: true, removed: 1 });
+  });
+
+  test("change notices are shown as blackboard notices", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "dev1", payload: { kind: "blackboard_change", text: "已修改" } }, { role: "开发" });
+    expect(text.startsWith("【黑板通知：数据已变更】")).toBe(true);
+    expect(text).not.toContain("reply_to_message");
+  });
+
+  test("shows task blackboards over HTTP", async () => {
+    const { blackboard } = await setup();
+    await blackboard.set("t1", { key: "plan", value: "v1", agentId: "lead" });
+    await blackboard.set("t1", { namespace: "progress", key: "api", value: 50, agentId: "dev1" });
+    await blackboard.watch("t1", { agentId: "lead", namespace: "progress" });
+    const server = new HTTPServer({});
+    let body = null;
+    server._sendJson = (_res, status, payload) => { body = { status, payload }; };
+
+    server._handleGetBlackboards({});
+    expect(body.status).toBe(503);
+    server.setRuntime({ blackboardManager: blackboard });
+
+    server._handleGetBlackboards({});
+    expect(body.payload).toEqual({ tasks: [{ taskId: "t1", namespaces: 2, keys: 2, watchers: 1 }], count: 1 });
+
+    server._handleGetBlackboard("t1", new URL("http://x/api/blackboard/t1"), {});
+    expect(body.payload).toMatchObject({ taskId: "t1", namespaces: { default: { plan: { value: "v1", version: 1 } }, progress: { api: { value: 50 } } } });
+
+    server._handleGetBlackboard("t1", new URL("http://x/api/blackboard/t1?namespace=progress"), {});
+    expect(Object.keys(body.payload.namespaces)).toEqual(["progress"]);
+    expect(body.payload.watchers).toEqual([{ agentId: "lead", namespace: "progress", key: null }]);
+
+    server._handleGetBlackboard("nope", new URL("http://x/api/blackboard/nope"), {});
+    expect(body).toMatchObject({ status: 404, payload: { error: "blackboard_not_found" } });
+  });
+});
+
+describe("blackboard tool group", () => {
+  test("blackboard tools form their own tool group that root can use", () => {
+    const blackboardTools = [
+      "bb_get",
+      "bb_set",
+      "bb_compare_and_set",
+      "bb_list",
+      "bb_watch",
+      "bb_unwatch"
+    ];
+    expect(BUILTIN_TOOL_GROUPS.blackboard.tools).toEqual(blackboardTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => blackboardTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("blackboard");
+  });
+});
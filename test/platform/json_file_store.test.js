@@ -0,0 +1,70 @@
+import { describe, expect, test, afterAll } from "bun:test";
+import path from "node:path";
+import { rm, writeFile, mkdir, readdir, readFile } from "node:fs/promises";
+import { JsonFileStore } from "../../src/platform/utils/service/json_file_store.js";
+import { reasonError, formatOptionalTime } from "../../src/platform/utils/service/service_helpers.js";
+
+const baseDir = path.resolve(process.cwd(), `test/.tmp/json_file_store_${Math.random().toString(36).slice(2)}`);
+
+function createLogger() {
+  const warnings = [];
+  return { warnings, warn: async (msg) => warnings.push(msg), error: async (msg) => warnings.push(msg), info: async () => {} };
+}
+
+describe("JsonFileStore", () => {
+  afterAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("returns null for a missing file and saves in call order", async () => {
+    const store = new JsonFileStore({ filePath: path.join(baseDir, "a", "state.json"), label: "测试文件" });
+    expect(await store.load()).toBeNull();
+
+    const data = { items: [1] };
+    const first = store.save(data);
+    data.items.push(2);
+    await Promise.all([first, store.save({ items: [3] })]);
+    expect(await store.load()).toEqual({ items: [3] });
+    expect(await readdir(path.dirname(store.filePath))).toEqual(["state.json"]);
+  });
+
+  test("moves a corrupt file aside before starting empty", async () => {
+    const log = createLogger();
+    const dir = path.join(baseDir, "b");
+    const filePath = path.join(dir, "state.json");
+    await mkdir(dir, { recursive: true });
+    await writeFile(filePath, "{broken", "utf8");
+    const store = new JsonFileStore({ filePath, label: "测试文件", logger: log });
+    expect(await store.load()).toBeNull();
+    expect(await store.load()).toBeNull();
+
+    const [corrupt] = (await readdir(dir)).filter((name) => name.startsWith("state.json.corrupt-"));
+    expect(await readFile(path.join(dir, corrupt), "utf8")).toBe("{broken");
+    expect(log.warnings).toEqual([`测试文件无法解析，已改名保留为 ${corrupt}，以空数据启动`]);
+
+    await writeFile(filePath, "[", "utf8");
+    expect(store.loadSync()).toBeNull();
+    expect((await readdir(dir)).filter((name) => name.startsWith("state.json.corrupt-"))).toHaveLength(2);
+    store.saveSync({ ok: true });
+    expect(store.loadSync()).toEqual({ ok: true });
+  });
+
+  test("rethrows read errors other than a missing file", async () => {
+    const filePath = path.join(baseDir, "c", "state.json");
+    await mkdir(filePath, { recursive: true });
+    const store = new JsonFileStore({ filePath, label: "测试文件" });
+    await expect(store.load()).rejects.toThrow();
+    expect(() => store.loadSync()).toThrow();
+  });
+});
+
+describe("service helpers", () => {
+  test("builds reason errors and formats optional timestamps", () => {
+    const err = reasonError("invalid_meeting", "title_required");
+    expect(err.message).toBe("invalid_meeting");
+    expect(err.details).toEqual({ reason: "title_required" });
+    expect(formatOptionalTime(null)).toBeNull();
+    expect(formatOptionalTime(undefined)).toBeNull();
+    expect(formatOptionalTime(0)).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}$/);
+  });
+});
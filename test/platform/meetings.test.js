@@ -0,0 +1,242 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import { rm } from "node:fs/promises";
+import { MeetingManager } from "../../src/platform/services/meeting/meeting_manager.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createServiceFixture } from "../helpers/service_fixture.js";
+import { createTempTestRuntime } from "../helpers/test_runtime.js";
+
+const fixture = createServiceFixture("meetings", "meetings", (deps) => new MeetingManager(deps));
+const setup = fixture.setup;
+
+/** 取出某个智能体收件箱中的全部会议通知 */
+const notices = (bus, agentId) => {
+  const out = [];
+  for (let msg = bus.receiveNext(agentId); msg; msg = bus.receiveNext(agentId)) out.push(msg.payload);
+  return out;
+};
+
+describe("MeetingManager", () => {
+  beforeAll(fixture.cleanup);
+  afterAll(fixture.cleanup);
+
+  test("validates meeting options", async () => {
+    const { meetings } = await setup();
+    await expect(meetings.createMeeting({ moderatorId: "lead", participants: ["dev1"], title: " " })).rejects.toThrow("invalid_meeting");
+    await expect(meetings.createMeeting({ moderatorId: "lead", participants: ["lead"], title: "评审" })).rejects.toThrow("invalid_meeting");
+    await expect(meetings.createMeeting({ moderatorId: "lead", participants: ["dev1"], title: "评审", turnMode: "free" })).rejects.toThrow("invalid_meeting");
+  });
+
+  test("round robin passes the floor in order and only notifies the next speaker", async () => {
+    const { bus, meetings } = await setup();
+    const meeting = await meetings.createMeeting({ moderatorId: "lead", participants: ["dev1", "dev2"], title: "架构评审", agenda: "是否拆分服务" });
+    expect(meeting).toMatchObject({ status: "open", floor: "dev1", round: 1, transcriptLength: 0 });
+    expect(notices(bus, "dev1")).toMatchObject([{ kind: "meeting_turn", meetingId: meeting.id, round: 1 }]);
+    expect(bus.getQueueDepth("dev2")).toBe(0);
+
+    await expect(meetings.speak(meeting.id, "dev2", { text: "抢答" })).rejects.toThrow("not_your_turn");
+    await expect(meetings.speak(meeting.id, "dev1", {})).rejects.toThrow("missing_text");
+    await expect(meetings.speak(meeting.id, "qa", { text: "旁听" })).rejects.toThrow("not_meeting_member");
+
+    expect((await meetings.speak(meeting.id, "dev1", { text: "建议拆分" })).nextSpeaker).toBe("dev2");
+    // 主持人插话不影响轮转
+    expect((await meetings.speak(meeting.id, "lead", { text: "注意成本" })).nextSpeaker).toBe("dev2");
+    const [turn] = notices(bus, "dev2");
+    expect(turn.text).toContain("建议拆分");
+    expect(turn.text).not.toContain("注意成本");
+
+    expect((await meetings.speak(meeting.id, "dev2", { pass: true })).nextSpeaker).toBe("lead");
+    const [moderatorTurn] = notices(bus, "lead");
+    expect(moderatorTurn.text).toContain("（跳过发言）");
+    expect(moderatorTurn.text).not.toContain("建议拆分");
+    expect(moderatorTurn.text).toContain("end_meeting");
+
+    const result = await meetings.speak(meeting.id, "lead", { text: "下一轮请给出成本估算" });
+    expect(result).toMatchObject({ nextSpeaker: "dev1", meeting: { round: 2 } });
+    const [secondRound] = notices(bus, "dev1");
+    expect(secondRound.text).toContain("注意成本");
+    expect(secondRound.text).toContain("下一轮请给出成本估算");
+    expect(meetings.getTranscript(meeting.id, { sinceSeq: 2 }).map((e) => e.speaker)).toEqual(["dev2", "lead"]);
+  });
+
+  test("moderated meetings return the floor to the moderator after each granted speaker", async () => {
+    const { bus, meetings } = await setup();
+    const meeting = await meetings.createMeeting({ moderatorId: "lead", participants: ["dev1", "dev2"], title: "接口设计", turnMode: "moderated" });
+    expect(meeting.floor).toBe("lead");
+    expect(bus.getQueueDepth("dev1")).toBe(0);
+
+    await expect(meetings.grantFloor(meeting.id, "dev1", "dev2")).rejects.toThrow("not_moderator");
+    await expect(meetings.grantFloor(meeting.id, "lead", "qa")).rejects.toThrow("not_meeting_member");
+    await expect(meetings.speak(meeting.id, "dev1", { text: "x" })).rejects.toThrow("not_your_turn");
+
+    await meetings.speak(meeting.id, "lead", { text: "先讨论鉴权" });
+    expect((await meetings.grantFloor(meeting.id, "lead", "dev2")).floor).toBe("dev2");
+    expect(notices(bus, "dev2")[0]).toMatchObject({ kind: "meeting_turn", grantedBy: "lead" });
+    expect((await meetings.speak(meeting.id, "dev2", { text: "用令牌" })).nextSpeaker).toBe("lead");
+    expect(notices(bus, "lead")[0].text).toContain("grant_floor");
+  });
+
+  test("skips terminated participants and notifies active ones when the meeting ends", async () => {
+    const { bus, terminated, meetings } = await setup();
+    const meeting = await meetings.createMeeting({ moderatorId: "lead", participants: ["dev1", "dev2"], title: "周会" });
+    terminated.add("dev2");
+    expect((await meetings.speak(meeting.id, "dev1", { text: "完成了" })).nextSpeaker).toBe("lead");
+    await expect(meetings.grantFloor(meeting.id, "lead", "dev2")).rejects.toThrow("not_meeting_member");
+
+    await expect(meetings.endMeeting(meeting.id, "dev1", { summary: "x" })).rejects.toThrow("not_moderator");
+    await expect(meetings.endMeeting(meeting.id, "lead", { summary: "" })).rejects.toThrow("missing_summary");
+    const ended = await meetings.endMeeting(meeting.id, "lead", { summary: "按计划推进" });
+    expect(ended).toMatchObject({ status: "ended", floor: null, summary: "按计划推进" });
+    expect(notices(bus, "dev1").at(-1)).toMatchObject({ kind: "meeting_ended", meetingId: meeting.id });
+    expect(bus.getQueueDepth("dev2")).toBe(0);
+    await expect(meetings.speak(meeting.id, "lead", { text: "补充" })).rejects.toThrow("meeting_ended");
+  });
+
+  test("persists meetings across restarts", async () => {
+    const first = await setup();
+    const meeting = await first.meetings.createMeeting({ moderatorId: "lead", participants: ["dev1"], title: "复盘" });
+    await first.meetings.speak(meeting.id, "dev1", { text: "第一条" });
+
+    const second = await setup({ runtimeDir: first.runtimeDir });
+    expect(second.meetings.getMeeting(meeting.id)).toMatchObject({ floor: "lead", transcript: [{ seq: 1, speaker: "dev1", text: "第一条" }] });
+    expect(second.meetings.listMeetings({ involving: "dev1", status: "open" })).toHaveLength(1);
+    expect(second.meetings.listMeetings({ involving: "qa" })).toHaveLength(0);
+  });
+});
+
+describe("meeting tools, formatting and HTTP", () => {
+  async function toolSetup(options = {}) {
+    const { bus, meetings } = await setup();
+    const files = new Map();
+    const runtime = {
+      bus,
+      meetingManager: meetings,
+      org: { getAgent: (id) => ({ id, status: id === "gone" ? "terminated" : "active" }) },
+      _agents: new Map([["lead", {}], ["dev1", {}], ["dev2", {}], ["gone", {}]]),
+      moduleLoader: { hasToolName: () => false },
+      findWorkspaceIdForAgent: (id) => (options.noWorkspace || id !== "lead" ? null : "ws1"),
+      workspaceManager: {
+        getWorkspace: async () => ({
+          writeFile: async (filePath, content, opts) => {
+            files.set(filePath, { content, operator: opts.operator });
+            return { size: content.length };
+          }
+        })
+      }
+    };
+    const executor = new ToolExecutor(runtime);
+    const call = (agentId, name, args) => executor.executeToolCall({ agent: { id: agentId }, currentMessage: { id: "m1", taskId: "t1" }, tools: {} }, name, args);
+    return { bus, meetings, files, call };
+  }
+
+  test("runs a meeting end to end and writes minutes to the moderator's workspace", async () => {
+    const { bus, files, call } = await toolSetup();
+    expect(await call("lead", "create_meeting", { title: "设计评审", participants: ["dev1", "ghost", "gone"] }))
+      .toMatchObject({ error: "agent_not_found", unknownParticipants: ["ghost", "gone"] });
+
+    const created = await call("lead", "create_meeting", { title: "设计评审", participants: ["dev1", "dev2"], agenda: "数据库选型" });
+    expect(created).toMatchObject({ success: true, meeting: { moderatorId: "lead", taskId: "t1", floor: "dev1" } });
+    const meetingId = created.meeting.id;
+    expect(bus.receiveNext("dev1")).toMatchObject({ from: "lead", taskId: "t1", payload: { kind: "meeting_turn", meetingId } });
+
+    expect(await call("dev2", "speak_in_meeting", { meetingId, text: "我先说" })).toMatchObject({ error: "not_your_turn", currentSpeaker: "dev1" });
+    expect(await call("dev1", "speak_in_meeting", { meetingId, text: "选 PostgreSQL" })).toMatchObject({ success: true, seq: 1, nextSpeaker: "dev2" });
+    expect(await call("dev2", "grant_floor", { meetingId, agentId: "dev1" })).toMatchObject({ error: "not_moderator" });
+    expect(await call("dev2", "speak_in_meeting", { meetingId, text: "同意" })).toMatchObject({ nextSpeaker: "lead" });
+
+    expect((await call("gone", "get_meeting_transcript", { meetingId })).error).toBe("not_meeting_member");
+    const transcript = await call("dev2", "get_meeting_transcript", { meetingId, sinceSeq: 1 });
+    expect(transcript).toMatchObject({ meeting: { floor: "lead" }, transcript: [{ seq: 2, speaker: "dev2", text: "同意" }] });
+
+    expect((await call("dev1", "end_meeting", { meetingId, summary: "x" })).error).toBe("not_moderator");
+    const ended = await call("lead", "end_meeting", { meetingId, summary: "采用 PostgreSQL，dev1 负责建表" });
+    expect(ended).toMatchObject({ success: true, meeting: { status: "ended" } });
+    expect(ended.summaryPath.startsWith(`meetings/${meetingId.slice(0, 8)}-设计评审`)).toBe(true);
+    const minutes = files.get(ended.summaryPath);
+    expect(minutes.operator).toBe("lead");
+    expect(minutes.content).toContain("采用 PostgreSQL，dev1 负责建表");
+    expect(minutes.content).toContain("数据库选型");
+    expect(minutes.content).toContain("选 PostgreSQL");
+
+    const last = [];
+    for (let msg = bus.receiveNext("dev2"); msg; msg = bus.receiveNext("dev2")) last.push(msg.payload);
+    expect(last.at(-1)).toMatchObject({ kind: "meeting_ended", summaryPath: ended.summaryPath });
+    expect((await call("lead", "end_meeting", { meetingId, summary: "again" })).error).toBe("meeting_ended");
+  });
+
+  test("ends the meeting even when the moderator has no workspace", async () => {
+    const { call } = await toolSetup({ noWorkspace: true });
+    const { meeting } = await call("lead", "create_meeting", { title: "临时会", participants: ["dev1"], turnMode: "moderated" });
+    expect(meeting.floor).toBe("lead");
+    const ended = await call("lead", "end_meeting", { meetingId: meeting.id, summary: "无" });
+    expect(ended).toMatchObject({ success: true, summaryPath: null, minutesError: { error: "workspace_not_assigned" } });
+  });
+
+  test("meeting notices are shown as meeting headers without reply hints", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "lead", payload: { kind: "meeting_turn", text: "轮到你" } }, { role: "主管" });
+    expect(text.startsWith("【会议通知：轮到你发言】")).toBe(true);
+    expect(text).not.toContain("reply_to_message");
+  });
+
+  test("lists and shows meetings over HTTP", async () => {
+    const { meetings } = await setup();
+    const meeting = await meetings.createMeeting({ moderatorId: "lead", participants: ["dev1"], title: "评审" });
+    const server = new HTTPServer({});
+    let body = null;
+    server._sendJson = (_res, status, payload) => { body = { status, payload }; };
+
+    server._handleGetMeetings(new URL("http://x/api/meetings"), {});
+    expect(body.status).toBe(503);
+
+    server.setRuntime({ meetingManager: meetings });
+    server._handleGetMeetings(new URL("http://x/api/meetings?involving=dev1&status=open"), {});
+    expect(body.payload).toMatchObject({ count: 1, meetings: [{ id: meeting.id, transcriptLength: 0 }] });
+    expect(body.payload.meetings[0].transcript).toBeUndefined();
+
+    server._handleGetMeeting(meeting.id, {});
+    expect(body.payload.meeting).toMatchObject({ id: meeting.id, transcript: [] });
+    server._handleGetMeeting("nope", {});
+    expect(body).toMatchObject({ status: 404, payload: { error: "meeting_not_found" } });
+  });
+});
+
+describe("meeting tool group", () => {
+  test("meeting tools form their own tool group that root can use", () => {
+    const meetingTools = [
+      "create_meeting",
+      "speak_in_meeting",
+      "grant_floor",
+      "end_meeting",
+      "get_meeting_transcript"
+    ];
+    expect(BUILTIN_TOOL_GROUPS.meeting.tools).toEqual(meetingTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => meetingTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("meeting");
+  });
+});
+
+describe("runtime services share one active-agent rule", () => {
+  let runtime;
+  let tmpDir;
+
+  beforeAll(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("meetings_active_agents"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("root and user are always active and terminated agents are not", async () => {
+    const role = await runtime.org.createRole({ name: "dev", rolePrompt: "p" });
+    const active = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    const gone = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    await runtime.org.recordTermination(gone.id, "root", "test");
+
+    for (const service of [runtime.scheduleManager, runtime.meetingManager, runtime.blackboardManager, runtime.taskRegistry]) {
+      expect(["root", "user", active.id, gone.id, "ghost"].map((id) => service.isAgentActive(id))).toEqual([true, true, true, false, false]);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, expect, test } from "bun:test";
+import path from "node:path";
+import { rm, readFile, appendFile } from "node:fs/promises";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+
+async function freshWalDir(name) {
+  const dir = path.resolve(process.cwd(), "test/.tmp/message_bus_wal", name);
+  await rm(dir, { recursive: true, force: true });
+  return dir;
+}
+
+describe("MessageBus persistence", () => {
+  test("memory-only bus does not write a WAL", () => {
+    const bus = new MessageBus();
+    expect(bus.isPersistent()).toBe(false);
+    expect(bus.restoreFromWal().queued).toBe(0);
+  });
+
+  test("restores undelivered inbox in FIFO order after restart", async () => {
+    const walDir = await freshWalDir("inbox");
+    const bus1 = new MessageBus({ walDir });
+    bus1.send({ to: "a", from: "x", payload: 1 });
+    bus1.send({ to: "a", from: "x", payload: 2 });
+    bus1.send({ to: "a", from: "x", payload: 3 });
+    bus1.send({ to: "b", from: "x", payload: "b1" });
+    expect(bus1.receiveNext("a").payload).toBe(1);
+
+    const bus2 = new MessageBus({ walDir });
+    const result = bus2.restoreFromWal();
+    expect(result.queued).toBe(3);
+    expect(bus2.receiveNext("a").payload).toBe(2);
+    expect(bus2.receiveNext("a").payload).toBe(3);
+    expect(bus2.receiveNext("b").payload).toBe("b1");
+  });
+
+  test("restores pending delayed messages and keeps their deliverAt", async () => {
+    const walDir = await freshWalDir("delayed");
+    const bus1 = new MessageBus({ walDir });
+    bus1.send({ to: "a", from: "x", payload: "later", delayMs: 60_000 });
+    bus1.send({ to: "a", from: "x", payload: "soon", delayMs: 1 });
+    await new Promise((r) => setTimeout(r, 10));
+    expect(bus1.deliverDueMessages()).toBe(1);
+
+    const bus2 = new MessageBus({ walDir });
+    const result = bus2.restoreFromWal();
+    expect(result.queued).toBe(1);
+    expect(result.delayed).toBe(1);
+    expect(bus2.receiveNext("a").payload).toBe("soon");
+    expect(bus2.getDelayedCount("a")).toBe(1);
+    expect(bus2.deliverDueMessages()).toBe(0);
+  });
+
+  test("cleared queues are not restored and unknown recipients are dropped", async () => {
+    const walDir = await freshWalDir("clear");
+    const bus1 = new MessageBus({ walDir });
+    bus1.send({ to: "a", from: "x", payload: 1 });
+    bus1.send({ to: "gone", from: "x", payload: 2 });
+    bus1.send({ to: "gone", from: "x", payload: 3, delayMs: 60_000 });
+    bus1.clearQueue("a");
+
+    const bus2 = new MessageBus({ walDir });
+    const result = bus2.restoreFromWal({ acceptRecipient: (id) => id !== "gone" });
+    expect(result.queued).toBe(0);
+    expect(result.delayed).toBe(0);
+    expect(result.dropped).toBe(2);
+    expect(bus2.getPendingCount()).toBe(0);
+  });
+
+  test("ignores a torn trailing line and compacts the WAL on restore", async () => {
+    const walDir = await freshWalDir("torn");
+    const bus1 = new MessageBus({ walDir });
+    bus1.send({ to: "a", from: "x", payload: 1 });
+    bus1.send({ to: "a", from: "x", payload: 2 });
+    bus1.receiveNext("a");
+    await appendFile(path.join(walDir, "wal.jsonl"), '{"op":"enqueue","msg":{"id"', "utf8");
+
+    const bus2 = new MessageBus({ walDir });
+    const result = bus2.restoreFromWal();
+    expect(result.skippedLines).toBe(1);
+    expect(result.queued).toBe(1);
+
+    const raw = await readFile(path.join(walDir, "wal.jsonl"), "utf8");
+    const records = raw.trim().split("\n").map((l) => JSON.parse(l));
+    expect(records).toHaveLength(1);
+    expect(records[0].op).toBe("enqueue");
+    expect(records[0].msg.payload).toBe(2);
+  });
+
+  test("auto-compaction keeps state consistent", async () => {
+    const walDir = await freshWalDir("compact");
+    const bus1 = new MessageBus({ walDir, walCompactThreshold: 5 });
+    for (let i = 0; i < 10; i++) {
+      bus1.send({ to: "a", from: "x", payload: i });
+    }
+    for (let i = 0; i < 7; i++) {
+      bus1.receiveNext("a");
+    }
+    bus1.send({ to: "a", from: "x", payload: "d", delayMs: 60_000 });
+    bus1.forceDeliverAllDelayed();
+
+    const bus2 = new MessageBus({ walDir });
+    bus2.restoreFromWal();
+    const payloads = [];
+    let msg;
+    while ((msg = bus2.receiveNext("a"))) payloads.push(msg.payload);
+    expect(payloads).toEqual([7, 8, 9, "d"]);
+    expect(bus2.getDelayedCount()).toBe(0);
+  });
+});
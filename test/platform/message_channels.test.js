@@ -0,0 +1,112 @@
+import { describe, expect, test, beforeAll } from "bun:test";
+import path from "node:path";
+import { rm, readFile } from "node:fs/promises";
+import { OrgPrimitives, normalizeChannelName } from "../../src/platform/core/org_primitives.js";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { ContactManager } from "../../src/platform/services/contact/contact_manager.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+
+const baseDir = path.resolve(process.cwd(), "test/.tmp/message_channels");
+const newRuntimeDir = () => path.join(baseDir, Math.random().toString(36).slice(2));
+
+async function setup() {
+  const org = new OrgPrimitives({ runtimeDir: newRuntimeDir() });
+  const role = await org.createRole({ name: "开发", rolePrompt: "写代码" });
+  const lead = await org.createAgent({ roleId: role.id, parentAgentId: "root" });
+  const dev1 = await org.createAgent({ roleId: role.id, parentAgentId: lead.id });
+  const dev2 = await org.createAgent({ roleId: role.id, parentAgentId: lead.id });
+  const bus = new MessageBus();
+  const runtime = {
+    bus,
+    org,
+    contactManager: new ContactManager(),
+    _agents: new Map([lead, dev1, dev2].map((a) => [a.id, a])),
+    moduleLoader: { hasToolName: () => false }
+  };
+  const executor = new ToolExecutor(runtime);
+  const ctxFor = (agentId) => ({ agent: { id: agentId }, currentMessage: null, tools: { sendMessage: (m) => bus.send(m) } });
+  const call = (agentId, name, args) => executor.executeToolCall(ctxFor(agentId), name, args);
+  return { org, bus, runtime, call, lead: lead.id, dev1: dev1.id, dev2: dev2.id };
+}
+
+describe("publish/subscribe channels", () => {
+  beforeAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("channel tools form their own tool group that root can use", () => {
+    const channelTools = ["subscribe_channel", "unsubscribe_channel", "publish_to_channel"];
+    expect(BUILTIN_TOOL_GROUPS.channel.tools).toEqual(channelTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => channelTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("channel");
+  });
+
+  test("normalizes channel names", () => {
+    expect(normalizeChannelName("#前端组")).toBe("前端组");
+    expect(normalizeChannelName(" project.alpha-1 ")).toBe("project.alpha-1");
+    expect(normalizeChannelName("-bad")).toBeNull();
+    expect(normalizeChannelName("a b")).toBeNull();
+  });
+
+  test("publishes to every subscriber except the publisher and introduces the publisher as a contact", async () => {
+    const { bus, runtime, call, lead, dev1, dev2 } = await setup();
+    expect(await call(dev1, "subscribe_channel", { channel: "#backend", description: "后端组" })).toMatchObject({ success: true, channel: "backend", created: true, subscriberCount: 1 });
+    expect(await call(lead, "subscribe_channel", { channel: "backend", agentId: dev2 })).toMatchObject({ created: false, agentId: dev2, subscriberCount: 2 });
+    expect(await call(lead, "subscribe_channel", { channel: "backend" })).toMatchObject({ subscriberCount: 3 });
+    expect((await call(dev1, "subscribe_channel", { channel: "backend" })).alreadySubscribed).toBe(true);
+
+    const published = await call(lead, "publish_to_channel", { channel: "backend", payload: { text: "周五发版" } });
+    expect(published).toMatchObject({ success: true, channel: "backend", messageCount: 2 });
+    expect(published.recipients.sort()).toEqual([dev1, dev2].sort());
+    expect(bus.getQueueDepth(lead)).toBe(0);
+
+    const received = bus.receiveNext(dev1);
+    expect(received).toMatchObject({ from: lead, channel: "backend", payload: { text: "周五发版" } });
+    // 上级本来就在联系人列表中，不会被覆盖；同级发布者以 channel 来源加入
+    expect(runtime.contactManager.getContact(dev1, lead).source).toBe("parent");
+    await call(dev2, "publish_to_channel", { channel: "backend", payload: { text: "接口已更新" } });
+    expect(runtime.contactManager.getContact(dev1, dev2)).toMatchObject({ role: "开发", source: "channel", description: "频道 #backend 的发布者" });
+
+    // 订阅者可以直接回复发布者
+    const reply = await call(dev1, "reply_to_message", { messageId: received.id, payload: { text: "收到" } });
+    expect(reply).toMatchObject({ success: true, recipients: [lead], inReplyTo: received.id });
+  });
+
+  test("enforces membership permissions and reports unknown channels", async () => {
+    const { call, dev1, dev2 } = await setup();
+    expect((await call(dev1, "subscribe_channel", { channel: "ops", agentId: dev2 })).error).toBe("not_child_agent");
+    expect((await call(dev1, "subscribe_channel", { channel: "ops", agentId: "ghost" })).error).toBe("agent_not_found");
+    expect((await call(dev1, "subscribe_channel", { channel: "bad name" })).error).toBe("invalid_channel_name");
+
+    await call(dev1, "subscribe_channel", { channel: "ops" });
+    const missing = await call(dev1, "publish_to_channel", { channel: "opz", payload: { text: "x" } });
+    expect(missing).toMatchObject({ error: "channel_not_found", availableChannels: ["ops"] });
+    expect(await call(dev1, "publish_to_channel", { channel: "ops", payload: { text: "x" } })).toMatchObject({ success: true, messageCount: 0 });
+    expect(await call(dev1, "unsubscribe_channel", { channel: "ops" })).toMatchObject({ wasSubscribed: true, subscriberCount: 0 });
+    expect((await call(dev1, "unsubscribe_channel", { channel: "nope" })).error).toBe("channel_not_found");
+  });
+
+  test("persists membership in org.json and drops terminated subscribers", async () => {
+    const { org, lead, dev1, dev2 } = await setup();
+    await org.subscribeChannel("all-hands", dev1);
+    await org.subscribeChannel("all-hands", dev2);
+    await org.subscribeChannel("all-hands", lead);
+    await org.recordTermination(lead, "root", "项目结束");
+
+    const saved = JSON.parse(await readFile(path.join(org.runtimeDir, "org.json"), "utf8"));
+    expect(saved.channels["all-hands"].subscribers).toEqual([]);
+
+    const reloaded = new OrgPrimitives({ runtimeDir: org.runtimeDir });
+    await reloaded.loadIfExists();
+    expect(reloaded.getChannel("all-hands")).toMatchObject({ name: "all-hands", createdBy: dev1, subscribers: [] });
+    expect(reloaded.listChannels()).toHaveLength(1);
+  });
+
+  test("formats channel broadcasts with their source channel", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "a1", channel: "backend", payload: { text: "周五发版" } }, { role: "开发" });
+    expect(text).toContain("（频道 #backend 的广播消息）");
+    expect(text).toContain("reply_to_message(messageId='m1', ...)");
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createJsonReq } from "../helpers/http_request.js";
+
+const baseDir = path.resolve(process.cwd(), "test/.tmp/message_dead_letters");
+const newDir = () => path.join(baseDir, Math.random().toString(36).slice(2));
+
+function createMockRes() {
+  const state = { statusCode: null, body: "" };
+  const res = {
+    headersSent: false,
+    setHeader() {},
+    writeHead(statusCode) {
+      state.statusCode = statusCode;
+      this.headersSent = true;
+    },
+    end(body = "") {
+      state.body = String(body);
+    }
+  };
+  return { res, state, json: () => JSON.parse(state.body) };
+}
+
+describe("MessageBus dead letters", () => {
+  beforeAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  test("records messages rejected by a terminating recipient and notifies the sender on request", () => {
+    const statuses = new Map([["dev", "terminating"]]);
+    const bus = new MessageBus({ getAgentStatus: (id) => statuses.get(id) ?? "idle" });
+
+    const silent = bus.send({ to: "dev", from: "lead", payload: { text: "a" }, taskId: "t1" });
+    expect(silent).toMatchObject({ rejected: true, reason: "agent_terminating" });
+    expect(bus.getQueueDepth("lead")).toBe(0);
+
+    const notified = bus.send({ to: "dev", from: "lead", payload: { text: "b" }, notifyOnDeadLetter: true });
+    const entry = bus.getDeadLetter(notified.deadLetterId);
+    expect(entry).toMatchObject({ reason: "agent_terminating", from: "lead", to: "dev", status: "dead", message: { payload: { text: "b" } } });
+
+    const notice = bus.receiveNext("lead");
+    expect(notice).toMatchObject({ from: "dev", inReplyTo: entry.message.id, payload: { kind: "dead_letter", deadLetterId: entry.id, recipient: "dev", reason: "agent_terminating" } });
+    expect(bus.getDeadLetters().map((d) => d.message.payload.text)).toEqual(["b", "a"]);
+    expect(bus.getDeadLetters({ taskId: "t1" })).toHaveLength(1);
+  });
+
+  test("clearQueue moves pending messages to dead letters with the given reason", () => {
+    const bus = new MessageBus();
+    bus.send({ to: "dev", from: "lead", payload: "1", notifyOnDeadLetter: true });
+    bus.send({ to: "dev", from: "peer", payload: "2" });
+    expect(bus.clearQueue("dev", { reason: "agent_terminated" })).toHaveLength(2);
+
+    expect(bus.getDeadLetters({ reason: "agent_terminated" })).toHaveLength(2);
+    expect(bus.receiveNext("lead")?.payload.kind).toBe("dead_letter");
+    expect(bus.receiveNext("peer")).toBeNull();
+    bus.send({ to: "x", from: "y", payload: "3" });
+    bus.clearQueue("x");
+    expect(bus.getDeadLetters({ to: "x" })[0].reason).toBe("queue_cleared");
+  });
+
+  test("reroutes a dead letter once as the original sender", () => {
+    const bus = new MessageBus();
+    bus.send({ to: "dev", from: "lead", payload: { text: "交接" }, taskId: "t1", correlationId: "c1", priority: "high" });
+    bus.clearQueue("dev", { reason: "agent_terminated" });
+    const [entry] = bus.getDeadLetters();
+
+    const result = bus.rerouteDeadLetter(entry.id, "dev2", { by: "user" });
+    expect(bus.receiveNext("dev2")).toMatchObject({ id: result.messageId, from: "lead", taskId: "t1", correlationId: "c1", priority: 75, payload: { text: "交接" } });
+    expect(result.deadLetter).toMatchObject({ status: "rerouted", reroutedTo: "dev2", reroutedBy: "user", reroutedMessageId: result.messageId });
+    expect(() => bus.rerouteDeadLetter(entry.id, "dev3")).toThrow("dead_letter_already_rerouted");
+    expect(() => bus.rerouteDeadLetter("nope", "dev3")).toThrow("dead_letter_not_found");
+  });
+
+  test("persists dead letters and records messages dropped during WAL replay", () => {
+    const dir = newDir();
+    const options = { walDir: path.join(dir, "message_bus"), deadLetterPath: path.join(dir, "dead_letters.json") };
+    const bus1 = new MessageBus(options);
+    bus1.send({ to: "gone", from: "lead", payload: "queued" });
+    bus1.send({ to: "gone", from: "lead", payload: "later", delayMs: 60000 });
+    bus1.send({ to: "gone", from: "lead", payload: "tick", delayMs: 60000, scheduleId: "s1" });
+    bus1.send({ to: "dev", from: "lead", payload: "cleared" });
+    bus1.clearQueue("dev", { reason: "agent_stopped" });
+
+    const bus2 = new MessageBus(options);
+    expect(bus2.getDeadLetters()).toHaveLength(1);
+    expect(bus2.restoreFromWal({ acceptRecipient: (id) => id !== "gone" }).dropped).toBe(3);
+    expect(bus2.getDeadLetters({ reason: "recipient_unavailable" }).map((d) => d.message.payload).sort()).toEqual(["later", "queued"]);
+    expect(bus2.getQueueDepth("lead")).toBe(0);
+
+    const bus3 = new MessageBus(options);
+    expect(bus3.getDeadLetters()).toHaveLength(3);
+  });
+});
+
+describe("dead letters on tools, formatting and HTTP", () => {
+  test("send_message reports rejected recipients with their dead letter", async () => {
+    const statuses = new Map([["dev2", "terminating"]]);
+    const bus = new MessageBus({ getAgentStatus: (id) => statuses.get(id) ?? "idle" });
+    const runtime = { bus, _agents: new Map([["lead", {}], ["dev1", {}], ["dev2", {}]]), org: { getAgent: () => null }, moduleLoader: { hasToolName: () => false } };
+    const executor = new ToolExecutor(runtime);
+    const ctx = { agent: { id: "lead" }, currentMessage: null, tools: { sendMessage: (m) => bus.send(m) } };
+
+    const result = await executor.executeToolCall(ctx, "send_message", { to: ["dev1", "dev2"], payload: { text: "x" }, notifyOnDeadLetter: true });
+    expect(result).toMatchObject({ success: true, recipients: ["dev1"], failedCount: 1 });
+    expect(result.partialErrors[0]).toMatchObject({ recipient: "dev2", error: "agent_terminating" });
+    expect(bus.getDeadLetter(result.partialErrors[0].deadLetterId)).not.toBeNull();
+    expect(bus.receiveNext("dev1").notifyOnDeadLetter).toBe(true);
+    expect(bus.receiveNext("lead").payload.kind).toBe("dead_letter");
+  });
+
+  test("dead letter notices are shown as system notices", () => {
+    const text = formatMessageForAgent({ id: "m2", from: "dev", inReplyTo: "m1", payload: { kind: "dead_letter", text: "未能送达" } }, { role: "开发" });
+    expect(text.startsWith("【系统通知：消息未能送达】")).toBe(true);
+    expect(text).not.toContain("reply_to_message");
+  });
+
+  test("lists, shows and reroutes dead letters over HTTP", async () => {
+    const bus = new MessageBus();
+    bus.send({ to: "dev", from: "lead", payload: "x" });
+    bus.clearQueue("dev", { reason: "agent_terminated" });
+    const [entry] = bus.getDeadLetters();
+    const server = new HTTPServer({});
+    server.setRuntime({ bus, _agents: new Map([["dev2", {}]]), org: { getAgent: () => ({ status: "active" }) } });
+
+    const list = createMockRes();
+    server._handleGetDeadLetters(new URL("http://x/api/dead-letters?reason=agent_terminated"), list.res);
+    expect(list.json()).toMatchObject({ count: 1, deadLetters: [{ id: entry.id, to: "dev" }] });
+
+    const missing = createMockRes();
+    server._handleGetDeadLetter("nope", missing.res);
+    expect(missing.state.statusCode).toBe(404);
+
+    const unknown = createMockRes();
+    server._handleRerouteDeadLetter(createJsonReq({ to: "ghost" }), entry.id, unknown.res);
+    await new Promise((r) => setTimeout(r, 10));
+    expect(unknown.json().error).toBe("agent_not_found");
+
+    const rerouted = createMockRes();
+    server._handleRerouteDeadLetter(createJsonReq({ to: "dev2" }), entry.id, rerouted.res);
+    await new Promise((r) => setTimeout(r, 10));
+    expect(rerouted.json()).toMatchObject({ ok: true, deadLetter: { status: "rerouted", reroutedTo: "dev2", reroutedBy: "user" } });
+    expect(bus.receiveNext("dev2").payload).toBe("x");
+
+    const again = createMockRes();
+    server._handleRerouteDeadLetter(createJsonReq({ to: "dev2" }), entry.id, again.res);
+    await new Promise((r) => setTimeout(r, 10));
+    expect(again.state.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, expect, test } from "bun:test";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+
+const drain = (bus, agentId) => {
+  const out = [];
+  for (let msg = bus.receiveNext(agentId); msg; msg = bus.receiveNext(agentId)) out.push(msg.payload);
+  return out;
+};
+
+describe("MessageBus inbox limits", () => {
+  test("is unlimited by default", () => {
+    const bus = new MessageBus();
+    for (let i = 0; i < 20; i++) expect(bus.send({ to: "dev", from: "lead", payload: i }).backpressure).toBeUndefined();
+    expect(bus.getInboxStats("dev")).toMatchObject({ depth: 20, maxSize: null, utilization: null, saturated: false, peakDepth: 20 });
+  });
+
+  test("reject policy refuses new messages once full and reports saturation", () => {
+    const bus = new MessageBus({ inbox: { maxSize: 5 } });
+    for (let i = 0; i < 3; i++) expect(bus.send({ to: "dev", from: "lead", payload: i }).backpressure).toBeUndefined();
+    expect(bus.send({ to: "dev", from: "lead", payload: 3 }).backpressure).toMatchObject({ recipient: "dev", queueDepth: 4, maxSize: 5, utilization: 0.8, saturated: true, action: null });
+    bus.send({ to: "dev", from: "lead", payload: 4 });
+
+    const rejected = bus.send({ to: "dev", from: "lead", payload: 5 });
+    expect(rejected).toMatchObject({ rejected: true, reason: "inbox_full", backpressure: { action: "rejected", queueDepth: 5 } });
+    expect(bus.getDeadLetter(rejected.deadLetterId).reason).toBe("inbox_full");
+    // 用户消息不受上限约束
+    expect(bus.send({ to: "dev", from: "user", payload: "hi" }).rejected).toBeUndefined();
+    expect(bus.getInboxStats("dev")).toMatchObject({ depth: 6, rejected: 1, peakDepth: 6 });
+  });
+
+  test("drop_oldest evicts the earliest message of the lowest priority", () => {
+    const bus = new MessageBus({ inbox: { maxSize: 3, policy: "drop_oldest" } });
+    bus.send({ to: "dev", from: "lead", payload: "urgent", priority: "urgent" });
+    bus.send({ to: "dev", from: "lead", payload: "old" });
+    bus.send({ to: "dev", from: "lead", payload: "mid" });
+
+    const result = bus.send({ to: "dev", from: "lead", payload: "new", notifyOnDeadLetter: true });
+    expect(result.backpressure).toMatchObject({ action: "dropped_oldest", queueDepth: 3 });
+    expect(bus.getDeadLetters({ reason: "inbox_overflow" })[0].message.payload).toBe("old");
+    // 低于所有已排队消息的新消息会被拒绝，而不是挤掉更重要的消息
+    expect(bus.send({ to: "dev", from: "lead", payload: "low", priority: "low" }).reason).toBe("inbox_full");
+    expect(drain(bus, "dev")).toEqual(["urgent", "mid", "new"]);
+    expect(bus.getInboxStats("dev")).toMatchObject({ dropped: 1, rejected: 1 });
+  });
+
+  test("coalesce merges identical pending messages and per-agent overrides apply", () => {
+    const bus = new MessageBus({ inbox: { maxSize: 10, policy: "coalesce", agents: { boss: { maxSize: 1, policy: "reject" } } } });
+    const first = bus.send({ to: "dev", from: "lead", payload: { text: "进度?" }, taskId: "t1" });
+    const dup = bus.send({ to: "dev", from: "lead", payload: { text: "进度?" }, taskId: "t1" });
+    expect(dup).toMatchObject({ messageId: first.messageId, coalesced: true, backpressure: { action: "coalesced" } });
+    expect(bus.send({ to: "dev", from: "lead", payload: { text: "进度?" }, taskId: "t2" }).coalesced).toBeUndefined();
+    expect(bus.send({ to: "dev", from: "peer", payload: { text: "进度?" }, taskId: "t1" }).coalesced).toBeUndefined();
+    expect(bus.getInboxStats("dev")).toMatchObject({ depth: 3, coalesced: 1 });
+
+    expect(bus.getInboxLimit("boss")).toEqual({ maxSize: 1, policy: "reject" });
+    bus.send({ to: "boss", from: "dev", payload: "a" });
+    expect(bus.send({ to: "boss", from: "dev", payload: "a" }).reason).toBe("inbox_full");
+    bus.setInboxLimit("boss", null);
+    expect(bus.getInboxLimit("boss")).toEqual({ maxSize: 10, policy: "coalesce" });
+  });
+
+  test("delayed messages are admitted against the limit when they come due", async () => {
+    const bus = new MessageBus({ inbox: { maxSize: 1 } });
+    const outcomes = [];
+    bus.onDelayedDelivery((msg, info) => outcomes.push([msg.payload, info.outcome]));
+    bus.send({ to: "dev", from: "lead", payload: "now" });
+    const later = bus.send({ to: "dev", from: "lead", payload: "later", delayMs: 1 });
+    bus.send({ to: "dev", from: "lead", payload: "forced", delayMs: 60000 });
+    await Bun.sleep(5);
+
+    expect(bus.deliverDueMessages()).toBe(0);
+    expect(outcomes).toEqual([["later", "rejected"]]);
+    expect(bus.getDeadLetters({ reason: "inbox_full" })[0].message.id).toBe(later.messageId);
+    expect(bus.forceDeliverAllDelayed()).toBe(0);
+    expect(bus.getDelayedCount()).toBe(0);
+    expect(drain(bus, "dev")).toEqual(["now"]);
+    expect(bus.getInboxStats("dev")).toMatchObject({ depth: 0, rejected: 2 });
+
+    const coalescing = new MessageBus({ inbox: { maxSize: 5, policy: "coalesce" } });
+    coalescing.send({ to: "dev", from: "lead", payload: "日报" });
+    coalescing.send({ to: "dev", from: "lead", payload: "日报", delayMs: 1 });
+    await Bun.sleep(5);
+    coalescing.deliverDueMessages();
+    expect(coalescing.getInboxStats("dev")).toMatchObject({ depth: 1, coalesced: 1 });
+  });
+
+  test("a rejected or coalesced message does not interrupt a busy recipient", () => {
+    const interrupted = [];
+    const bus = new MessageBus({
+      inbox: { maxSize: 1, policy: "coalesce" },
+      getAgentStatus: () => "waiting_llm",
+      isAgentActivelyProcessing: () => true,
+      onInterruptionNeeded: (agentId, msg) => interrupted.push(msg.payload)
+    });
+    expect(bus.send({ to: "dev", from: "lead", payload: "first" }).interruptionTriggered).toBe(true);
+    expect(bus.send({ to: "dev", from: "lead", payload: "first" })).toMatchObject({ coalesced: true });
+    expect(bus.send({ to: "dev", from: "lead", payload: "second" })).toMatchObject({ rejected: true, reason: "inbox_full" });
+    expect(interrupted).toEqual(["first"]);
+  });
+});
+
+describe("backpressure surfaces", () => {
+  test("send_message returns backpressure and inbox_full errors to the sender", async () => {
+    const bus = new MessageBus({ inbox: { maxSize: 2 } });
+    const runtime = { bus, _agents: new Map([["lead", {}], ["dev1", {}], ["dev2", {}]]), org: { getAgent: () => null }, moduleLoader: { hasToolName: () => false } };
+    const executor = new ToolExecutor(runtime);
+    const ctx = { agent: { id: "lead" }, currentMessage: null, tools: { sendMessage: (m) => bus.send(m) } };
+    bus.send({ to: "dev2", from: "peer", payload: "x" });
+    bus.send({ to: "dev2", from: "peer", payload: "y" });
+
+    const result = await executor.executeToolCall(ctx, "send_message", { to: ["dev1", "dev2"], payload: { text: "hi" } });
+    expect(result).toMatchObject({ success: true, recipients: ["dev1"], partialErrors: [{ recipient: "dev2", error: "inbox_full" }] });
+    expect(result.backpressure).toEqual([{ recipient: "dev2", queueDepth: 2, maxSize: 2, utilization: 1, policy: "reject", saturated: true, action: "rejected" }]);
+    expect(result.backpressureWarning).toContain("dev2");
+
+    const failed = await executor.executeToolCall(ctx, "send_message", { to: ["dev2"], payload: { text: "hi" } });
+    expect(failed).toMatchObject({ error: "all_recipients_failed", backpressure: [{ recipient: "dev2" }] });
+  });
+
+  test("/api/agents includes inbox saturation metrics", async () => {
+    const bus = new MessageBus({ inbox: { maxSize: 4 } });
+    bus.send({ to: "a1", from: "root", payload: 1 });
+    const server = new HTTPServer({});
+    server.society = {
+      runtime: {
+        bus,
+        org: { listAgents: () => [{ id: "a1", roleId: "r1", parentAgentId: "root", status: "active" }], listRoles: () => [{ id: "r1", name: "开发" }] },
+        getAgentComputeStatus: () => "idle"
+      }
+    };
+    let body = null;
+    server._sendJson = (_res, status, payload) => { body = { status, payload }; };
+    await server._handleGetAgents({});
+    const a1 = body.payload.agents.find((a) => a.id === "a1");
+    expect(a1.inbox).toMatchObject({ depth: 1, maxSize: 4, utilization: 0.25, saturated: false, rejected: 0 });
+    expect(body.payload.agents.find((a) => a.id === "root").inbox.depth).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, expect, test } from "bun:test";
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { ComputeScheduler } from "../../src/platform/runtime/compute_scheduler.js";
+import { TurnEngine } from "../../src/platform/runtime/turn_engine.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { parsePriority, relationPriority, priorityLevelName } from "../../src/platform/utils/message/message_priority.js";
+
+const parents = { child: "boss", boss: "root" };
+const resolvePriority = (message) => relationPriority(message, (id) => parents[id] ?? null);
+const drain = (bus, agentId) => {
+  const out = [];
+  for (let msg = bus.receiveNext(agentId); msg; msg = bus.receiveNext(agentId)) out.push(msg.payload);
+  return out;
+};
+
+describe("message priority helpers", () => {
+  test("parses levels, aliases and numbers", () => {
+    expect(parsePriority("urgent")).toBe(100);
+    expect(parsePriority("高优先级")).toBe(75);
+    expect(parsePriority("Low")).toBe(25);
+    expect(parsePriority(140)).toBe(100);
+    expect(parsePriority("someday")).toBeNull();
+    expect(priorityLevelName(60)).toBe("normal");
+  });
+
+  test("derives user > parent > peer from the sender relation", () => {
+    expect(resolvePriority({ from: "user", to: "child" })).toBe(75);
+    expect(resolvePriority({ from: "boss", to: "child" })).toBe(60);
+    expect(resolvePriority({ from: "root", to: "peer" })).toBe(60);
+    expect(resolvePriority({ from: "peer", to: "child" })).toBe(50);
+  });
+});
+
+describe("MessageBus priority queues", () => {
+  test("receiveNext returns higher priority first and keeps FIFO within a priority", () => {
+    const bus = new MessageBus({ resolvePriority });
+    bus.send({ to: "child", from: "peer", payload: "peer-1" });
+    bus.send({ to: "child", from: "peer", payload: "peer-2" });
+    bus.send({ to: "child", from: "boss", payload: "boss" });
+    bus.send({ to: "child", from: "peer", payload: "low", priority: "low" });
+    bus.send({ to: "child", from: "user", payload: "user" });
+    bus.send({ to: "child", from: "peer", payload: "urgent", priority: "urgent" });
+
+    expect(bus.peekPriority("child")).toBe(100);
+    expect(drain(bus, "child")).toEqual(["urgent", "user", "boss", "peer-1", "peer-2", "low"]);
+    expect(bus.peekPriority("child")).toBeNull();
+  });
+
+  test("default priority is not written to the envelope", () => {
+    const bus = new MessageBus({ resolvePriority });
+    bus.send({ to: "child", from: "peer", payload: "x" });
+    bus.send({ to: "child", from: "boss", payload: "y" });
+    expect("priority" in bus.receiveNext("child")).toBe(true);
+    expect("priority" in bus.receiveNext("child")).toBe(false);
+  });
+
+  test("delayed messages and WAL replay keep priority order", async () => {
+    const walDir = path.resolve(process.cwd(), "test/.tmp/message_priority_wal");
+    await rm(walDir, { recursive: true, force: true });
+    const bus1 = new MessageBus({ walDir, resolvePriority });
+    bus1.send({ to: "child", from: "peer", payload: "peer" });
+    bus1.send({ to: "child", from: "peer", payload: "later", priority: "high", delayMs: 1 });
+    bus1.send({ to: "child", from: "user", payload: "user" });
+    bus1.forceDeliverAllDelayed();
+
+    const bus2 = new MessageBus({ walDir });
+    expect(bus2.restoreFromWal().queued).toBe(3);
+    expect(drain(bus2, "child")).toEqual(["user", "later", "peer"]);
+  });
+});
+
+describe("ComputeScheduler priority weighting", () => {
+  function setup() {
+    const bus = new MessageBus({ resolvePriority });
+    const statuses = new Map();
+    const runtime = {
+      log: null,
+      bus,
+      _agents: new Map([["a1", { id: "a1" }], ["a2", { id: "a2" }], ["child", { id: "child" }]]),
+      _state: {
+        getAgentComputeStatus: (id) => statuses.get(id) ?? "idle",
+        setAgentComputeStatus: (id, s) => void statuses.set(id, s)
+      },
+      _buildAgentContext: (agent) => ({ agent }),
+      _buildSystemPromptForAgent: () => "sys",
+      _ensureConversation: () => []
+    };
+    const turnEngine = new TurnEngine(runtime);
+    return { bus, turnEngine, scheduler: new ComputeScheduler(runtime, turnEngine) };
+  }
+
+  test("turns from the user or a parent jump ahead of queued peer work", () => {
+    const { bus, turnEngine, scheduler } = setup();
+    bus.send({ to: "a1", from: "peer", payload: "chatter" });
+    bus.send({ to: "a2", from: "peer", payload: "chatter" });
+    bus.send({ to: "child", from: "boss", payload: "task" });
+    scheduler._ingestMessagesToTurns();
+    bus.send({ to: "a2", from: "user", payload: "question" });
+    scheduler._ingestMessagesToTurns();
+
+    expect(turnEngine.getPriority("a2")).toBe(75);
+    expect([scheduler._takeReady(), scheduler._takeReady(), scheduler._takeReady()]).toEqual(["a2", "child", "a1"]);
+    expect(scheduler._takeReady()).toBeNull();
+  });
+
+  test("long-waiting low priority agents age ahead of fresh higher priority work", () => {
+    const { bus, scheduler } = setup();
+    bus.send({ to: "a1", from: "peer", payload: "old" });
+    scheduler._ingestMessagesToTurns();
+    scheduler._readySince.set("a1", Date.now() - 10_000);
+    bus.send({ to: "a2", from: "user", payload: "new" });
+    scheduler._ingestMessagesToTurns();
+    expect(scheduler._takeReady()).toBe("a1");
+  });
+});
+
+describe("priority on tools and formatting", () => {
+  test("send_message and spawn_agent_with_task carry priority to the bus", async () => {
+    const bus = new MessageBus({ resolvePriority });
+    const runtime = {
+      bus,
+      _agents: new Map([["boss", {}], ["child", {}]]),
+      org: { getAgent: () => null, getRole: () => ({ id: "r1" }) },
+      moduleLoader: { hasToolName: () => false },
+      spawnAgentAs: async () => ({ id: "child", roleId: "r1", roleName: "程序员" })
+    };
+    const executor = new ToolExecutor(runtime);
+    const ctx = { agent: { id: "boss" }, currentMessage: null, tools: { sendMessage: (m) => bus.send(m) } };
+
+    await executor.executeToolCall(ctx, "send_message", { to: ["child"], payload: { text: "普通" } });
+    await executor.executeToolCall(ctx, "send_message", { to: ["child"], payload: { text: "加急" }, priority: "urgent" });
+    expect((await executor.executeToolCall(ctx, "send_message", { to: ["child"], payload: {}, priority: "asap" })).error).toBe("invalid_priority");
+    await executor.executeToolCall(ctx, "spawn_agent_with_task", {
+      roleId: "r1",
+      taskBrief: { objective: "o", constraints: [], inputs: "i", outputs: "o", completion_criteria: "c", priority: "低" },
+      initialMessage: { text: "开始" }
+    });
+
+    expect(drain(bus, "child").map((p) => p.text)).toEqual(["加急", "普通", "开始"]);
+  });
+
+  test("urgent messages are flagged for the agent", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "a1", payload: { text: "服务挂了" }, priority: 100 }, { role: "运维" });
+    expect(text).toContain("（紧急消息，请优先处理）");
+    expect(formatMessageForAgent({ id: "m2", from: "a1", payload: { text: "hi" }, priority: 75 }, { role: "运维" })).not.toContain("紧急");
+  });
+});
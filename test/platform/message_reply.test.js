@@ -0,0 +1,150 @@
+import { describe, expect, test } from "bun:test";
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("MessageBus request/reply correlation", () => {
+  test("replies inherit the request's correlationId and end the wait", async () => {
+    const bus = new MessageBus();
+    const sent = bus.send({ to: "child", from: "parent", payload: { text: "进度如何？" }, replyTimeoutMs: 20 });
+    expect(sent.correlationId).toBe(sent.messageId);
+    expect(sent.replyBy).toBeTruthy();
+
+    const request = bus.receiveNext("child");
+    expect(request).toMatchObject({ correlationId: sent.messageId, replyBy: sent.replyBy });
+    expect(bus.getPendingReplies("parent")).toHaveLength(1);
+
+    // 非收件人的"回复"不会结束等待
+    bus.send({ to: "parent", from: "someone-else", payload: "x", inReplyTo: request.id });
+    expect(bus.getPendingReplies()).toHaveLength(1);
+
+    const reply = bus.send({ to: "parent", from: "child", payload: { text: "完成一半" }, inReplyTo: request.id });
+    expect(reply.correlationId).toBe(sent.messageId);
+    expect(bus.getPendingReplies()).toHaveLength(0);
+
+    await sleep(30);
+    bus.deliverDueMessages();
+    const inbox = [bus.receiveNext("parent"), bus.receiveNext("parent"), bus.receiveNext("parent")];
+    expect(inbox.map((m) => m?.payload?.kind ?? null)).toEqual([null, null, null]);
+    expect(inbox[1]).toMatchObject({ from: "child", inReplyTo: request.id, correlationId: sent.messageId });
+  });
+
+  test("delivers a reply_timeout notice to the sender when no reply arrives", async () => {
+    const bus = new MessageBus();
+    const sent = bus.send({ to: "child", from: "parent", taskId: "t1", correlationId: "ask-1", payload: "ping", replyTimeoutMs: 10 });
+    expect(sent.correlationId).toBe("ask-1");
+    bus.deliverDueMessages();
+    expect(bus.getQueueDepth("parent")).toBe(0);
+
+    await sleep(20);
+    bus.deliverDueMessages();
+    const notice = bus.receiveNext("parent");
+    expect(notice).toMatchObject({
+      from: "child",
+      taskId: "t1",
+      inReplyTo: sent.messageId,
+      correlationId: "ask-1",
+      payload: { kind: "reply_timeout", originalMessageId: sent.messageId, recipient: "child", timeoutMs: 10 }
+    });
+    expect(bus.getPendingReplies()).toHaveLength(0);
+
+    // 超时后的迟到回复照常投递
+    bus.send({ to: "parent", from: "child", payload: "pong", inReplyTo: sent.messageId });
+    expect(bus.receiveNext("parent")).toMatchObject({ payload: "pong", correlationId: "ask-1" });
+  });
+
+  test("plain messages carry no correlation fields", () => {
+    const bus = new MessageBus();
+    bus.send({ to: "a", from: "b", payload: "hi" });
+    const msg = bus.receiveNext("a");
+    expect("correlationId" in msg || "inReplyTo" in msg || "replyBy" in msg).toBe(false);
+  });
+
+  test("pending reply deadlines survive a WAL restart", async () => {
+    const walDir = path.resolve(process.cwd(), "test/.tmp/message_reply_wal");
+    await rm(walDir, { recursive: true, force: true });
+    const bus1 = new MessageBus({ walDir });
+    const answered = bus1.send({ to: "c", from: "p", payload: "q1", replyTimeoutMs: 60_000 });
+    const waiting = bus1.send({ to: "c", from: "p", payload: "q2", replyTimeoutMs: 60_000 });
+    bus1.send({ to: "p", from: "c", payload: "a1", inReplyTo: answered.messageId });
+
+    const bus2 = new MessageBus({ walDir });
+    expect(bus2.restoreFromWal().awaitingReplies).toBe(1);
+    expect(bus2.getPendingReplies().map((p) => p.messageId)).toEqual([waiting.messageId]);
+    bus2.compactWal();
+    const bus3 = new MessageBus({ walDir });
+    expect(bus3.restoreFromWal({ acceptRecipient: (id) => id !== "p" }).awaitingReplies).toBe(0);
+  });
+});
+
+describe("formatMessageForAgent correlation hints", () => {
+  test("shows reply context, deadline and the reply_to_message hint", () => {
+    const text = formatMessageForAgent(
+      { id: "m2", from: "a1", payload: { text: "结果如下" }, inReplyTo: "m1", correlationId: "c1", replyBy: "2026-01-01 10:00:00" },
+      { role: "程序员" }
+    );
+    expect(text).toContain("（这是对消息 m1 的回复，correlationId=c1）");
+    expect(text).toContain("请在 2026-01-01 10:00:00 前回复");
+    expect(text).toContain("reply_to_message(messageId='m2', ...)");
+    expect(text).toContain("send_message(to='a1', ...)");
+  });
+
+  test("formats reply_timeout notices as system notices without reply hints", () => {
+    const text = formatMessageForAgent(
+      { id: "m3", from: "a1", inReplyTo: "m1", payload: { kind: "reply_timeout", text: "a1 未在 10 秒内回复" } },
+      { role: "程序员" }
+    );
+    expect(text.startsWith("【系统通知：等待回复超时】")).toBe(true);
+    expect(text).toContain("a1 未在 10 秒内回复");
+    expect(text).not.toContain("如需回复");
+  });
+});
+
+describe("reply_to_message tool", () => {
+  function setup() {
+    const bus = new MessageBus();
+    const runtime = {
+      bus,
+      _agents: new Map([["parent", {}], ["child", {}]]),
+      org: { getAgent: () => null },
+      moduleLoader: { hasToolName: () => false }
+    };
+    const executor = new ToolExecutor(runtime);
+    const ctxFor = (agentId, currentMessage = null) => ({
+      agent: { id: agentId },
+      currentMessage,
+      tools: { sendMessage: (m) => bus.send(m) }
+    });
+    return { bus, executor, ctxFor };
+  }
+
+  test("replies to the current message with inReplyTo and correlationId", async () => {
+    const { bus, executor, ctxFor } = setup();
+    const asked = await executor.executeToolCall(ctxFor("parent"), "send_message", { to: ["child"], payload: { text: "状态？" }, replyTimeoutMs: 60_000 });
+    expect(asked.correlationIds).toEqual(asked.messageIds);
+    const request = bus.receiveNext("child");
+
+    const result = await executor.executeToolCall(ctxFor("child", request), "reply_to_message", { payload: { text: "正常" } });
+    expect(result).toMatchObject({ success: true, recipients: ["parent"], inReplyTo: request.id, correlationId: request.id });
+    expect(bus.receiveNext("parent")).toMatchObject({ inReplyTo: request.id, correlationId: request.id, payload: { text: "正常" } });
+    expect(bus.getPendingReplies()).toHaveLength(0);
+  });
+
+  test("looks up earlier messages by id and rejects replies to other agents' messages", async () => {
+    const { bus, executor, ctxFor } = setup();
+    bus.send({ to: "child", from: "parent", payload: "first", correlationId: "job-7" });
+    const first = bus.receiveNext("child");
+
+    const result = await executor.executeToolCall(ctxFor("child", { id: "other" }), "reply_to_message", { messageId: first.id, payload: { text: "ok" } });
+    expect(result.correlationId).toBe("job-7");
+
+    expect((await executor.executeToolCall(ctxFor("parent"), "reply_to_message", { messageId: first.id, payload: {} })).error).toBe("not_message_recipient");
+    expect((await executor.executeToolCall(ctxFor("child"), "reply_to_message", { messageId: "nope", payload: {} })).error).toBe("message_not_found");
+    expect((await executor.executeToolCall(ctxFor("child"), "reply_to_message", { payload: {} })).error).toBe("missing_message_id");
+    expect((await executor.executeToolCall(ctxFor("parent"), "send_message", { to: ["child"], payload: {}, replyTimeoutMs: -1 })).error).toBe("invalid_reply_timeout");
+  });
+});
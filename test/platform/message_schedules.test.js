@@ -0,0 +1,193 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { parseCron, nextCronTime } from "../../src/platform/services/schedule/cron.js";
+import { ScheduleManager } from "../../src/platform/services/schedule/schedule_manager.js";
+import { MessageBus } from "../../src/platform/core/message_bus.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createServiceFixture } from "../helpers/service_fixture.js";
+
+const fixture = createServiceFixture("message_schedules", "schedules", (deps) => new ScheduleManager(deps));
+
+/** 把总线上所有延迟消息改为已到期并投递 */
+function fireDue(bus) {
+  for (const msg of bus._delayedMessages) msg.deliverAt = 0;
+  return bus.deliverDueMessages();
+}
+
+async function setup(options = {}) {
+  const context = await fixture.setup(options);
+  context.schedules.start();
+  return context;
+}
+
+describe("cron expressions", () => {
+  test("parses fields, names, steps and aliases", () => {
+    const parsed = parseCron("*/15 9-17 * JAN,jul mon-fri");
+    expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+    expect(parsed.hour.size).toBe(9);
+    expect([...parsed.month]).toEqual([1, 7]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron("0 0 * * 7").dayOfWeek]).toEqual([0]);
+    expect(parseCron("@daily").expression).toBe("@daily");
+  });
+
+  test("rejects malformed expressions with a reason", () => {
+    for (const bad of ["", "* * * *", "60 * * * *", "* * * * 8", "5-1 * * * *", "*/0 * * * *", "a * * * *"]) {
+      let error = null;
+      try {
+        parseCron(bad);
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).toBe("invalid_cron");
+      expect(typeof error.details.reason).toBe("string");
+    }
+  });
+
+  test("computes the next weekday run in local time", () => {
+    // 2025-01-03 是周五
+    const friday = new Date(2025, 0, 3, 10, 0).getTime();
+    expect(nextCronTime("0 9 * * 1-5", friday)).toBe(new Date(2025, 0, 6, 9, 0).getTime());
+    expect(nextCronTime("0 9 * * 1-5", new Date(2025, 0, 6, 8, 59, 30).getTime())).toBe(new Date(2025, 0, 6, 9, 0).getTime());
+    expect(nextCronTime("30 * * * *", new Date(2025, 0, 6, 9, 30).getTime())).toBe(new Date(2025, 0, 6, 10, 30).getTime());
+    // 日与周同时受限时满足其一即可
+    expect(nextCronTime("0 0 15 * 0", friday)).toBe(new Date(2025, 0, 5, 0, 0).getTime());
+    expect(nextCronTime("0 0 30 2 *", friday)).toBeNull();
+  });
+});
+
+describe("ScheduleManager", () => {
+  beforeAll(fixture.cleanup);
+  afterAll(fixture.cleanup);
+
+  test("validates schedule options", async () => {
+    const { schedules } = await setup();
+    const base = { ownerId: "a1", to: ["a2"], payload: { text: "x" } };
+    await expect(schedules.createSchedule(base)).rejects.toThrow("invalid_schedule");
+    await expect(schedules.createSchedule({ ...base, cron: "* * * * *", intervalMs: 60000 })).rejects.toThrow("invalid_schedule");
+    await expect(schedules.createSchedule({ ...base, intervalMs: 1000 })).rejects.toThrow("invalid_schedule");
+    await expect(schedules.createSchedule({ ...base, cron: "bad" })).rejects.toThrow("invalid_cron");
+    await expect(schedules.createSchedule({ ...base, to: [], cron: "@hourly" })).rejects.toThrow("missing_recipients");
+    await expect(schedules.createSchedule({ ...base, cron: "@hourly", endAt: Date.now() - 1000 })).rejects.toThrow("invalid_schedule");
+  });
+
+  test("arms one delayed message per recipient and re-arms after each run until maxRuns", async () => {
+    const { bus, schedules } = await setup();
+    const created = await schedules.createSchedule({ ownerId: "lead", to: ["dev1", "dev2"], payload: { text: "站会" }, intervalMs: 60000, maxRuns: 2 });
+    expect(created.status).toBe("active");
+    expect(bus.getDelayedCount()).toBe(2);
+
+    expect(fireDue(bus)).toBe(2);
+    expect(bus.receiveNext("dev1")).toMatchObject({ from: "lead", scheduleId: created.id, payload: { text: "站会" } });
+    expect(bus.receiveNext("dev2")).toMatchObject({ scheduleId: created.id });
+    expect(schedules.getSchedule(created.id).runCount).toBe(1);
+    expect(bus.getDelayedCount()).toBe(2);
+
+    // 最后一次触发：两位收件人都能收到，之后不再挂新的触发
+    expect(fireDue(bus)).toBe(2);
+    expect(bus.getQueueDepth("dev1")).toBe(1);
+    expect(bus.getQueueDepth("dev2")).toBe(1);
+    expect(bus.getDelayedCount()).toBe(0);
+    expect(schedules.getSchedule(created.id)).toMatchObject({ status: "completed", statusReason: "max_runs_reached", runCount: 2, nextRunAt: null });
+  });
+
+  test("cancel withdraws the pending run and shutdown does not fire schedules early", async () => {
+    const { bus, schedules } = await setup();
+    const created = await schedules.createSchedule({ ownerId: "lead", to: ["dev1"], payload: { text: "x" }, cron: "0 9 * * 1-5" });
+    expect(bus.forceDeliverAllDelayed()).toBe(0);
+    expect(bus.getDelayedCount()).toBe(1);
+
+    const cancelled = await schedules.cancelSchedule(created.id, { by: "lead" });
+    expect(cancelled).toMatchObject({ status: "cancelled", statusReason: "cancelled_by:lead" });
+    expect(bus.getDelayedCount()).toBe(0);
+    await expect(schedules.cancelSchedule("nope")).rejects.toThrow("schedule_not_found");
+  });
+
+  test("persists schedules and re-arms them once after a restart", async () => {
+    const walDir = path.join(fixture.newRuntimeDir(), "message_bus");
+    const first = await setup({ bus: new MessageBus({ walDir }) });
+    const created = await first.schedules.createSchedule({ ownerId: "lead", to: ["dev1"], payload: { text: "x" }, cron: "@hourly", name: "巡检" });
+    await first.schedules.createSchedule({ ownerId: "lead", to: ["dev1"], payload: { text: "y" }, intervalMs: 60000 });
+    await first.schedules.cancelSchedule(created.id);
+
+    const saved = JSON.parse(await readFile(path.join(first.runtimeDir, "schedules.json"), "utf8"));
+    expect(saved.schedules).toHaveLength(2);
+
+    const bus2 = new MessageBus({ walDir });
+    bus2.restoreFromWal();
+    expect(bus2.getDelayedCount()).toBe(1);
+    const second = await setup({ runtimeDir: first.runtimeDir, bus: bus2 });
+    expect(bus2.getDelayedCount()).toBe(1);
+    expect(second.schedules.listSchedules({ status: "active" })).toHaveLength(1);
+    expect(second.schedules.listSchedules({ involving: "dev1" })).toHaveLength(2);
+    expect(second.schedules.getSchedule(created.id)).toMatchObject({ name: "巡检", status: "cancelled" });
+  });
+
+  test("cancels schedules whose owner or recipients have terminated", async () => {
+    const { bus, terminated, schedules } = await setup();
+    const ownerGone = await schedules.createSchedule({ ownerId: "lead", to: ["dev1"], payload: {}, intervalMs: 60000 });
+    const recipientGone = await schedules.createSchedule({ ownerId: "root", to: ["dev2"], payload: {}, intervalMs: 60000 });
+    terminated.add("lead");
+    terminated.add("dev2");
+    fireDue(bus);
+    expect(schedules.getSchedule(ownerGone.id)).toMatchObject({ status: "cancelled", statusReason: "owner_terminated" });
+    expect(schedules.getSchedule(recipientGone.id)).toMatchObject({ status: "cancelled", statusReason: "no_active_recipients" });
+    expect(bus.getDelayedCount()).toBe(0);
+  });
+});
+
+describe("schedule tools", () => {
+  async function toolSetup() {
+    const { bus, schedules } = await setup();
+    const runtime = {
+      bus,
+      scheduleManager: schedules,
+      org: { getAgent: (id) => ({ id, status: id === "gone" ? "terminated" : "active" }) },
+      _agents: new Map([["lead", {}], ["dev1", {}], ["gone", {}]]),
+      moduleLoader: { hasToolName: () => false }
+    };
+    const executor = new ToolExecutor(runtime);
+    const call = (agentId, name, args) => executor.executeToolCall({ agent: { id: agentId }, currentMessage: { taskId: "t1" }, tools: {} }, name, args);
+    return { bus, call };
+  }
+
+  test("create, list and cancel schedules with ownership checks", async () => {
+    const { bus, call } = await toolSetup();
+    const created = await call("lead", "create_schedule", { to: ["dev1"], payload: { text: "日报" }, cron: "0 18 * * 1-5", name: "日报提醒" });
+    expect(created).toMatchObject({ success: true, schedule: { ownerId: "lead", to: ["dev1"], taskId: "t1", status: "active" } });
+    expect(typeof created.schedule.nextRunAt).toBe("string");
+    expect(bus.getDelayedCount("dev1")).toBe(1);
+
+    expect(await call("lead", "create_schedule", { to: ["gone", "ghost"], payload: {}, intervalMs: 60000 })).toMatchObject({ error: "agent_not_found", unknownRecipients: ["gone", "ghost"] });
+    expect(await call("lead", "create_schedule", { to: ["dev1"], payload: {}, cron: "0 25 * * *" })).toMatchObject({ error: "invalid_cron", expression: "0 25 * * *" });
+    expect((await call("lead", "create_schedule", { to: ["dev1"], payload: {}, intervalMs: 10 })).error).toBe("invalid_schedule");
+
+    expect((await call("dev1", "list_schedules", {})).count).toBe(1);
+    expect((await call("gone", "list_schedules", {})).count).toBe(0);
+    expect((await call("root", "list_schedules", {})).count).toBe(1);
+
+    const id = created.schedule.id;
+    expect(await call("dev1", "cancel_schedule", { scheduleId: id })).toMatchObject({ error: "not_schedule_owner", ownerId: "lead" });
+    expect(await call("lead", "cancel_schedule", { scheduleId: id })).toMatchObject({ success: true, schedule: { status: "cancelled" } });
+    expect((await call("lead", "cancel_schedule", { scheduleId: "nope" })).error).toBe("schedule_not_found");
+    expect((await call("lead", "list_schedules", {})).count).toBe(0);
+    expect((await call("lead", "list_schedules", { includeInactive: true })).count).toBe(1);
+  });
+
+  test("scheduled messages are labelled for the agent", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "lead", scheduleId: "s1", payload: { text: "日报" } }, { role: "主管" });
+    expect(text).toContain("（定时消息，计划ID=s1，可用 list_schedules 查看）");
+  });
+});
+
+describe("schedule tool group", () => {
+  test("schedule tools form their own tool group that root can use", () => {
+    const scheduleTools = ["create_schedule", "list_schedules", "cancel_schedule"];
+    expect(BUILTIN_TOOL_GROUPS.schedule.tools).toEqual(scheduleTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => scheduleTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("schedule");
+  });
+});
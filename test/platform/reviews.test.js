@@ -0,0 +1,204 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import path from "node:path";
+import { ReviewManager } from "../../src/platform/services/review/review_manager.js";
+import { ArtifactStore } from "../../src/platform/services/artifact/artifact_store.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createServiceFixture } from "../helpers/service_fixture.js";
+
+const fixture = createServiceFixture("reviews", "reviews", (deps) => new ReviewManager(deps));
+const file = (p) => ({ path: p, revision: "r1", size: 1, mimeType: "text/plain", artifactId: "a".repeat(64) });
+const setup = fixture.setup;
+
+describe("ReviewManager", () => {
+  beforeAll(fixture.cleanup);
+  afterAll(fixture.cleanup);
+
+  test("validates review requests", async () => {
+    const { reviews } = await setup();
+    const base = { requesterId: "dev", reviewers: ["qa"], title: "评审", files: [file("a.js")] };
+    await expect(reviews.createReview({ ...base, title: "" })).rejects.toThrow("invalid_review");
+    await expect(reviews.createReview({ ...base, reviewers: ["dev"] })).rejects.toThrow("invalid_review");
+    await expect(reviews.createReview({ ...base, files: [] })).rejects.toThrow("invalid_review");
+    await expect(reviews.createReview({ ...base, previousReviewId: "nope" })).rejects.toThrow("invalid_review");
+  });
+
+  test("notifies reviewers and resolves once every reviewer has a verdict", async () => {
+    const { bus, reviews } = await setup();
+    const review = await reviews.createReview({
+      requesterId: "dev", reviewers: ["peer", "expert"], title: "登录模块", files: [file("src/login.js")],
+      completionCriteria: ["单元测试通过", "无明文密码"], taskId: "t1"
+    });
+    expect(review).toMatchObject({ status: "pending", pendingReviewers: ["peer", "expert"] });
+    const request = bus.receiveNext("peer");
+    expect(request).toMatchObject({ from: "dev", taskId: "t1", payload: { kind: "review_request", reviewId: review.id } });
+    expect(request.payload.text).toContain("- 无明文密码");
+    expect(request.payload.text).toContain("src/login.js");
+    expect(bus.receiveNext("expert").payload.kind).toBe("review_request");
+
+    await expect(reviews.submitVerdict(review.id, "dev", { verdict: "approve" })).rejects.toThrow("not_reviewer");
+    await expect(reviews.submitVerdict(review.id, "peer", { verdict: "ok" })).rejects.toThrow("invalid_verdict");
+    await expect(reviews.submitVerdict(review.id, "peer", { verdict: "request_changes" })).rejects.toThrow("missing_comments");
+
+    const partial = await reviews.submitVerdict(review.id, "peer", { verdict: "request_changes", comments: "缺少错误处理" });
+    expect(partial).toMatchObject({ status: "pending", pendingReviewers: ["expert"] });
+    expect(bus.receiveNext("dev").payload).toMatchObject({ kind: "review_verdict", reviewerId: "peer", verdict: "request_changes", status: "pending" });
+
+    // 评审结束前可以修改结论
+    await reviews.submitVerdict(review.id, "peer", { verdict: "approve" });
+    const done = await reviews.submitVerdict(review.id, "expert", { verdict: "approve", comments: "LGTM" });
+    expect(done).toMatchObject({ status: "approved", pendingReviewers: [], verdicts: { peer: { verdict: "approve", comments: null }, expert: { comments: "LGTM" } } });
+    expect(typeof done.decidedAt).toBe("string");
+    bus.receiveNext("dev");
+    const final = bus.receiveNext("dev").payload;
+    expect(final).toMatchObject({ status: "approved" });
+    expect(final.text).toContain("所有评审人均已通过");
+    await expect(reviews.submitVerdict(review.id, "peer", { verdict: "approve" })).rejects.toThrow("review_closed");
+  });
+
+  test("any request for changes fails the review and cancellation notifies pending reviewers", async () => {
+    const { bus, reviews } = await setup();
+    const first = await reviews.createReview({ requesterId: "dev", reviewers: ["peer"], title: "v1", files: [file("a.js")] });
+    const failed = await reviews.submitVerdict(first.id, "peer", { verdict: "request_changes", comments: "重命名变量" });
+    expect(failed.status).toBe("changes_requested");
+
+    const second = await reviews.createReview({ requesterId: "dev", reviewers: ["peer", "expert"], title: "v2", files: [file("a.js")], previousReviewId: first.id });
+    expect(second.previousReviewId).toBe(first.id);
+    await reviews.submitVerdict(second.id, "peer", { verdict: "approve" });
+    for (const id of ["peer", "expert"]) while (bus.receiveNext(id));
+
+    expect((await reviews.cancelReview(second.id, "dev")).status).toBe("cancelled");
+    expect(bus.receiveNext("expert").payload.kind).toBe("review_cancelled");
+    expect(bus.receiveNext("peer")).toBeNull();
+    expect(reviews.listReviews({ requesterId: "dev" }).map((r) => r.status)).toEqual(["changes_requested", "cancelled"]);
+  });
+
+  test("persists reviews across restarts", async () => {
+    const first = await setup();
+    const review = await first.reviews.createReview({ requesterId: "dev", reviewers: ["peer"], title: "x", files: [file("a.js")] });
+    const second = await setup({ runtimeDir: first.runtimeDir });
+    expect(second.reviews.getReview(review.id)).toMatchObject({ status: "pending", reviewers: ["peer"] });
+    expect(second.reviews.listReviews({ involving: "peer", status: "pending" })).toHaveLength(1);
+  });
+});
+
+describe("review tools, formatting and HTTP", () => {
+  async function toolSetup(options = {}) {
+    const { bus, reviews } = await setup();
+    const artifactStore = new ArtifactStore({ artifactsDir: path.join(fixture.newRuntimeDir(), "artifacts") });
+    await artifactStore.init();
+    const files = {
+      "src/login.js": { content: "export const login = () => {};", mimeType: "text/javascript" },
+      "logo.png": { content: Buffer.from([1, 2, 3]).toString("base64"), mimeType: "image/png", total: 3 }
+    };
+    const runtime = {
+      bus,
+      reviewManager: reviews,
+      artifactStore,
+      org: { getAgent: (id) => ({ id, status: id === "gone" ? "terminated" : "active" }) },
+      _agents: new Map([["dev", {}], ["peer", {}], ["expert", {}], ["gone", {}]]),
+      _agentTaskBriefs: new Map([["dev", { completion_criteria: "登录成功后跳转首页" }]]),
+      moduleLoader: { hasToolName: () => false },
+      findWorkspaceIdForAgent: (id) => (options.noWorkspace ? null : id),
+      workspaceManager: {
+        getWorkspace: async () => ({
+          readFile: async (p) => {
+            const f = files[p];
+            if (!f) throw new Error("file_not_found");
+            const total = f.total ?? Buffer.byteLength(f.content);
+            return { content: f.content, mimeType: f.mimeType, total, readLength: total, revision: `rev-${p}` };
+          }
+        })
+      }
+    };
+    const executor = new ToolExecutor(runtime);
+    const call = (agentId, name, args) => executor.executeToolCall({ agent: { id: agentId }, currentMessage: { id: "m1", taskId: "t1" }, tools: {} }, name, args);
+    return { bus, reviews, artifactStore, call };
+  }
+
+  test("request_review snapshots files as artifacts and uses the task brief criteria", async () => {
+    const { bus, artifactStore, call } = await toolSetup();
+    expect(await call("dev", "request_review", { title: "x", reviewers: ["peer", "gone"], files: ["src/login.js"] }))
+      .toMatchObject({ error: "agent_not_found", unknownReviewers: ["gone"] });
+    expect(await call("dev", "request_review", { title: "x", reviewers: ["peer"], files: ["missing.js"] }))
+      .toMatchObject({ error: "file_not_found", path: "missing.js" });
+    expect((await call("dev", "request_review", { title: "x", reviewers: ["peer"], files: [] })).error).toBe("invalid_review");
+
+    const created = await call("dev", "request_review", { title: "登录模块", reviewers: ["peer", "expert"], files: ["src/login.js", "logo.png"] });
+    expect(created).toMatchObject({ success: true, review: { requesterId: "dev", taskId: "t1", completionCriteria: "登录成功后跳转首页" } });
+    const [code, image] = created.review.files;
+    expect(code).toMatchObject({ path: "src/login.js", revision: "rev-src/login.js", mimeType: "text/javascript" });
+    expect((await artifactStore.getArtifact(code.artifactId)).content.toString("utf8")).toBe("export const login = () => {};");
+    expect([...(await artifactStore.getArtifact(image.artifactId)).content]).toEqual([1, 2, 3]);
+    expect(bus.receiveNext("expert").payload.text).toContain(`artifactId=${code.artifactId}`);
+
+    const explicit = await call("dev", "request_review", { title: "y", reviewers: ["peer"], files: ["src/login.js"], completionCriteria: ["覆盖率 80%"] });
+    expect(explicit.review.completionCriteria).toEqual(["覆盖率 80%"]);
+  });
+
+  test("submit, list and cancel reviews with permission checks", async () => {
+    const { call } = await toolSetup();
+    const { review } = await call("dev", "request_review", { title: "登录模块", reviewers: ["peer", "expert"], files: ["src/login.js"] });
+
+    expect((await call("peer", "list_reviews", { as: "reviewer" })).count).toBe(1);
+    expect((await call("peer", "list_reviews", { as: "requester" })).count).toBe(0);
+    expect((await call("root", "list_reviews", {})).count).toBe(1);
+
+    expect(await call("peer", "submit_review", { reviewId: review.id, verdict: "request_changes" })).toMatchObject({ error: "missing_comments" });
+    expect(await call("peer", "submit_review", { reviewId: review.id, verdict: "approve" })).toMatchObject({ success: true, status: "pending", pendingReviewers: ["expert"] });
+    expect(await call("peer", "cancel_review", { reviewId: review.id })).toMatchObject({ error: "not_review_requester", requesterId: "dev" });
+    expect(await call("dev", "cancel_review", { reviewId: review.id })).toMatchObject({ success: true, review: { status: "cancelled" } });
+    expect((await call("expert", "submit_review", { reviewId: review.id, verdict: "approve" })).error).toBe("review_closed");
+    expect((await call("dev", "list_reviews", {})).count).toBe(0);
+    expect((await call("dev", "list_reviews", { includeClosed: true })).count).toBe(1);
+  });
+
+  test("requires a workspace to package files", async () => {
+    const { call } = await toolSetup({ noWorkspace: true });
+    expect((await call("dev", "request_review", { title: "x", reviewers: ["peer"], files: ["a.js"] })).error).toBe("workspace_not_assigned");
+  });
+
+  test("review notices are shown as review headers", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "dev", payload: { kind: "review_request", text: "请评审" } }, { role: "开发" });
+    expect(text.startsWith("【评审通知：请你评审】")).toBe(true);
+    expect(text).not.toContain("reply_to_message");
+  });
+
+  test("lists and shows reviews over HTTP", async () => {
+    const { reviews } = await setup();
+    const review = await reviews.createReview({ requesterId: "dev", reviewers: ["peer"], title: "x", files: [file("a.js")], taskId: "t1" });
+    const server = new HTTPServer({});
+    let body = null;
+    server._sendJson = (_res, status, payload) => { body = { status, payload }; };
+
+    server._handleGetReviews(new URL("http://x/api/reviews"), {});
+    expect(body.status).toBe(503);
+    server.setRuntime({ reviewManager: reviews });
+
+    server._handleGetReviews(new URL("http://x/api/reviews?reviewerId=peer&status=pending&taskId=t1"), {});
+    expect(body.payload).toMatchObject({ count: 1, reviews: [{ id: review.id, pendingReviewers: ["peer"] }] });
+    server._handleGetReviews(new URL("http://x/api/reviews?status=approved"), {});
+    expect(body.payload.count).toBe(0);
+
+    server._handleGetReview(review.id, {});
+    expect(body.payload.review).toMatchObject({ id: review.id, files: [{ path: "a.js" }] });
+    server._handleGetReview("nope", {});
+    expect(body).toMatchObject({ status: 404, payload: { error: "review_not_found" } });
+  });
+});
+
+describe("review tool group", () => {
+  test("review tools form their own tool group that root can use", () => {
+    const reviewTools = [
+      "request_review",
+      "submit_review",
+      "list_reviews",
+      "cancel_review"
+    ];
+    expect(BUILTIN_TOOL_GROUPS.review.tools).toEqual(reviewTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => reviewTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("review");
+  });
+});
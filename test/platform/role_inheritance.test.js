@@ -0,0 +1,150 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import { rm } from "node:fs/promises";
+import { OrgPrimitives } from "../../src/platform/core/org_primitives.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { createJsonReq } from "../helpers/http_request.js";
+import { createTempTestRuntime, newTestTmpDir } from "../helpers/test_runtime.js";
+
+describe("OrgPrimitives role inheritance", () => {
+  let org;
+  let runtimeDir;
+
+  beforeEach(() => {
+    runtimeDir = newTestTmpDir("role_inheritance_org");
+    org = new OrgPrimitives({ runtimeDir });
+  });
+
+  afterEach(async () => {
+    await rm(runtimeDir, { recursive: true, force: true });
+  });
+
+  test("composes prompts, tool groups and llm service from base and mixin roles", async () => {
+    const base = await org.createRole({ name: "工程师基础", rolePrompt: "遵守质量规范", orgPrompt: "研发部", llmServiceId: "svc-a", toolGroups: ["workspace"] });
+    const reviewer = await org.createRole({ name: "评审规范", rolePrompt: "提交前自查", toolGroups: ["artifact", "workspace"] });
+    const frontend = await org.createRole({ name: "前端工程师", rolePrompt: "负责界面", extendsRoleId: base.id, mixinRoleIds: [reviewer.id, reviewer.id] });
+
+    expect(frontend).toMatchObject({ extendsRoleId: base.id, mixinRoleIds: [reviewer.id] });
+    expect(org.resolveRole(frontend.id)).toMatchObject({
+      rolePrompt: "遵守质量规范\n\n提交前自查\n\n负责界面",
+      orgPrompt: "研发部",
+      llmServiceId: "svc-a",
+      toolGroups: ["workspace", "artifact"],
+      inheritedFrom: [base.id, reviewer.id]
+    });
+    expect(org.getRole(frontend.id).rolePrompt).toBe("负责界面");
+    expect(org.resolveRole(base.id).inheritedFrom).toEqual([]);
+    expect(org.listDerivedRoleIds(base.id)).toEqual([frontend.id]);
+
+    // 基础岗位的修改立即体现在派生岗位上，本岗位的配置优先
+    await org.updateRole(base.id, { rolePrompt: "遵守新版质量规范" });
+    await org.updateRole(frontend.id, { llmServiceId: "svc-b" });
+    expect(org.resolveRole(frontend.id)).toMatchObject({ rolePrompt: "遵守新版质量规范\n\n提交前自查\n\n负责界面", llmServiceId: "svc-b" });
+
+    const reloaded = new OrgPrimitives({ runtimeDir });
+    await reloaded.loadIfExists();
+    expect(reloaded.resolveRole(frontend.id).inheritedFrom).toEqual([base.id, reviewer.id]);
+  });
+
+  test("rejects missing base roles and inheritance cycles without changing the role", async () => {
+    const base = await org.createRole({ name: "base", rolePrompt: "b" });
+    const derived = await org.createRole({ name: "derived", rolePrompt: "d", extendsRoleId: base.id });
+
+    await expect(org.createRole({ name: "x", rolePrompt: "x", mixinRoleIds: ["ghost"] })).rejects.toThrow("base_role_not_found");
+    await expect(org.updateRole(base.id, { extendsRoleId: derived.id })).rejects.toThrow("role_inheritance_cycle");
+    await expect(org.updateRole(base.id, { mixinRoleIds: [base.id] })).rejects.toThrow("role_inheritance_cycle");
+    expect(org.getRole(base.id).extendsRoleId).toBeNull();
+
+    await org.updateRole(derived.id, { extendsRoleId: null });
+    expect(org.resolveRole(derived.id)).toMatchObject({ rolePrompt: "d", inheritedFrom: [] });
+  });
+
+  test("deleting a role removes it from derived roles", async () => {
+    const base = await org.createRole({ name: "base", rolePrompt: "b" });
+    const mixin = await org.createRole({ name: "mixin", rolePrompt: "m" });
+    const other = await org.createRole({ name: "other", rolePrompt: "o" });
+    const derived = await org.createRole({ name: "derived", rolePrompt: "d", extendsRoleId: base.id, mixinRoleIds: [mixin.id, other.id] });
+
+    await org.deleteRole(base.id, "root");
+    await org.deleteRole(mixin.id, "root");
+    expect(org.getRole(derived.id)).toMatchObject({ extendsRoleId: null, mixinRoleIds: [other.id] });
+    expect(org.resolveRole(derived.id)).toMatchObject({ rolePrompt: "o\n\nd", inheritedFrom: [other.id] });
+    expect(org.listDerivedRoleIds(base.id)).toEqual([]);
+  });
+
+  test("ignores deleted references left in older data and only validates newly set ones", async () => {
+    const base = await org.createRole({ name: "base", rolePrompt: "b" });
+    const derived = await org.createRole({ name: "derived", rolePrompt: "d", extendsRoleId: base.id });
+    // 早期版本删除岗位时不会清除派生岗位的引用
+    org.getRole(base.id).status = "deleted";
+
+    expect(org.resolveRole(derived.id)).toMatchObject({ rolePrompt: "d", inheritedFrom: [] });
+    await org.updateRole(derived.id, { extendsRoleId: base.id, rolePrompt: "d2" });
+    expect(org.getRole(derived.id)).toMatchObject({ extendsRoleId: base.id, rolePrompt: "d2" });
+
+    const mixin = await org.createRole({ name: "mixin", rolePrompt: "m" });
+    await org.updateRole(derived.id, { mixinRoleIds: [mixin.id] });
+    expect(org.resolveRole(derived.id).inheritedFrom).toEqual([mixin.id]);
+    await expect(org.updateRole(derived.id, { mixinRoleIds: [mixin.id, "ghost"] })).rejects.toThrow("base_role_not_found");
+  });
+});
+
+describe("runtime uses composed roles", () => {
+  let runtime;
+  let tmpDir;
+  let base;
+  let derived;
+  let agent;
+
+  beforeEach(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("role_inheritance"));
+    base = await runtime.org.createRole({ name: "工程师基础", rolePrompt: "【质量规范】所有改动必须附带测试", toolGroups: ["workspace"] });
+    derived = await runtime.org.createRole({ name: "后端工程师", rolePrompt: "负责接口开发", extendsRoleId: base.id, toolGroups: ["network"] });
+    agent = await runtime.spawnAgent({ roleId: derived.id, parentAgentId: "root" });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("system prompt and tool permissions follow the base role", async () => {
+    const server = new HTTPServer({});
+    server.society = { runtime };
+    const getPrompt = () => new Promise((resolve) => {
+      server._sendJson = (_res, status, payload) => resolve({ status, payload });
+      server._handleGetAgentSystemPrompt(agent.id, {});
+    });
+
+    const before = (await getPrompt()).payload.systemPrompt;
+    expect(before).toContain("【质量规范】所有改动必须附带测试\n\n负责接口开发");
+
+    await runtime.org.updateRole(base.id, { rolePrompt: "【质量规范】所有改动必须经过评审" });
+    const after = (await getPrompt()).payload.systemPrompt;
+    expect(after).toContain("【质量规范】所有改动必须经过评审");
+    expect(after).not.toContain("附带测试");
+
+    expect(runtime.isToolAvailableForAgent(agent.id, "http_request")).toBe(true);
+    expect(runtime.isToolAvailableForAgent(agent.id, "read_file")).toBe(true);
+    expect(runtime.isToolAvailableForAgent(agent.id, "run_javascript")).toBe(false);
+  });
+
+  test("sets inheritance over HTTP and through create_role", async () => {
+    const server = new HTTPServer({});
+    server.society = { runtime };
+    const respond = (roleId, body) => new Promise((resolve) => {
+      server._sendJson = (_res, status, payload) => resolve({ status, payload });
+      server._handleUpdateRoleInheritance(createJsonReq(body), roleId, {});
+    });
+
+    const mixin = await runtime.org.createRole({ name: "文档规范", rolePrompt: "接口需写文档" });
+    const updated = await respond(derived.id, { mixinRoleIds: [mixin.id] });
+    expect(updated.status).toBe(200);
+    expect(updated.payload.composed).toMatchObject({ rolePrompt: "【质量规范】所有改动必须附带测试\n\n接口需写文档\n\n负责接口开发", inheritedFrom: [base.id, mixin.id] });
+    expect((await respond(base.id, { extendsRoleId: derived.id })).payload.error).toBe("role_inheritance_cycle");
+    expect((await respond("ghost", { extendsRoleId: null })).status).toBe(404);
+
+    const ctx = runtime._buildAgentContext(runtime._agents.get("root"));
+    const created = await runtime.executeToolCall(ctx, "create_role", { name: "前端工程师", rolePrompt: "负责界面", extendsRoleId: base.id });
+    expect(created).toMatchObject({ extendsRoleId: base.id });
+    expect(await runtime.executeToolCall(ctx, "create_role", { name: "测试工程师", rolePrompt: "t", extendsRoleId: "ghost" })).toMatchObject({ error: "base_role_not_found", roleId: "ghost" });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, readFile } from "node:fs/promises";
+import { OrgPrimitives } from "../../src/platform/core/org_primitives.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { createJsonReq } from "../helpers/http_request.js";
+import { createTempTestRuntime, newTestTmpDir } from "../helpers/test_runtime.js";
+
+describe("OrgPrimitives role lifecycle", () => {
+  let runtimeDir;
+
+  beforeEach(() => {
+    runtimeDir = newTestTmpDir("role_status_org");
+  });
+
+  afterEach(async () => {
+    await rm(runtimeDir, { recursive: true, force: true });
+  });
+
+  test("records allowed transitions in org.json and rejects the rest", async () => {
+    const org = new OrgPrimitives({ runtimeDir });
+    const draft = await org.createRole({ name: "测试工程师", rolePrompt: "t", status: "draft" });
+    const next = await org.createRole({ name: "测试工程师v2", rolePrompt: "t2" });
+    expect(draft.status).toBe("draft");
+
+    await expect(org.setRoleStatus(draft.id, "frozen")).rejects.toThrow("invalid_role_transition");
+    await org.setRoleStatus(draft.id, "active", { changedBy: "root" });
+    await expect(org.setRoleStatus(draft.id, "active")).rejects.toThrow("role_status_unchanged");
+    await expect(org.setRoleStatus(draft.id, "retired")).rejects.toThrow("invalid_role_status");
+    await expect(org.setRoleStatus(draft.id, "deprecated", { replacedByRoleId: "ghost" })).rejects.toThrow("replacement_role_not_found");
+    await org.setRoleStatus(draft.id, "deprecated", { changedBy: "root", reason: "流程已调整", replacedByRoleId: next.id });
+
+    const saved = JSON.parse(await readFile(path.join(runtimeDir, "org.json"), "utf8")).roles.find((r) => r.id === draft.id);
+    expect(saved).toMatchObject({ status: "deprecated", replacedByRoleId: next.id });
+    expect(saved.statusHistory.map((h) => [h.from, h.to, h.changedBy, h.reason])).toEqual([
+      ["draft", "active", "root", null],
+      ["active", "deprecated", "root", "流程已调整"]
+    ]);
+
+    await org.setRoleStatus(draft.id, "frozen");
+    expect(org.getRole(draft.id).replacedByRoleId).toBeUndefined();
+    expect(org.findRoleByName("测试工程师", { statuses: ["active"] })).toBeNull();
+    expect(org.findRoleByName("测试工程师", { statuses: ["frozen", "deprecated"] })?.id).toBe(draft.id);
+    expect(org.findRoleByName("测试工程师")?.id).toBe(draft.id);
+  });
+});
+
+describe("role status in tools and HTTP", () => {
+  let runtime;
+  let tmpDir;
+  let lead;
+  let oldRole;
+  let newRole;
+
+  const call = (agentId, name, args) => runtime.executeToolCall(runtime._buildAgentContext(runtime._agents.get(agentId) ?? { id: agentId }), name, args);
+  const brief = { objective: "o", constraints: [], inputs: "i", outputs: "o", completion_criteria: "c" };
+
+  beforeEach(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("role_status"));
+    const leadRole = await runtime.org.createRole({ name: "lead", rolePrompt: "p" });
+    lead = await runtime.spawnAgent({ roleId: leadRole.id, parentAgentId: "root" });
+    oldRole = await runtime.org.createRole({ name: "旧版开发", rolePrompt: "p", createdBy: lead.id });
+    newRole = await runtime.org.createRole({ name: "新版开发", rolePrompt: "p", createdBy: lead.id });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("spawn_agent_with_task refuses draft and frozen roles and warns for deprecated ones", async () => {
+    expect((await call("root", "set_role_status", { roleId: oldRole.id, status: "deprecated" })).success).toBe(true);
+    const spawned = await call(lead.id, "spawn_agent_with_task", { roleId: oldRole.id, taskBrief: brief, initialMessage: "开始" });
+    expect(spawned).toMatchObject({ roleId: oldRole.id, warning: "role_deprecated", replacedByRoleId: null });
+    expect(runtime._agents.has(spawned.id)).toBe(true);
+
+    const structure = await call(lead.id, "get_org_structure", {});
+    expect(structure.selfOrg.roles.find((r) => r.id === oldRole.id)).toMatchObject({ status: "deprecated" });
+
+    expect(await call(lead.id, "set_role_status", { roleId: oldRole.id, status: "frozen", reason: "停用" })).toEqual({ success: true, roleId: oldRole.id, status: "frozen", replacedByRoleId: null });
+    expect((await call(lead.id, "spawn_agent_with_task", { roleId: oldRole.id, taskBrief: brief, initialMessage: "开始" })).error).toBe("role_frozen");
+    expect(runtime._agents.has(spawned.id)).toBe(true);
+
+    const draft = await call(lead.id, "create_role", { name: "草稿岗位", rolePrompt: "p", status: "draft" });
+    expect((await call(lead.id, "spawn_agent_with_task", { roleId: draft.id, taskBrief: brief, initialMessage: "开始" })).error).toBe("role_draft");
+    expect(await call(lead.id, "find_role_by_name", { name: "草稿岗位", statuses: ["active"] })).toBeNull();
+    expect((await call(spawned.id, "set_role_status", { roleId: draft.id, status: "active" })).error).toBe("not_role_creator");
+    expect((await call(lead.id, "set_role_status", { roleId: draft.id, status: "deprecated" })).error).toBe("invalid_role_transition");
+  });
+
+  test("switches role status over HTTP", async () => {
+    const server = new HTTPServer({});
+    server.society = { runtime };
+    const respond = (roleId, body) => new Promise((resolve) => {
+      server._sendJson = (_res, status, payload) => resolve({ status, payload });
+      server._handleSetRoleStatus(createJsonReq(body), roleId, {});
+    });
+
+    const deprecated = await respond(oldRole.id, { status: "deprecated", replacedByRoleId: newRole.id, reason: "合并岗位" });
+    expect(deprecated.status).toBe(200);
+    expect(deprecated.payload.role).toMatchObject({ status: "deprecated", replacedByRoleId: newRole.id });
+    expect((await respond(oldRole.id, { status: "deprecated" })).status).toBe(409);
+    expect((await respond(oldRole.id, { status: "gone" })).payload).toMatchObject({ error: "invalid_role_status" });
+    expect((await respond("ghost", { status: "frozen" })).status).toBe(404);
+  });
+});
@@ -66,12 +66,43 @@ describe("RuntimeTools", () => {
       const orgTools = [
         "find_role_by_name",
         "create_role",
+        "set_role_status",
         "list_org_template_infos",
         "get_org_template_org",
         "get_org_structure",
         "spawn_agent_with_task",
         "terminate_agent",
-        "send_message"
+        "reassign_agent",
+        "suspend_agent",
+        "resume_agent",
+        "fork_agent",
+        "send_message",
+        "reply_to_message",
+        "subscribe_channel",
+        "unsubscribe_channel",
+        "publish_to_channel",
+        "create_schedule",
+        "list_schedules",
+        "cancel_schedule",
+        "create_meeting",
+        "speak_in_meeting",
+        "grant_floor",
+        "end_meeting",
+        "get_meeting_transcript",
+        "bb_get",
+        "bb_set",
+        "bb_compare_and_set",
+        "bb_list",
+        "bb_watch",
+        "bb_unwatch",
+        "request_review",
+        "submit_review",
+        "list_reviews",
+        "cancel_review",
+        "update_task",
+        "set_task_dependencies",
+        "list_tasks",
+        "get_task"
       ];
       
       // root 应该只有组织管理工具
@@ -0,0 +1,212 @@
+import { describe, expect, test, beforeAll, afterAll } from "bun:test";
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { TaskRegistry } from "../../src/platform/services/task/task_registry.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+import { BUILTIN_TOOL_GROUPS, ROOT_TOOL_GROUPS } from "../../src/platform/extensions/tool_group_manager.js";
+import { HTTPServer } from "../../src/platform/services/http/http_server.js";
+import { formatMessageForAgent } from "../../src/platform/utils/message/message_formatter.js";
+import { createServiceFixture } from "../helpers/service_fixture.js";
+
+const fixture = createServiceFixture("tasks", "registry", (deps) => new TaskRegistry(deps));
+const brief = (objective) => ({ objective, constraints: [], inputs: "需求文档", outputs: "代码", completion_criteria: "测试通过" });
+const setup = fixture.setup;
+
+describe("TaskRegistry", () => {
+  beforeAll(fixture.cleanup);
+  afterAll(fixture.cleanup);
+
+  test("tracks delegated tasks and links sub-delegations to the parent task", async () => {
+    const { registry } = await setup();
+    const lead = await registry.createTask({ assigneeId: "lead", creatorId: "root", brief: brief("开发登录功能"), rootTaskId: "t1" });
+    expect(lead).toMatchObject({ title: "开发登录功能", status: "open", progress: 0, parentTaskId: null, rootTaskId: "t1" });
+    expect(lead.brief).toBeUndefined();
+
+    const api = await registry.createTask({ assigneeId: "dev1", creatorId: "lead", brief: brief("登录接口"), rootTaskId: "t1" });
+    expect(api.parentTaskId).toBe(lead.id);
+    expect(registry.findCurrentTask("dev1").id).toBe(api.id);
+
+    const detail = registry.getTask(lead.id);
+    expect(detail.brief.objective).toBe("开发登录功能");
+    expect(detail.children).toEqual([api.id]);
+    expect(detail.history).toHaveLength(1);
+
+    expect(registry.listTasks({ involving: "lead" }).map((t) => t.id)).toEqual([lead.id, api.id]);
+    expect(registry.listTasks({ assigneeId: "dev1" }).map((t) => t.id)).toEqual([api.id]);
+  });
+
+  test("validates status updates and notifies the creator on blocked/done/failed", async () => {
+    const { bus, registry } = await setup();
+    const task = await registry.createTask({ assigneeId: "dev1", creatorId: "lead", brief: brief("登录接口"), rootTaskId: "t1" });
+
+    await expect(registry.updateTask(task.id, { status: "sleeping" }, "dev1")).rejects.toThrow("invalid_status");
+    await expect(registry.updateTask(task.id, { progress: 120 }, "dev1")).rejects.toThrow("invalid_progress");
+    await expect(registry.updateTask(task.id, { status: "blocked" }, "dev1")).rejects.toThrow("missing_note");
+
+    expect(await registry.updateTask(task.id, { status: "in_progress", progress: 30 }, "dev1")).toMatchObject({ status: "in_progress", progress: 30 });
+    expect(bus.getQueueDepth("lead")).toBe(0);
+
+    await registry.updateTask(task.id, { status: "blocked", note: "缺少数据库账号" }, "dev1");
+    const blocked = bus.receiveNext("lead");
+    expect(blocked).toMatchObject({ from: "dev1", taskId: "t1", payload: { kind: "task_status", status: "blocked", trackedTaskId: task.id } });
+    expect(blocked.payload.text).toContain("缺少数据库账号");
+
+    const done = await registry.updateTask(task.id, { status: "done" }, "dev1");
+    expect(done).toMatchObject({ status: "done", progress: 100 });
+    expect(done.completedAt).not.toBeNull();
+    expect(bus.receiveNext("lead").payload).toMatchObject({ kind: "task_status", status: "done" });
+    await expect(registry.updateTask(task.id, { status: "in_progress" }, "dev1")).rejects.toThrow("task_closed");
+    expect(registry.getTask(task.id).history.map((h) => h.status)).toEqual(["open", "in_progress", "blocked", "done"]);
+  });
+
+  test("rejects dependency cycles and notifies dependents when dependencies finish", async () => {
+    const { bus, registry } = await setup();
+    const api = await registry.createTask({ assigneeId: "dev1", creatorId: "lead", title: "接口" });
+    const db = await registry.createTask({ assigneeId: "dev3", creatorId: "lead", title: "数据库" });
+    const ui = await registry.createTask({ assigneeId: "dev2", creatorId: "lead", title: "界面", dependsOn: [api.id, db.id] });
+    expect(ui.waitingOn).toEqual([api.id, db.id]);
+
+    await expect(registry.createTask({ assigneeId: "dev2", creatorId: "lead", dependsOn: ["nope"] })).rejects.toThrow("task_not_found");
+    await expect(registry.setDependencies(api.id, [ui.id], "lead")).rejects.toThrow("dependency_cycle");
+    await expect(registry.setDependencies(api.id, [api.id], "lead")).rejects.toThrow("dependency_cycle");
+
+    await registry.updateTask(api.id, { status: "done" }, "dev1");
+    const first = bus.receiveNext("dev2");
+    expect(first).toMatchObject({ from: "dev1", payload: { kind: "task_dependency", trackedTaskId: ui.id, dependencyId: api.id, dependencyStatus: "done", waitingOn: [db.id] } });
+
+    await registry.updateTask(db.id, { status: "failed", note: "磁盘不足" }, "dev3");
+    const second = bus.receiveNext("dev2");
+    expect(second.payload).toMatchObject({ kind: "task_dependency", dependencyStatus: "failed" });
+    expect(second.payload.text).toContain("磁盘不足");
+
+    const graph = registry.getGraph();
+    expect(graph.edges).toEqual([{ from: api.id, to: ui.id }, { from: db.id, to: ui.id }]);
+    expect(graph.tree.map((n) => n.id)).toEqual([api.id, db.id, ui.id]);
+  });
+
+  test("cancels open tasks of terminated agents and persists across restarts", async () => {
+    const first = await setup();
+    const api = await first.registry.createTask({ assigneeId: "dev1", creatorId: "lead", title: "接口" });
+    const ui = await first.registry.createTask({ assigneeId: "dev2", creatorId: "lead", title: "界面", dependsOn: [api.id] });
+
+    expect(await first.registry.cancelTasksOfAgents(["dev1"])).toBe(1);
+    expect(first.registry.getTask(api.id)).toMatchObject({ status: "cancelled", note: "执行者已终止" });
+    expect(first.bus.receiveNext("dev2").payload).toMatchObject({ kind: "task_dependency", dependencyStatus: "cancelled" });
+
+    const saved = JSON.parse(await readFile(path.join(first.runtimeDir, "tasks.json"), "utf8"));
+    expect(saved.tasks).toHaveLength(2);
+
+    const second = await setup({ runtimeDir: first.runtimeDir });
+    expect(second.registry.getTask(ui.id)).toMatchObject({ status: "open", dependsOn: [api.id] });
+    expect(second.registry.listTasks({ open: true }).map((t) => t.id)).toEqual([ui.id]);
+  });
+});
+
+describe("task tools, formatting and HTTP", () => {
+  async function toolSetup() {
+    const { bus, registry } = await setup();
+    let spawned = 0;
+    const runtime = {
+      bus,
+      taskRegistry: registry,
+      org: { getAgent: (id) => ({ id, status: "active" }), getRole: () => ({ id: "r1" }) },
+      _agents: new Map([["lead", {}]]),
+      moduleLoader: { hasToolName: () => false },
+      spawnAgentAs: async () => ({ id: `dev${++spawned}`, roleId: "r1", roleName: "程序员" })
+    };
+    const executor = new ToolExecutor(runtime);
+    const call = (agentId, name, args) => executor.executeToolCall({ agent: { id: agentId }, currentMessage: { id: "m1", taskId: "t1" }, tools: {} }, name, args);
+    const spawn = (objective, extra = {}) => call("lead", "spawn_agent_with_task", { roleId: "r1", taskBrief: brief(objective), initialMessage: { text: "开始" }, ...extra });
+    return { bus, registry, call, spawn };
+  }
+
+  test("spawn_agent_with_task registers the task and the assignee reports through update_task", async () => {
+    const { bus, call, spawn } = await toolSetup();
+    const first = await spawn("登录接口");
+    expect(first.trackedTaskId).toBeTruthy();
+    const assignment = bus.receiveNext("dev1");
+    expect(assignment.payload.trackedTaskId).toBe(first.trackedTaskId);
+    expect(assignment.payload.text).toContain(first.trackedTaskId);
+
+    expect((await spawn("界面", { dependsOn: ["nope"] })).error).toBe("task_not_found");
+    const second = await spawn("界面", { dependsOn: [first.trackedTaskId] });
+    bus.receiveNext("dev2");
+
+    // 不指定 trackedTaskId 时更新自己当前的任务
+    expect(await call("dev1", "update_task", { status: "done", note: "已提交" })).toMatchObject({ success: true, task: { id: first.trackedTaskId, status: "done" } });
+    expect(bus.receiveNext("lead").payload).toMatchObject({ kind: "task_status", status: "done" });
+    expect(bus.receiveNext("dev2").payload).toMatchObject({ kind: "task_dependency", waitingOn: [] });
+
+    expect((await call("dev1", "update_task", { progress: 10 })).error).toBe("no_current_task");
+    expect((await call("dev3", "update_task", { trackedTaskId: second.trackedTaskId, progress: 10 })).error).toBe("not_task_participant");
+    expect((await call("dev2", "update_task", { status: "blocked" })).error).toBe("missing_note");
+    expect((await call("lead", "set_task_dependencies", { trackedTaskId: first.trackedTaskId, dependsOn: [second.trackedTaskId] })).error).toBe("task_closed");
+  });
+
+  test("list_tasks and get_task show the caller's tasks", async () => {
+    const { call, spawn } = await toolSetup();
+    const first = await spawn("登录接口");
+    await spawn("界面");
+    await call("dev1", "update_task", { status: "done" });
+
+    expect((await call("lead", "list_tasks", {})).count).toBe(1);
+    expect((await call("lead", "list_tasks", { scope: "delegated", includeClosed: true })).count).toBe(2);
+    expect((await call("dev2", "list_tasks", { scope: "assigned" })).tasks.map((t) => t.title)).toEqual(["界面"]);
+    expect((await call("root", "list_tasks", { includeClosed: true })).count).toBe(2);
+
+    expect((await call("dev2", "get_task", {})).task).toMatchObject({ title: "界面", brief: { objective: "界面" } });
+    expect((await call("lead", "get_task", { trackedTaskId: first.trackedTaskId })).task.status).toBe("done");
+    expect((await call("lead", "get_task", { trackedTaskId: "nope" })).error).toBe("task_not_found");
+  });
+
+  test("task notices are shown as task notices", () => {
+    const text = formatMessageForAgent({ id: "m1", from: "dev1", payload: { kind: "task_status", text: "已完成" } }, { role: "负责人" });
+    expect(text.startsWith("【任务通知：委派任务状态变更】")).toBe(true);
+    expect(text).not.toContain("reply_to_message");
+    expect(formatMessageForAgent({ id: "m2", from: "dev1", payload: { kind: "task_dependency", text: "可以开始" } }, { role: "开发" }))
+      .toContain("【任务通知：依赖任务状态变更】");
+  });
+
+  test("shows the task tree and dependency edges over HTTP", async () => {
+    const { registry } = await setup();
+    const lead = await registry.createTask({ assigneeId: "lead", creatorId: "root", title: "登录功能", rootTaskId: "t1" });
+    const api = await registry.createTask({ assigneeId: "dev1", creatorId: "lead", title: "接口", rootTaskId: "t1" });
+    const ui = await registry.createTask({ assigneeId: "dev2", creatorId: "lead", title: "界面", rootTaskId: "t1", dependsOn: [api.id] });
+    await registry.createTask({ assigneeId: "other", creatorId: "root", title: "别的任务", rootTaskId: "t2" });
+    const server = new HTTPServer({});
+    let body = null;
+    server._sendJson = (_res, status, payload) => { body = { status, payload }; };
+
+    server._handleGetTasks(new URL("http://x/api/tasks"), {});
+    expect(body.status).toBe(503);
+    server.setRuntime({ taskRegistry: registry });
+
+    server._handleGetTasks(new URL("http://x/api/tasks?rootTaskId=t1"), {});
+    expect(body.payload.count).toBe(3);
+    expect(body.payload.tree).toHaveLength(1);
+    expect(body.payload.tree[0].children.map((c) => c.id)).toEqual([api.id, ui.id]);
+    expect(body.payload.edges).toEqual([{ from: api.id, to: ui.id }]);
+
+    server._handleGetTasks(new URL("http://x/api/tasks?assigneeId=dev2"), {});
+    expect(body.payload.tasks.map((t) => t.id)).toEqual([ui.id]);
+
+    server._handleGetTask(lead.id, {});
+    expect(body.payload.task).toMatchObject({ title: "登录功能", children: [api.id, ui.id] });
+    server._handleGetTask("nope", {});
+    expect(body).toMatchObject({ status: 404, payload: { error: "task_not_found" } });
+  });
+});
+
+describe("task tool group", () => {
+  test("task tools form their own tool group that root can use", () => {
+    const taskTools = [
+      "update_task",
+      "set_task_dependencies",
+      "list_tasks",
+      "get_task"
+    ];
+    expect(BUILTIN_TOOL_GROUPS.task.tools).toEqual(taskTools);
+    expect(BUILTIN_TOOL_GROUPS.org_management.tools.filter((t) => taskTools.includes(t))).toEqual([]);
+    expect(ROOT_TOOL_GROUPS).toContain("task");
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, test, expect } from "bun:test";
+import path from "node:path";
+import { rm } from "node:fs/promises";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { TurnEngine } from "../../src/platform/runtime/turn_engine.js";
+import { ConversationManager } from "../../src/platform/services/conversation/conversation_manager.js";
+
+function createRuntime(conversationManager) {
+  return {
+    _agents: new Map([["a1", { id: "a1", roleId: "r1", roleName: "role" }]]),
+    _conversationManager: conversationManager,
+    _buildSystemPromptForAgent: () => "sys",
+    _buildAgentContext: (agent) => ({ agent }),
+    _ensureConversation: (agentId, systemPrompt) => conversationManager.ensureConversation(agentId, systemPrompt),
+    _formatMessageForLlm: async () => "hello",
+    getToolDefinitions: () => [],
+    _emitToolCall: () => {}
+  };
+}
+
+const scope = { epoch: 0, signal: new AbortController().signal, assertActive: () => {} };
+
+async function freshDir(name) {
+  const dir = path.resolve(process.cwd(), "test/.tmp/turn_checkpoints", name);
+  await rm(dir, { recursive: true, force: true });
+  return dir;
+}
+
+describe("TurnEngine checkpoints", () => {
+  test("writes a checkpoint at step boundaries and removes it when the turn ends", async () => {
+    const dir = await freshDir("lifecycle");
+    const cm = new ConversationManager();
+    const engine = new TurnEngine(createRuntime(cm));
+    engine.setCheckpointDir(dir);
+    const file = path.join(dir, "a1.json");
+
+    engine.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m1", from: "user", to: "a1", payload: { text: "hi" } });
+    expect(JSON.parse(readFileSync(file, "utf8")).queuedMessages).toHaveLength(1);
+
+    const llmStep = await engine.step("a1", scope);
+    expect(llmStep.kind).toBe("need_llm");
+    const saved = JSON.parse(readFileSync(file, "utf8"));
+    expect(saved.activeTurn.phase).toBe("waiting_llm");
+    expect(saved.activeTurn.message.id).toBe("m1");
+    expect(saved.queuedMessages).toHaveLength(0);
+
+    engine.onLlmResult("a1", { turnId: llmStep.turnId, stepId: llmStep.stepId, msg: { role: "assistant", content: "done" } });
+    const sendStep = await engine.step("a1", scope);
+    expect(sendStep.kind).toBe("send");
+    expect(JSON.parse(readFileSync(file, "utf8")).activeTurn.phase).toBe("finished");
+
+    const doneStep = await engine.step("a1", scope);
+    expect(doneStep.kind).toBe("done");
+    expect(existsSync(file)).toBe(false);
+  });
+
+  test("closes interrupted tool calls with synthetic errors and resumes at need_llm", async () => {
+    const dir = await freshDir("tool_crash");
+    const cm1 = new ConversationManager();
+    const engine1 = new TurnEngine(createRuntime(cm1));
+    engine1.setCheckpointDir(dir);
+
+    engine1.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m1", from: "user", to: "a1", payload: { text: "hi" } });
+    const llmStep = await engine1.step("a1", scope);
+    engine1.onLlmResult("a1", {
+      turnId: llmStep.turnId,
+      stepId: llmStep.stepId,
+      msg: {
+        role: "assistant",
+        content: "",
+        tool_calls: [
+          { id: "c1", function: { name: "tool_a", arguments: "{}" } },
+          { id: "c2", function: { name: "tool_b", arguments: "{}" } }
+        ]
+      }
+    });
+    const toolStep = await engine1.step("a1", scope);
+    expect(toolStep.kind).toBe("need_tool");
+    engine1.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m2", from: "user", to: "a1", payload: { text: "next" } });
+
+    // 模拟崩溃：新的运行时只拿到已持久化的对话历史与检查点
+    const cm2 = new ConversationManager();
+    cm2.conversations.set("a1", JSON.parse(JSON.stringify(cm1.getConversation("a1"))));
+    expect(cm2.verifyHistoryConsistency("a1").danglingToolCalls).toEqual(["c1", "c2"]);
+
+    const engine2 = new TurnEngine(createRuntime(cm2));
+    engine2.setCheckpointDir(dir);
+    const result = engine2.restoreCheckpoints();
+    expect(result.resumed).toBe(1);
+    expect(result.requeued).toBe(1);
+    expect(result.closedToolCalls).toBe(2);
+    expect(cm2.verifyHistoryConsistency("a1").consistent).toBe(true);
+
+    const conv = cm2.getConversation("a1");
+    const lastTool = JSON.parse(conv[conv.length - 1].content);
+    expect(lastTool.error).toBe("tool_interrupted_by_restart");
+
+    const resumed = await engine2.step("a1", scope);
+    expect(resumed.kind).toBe("need_llm");
+    expect(resumed.request.meta.round).toBe(2);
+    expect(resumed.request.meta.messageId).toBe("m1");
+  });
+
+  test("delivers an already generated reply instead of calling the LLM again", async () => {
+    const dir = await freshDir("reply_saved");
+    const cm1 = new ConversationManager();
+    const engine1 = new TurnEngine(createRuntime(cm1));
+    engine1.setCheckpointDir(dir);
+
+    engine1.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m1", from: "user", to: "a1", payload: { text: "hi" } });
+    await engine1.step("a1", scope);
+    cm1.getConversation("a1").push({ role: "assistant", content: "answer" });
+
+    const cm2 = new ConversationManager();
+    cm2.conversations.set("a1", JSON.parse(JSON.stringify(cm1.getConversation("a1"))));
+    const engine2 = new TurnEngine(createRuntime(cm2));
+    engine2.setCheckpointDir(dir);
+    engine2.restoreCheckpoints();
+
+    const step = await engine2.step("a1", scope);
+    expect(step.kind).toBe("send");
+    expect(step.message.payload.text).toBe("answer");
+  });
+
+  test("trims partial turn progress before restarting a turn whose history is behind", async () => {
+    const dir = await freshDir("history_behind");
+    const cm1 = new ConversationManager();
+    const engine1 = new TurnEngine(createRuntime(cm1));
+    engine1.setCheckpointDir(dir);
+    const file = path.join(dir, "a1.json");
+
+    engine1.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m1", from: "user", to: "a1", payload: { text: "hi" } });
+    const llmStep = await engine1.step("a1", scope);
+    engine1.onLlmResult("a1", {
+      turnId: llmStep.turnId,
+      stepId: llmStep.stepId,
+      msg: { role: "assistant", content: "", tool_calls: [{ id: "c1", function: { name: "tool_a", arguments: "{}" } }] }
+    });
+    await engine1.step("a1", scope);
+
+    // 模拟崩溃：检查点已前进，而防抖保存只写入了本回合的用户消息与工具调用
+    const saved = JSON.parse(readFileSync(file, "utf8"));
+    saved.activeTurn.convLength += 2;
+    writeFileSync(file, JSON.stringify(saved));
+    const cm2 = new ConversationManager();
+    cm2.conversations.set("a1", JSON.parse(JSON.stringify(cm1.getConversation("a1"))));
+
+    const engine2 = new TurnEngine(createRuntime(cm2));
+    engine2.setCheckpointDir(dir);
+    const result = engine2.restoreCheckpoints();
+    expect(result.restarted).toBe(1);
+    expect(result.closedToolCalls).toBe(0);
+    expect(cm2.getConversation("a1")).toHaveLength(1);
+
+    const step = await engine2.step("a1", scope);
+    expect(step.kind).toBe("need_llm");
+    expect(step.request.meta.round).toBe(1);
+    const conv = cm2.getConversation("a1");
+    expect(conv.filter((m) => m.role === "user")).toHaveLength(1);
+    expect(conv.some((m) => m.role === "tool")).toBe(false);
+  });
+
+  test("discards checkpoints of agents that no longer exist", async () => {
+    const dir = await freshDir("gone");
+    const cm = new ConversationManager();
+    const engine1 = new TurnEngine(createRuntime(cm));
+    engine1.setCheckpointDir(dir);
+    engine1.enqueueMessageTurn("a1", { agent: { id: "a1" } }, { id: "m1", from: "user", to: "a1", payload: {} });
+
+    const runtime = createRuntime(cm);
+    runtime._agents.clear();
+    const engine2 = new TurnEngine(runtime);
+    engine2.setCheckpointDir(dir);
+    expect(engine2.restoreCheckpoints().discarded).toBe(1);
+    expect(existsSync(path.join(dir, "a1.json"))).toBe(false);
+    expect(engine2.hasRunnable("a1")).toBe(false);
+  });
+});
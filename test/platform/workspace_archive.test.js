@@ -0,0 +1,148 @@
+import { describe, expect, test, beforeAll, beforeEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { buffer as readStream } from "node:stream/consumers";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+import { createArchiveStream, readArchive, detectArchiveFormat } from "../../src/platform/services/workspace/archive.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+
+const op = (messageId) => ({ operator: "a1", messageId });
+
+async function archiveOf(entries, format) {
+  return readStream(createArchiveStream(entries.map((e) => ({ type: "file", ...e, data: Buffer.from(e.data ?? "") })), format));
+}
+
+describe("Workspace archive export/import", () => {
+  const baseDir = path.resolve(process.cwd(), "test/.tmp/workspace_archive");
+  let testDir;
+  let ws;
+
+  beforeAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    testDir = path.join(baseDir, Math.random().toString(36).slice(2));
+    await mkdir(testDir, { recursive: true });
+    ws = new Workspace("src", testDir);
+    await ws.writeFile("README.md", "# 说明\n", op("m1"));
+    await ws.writeFile("src/lib/util.js", "export const x = 1;\n", op("m2"));
+    await ws.writeFile("assets/logo.bin", Buffer.from([0, 1, 2, 255]), op("m3"));
+    await ws.makeDir("out/empty");
+  });
+
+  for (const format of ["zip", "tar.gz"]) {
+    test(`round-trips files and empty directories through ${format}`, async () => {
+      const { stream } = await ws.createExportStream({ format });
+      const archive = await readStream(stream);
+      expect(detectArchiveFormat(archive)).toBe(format);
+
+      const target = new Workspace("dst", testDir);
+      const result = await target.importArchive(archive, { ...op("m9"), targetDir: "restored" });
+      expect(result).toMatchObject({ ok: true, format, targetDir: "restored", imported: 3, skipped: [] });
+      expect((await target.readFile("restored/README.md")).content).toBe("# 说明\n");
+      expect((await target.readFile("restored/assets/logo.bin")).content).toBe(Buffer.from([0, 1, 2, 255]).toString("base64"));
+      expect(await target.getTree()).toContain("restored/out/empty");
+
+      const { versions } = await target.listVersions("restored/src/lib/util.js");
+      expect(versions.map((v) => [v.action, v.operator, v.messageId])).toEqual([["import", "a1", "m9"]]);
+      expect((await target.getFileInfo("restored/src/lib/util.js")).lastOperator).toBe("a1");
+    });
+  }
+
+  test("includeMeta exports history but not locks or the search index", async () => {
+    await ws.acquireLock("README.md", { owner: "a1" });
+    await ws.search("说明");
+    const names = readArchive(await readStream((await ws.createExportStream({ format: "zip", includeMeta: true })).stream)).map((e) => e.name);
+    expect(names).toContain(".meta/.meta");
+    expect(names).toContain(".meta/README.md");
+    expect(names.some((n) => n.startsWith(".meta/.snapshots/"))).toBe(true);
+    expect(names).not.toContain(".meta/.locks");
+    expect(names).not.toContain(".meta/.search-index.json");
+    expect(readArchive(await readStream((await ws.createExportStream({ format: "tar.gz" })).stream)).some((e) => e.name.startsWith(".meta"))).toBe(false);
+
+    // 导入时 .meta 条目不会覆盖目标工作区的元数据
+    const target = new Workspace("dst", testDir);
+    const result = await target.importArchive(await readStream((await ws.createExportStream({ format: "zip", includeMeta: true })).stream), op("m9"));
+    expect(result.skipped).toEqual([{ path: ".meta", reason: "meta" }]);
+    expect((await target.listVersions("README.md")).versions).toHaveLength(1);
+  });
+
+  test("rejects archives with path traversal entries without writing anything", async () => {
+    for (const format of ["zip", "tar.gz"]) {
+      const archive = await archiveOf([
+        { name: "ok.txt", data: "fine" },
+        { name: "../escape.txt", data: "x" },
+        { name: "/etc/passwd", data: "x" },
+        { name: "a/../../b.txt", data: "x" },
+        { name: "C:/Windows/x.txt", data: "x" }
+      ], format);
+      const err = await ws.importArchive(archive, op("m9")).catch((e) => e);
+      expect(err.message).toBe("archive_path_traversal");
+      expect(err.details.entries).toEqual(["../escape.txt", "/etc/passwd", "a/../../b.txt", "C:/Windows/x.txt"]);
+    }
+    expect(existsSync(path.join(ws.rootPath, "ok.txt"))).toBe(false);
+    expect(existsSync(path.join(testDir, "escape.txt"))).toBe(false);
+    await expect(ws.importArchive(Buffer.from("not an archive"), op("m9"))).rejects.toThrow("invalid_archive");
+  });
+
+  test("treats backslashes as separators and checks directory entries before writing", async () => {
+    for (const format of ["zip", "tar.gz"]) {
+      const archive = await archiveOf([
+        { name: "ok.txt", data: "fine" },
+        { name: "docs", type: "directory" },
+        { name: "..\\..\\x.txt", data: "x" },
+        { name: "a\\..\\..\\y.txt", data: "x" },
+        { name: "../evil", type: "directory" }
+      ], format);
+      const err = await ws.importArchive(archive, op("m9")).catch((e) => e);
+      expect(err.message).toBe("archive_path_traversal");
+      expect(err.details.entries).toEqual(["../../x.txt", "a/../../y.txt", "../evil/"]);
+    }
+    expect(existsSync(path.join(ws.rootPath, "ok.txt"))).toBe(false);
+    expect(existsSync(path.join(ws.rootPath, "docs"))).toBe(false);
+    expect(existsSync(path.join(testDir, "evil"))).toBe(false);
+
+    const nested = await ws.importArchive(await archiveOf([{ name: "src\\main.js", data: "1" }], "zip"), op("m9"));
+    expect(nested.files.map((f) => f.path)).toEqual(["src/main.js"]);
+  });
+
+  test("skips existing and locked files unless overwriting", async () => {
+    const archive = await archiveOf([
+      { name: "README.md", data: "new readme" },
+      { name: "src/lib/util.js", data: "new util" },
+      { name: "notes/new.txt", data: "new" }
+    ], "zip");
+
+    const first = await ws.importArchive(archive, op("m4"));
+    expect(first.imported).toBe(1);
+    expect(first.skipped).toEqual([{ path: "README.md", reason: "exists" }, { path: "src/lib/util.js", reason: "exists" }]);
+
+    await ws.acquireLock("README.md", { owner: "a2" });
+    const second = await ws.importArchive(archive, { ...op("m5"), overwrite: true });
+    expect(second.files.map((f) => f.path)).toEqual(["src/lib/util.js", "notes/new.txt"]);
+    expect(second.skipped).toEqual([{ path: "README.md", reason: "file_locked" }]);
+    expect((await ws.readFile("src/lib/util.js")).content).toBe("new util");
+    expect((await ws.listVersions("src/lib/util.js")).versions.map((v) => v.action)).toEqual(["write", "import"]);
+    expect((await ws.readFile("README.md")).content).toBe("# 说明\n");
+  });
+
+  test("import_archive tool unpacks an uploaded archive file", async () => {
+    await ws.writeFile("upload/pkg.tar.gz", await archiveOf([{ name: "pkg/index.js", data: "module.exports = 1;\n" }], "tar.gz"), op("m6"));
+    const runtime = {
+      findWorkspaceIdForAgent: () => "src",
+      workspaceManager: { getWorkspace: async () => ws },
+      moduleLoader: { hasToolName: () => false }
+    };
+    const executor = new ToolExecutor(runtime);
+    const ctx = { agent: { id: "a3" }, currentMessage: { id: "msg-7" } };
+
+    const result = await executor.executeToolCall(ctx, "import_archive", { path: "upload/pkg.tar.gz", targetDir: "vendor" });
+    expect(result).toMatchObject({ ok: true, imported: 1, files: [{ path: "vendor/pkg/index.js" }] });
+    expect((await ws.getFileInfo("vendor/pkg/index.js")).lastMessageId).toBe("msg-7");
+
+    expect((await executor.executeToolCall(ctx, "import_archive", {})).error).toBe("invalid_archive_source");
+    expect((await executor.executeToolCall(ctx, "import_archive", { path: "README.md" })).error).toBe("invalid_archive");
+  });
+});
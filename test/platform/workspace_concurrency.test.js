@@ -0,0 +1,131 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+
+describe("Workspace concurrency control", () => {
+  const TEST_WORKSPACES_DIR = path.resolve(process.cwd(), `test/.tmp/workspace_concurrency_${Math.random().toString(36).slice(2)}`);
+  let ws;
+
+  beforeEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+    await mkdir(TEST_WORKSPACES_DIR, { recursive: true });
+    ws = new Workspace("ws1", TEST_WORKSPACES_DIR);
+  });
+
+  afterEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+  });
+
+  test("exposes the same revision from writeFile, readFile and getFileInfo", async () => {
+    const written = await ws.writeFile("doc.md", "one\n", { operator: "a1", messageId: "m1" });
+    expect(written.revision).toMatch(/^[a-f0-9]{64}$/);
+    expect((await ws.readFile("doc.md", { length: 2 })).revision).toBe(written.revision);
+    expect((await ws.getFileInfo("doc.md")).revision).toBe(written.revision);
+  });
+
+  test("keeps revisions across sync and recomputes them only after external changes", async () => {
+    const written = await ws.writeFile("doc.md", "one\n", { operator: "a1", messageId: "m1" });
+    await ws.sync();
+    expect((await ws.getFileInfo("doc.md")).revision).toBe(written.revision);
+    expect((await ws.readFile("doc.md")).revision).toBe(written.revision);
+
+    await writeFile(path.join(ws.rootPath, "doc.md"), "changed outside\n");
+    const expected = createHash("sha256").update("changed outside\n").digest("hex");
+    expect((await ws.readFile("doc.md")).revision).toBe(expected);
+    await ws.sync();
+    expect((await ws.getFileInfo("doc.md")).revision).toBeUndefined();
+    expect((await ws.readFile("doc.md")).revision).toBe(expected);
+  });
+
+  test("rejects a stale write with the current revision and last operator", async () => {
+    const { revision } = await ws.writeFile("doc.md", "one\n", { operator: "a1", messageId: "m1" });
+    const second = await ws.writeFile("doc.md", "two\n", { operator: "a2", messageId: "m2", expectedRevision: revision });
+
+    const err = await ws.writeFile("doc.md", "three\n", { operator: "a1", messageId: "m3", expectedRevision: revision }).catch((e) => e);
+    expect(err.message).toBe("revision_conflict");
+    expect(err.details).toMatchObject({
+      path: "doc.md",
+      expectedRevision: revision,
+      currentRevision: second.revision,
+      lastOperator: "a2",
+      lastMessageId: "m2"
+    });
+    expect((await ws.readFile("doc.md")).content).toBe("two\n");
+
+    const edited = await ws.editFile("doc.md", [{ oldText: "two", newText: "2" }], { operator: "a1", messageId: "m4", expectedRevision: second.revision });
+    expect(edited.revision).not.toBe(second.revision);
+    await expect(ws.applyPatch("doc.md", "@@ -1 +1 @@\n-2\n+3\n", { operator: "a1", messageId: "m5", expectedRevision: revision })).rejects.toThrow("revision_conflict");
+  });
+
+  test("serializes concurrent writes that expect the same revision", async () => {
+    const { revision } = await ws.writeFile("doc.md", "base\n", { operator: "a0", messageId: "m0" });
+    const results = await Promise.allSettled(
+      ["a1", "a2", "a3"].map((agent) => ws.writeFile("doc.md", `${agent}\n`, { operator: agent, messageId: `m-${agent}`, expectedRevision: revision }))
+    );
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+    expect(results.filter((r) => r.status === "rejected").map((r) => r.reason.message)).toEqual(["revision_conflict", "revision_conflict"]);
+    expect((await ws.listVersions("doc.md")).currentVersion).toBe(2);
+  });
+
+  test("advisory locks block other operators until released or expired", async () => {
+    await ws.writeFile("doc.md", "one\n", { operator: "a1", messageId: "m1" });
+    const { lock } = await ws.acquireLock("doc.md", { owner: "a1", ttlMs: 60000, reason: "rewrite" });
+    expect(lock.owner).toBe("a1");
+    expect((await ws.listLocks()).map((l) => l.path)).toEqual(["doc.md"]);
+
+    await expect(ws.acquireLock("doc.md", { owner: "a2" })).rejects.toThrow("file_locked");
+    const err = await ws.writeFile("doc.md", "x\n", { operator: "a2", messageId: "m2" }).catch((e) => e);
+    expect(err.message).toBe("file_locked");
+    expect(err.details.lock.reason).toBe("rewrite");
+    await expect(ws.deleteFile("doc.md", { operator: "a2", messageId: "m3" })).rejects.toThrow("file_locked");
+
+    await ws.writeFile("doc.md", "mine\n", { operator: "a1", messageId: "m4" });
+    expect((await ws.acquireLock("doc.md", { owner: "a1" })).renewed).toBe(true);
+    await expect(ws.releaseLock("doc.md", { owner: "a2" })).rejects.toThrow("file_locked");
+    expect((await ws.releaseLock("doc.md", { owner: "a1" })).released).toBe(true);
+    await ws.writeFile("doc.md", "theirs\n", { operator: "a2", messageId: "m5" });
+
+    await ws.acquireLock("doc.md", { owner: "a1", ttlMs: 1000 });
+    await Bun.sleep(1100);
+    expect(await ws.getLock("doc.md")).toBeNull();
+    await ws.writeFile("doc.md", "after expiry\n", { operator: "a2", messageId: "m6" });
+  });
+});
+
+describe("workspace concurrency tools", () => {
+  const TEST_WORKSPACES_DIR = path.resolve(process.cwd(), `test/.tmp/workspace_concurrency_tools_${Math.random().toString(36).slice(2)}`);
+
+  afterEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+  });
+
+  test("write_file and lock_file return structured conflicts", async () => {
+    const ws = new Workspace("ws1", TEST_WORKSPACES_DIR);
+    const runtime = {
+      findWorkspaceIdForAgent: () => "ws1",
+      workspaceManager: { getWorkspace: async () => ws },
+      moduleLoader: { hasToolName: () => false }
+    };
+    const executor = new ToolExecutor(runtime);
+    const ctxOf = (agentId) => ({ agent: { id: agentId }, currentMessage: { id: `msg-${agentId}` } });
+
+    const written = await executor.executeToolCall(ctxOf("a1"), "write_file", { path: "a.txt", content: "v1", mimeType: "text/plain" });
+    const { revision } = await executor.executeToolCall(ctxOf("a2"), "read_file", { path: "a.txt" });
+    expect(revision).toBe(written.files[0].revision);
+
+    await executor.executeToolCall(ctxOf("a1"), "write_file", { path: "a.txt", content: "v2", mimeType: "text/plain" });
+    const stale = await executor.executeToolCall(ctxOf("a2"), "write_file", { path: "a.txt", content: "v3", mimeType: "text/plain", expectedRevision: revision });
+    expect(stale.error).toBe("revision_conflict");
+    expect(stale.lastOperator).toBe("a1");
+
+    expect((await executor.executeToolCall(ctxOf("a1"), "lock_file", { path: "a.txt", reason: "busy" })).ok).toBe(true);
+    const locked = await executor.executeToolCall(ctxOf("a2"), "edit_file", { path: "a.txt", edits: [{ oldText: "v2", newText: "v4" }] });
+    expect(locked.error).toBe("file_locked");
+    expect(locked.lock.owner).toBe("a1");
+    expect((await executor.executeToolCall(ctxOf("a2"), "unlock_file", { path: "a.txt" })).error).toBe("file_locked");
+    expect((await executor.executeToolCall(ctxOf("a1"), "unlock_file", { path: "a.txt" })).released).toBe(true);
+  });
+});
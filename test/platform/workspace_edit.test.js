@@ -0,0 +1,91 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir } from "node:fs/promises";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+import { applyUnifiedPatch } from "../../src/platform/services/workspace/unified_diff.js";
+
+describe("Workspace editFile / applyPatch", () => {
+  const TEST_WORKSPACES_DIR = path.resolve(process.cwd(), `test/.tmp/workspace_edit_${Math.random().toString(36).slice(2)}`);
+  const opts = { operator: "a1", messageId: "m1" };
+  let ws;
+
+  beforeEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+    await mkdir(TEST_WORKSPACES_DIR, { recursive: true });
+    ws = new Workspace("ws1", TEST_WORKSPACES_DIR);
+  });
+
+  afterEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+  });
+
+  test("applies search/replace blocks and records an edit version", async () => {
+    await ws.writeFile("a.js", "const a = 1;\nconst b = 1;\n", opts);
+    const result = await ws.editFile("a.js", [
+      { oldText: "const a = 1;", newText: "const a = 2;" },
+      { oldText: "= 1;", newText: "= 3;" }
+    ], opts);
+    expect(result.editsApplied).toBe(2);
+    expect((await ws.readFile("a.js")).content).toBe("const a = 2;\nconst b = 3;\n");
+
+    const { versions } = await ws.listVersions("a.js");
+    expect(versions.map((v) => v.action)).toEqual(["write", "edit"]);
+  });
+
+  test("reports missing and ambiguous blocks without touching the file", async () => {
+    await ws.writeFile("a.txt", "x\nx\n", opts);
+    try {
+      await ws.editFile("a.txt", [
+        { oldText: "x", newText: "y" },
+        { oldText: "zzz", newText: "y" }
+      ], opts);
+      throw new Error("should fail");
+    } catch (err) {
+      expect(err.message).toBe("edit_conflict");
+      expect(err.details.conflicts.map((c) => c.reason)).toEqual(["old_text_not_unique", "old_text_not_found"]);
+    }
+    expect((await ws.readFile("a.txt")).content).toBe("x\nx\n");
+
+    const all = await ws.editFile("a.txt", [{ oldText: "x", newText: "y", replaceAll: true }], opts);
+    expect(all.replacements).toBe(2);
+  });
+
+  test("applies a unified diff and records a patch version", async () => {
+    await ws.writeFile("doc.md", "title\nbody\nend\n", opts);
+    const result = await ws.applyPatch("doc.md", "--- a/doc.md\n+++ b/doc.md\n@@ -1,3 +1,3 @@\n title\n-body\n+new body\n end\n", opts);
+    expect(result.hunksApplied).toBe(1);
+    expect((await ws.readFile("doc.md")).content).toBe("title\nnew body\nend\n");
+    expect((await ws.listVersions("doc.md")).versions[1].action).toBe("patch");
+  });
+
+  test("rejects a patch whose context does not match", async () => {
+    await ws.writeFile("doc.md", "title\nbody\n", opts);
+    await expect(ws.applyPatch("doc.md", "@@ -1,2 +1,2 @@\n title\n-other\n+x\n", opts)).rejects.toThrow("patch_conflict");
+    expect((await ws.readFile("doc.md")).content).toBe("title\nbody\n");
+  });
+});
+
+describe("applyUnifiedPatch", () => {
+  test("relocates hunks whose line numbers drifted", () => {
+    const text = "h1\nh2\na\nb\nc\n";
+    const result = applyUnifiedPatch(text, "@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n");
+    expect(result.content).toBe("h1\nh2\na\nB\nc\n");
+    expect(result.relocatedHunks).toBe(1);
+  });
+
+  test("describes the first mismatching line of a conflict", () => {
+    try {
+      applyUnifiedPatch("a\nb\n", "@@ -1,2 +1,2 @@\n a\n-c\n+d\n");
+      throw new Error("should fail");
+    } catch (err) {
+      expect(err.message).toBe("patch_conflict");
+      expect(err.details.conflicts[0]).toMatchObject({ hunk: 1, line: 2, expected: "c", actual: "b" });
+    }
+  });
+
+  test("keeps CRLF line endings and creates content from an empty file", () => {
+    expect(applyUnifiedPatch("a\r\nb\r\n", "@@ -2,1 +2,2 @@\n b\n+c\n").content).toBe("a\r\nb\r\nc\r\n");
+    expect(applyUnifiedPatch("", "@@ -0,0 +1,2 @@\n+x\n+y\n").content).toBe("x\ny\n");
+    expect(() => applyUnifiedPatch("a\n", "not a patch")).toThrow("invalid_patch");
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+
+describe("Workspace move, copy and mkdir", () => {
+  let testDir;
+  let ws;
+  const op = (messageId) => ({ operator: "a1", messageId });
+
+  beforeEach(async () => {
+    // 每个用例使用独立目录，避免上一个用例残留的异步操作互相干扰
+    testDir = path.resolve(process.cwd(), `test/.tmp/workspace_move_${Math.random().toString(36).slice(2)}`);
+    await mkdir(testDir, { recursive: true });
+    ws = new Workspace("ws1", testDir);
+  });
+
+  afterEach(async () => {
+    await rm(testDir, { recursive: true, force: true });
+  });
+
+  test("moves a file together with its history and lock", async () => {
+    await ws.writeFile("doc.md", "v1\n", op("m1"));
+    await ws.writeFile("doc.md", "v2\n", op("m2"));
+    await ws.acquireLock("doc.md", { owner: "a1" });
+
+    const result = await ws.moveFile("doc.md", "归档/doc-v2.md", op("m3"));
+    expect(result).toMatchObject({ ok: true, type: "file", files: 1, to: "归档/doc-v2.md" });
+    expect(existsSync(path.join(ws.rootPath, "doc.md"))).toBe(false);
+    expect((await ws.readFile("归档/doc-v2.md")).content).toBe("v2\n");
+
+    const { versions } = await ws.listVersions("归档/doc-v2.md");
+    expect(versions.map((v) => v.action)).toEqual(["write", "write", "move"]);
+    expect(versions[2].from).toBe("doc.md");
+    expect((await ws.readVersion("归档/doc-v2.md", 1)).content.toString("utf8")).toBe("v1\n");
+    await expect(ws.listVersions("doc.md")).rejects.toThrow("file_not_found");
+
+    expect(await ws.getFileInfo("doc.md")).toBeNull();
+    expect((await ws.getFileInfo("归档/doc-v2.md")).lastMessageId).toBe("m3");
+    expect((await ws.listLocks()).map((l) => l.path)).toEqual(["归档/doc-v2.md"]);
+  });
+
+  test("moves and copies directories recursively", async () => {
+    await ws.writeFile("src/a.js", "a", op("m1"));
+    await ws.writeFile("src/lib/b.js", "b", op("m2"));
+
+    const copied = await ws.copyFile("src", "backup/src", op("m3"));
+    expect(copied).toMatchObject({ type: "directory", files: 2 });
+    expect((await ws.listVersions("backup/src/lib/b.js")).versions.map((v) => v.action)).toEqual(["write", "copy"]);
+    expect((await ws.readFile("src/a.js")).content).toBe("a");
+
+    await ws.moveFile("src", "app", op("m4"));
+    expect((await ws.readFile("app/lib/b.js")).content).toBe("b");
+    const tree = await ws.getTree();
+    expect(tree).toContain("app/lib");
+    expect(tree).not.toContain("src");
+    expect(tree).not.toContain("src/lib");
+  });
+
+  test("refuses to clobber existing targets unless overwriting a file", async () => {
+    await ws.writeFile("a.txt", "a", op("m1"));
+    await ws.writeFile("b.txt", "b", op("m2"));
+    await ws.makeDir("d");
+
+    await expect(ws.moveFile("a.txt", "b.txt", op("m3"))).rejects.toThrow("target_exists");
+    await expect(ws.moveFile("a.txt", "d", { ...op("m3"), overwrite: true })).rejects.toThrow("target_exists");
+    await expect(ws.moveFile("d", "d/inner", op("m3"))).rejects.toThrow("invalid_target");
+    await expect(ws.moveFile("missing.txt", "x.txt", op("m3"))).rejects.toThrow("file_not_found");
+
+    await ws.moveFile("a.txt", "b.txt", { ...op("m4"), overwrite: true });
+    expect((await ws.readFile("b.txt")).content).toBe("a");
+    const { versions } = await ws.listVersions("b.txt");
+    expect(versions.map((v) => v.action)).toEqual(["write", "delete", "write", "move"]);
+    expect((await ws.readVersion("b.txt", 1)).content.toString("utf8")).toBe("b");
+  });
+
+  test("makeDir creates empty directories visible in listings", async () => {
+    expect((await ws.makeDir("out/reports/")).created).toBe(true);
+    expect((await ws.makeDir("out/reports")).created).toBe(false);
+    expect(await ws.getTree()).toEqual(["out", "out/reports"]);
+    expect(await ws.listFiles("out")).toEqual([{ name: "reports", type: "directory" }]);
+    await expect(ws.makeDir(".meta/x")).rejects.toThrow("path_traversal_blocked");
+
+    await ws.writeFile("f.txt", "x", op("m1"));
+    await expect(ws.makeDir("f.txt")).rejects.toThrow("not_a_directory");
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, test, beforeAll, beforeEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir, readdir } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { WorkspaceManager } from "../../src/platform/services/workspace/workspace_manager.js";
+import { WorkspaceRetentionJob } from "../../src/platform/services/workspace/retention.js";
+import { parseByteSize, normalizeRetentionConfig } from "../../src/platform/services/workspace/quota.js";
+import { ToolExecutor } from "../../src/platform/runtime/tool_executor.js";
+
+const op = (messageId) => ({ operator: "a1", messageId });
+
+describe("Workspace disk quotas", () => {
+  const baseDir = path.resolve(process.cwd(), "test/.tmp/workspace_quota");
+  let testDir;
+
+  beforeAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    testDir = path.join(baseDir, Math.random().toString(36).slice(2));
+    await mkdir(testDir, { recursive: true });
+  });
+
+  test("parses byte sizes with units", () => {
+    expect(parseByteSize("500MB")).toBe(500 * 1024 * 1024);
+    expect(parseByteSize("1.5 KB")).toBe(1536);
+    expect(parseByteSize(2048)).toBe(2048);
+    expect(parseByteSize(0)).toBeNull();
+    expect(parseByteSize("lots")).toBeNull();
+    expect(normalizeRetentionConfig({ maxVersionAgeDays: 1 })).toMatchObject({ enabled: false, maxVersionAgeMs: 86400000, intervalMs: 3600000 });
+  });
+
+  test("rejects files over the per-file limit and writes that overflow the workspace quota", async () => {
+    const manager = new WorkspaceManager({ workspacesDir: testDir, quota: { maxFileBytes: 100, maxWorkspaceBytes: "4KB" } });
+    const ws = await manager.getWorkspace("w1");
+
+    const tooBig = await ws.writeFile("big.bin", Buffer.alloc(101), op("m1")).catch((e) => e);
+    expect(tooBig.message).toBe("quota_exceeded");
+    expect(tooBig.details).toMatchObject({ scope: "file", path: "big.bin", limit: 100, requested: 101 });
+    expect(existsSync(path.join(ws.rootPath, "big.bin"))).toBe(false);
+
+    // 每次写入新内容都会同时占用工作文件与版本快照
+    let err = null;
+    for (let i = 0; i < 40 && !err; i++) {
+      err = await ws.writeFile(`f${i}.txt`, String(i).padStart(100, "x"), op(`m${i}`)).then(() => null, (e) => e);
+    }
+    expect(err?.details).toMatchObject({ scope: "workspace", limit: 4096, requested: 200 });
+    expect(err.details.used + 200).toBeGreaterThan(4096);
+    const status = await ws.getQuotaStatus({ refresh: true });
+    expect(status.workspace).toMatchObject({ limit: 4096, used: (await ws.getUsage()).bytes });
+    expect(status.maxFileBytes).toBe(100);
+  });
+
+  test("enforces the global quota across workspaces and reports it from get_workspace_info", async () => {
+    const manager = new WorkspaceManager({ workspacesDir: testDir, quota: { maxTotalBytes: 4000 } });
+    const a = await manager.getWorkspace("a");
+    await a.writeFile("data.bin", Buffer.alloc(1000, 1), op("m1"));
+
+    const runtime = {
+      findWorkspaceIdForAgent: () => "b",
+      workspaceManager: manager,
+      moduleLoader: { hasToolName: () => false }
+    };
+    const executor = new ToolExecutor(runtime);
+    const ctx = { agent: { id: "b-agent" }, currentMessage: { id: "msg-1" } };
+
+    const result = await executor.executeToolCall(ctx, "write_file", { path: "out.txt", content: "y".repeat(1000) });
+    expect(result).toMatchObject({ error: "quota_exceeded", scope: "global", path: "out.txt", limit: 4000, requested: 2000 });
+    expect(result.message).toContain("总配额");
+
+    const info = await executor.executeToolCall(ctx, "get_workspace_info", {});
+    expect(info.quota.global).toMatchObject({ limit: 4000, exceeded: false });
+    expect(info.quota.workspace.limit).toBeNull();
+  });
+
+  test("pruneVersions keeps the latest version, preserves numbering and removes unreferenced snapshots", async () => {
+    const manager = new WorkspaceManager({ workspacesDir: testDir });
+    const ws = await manager.getWorkspace("w1");
+    for (let i = 1; i <= 5; i++) {
+      await ws.writeFile("doc.md", `v${i}\n`, op(`m${i}`));
+    }
+    await ws.writeFile("other.md", "v1\n", op("o1"));
+
+    const result = await ws.pruneVersions({ maxVersionsPerFile: 2 });
+    expect(result).toMatchObject({ files: 1, prunedVersions: 3, removedSnapshots: 2 });
+    expect(result.freedBytes).toBe(6);
+    expect(await readdir(ws.snapshotsDir)).toHaveLength(3);
+
+    const { versions } = await ws.listVersions("doc.md");
+    expect(versions.map((v) => [v.version, v.pruned, v.restorable])).toEqual([
+      [1, true, false], [2, true, false], [3, true, false], [4, false, true], [5, false, true]
+    ]);
+    // v1 的内容仍被 other.md 引用，快照不会被删除，但版本记录已清理
+    await expect(ws.restoreVersion("doc.md", 1, op("r1"))).rejects.toThrow("version_pruned");
+    expect((await ws.readVersion("doc.md", 4)).content.toString()).toBe("v4\n");
+
+    const aged = await ws.pruneVersions({ maxVersionAgeMs: 1000, now: Date.now() + 60000 });
+    expect(aged.prunedVersions).toBe(1);
+    expect((await ws.listVersions("doc.md")).versions.at(-1).restorable).toBe(true);
+    expect((await ws.listVersions("other.md")).versions[0].restorable).toBe(true);
+  });
+
+  test("retention job prunes versions and deletes workspaces of long-terminated tasks", async () => {
+    const manager = new WorkspaceManager({ workspacesDir: testDir });
+    const live = await manager.getWorkspace("task-live");
+    const done = await manager.getWorkspace("task-done");
+    await live.writeFile("a.txt", "1", op("m1"));
+    await live.writeFile("a.txt", "2", op("m2"));
+    await done.writeFile("a.txt", "1", op("m1"));
+
+    const now = Date.now();
+    const job = new WorkspaceRetentionJob({
+      workspaceManager: manager,
+      policy: { enabled: true, maxVersionsPerFile: 1, terminatedWorkspaceDays: 30 },
+      getTerminatedAt: (id) => (id === "task-done" ? new Date(now - 31 * 86400000).toISOString() : null)
+    });
+
+    const summary = await job.runOnce(now);
+    expect(summary).toMatchObject({ workspaces: 1, prunedVersions: 1, deletedWorkspaces: ["task-done"], errors: [] });
+    expect(existsSync(done.rootPath)).toBe(false);
+    expect((await live.listVersions("a.txt")).versions.map((v) => v.pruned)).toEqual([true, false]);
+
+    expect(job.start()).toBe(true);
+    job.stop();
+    expect(new WorkspaceRetentionJob({ workspaceManager: manager }).start()).toBe(false);
+  });
+});
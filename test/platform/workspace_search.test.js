@@ -0,0 +1,118 @@
+import { describe, expect, test, beforeAll, beforeEach, afterAll } from "bun:test";
+import path from "node:path";
+import { rm, mkdir, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+import { tokenize, globToRegExp } from "../../src/platform/services/workspace/search_index.js";
+import { createTempTestRuntime } from "../helpers/test_runtime.js";
+
+describe("Workspace full-text search", () => {
+  const baseDir = path.resolve(process.cwd(), "test/.tmp/workspace_search");
+  let ws;
+  const op = (messageId) => ({ operator: "a1", messageId });
+
+  beforeAll(async () => {
+    await rm(baseDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    const testDir = path.join(baseDir, Math.random().toString(36).slice(2));
+    await mkdir(testDir, { recursive: true });
+    ws = new Workspace("ws1", testDir);
+    await ws.writeFile("src/manager.js", "export class WorkspaceManager {\n  getWorkspace() {}\n}\n", op("m1"));
+    await ws.writeFile("src/util.js", "// helper\nconst manager = null;\nmanager.run();\nmanager.stop();\n", op("m2"));
+    await ws.writeFile("docs/设计.md", "# 工作区设计\n\n工作区负责文件隔离。\n", op("m3"));
+  });
+
+  test("ranks multi-word matches and returns context lines", async () => {
+    const { results, total, index } = await ws.search("manager");
+    expect(total).toBe(2);
+    expect(results[0].path).toBe("src/util.js");
+    expect(results[0].matchCount).toBe(3);
+    expect(results[0].matches[0]).toEqual({ line: 2, col: 7, text: "const manager = null;", before: ["// helper"], after: ["manager.run();", "manager.stop();"] });
+    expect(index.files).toBe(3);
+    expect(existsSync(ws.searchIndexFile)).toBe(true);
+
+    const both = await ws.search("manager stop");
+    expect(both.results.map((r) => r.path)).toEqual(["src/util.js"]);
+    expect((await ws.search("Manager", { caseSensitive: true })).results.map((r) => r.path)).toEqual(["src/manager.js"]);
+  });
+
+  test("supports phrase, regex, CJK and filename glob queries", async () => {
+    expect((await ws.search("manager.run", { mode: "phrase" })).total).toBe(1);
+    expect((await ws.search("run stop", { mode: "phrase" })).total).toBe(0);
+    expect((await ws.search("manager\\.(run|stop)\\(", { mode: "regex" })).results[0].matchCount).toBe(2);
+    await expect(ws.search("(", { mode: "regex" })).rejects.toThrow("invalid_regex");
+
+    const cjk = await ws.search("文件隔离");
+    expect(cjk.results.map((r) => r.path)).toEqual(["docs/设计.md"]);
+    expect(cjk.results[0].matches[0].line).toBe(3);
+
+    expect((await ws.search("", { glob: "*.md" })).results.map((r) => r.path)).toEqual(["docs/设计.md"]);
+    expect((await ws.search("manager", { glob: "src/**/*.{js,ts}", path: "src" })).total).toBe(2);
+    expect((await ws.search("manager", { path: "docs" })).total).toBe(0);
+  });
+
+  test("keeps the index in sync with writes, deletes, moves and external edits", async () => {
+    await ws.search("manager");
+    await ws.writeFile("notes.txt", "remember the quokka\n", op("m4"));
+    expect((await ws.search("quokka")).results.map((r) => r.path)).toEqual(["notes.txt"]);
+
+    await ws.moveFile("notes.txt", "archive/notes.txt", op("m5"));
+    expect((await ws.search("quokka")).results.map((r) => r.path)).toEqual(["archive/notes.txt"]);
+
+    await ws.deleteFile("archive/notes.txt", op("m6"));
+    expect((await ws.search("quokka")).total).toBe(0);
+
+    await writeFile(path.join(ws.rootPath, "external.txt"), "downloaded quokka data\n");
+    expect((await ws.search("quokka")).results.map((r) => r.path)).toEqual(["external.txt"]);
+
+    // 新实例从磁盘加载索引并增量刷新
+    const reloaded = new Workspace("ws1", path.dirname(ws.rootPath));
+    expect((await reloaded.search("quokka")).total).toBe(1);
+  });
+
+  test("searchText keeps its file/line/col result shape", async () => {
+    const matches = await ws.searchText("src", "manager", { caseSensitive: false });
+    expect(matches).toEqual([
+      { file: "src/manager.js", line: 1, col: 23 },
+      { file: "src/util.js", line: 2, col: 7 },
+      { file: "src/util.js", line: 3, col: 1 },
+      { file: "src/util.js", line: 4, col: 1 }
+    ]);
+  });
+});
+
+describe("search index helpers", () => {
+  test("tokenize splits words and CJK bigrams", () => {
+    expect(tokenize("Foo_bar 工作区")).toEqual(["foo_bar", "工", "工作", "作", "作区", "区"]);
+  });
+
+  test("globToRegExp handles *, ** and braces", () => {
+    expect(globToRegExp("*.md").test("docs/a.md")).toBe(true);
+    expect(globToRegExp("src/*.js").test("src/lib/a.js")).toBe(false);
+    expect(globToRegExp("src/**/*.js").test("src/lib/a.js")).toBe(true);
+    expect(globToRegExp("src/**/*.js").test("src/a.js")).toBe(true);
+    expect(globToRegExp("*.{ts,vue}").test("App.vue")).toBe(true);
+  });
+});
+
+describe("search_text tool", () => {
+  let runtime;
+  let tmpDir;
+
+  beforeAll(async () => {
+    ({ runtime, tmpDir } = await createTempTestRuntime("workspace_search_tool"));
+  });
+
+  afterAll(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test("is available to roles with the workspace tool group", async () => {
+    const role = await runtime.org.createRole({ name: "dev", rolePrompt: "p", toolGroups: ["workspace"] });
+    const agent = await runtime.spawnAgent({ roleId: role.id, parentAgentId: "root" });
+    expect(runtime.isToolAvailableForAgent(agent.id, "search_text")).toBe(true);
+    expect(runtime.getToolDefinitionsForAgent(agent.id).some((t) => t.function?.name === "search_text")).toBe(true);
+  });
+});
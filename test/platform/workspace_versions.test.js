@@ -0,0 +1,108 @@
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import path from "node:path";
+import { rm, mkdir, writeFile } from "node:fs/promises";
+import { Workspace } from "../../src/platform/services/workspace/workspace.js";
+import { createUnifiedDiff } from "../../src/platform/services/workspace/unified_diff.js";
+
+describe("Workspace versioning", () => {
+  const TEST_WORKSPACES_DIR = path.resolve(process.cwd(), `test/.tmp/workspace_versions_${Math.random().toString(36).slice(2)}`);
+  let ws;
+
+  beforeEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+    await mkdir(TEST_WORKSPACES_DIR, { recursive: true });
+    ws = new Workspace("ws1", TEST_WORKSPACES_DIR);
+  });
+
+  afterEach(async () => {
+    await rm(TEST_WORKSPACES_DIR, { recursive: true, force: true });
+  });
+
+  test("every write and delete becomes a version with a snapshot", async () => {
+    await ws.writeFile("doc.md", "one\n", { operator: "a1", messageId: "m1" });
+    await ws.writeFile("doc.md", "one\ntwo\n", { operator: "a2", messageId: "m2" });
+    await ws.deleteFile("doc.md", { operator: "a2", messageId: "m3" });
+
+    const { currentVersion, versions } = await ws.listVersions("doc.md");
+    expect(currentVersion).toBe(3);
+    expect(versions.map((v) => v.action)).toEqual(["write", "write", "delete"]);
+    expect(versions.map((v) => v.operator)).toEqual(["a1", "a2", "a2"]);
+    expect(versions[1].restorable).toBe(true);
+
+    const v1 = await ws.readVersion("doc.md", 1);
+    expect(v1.content.toString("utf8")).toBe("one\n");
+  });
+
+  test("diffs two versions in unified format", async () => {
+    await ws.writeFile("a.txt", "alpha\nbeta\ngamma\n", { operator: "a1", messageId: "m1" });
+    await ws.writeFile("a.txt", "alpha\nBETA\ngamma\n", { operator: "a1", messageId: "m2" });
+
+    const result = await ws.diffVersions("a.txt");
+    expect(result.fromVersion).toBe(1);
+    expect(result.toVersion).toBe(2);
+    expect(result.diff).toBe(
+      "--- a/a.txt@v1\n+++ b/a.txt@v2\n@@ -1,3 +1,3 @@\n alpha\n-beta\n+BETA\n gamma\n"
+    );
+    expect(result.additions).toBe(1);
+    expect(result.deletions).toBe(1);
+  });
+
+  test("restores a prior version as a new restore entry", async () => {
+    await ws.writeFile("a.txt", "good\n", { operator: "a1", messageId: "m1" });
+    await ws.writeFile("a.txt", "bad\n", { operator: "a2", messageId: "m2" });
+
+    const result = await ws.restoreVersion("a.txt", 1, { operator: "user", messageId: "m3" });
+    expect(result.version).toBe(3);
+    expect((await ws.readFile("a.txt")).content).toBe("good\n");
+
+    const { versions } = await ws.listVersions("a.txt");
+    expect(versions[2].action).toBe("restore");
+    expect(versions[2].restoredFrom).toBe(1);
+    await expect(ws.readVersion("a.txt", 9)).rejects.toThrow("version_not_found");
+  });
+
+  test("captures externally modified content before overwriting it", async () => {
+    await ws.writeFile("a.txt", "v1\n", { operator: "a1", messageId: "m1" });
+    await writeFile(path.join(ws.rootPath, "a.txt"), "edited outside\n");
+    await ws.writeFile("a.txt", "v3\n", { operator: "a1", messageId: "m2" });
+
+    const { versions } = await ws.listVersions("a.txt");
+    expect(versions.map((v) => v.action)).toEqual(["write", "external", "write"]);
+    expect((await ws.readVersion("a.txt", 2)).content.toString("utf8")).toBe("edited outside\n");
+  });
+
+  test("rejects paths that would overwrite the internal metadata stores", async () => {
+    await ws.writeFile("a.txt", "v1\n", { operator: "a1", messageId: "m1" });
+    for (const name of [".meta", ".locks", ".snapshots/abc", ".search-index.json", ".search-index.json.1.tmp", "./.locks"]) {
+      await expect(ws.writeFile(name, "x", { operator: "a1", messageId: "m2" })).rejects.toThrow("path_traversal_blocked");
+    }
+    expect(await ws.acquireLock("a.txt", { owner: "a1" })).toMatchObject({ ok: true });
+
+    // 外部进程在根目录写出同名文件时，同步不会把它当作工作区文件
+    await writeFile(path.join(ws.rootPath, ".locks"), "external");
+    expect(Object.keys((await ws.sync()).files)).toEqual(["a.txt"]);
+    expect((await ws.listVersions("a.txt")).currentVersion).toBe(1);
+    expect(await ws.getLock("a.txt")).toMatchObject({ owner: "a1" });
+    expect(await ws.writeFile("nested/.locks", "ok", { operator: "a1", messageId: "m3" })).toBeTruthy();
+  });
+});
+
+describe("createUnifiedDiff", () => {
+  test("returns an empty diff for identical text", () => {
+    expect(createUnifiedDiff("x\n", "x\n").diff).toBe("");
+  });
+
+  test("marks a missing trailing newline", () => {
+    const { diff } = createUnifiedDiff("a\n", "a\nb");
+    expect(diff).toBe("--- a\n+++ b\n@@ -1,1 +1,2 @@\n a\n+b\n\\ No newline at end of file\n");
+  });
+
+  test("splits distant changes into separate hunks", () => {
+    const oldText = Array.from({ length: 20 }, (_, i) => `line${i}\n`).join("");
+    const newText = oldText.replace("line1\n", "LINE1\n").replace("line18\n", "LINE18\n");
+    const result = createUnifiedDiff(oldText, newText, { context: 2 });
+    expect(result.hunks).toBe(2);
+    expect(result.diff).toContain("@@ -1,4 +1,4 @@");
+    expect(result.diff).toContain("@@ -17,4 +17,4 @@");
+  });
+});
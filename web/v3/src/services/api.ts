@@ -383,6 +383,27 @@ export const apiService = {
   /**
    * 获取所有已加载模块列表
    */
+  /**
+   * 工作空间全文检索
+   * @param workspaceId 工作空间 ID
+   * @param params 查询参数：q 查询文本、mode 模式（text/phrase/regex）、glob 路径通配符等
+   */
+  async searchWorkspace(workspaceId: string, params: {
+    q?: string;
+    mode?: 'text' | 'phrase' | 'regex';
+    glob?: string;
+    path?: string;
+    caseSensitive?: boolean;
+    contextLines?: number;
+    maxResults?: number;
+  }): Promise<WorkspaceSearchResult> {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== '') query.set(key, String(value));
+    }
+    return request<WorkspaceSearchResult>(`/workspaces/${encodeURIComponent(workspaceId)}/search?${query.toString()}`);
+  },
+
   async getModules(): Promise<ModuleInfo[]> {
     const data = await request<{ ok: boolean; modules: ModuleInfo[]; count: number }>('/modules');
     return data.modules || [];
@@ -491,3 +512,21 @@ export interface ModuleWebComponent {
   css?: string;
   js?: string;
 }
+
+/**
+ * 工作空间全文检索结果
+ */
+export interface WorkspaceSearchResult {
+  workspaceId: string;
+  query: string;
+  mode: 'text' | 'phrase' | 'regex';
+  total: number;
+  truncated: boolean;
+  results: Array<{
+    path: string;
+    score: number;
+    matchCount: number;
+    matches: Array<{ line: number; col: number; text: string; before: string[]; after: string[] }>;
+  }>;
+  index: { files: number; tokens: number; updatedAt: string | null };
+}
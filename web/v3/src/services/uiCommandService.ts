@@ -4,6 +4,7 @@
  * 职责：
  * - 轮询服务器获取待执行的 UI 命令
  * - 在页面上下文中执行 JavaScript、获取内容、DOM 补丁
+ * - 以画廊形式展示智能体产生的工件
  * - 将执行结果返回给服务器
  * 
  * 安全说明：
@@ -18,7 +19,7 @@
 // 命令类型定义
 interface UiCommand {
     id: string;
-    type: 'eval_js' | 'get_content' | 'dom_patch';
+    type: 'eval_js' | 'get_content' | 'dom_patch' | 'show_artifacts';
     payload: any;
 }
 
@@ -38,6 +39,17 @@ interface DomOperation {
     position?: 'beforebegin' | 'afterbegin' | 'beforeend' | 'afterend';
 }
 
+// 工件画廊条目
+interface ArtifactGalleryItem {
+    id: string;
+    name: string | null;
+    type: 'text' | 'json' | 'image' | 'binary';
+    mimeType: string;
+    size: number;
+    producerAgentId?: string;
+    url: string;
+}
+
 class UiCommandService {
     private clientId: string;
     private isRunning: boolean = false;
@@ -148,6 +160,8 @@ class UiCommandService {
                     return this.executeGetContent(command.payload);
                 case 'dom_patch':
                     return this.executeDomPatch(command.payload);
+                case 'show_artifacts':
+                    return this.executeShowArtifacts(command.payload);
                 default:
                     return { ok: false, error: `Unknown command type: ${command.type}` };
             }
@@ -373,6 +387,80 @@ class UiCommandService {
         }
     }
 
+    /**
+     * 展示工件画廊
+     * 
+     * 以浮层形式渲染工件列表：图片直接预览，文本/JSON 加载前若干字符，其它类型提供下载链接。
+     */
+    private executeShowArtifacts(payload: { title?: string; items?: ArtifactGalleryItem[] }): CommandResult {
+        const items = Array.isArray(payload?.items) ? payload.items : [];
+        if (items.length === 0) {
+            return { ok: false, error: 'No artifacts to show' };
+        }
+
+        document.getElementById('artifact-gallery-overlay')?.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'artifact-gallery-overlay';
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;';
+
+        const panel = document.createElement('div');
+        panel.style.cssText = 'background:#fff;color:#222;border-radius:8px;max-width:90vw;max-height:85vh;overflow:auto;padding:16px;min-width:320px;';
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;';
+        const title = document.createElement('strong');
+        title.textContent = payload?.title || '工件';
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.style.cssText = 'border:none;background:none;font-size:20px;cursor:pointer;';
+        closeBtn.onclick = () => overlay.remove();
+        header.append(title, closeBtn);
+
+        const grid = document.createElement('div');
+        grid.style.cssText = 'display:grid;grid-template-columns:repeat(auto-fill,minmax(220px,1fr));gap:12px;';
+
+        for (const item of items) {
+            const card = document.createElement('div');
+            card.style.cssText = 'border:1px solid #ddd;border-radius:6px;padding:8px;overflow:hidden;';
+
+            if (item.type === 'image') {
+                const img = document.createElement('img');
+                img.src = item.url;
+                img.alt = item.name || item.id;
+                img.style.cssText = 'max-width:100%;max-height:200px;display:block;margin:0 auto;';
+                card.appendChild(img);
+            } else if (item.type === 'text' || item.type === 'json') {
+                const pre = document.createElement('pre');
+                pre.style.cssText = 'max-height:200px;overflow:auto;white-space:pre-wrap;font-size:12px;margin:0;';
+                pre.textContent = '加载中...';
+                fetch(item.url)
+                    .then(resp => resp.text())
+                    .then(text => { pre.textContent = text.slice(0, 4000); })
+                    .catch(() => { pre.textContent = '加载失败'; });
+                card.appendChild(pre);
+            }
+
+            const caption = document.createElement('a');
+            caption.href = item.url;
+            caption.target = '_blank';
+            caption.textContent = `${item.name || item.id.slice(0, 12)} · ${item.mimeType} · ${item.size} B`;
+            caption.style.cssText = 'display:block;margin-top:6px;font-size:12px;word-break:break-all;';
+            card.appendChild(caption);
+
+            grid.appendChild(card);
+        }
+
+        overlay.onclick = (e) => {
+            if (e.target === overlay) overlay.remove();
+        };
+        panel.append(header, grid);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+
+        return { ok: true, result: { shown: items.length } };
+    }
+
     /**
      * 获取元素
      */